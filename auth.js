@@ -24,10 +24,10 @@ export const Authority = {
   BANNED: 'Banned'
 };
 
-// データベースの初期化
-export async function initDatabase() {
+// データベースの初期化（filename はテストで ':memory:' を指定する）
+export async function initDatabase(filename = DB_PATH) {
   db = await open({
-    filename: DB_PATH,
+    filename,
     driver: sqlite3.Database
   });
 
@@ -52,6 +52,46 @@ export async function initDatabase() {
     CREATE INDEX IF NOT EXISTS idx_group_id ON users(group_id);
     CREATE INDEX IF NOT EXISTS idx_authority ON users(authority);
     CREATE INDEX IF NOT EXISTS idx_is_active ON users(is_active);
+
+    -- ログインセッション（リフレッシュトークンはハッシュのみ保存）
+    CREATE TABLE IF NOT EXISTS sessions (
+      session_id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      refresh_token_hash TEXT NOT NULL,
+      auth_type TEXT,
+      device TEXT,
+      ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at DATETIME,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+    -- 個人用 API キー（キーはハッシュのみ保存。scopes は JSON 配列）
+    CREATE TABLE IF NOT EXISTS api_keys (
+      key_id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      key_hash TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      rate_limit_per_minute INTEGER,
+      created_at DATETIME NOT NULL,
+      last_used_at DATETIME,
+      expires_at DATETIME,
+      revoked_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+
+    -- アクセストークンの署名鍵（retired_at 以降は新しいトークンの署名に使わない）
+    CREATE TABLE IF NOT EXISTS signing_keys (
+      kid TEXT PRIMARY KEY,
+      key_material TEXT NOT NULL,
+      created_at DATETIME NOT NULL,
+      retired_at DATETIME
+    );
   `);
 
   // 既存テーブルに paid_credit カラムを追加（マイグレーション）
@@ -585,6 +625,162 @@ export async function getCreditInfo(userId) {
   };
 }
 
+// ====================
+// ログインセッション
+// ====================
+// 日時は ISO 8601 文字列で保存する（expires_at などを文字列のまま比較するため）
+
+// セッションの作成
+export async function createSession({ sessionId, userId, refreshTokenHash, authType = null, device = null, ip = null, expiresAt }) {
+  const now = new Date().toISOString();
+  await db.run(`
+    INSERT INTO sessions (
+      session_id, user_id, refresh_token_hash, auth_type, device, ip,
+      created_at, last_seen_at, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [sessionId, userId, refreshTokenHash, authType, device, ip, now, now, expiresAt]);
+  return getSession(sessionId);
+}
+
+// セッションの取得（失効・期限切れを含む）
+export async function getSession(sessionId) {
+  return await db.get('SELECT * FROM sessions WHERE session_id = ?', [sessionId]) ?? null;
+}
+
+// ユーザーの有効なセッション一覧（最近使用した順）
+export async function listActiveSessions(userId) {
+  return db.all(`
+    SELECT * FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_seen_at DESC
+  `, [userId, new Date().toISOString()]);
+}
+
+// 最終使用日時・IP の更新
+export async function touchSession(sessionId, ip) {
+  await db.run(`
+    UPDATE sessions SET last_seen_at = ?, ip = COALESCE(?, ip) WHERE session_id = ?
+  `, [new Date().toISOString(), ip, sessionId]);
+}
+
+// リフレッシュトークンの更新（古いトークンが使われていないことを条件に置き換える）
+// @returns {Promise<boolean>} 置き換えた場合 true
+export async function rotateSessionRefreshToken(sessionId, oldHash, newHash, expiresAt, ip) {
+  const result = await db.run(`
+    UPDATE sessions
+    SET refresh_token_hash = ?, expires_at = ?, last_seen_at = ?, ip = COALESCE(?, ip)
+    WHERE session_id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+  `, [newHash, expiresAt, new Date().toISOString(), ip, sessionId, oldHash]);
+  return result.changes > 0;
+}
+
+// セッションの失効
+export async function revokeSession(sessionId) {
+  const result = await db.run(`
+    UPDATE sessions SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL
+  `, [new Date().toISOString(), sessionId]);
+  return result.changes > 0;
+}
+
+// ユーザーの全セッションの失効（exceptSessionId は残す）
+// @returns {Promise<number>} 失効したセッション数
+export async function revokeUserSessions(userId, exceptSessionId = null) {
+  const result = await db.run(`
+    UPDATE sessions SET revoked_at = ?
+    WHERE user_id = ? AND revoked_at IS NULL AND session_id != COALESCE(?, '')
+  `, [new Date().toISOString(), userId, exceptSessionId]);
+  return result.changes;
+}
+
+// 期限切れ・失効したセッションの削除（before より前に期限切れ・失効したもの）
+export async function deleteStaleSessions(before) {
+  const result = await db.run(`
+    DELETE FROM sessions WHERE expires_at < ? OR revoked_at < ?
+  `, [before, before]);
+  return result.changes;
+}
+
+// ====================
+// 個人用 API キー
+// ====================
+
+function parseApiKeyRow(row) {
+  return row ? { ...row, scopes: JSON.parse(row.scopes) } : null;
+}
+
+// API キーの作成
+export async function createApiKey({ keyId, userId, name, keyHash, scopes, rateLimitPerMinute = null, expiresAt = null }) {
+  await db.run(`
+    INSERT INTO api_keys (
+      key_id, user_id, name, key_hash, scopes, rate_limit_per_minute, created_at, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [keyId, userId, name, keyHash, JSON.stringify(scopes), rateLimitPerMinute, new Date().toISOString(), expiresAt]);
+  return getApiKey(keyId);
+}
+
+// API キーの取得（失効・期限切れを含む）
+export async function getApiKey(keyId) {
+  return parseApiKeyRow(await db.get('SELECT * FROM api_keys WHERE key_id = ?', [keyId]));
+}
+
+// ユーザーの API キー一覧（失効したものを除く。新しい順）
+export async function listApiKeys(userId) {
+  const rows = await db.all(`
+    SELECT * FROM api_keys WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC
+  `, [userId]);
+  return rows.map(parseApiKeyRow);
+}
+
+// 最終使用日時の更新
+export async function touchApiKey(keyId) {
+  await db.run('UPDATE api_keys SET last_used_at = ? WHERE key_id = ?', [new Date().toISOString(), keyId]);
+}
+
+// API キーの失効
+export async function revokeApiKey(keyId) {
+  const result = await db.run(`
+    UPDATE api_keys SET revoked_at = ? WHERE key_id = ? AND revoked_at IS NULL
+  `, [new Date().toISOString(), keyId]);
+  return result.changes > 0;
+}
+
+// ユーザーの全 API キーの失効
+export async function revokeUserApiKeys(userId) {
+  const result = await db.run(`
+    UPDATE api_keys SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL
+  `, [new Date().toISOString(), userId]);
+  return result.changes;
+}
+
+// ====================
+// 署名鍵
+// ====================
+
+// 署名鍵の一覧（新しい順）
+export async function listSigningKeys() {
+  return db.all('SELECT * FROM signing_keys ORDER BY created_at DESC');
+}
+
+// 署名鍵の追加（それまでの鍵は retired_at を設定）
+export async function addSigningKey({ kid, keyMaterial, createdAt }) {
+  await db.run('BEGIN');
+  try {
+    await db.run('UPDATE signing_keys SET retired_at = ? WHERE retired_at IS NULL', [createdAt]);
+    await db.run(`
+      INSERT INTO signing_keys (kid, key_material, created_at) VALUES (?, ?, ?)
+    `, [kid, keyMaterial, createdAt]);
+    await db.run('COMMIT');
+  } catch (err) {
+    await db.run('ROLLBACK');
+    throw err;
+  }
+}
+
+// 署名鍵の削除（before までに退役したもの）
+export async function deleteRetiredSigningKeys(before) {
+  await db.run('DELETE FROM signing_keys WHERE retired_at <= ?', [before]);
+}
+
 // データベースのクローズ
 export async function closeDatabase() {
   if (db) {
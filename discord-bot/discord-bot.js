@@ -1,6 +1,6 @@
 // discord-bot.js
 import { Client, Events, GatewayIntentBits, REST, Routes, SlashCommandBuilder, EmbedBuilder, MessageFlags, ChannelType, PermissionFlagsBits, ActionRowBuilder, StringSelectMenuBuilder, ComponentType } from 'discord.js';
-import fetch from 'node-fetch';
+import fetch, { FormData, Blob } from 'node-fetch';
 import 'dotenv/config';
 import { generateGuildAuthToken, isGuildEnabled, loadGuildConfig, saveGuildRequest } from './guild-manager.js';
 import fs from 'fs/promises';
@@ -25,6 +25,10 @@ const CONFIG = {
   DEBUG: process.env.DEBUG || 'true',
   TEMP_CHANNELS_FILE: path.join(DISCORD_DATA_DIR, 'temp-channels.json'),
   ONE_SHOT_FILE: path.join(DISCORD_DATA_DIR, 'one-shot-conversations.json'),
+  PENDING_JOBS_FILE: path.join(DISCORD_DATA_DIR, 'pending-jobs.json'),
+  JOB_POLL_INTERVAL: 2000,
+  JOB_POLL_MAX_FAILURES: 60, // サーバーの再起動などで取得に失敗し続けた場合に諦めるまでの回数
+  JOB_CANCEL_REACTION: '⏹️', // 「考え中」メッセージに付けるキャンセル用のリアクション
   AUTO_REPLY_INTERVAL: 5 * 60 * 1000, // 5分
   AUTO_REPLY_MIN_IDLE_TIME: 10 * 60 * 1000, // 10分
   AUTO_REPLY_MIN_TIME_BEFORE_DELETE: 30 * 60 * 1000 // 30分
@@ -38,12 +42,15 @@ const client = new Client({
     GatewayIntentBits.GuildMessages, 
     GatewayIntentBits.GuildMembers, 
     GatewayIntentBits.MessageContent,
-    GatewayIntentBits.GuildVoiceStates
+    GatewayIntentBits.GuildVoiceStates,
+    GatewayIntentBits.GuildMessageReactions
   ]
 });
 
-// JWTトークンキャッシュ（guildId別）
+// JWTトークンキャッシュ（Bot は guildId、ユーザーは user:<userId>:<guildId> 別。リフレッシュトークンも保持する）
 const tokenCache = new Map();
+// 再発行中のトークン（cacheKey → Promise）
+const pendingTokenRequests = new Map();
 
 // 一時チャンネル管理
 let tempChannels = {};
@@ -52,6 +59,10 @@ let tempChannels = {};
 // { messageId: { userId, guildId, model, systemPrompt, createdAt, parentMessageId } }
 let oneShotConversations = {};
 
+// 応答の生成中のジョブ（Bot を再起動しても「考え中」メッセージを書き換えられるよう保存する）
+// { jobId: { userId, guildId, channelId, messageId, createdAt } }
+let pendingJobs = {};
+
 // 利用可能なモデル一覧（APIから取得）
 let availableModels = [];
 const TEMP_CHANNEL_SELECTION_TTL = 10 * 60 * 1000; // 10 minutes
@@ -455,6 +466,7 @@ async function checkAndDeleteTempChannels() {
 
                 // Discordチャンネルに送信
                 await sendLongMessage(channel, response.assistantMessage.content);
+                await sendGeneratedImages(channel, response.assistantMessage, token);
                 
                 // 最終アクティビティを更新（Botの書き込みとして）
                 await updateChannelActivity(guildId, channelId, true);
@@ -481,53 +493,103 @@ async function checkAndDeleteTempChannels() {
 }
 
 /**
- * Bot用JWTトークンを取得（キャッシュあり）
- * @param {string} guildId - Discord Guild ID
+ * キャッシュしたJWTトークンを取得
+ * 期限切れの場合はリフレッシュトークンで再発行し、失敗した場合は login でログインし直す
+ * @param {string} cacheKey
+ * @param {() => Promise<object>} login - /api/auth/login のレスポンスを返す関数
  * @returns {Promise<string>} JWTトークン
  */
-async function getBotJWTToken(guildId) {
-  // キャッシュチェック
-  const cached = tokenCache.get(guildId);
+async function getCachedJWTToken(cacheKey, login) {
+  const cached = tokenCache.get(cacheKey);
   if (cached && cached.expiresAt > Date.now()) {
     return cached.token;
   }
 
-  // 新しいトークンを取得
+  // リフレッシュトークンは使い捨てのため、同じキーの再発行は同時に1回だけ行う
+  if (!pendingTokenRequests.has(cacheKey)) {
+    const request = (async () => {
+      const data = (cached?.refreshToken && await refreshJWTToken(cached.refreshToken)) || await login();
+      cacheJWTToken(cacheKey, data);
+      return data.token;
+    })().finally(() => pendingTokenRequests.delete(cacheKey));
+    pendingTokenRequests.set(cacheKey, request);
+  }
+  return pendingTokenRequests.get(cacheKey);
+}
+
+/**
+ * リフレッシュトークンでJWTトークンを再発行
+ * @returns {Promise<object|null>} /api/auth/refresh のレスポンス（失効・期限切れの場合は null）
+ */
+async function refreshJWTToken(refreshToken) {
   try {
-    const guildToken = generateGuildAuthToken(guildId);
-    
-    const response = await fetch(`${CONFIG.API_BASE_URL}/api/auth/login`, {
+    const response = await fetch(`${CONFIG.API_BASE_URL}/api/auth/refresh`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        botUserId: CONFIG.BOT_USER_ID,
-        guildId: guildId,
-        guildToken: guildToken
-      })
+      body: JSON.stringify({ refreshToken })
     });
-    console.log(`[Auth] response received for guild ${guildId}`, response.ok);
-    console.log(`[Auth] response received for guild ${guildId}`, response.json);
-
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Bot authentication failed');
+      return null;
     }
+    return await response.json();
+  } catch (error) {
+    console.error('[Auth] Failed to refresh JWT token:', error.message);
+    return null;
+  }
+}
 
-    const data = await response.json();
-    
-    // キャッシュに保存（有効期限の90%で更新）
-    const expiresIn = data.expiresIn || 86400; // デフォルト24時間
-    const expiresAt = Date.now() + (expiresIn * 900); // 90% of expiry time
-    tokenCache.set(guildId, {
-      token: data.token,
-      expiresAt: expiresAt
-    });
+function cacheJWTToken(cacheKey, data) {
+  tokenCache.set(cacheKey, {
+    token: data.token,
+    refreshToken: data.refreshToken,
+    // 有効期限の90%で更新
+    expiresAt: Date.now() + (data.expiresIn * 900),
+    refreshExpiresAt: Date.parse(data.refreshExpiresAt)
+  });
+}
 
-    if (CONFIG.DEBUG) {
-      console.log(`[Auth] Bot JWT token obtained for guild ${guildId}`);
-    }
+/**
+ * キャッシュしたJWTトークンを期限切れとして扱う（API が 401 を返した場合。次回はリフレッシュトークンで再発行する）
+ */
+function expireCachedJWTToken(cacheKey) {
+  const cached = tokenCache.get(cacheKey);
+  if (cached) {
+    cached.expiresAt = 0;
+  }
+}
 
-    return data.token;
+/**
+ * Bot用JWTトークンを取得（キャッシュあり）
+ * @param {string} guildId - Discord Guild ID
+ * @returns {Promise<string>} JWTトークン
+ */
+async function getBotJWTToken(guildId) {
+  try {
+    return await getCachedJWTToken(guildId, async () => {
+      const guildToken = generateGuildAuthToken(guildId);
+      
+      const response = await fetch(`${CONFIG.API_BASE_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          botUserId: CONFIG.BOT_USER_ID,
+          guildId: guildId,
+          guildToken: guildToken,
+          deviceName: `Discord Bot (guild ${guildId})`
+        })
+      });
+      console.log(`[Auth] response received for guild ${guildId}`, response.ok);
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Bot authentication failed');
+      }
+
+      if (CONFIG.DEBUG) {
+        console.log(`[Auth] Bot JWT token obtained for guild ${guildId}`);
+      }
+      return response.json();
+    });
   } catch (error) {
     console.error(`[Auth] Failed to get bot JWT token for guild ${guildId}:`, error.message);
     throw error;
@@ -535,46 +597,30 @@ async function getBotJWTToken(guildId) {
 }
 
 /**
- * ユーザー用JWTトークンを取得
+ * ユーザー用JWTトークンを取得（キャッシュあり）
  * @param {string} userId - Discord User ID
  * @param {string} guildId - Discord Guild ID
  * @returns {Promise<string>} JWTトークン
  */
 async function getUserJWTToken(userId, guildId) {
-  const cacheKey = `user:${userId}:${guildId}`;
-  const cached = tokenCache.get(cacheKey);
-
-  if (cached && cached.expiresAt > Date.now()) {
-    return cached.token;
-  }
-
   try {
-    const response = await fetch(`${CONFIG.API_BASE_URL}/api/auth/login`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        userId: userId,
-        groupId: guildId
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'User authentication failed');
-    }
+    return await getCachedJWTToken(`user:${userId}:${guildId}`, async () => {
+      const response = await fetch(`${CONFIG.API_BASE_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userId: userId,
+          groupId: guildId,
+          deviceName: `Discord Bot (guild ${guildId})`
+        })
+      });
 
-    const data = await response.json();
-    
-    // キャッシュに保存（有効期限の90%で更新）
-    // デフォルトで7日間と仮定
-    const expiresIn = data.expiresIn || (7 * 24 * 60 * 60); // 7日間
-    const expiresAt = Date.now() + (expiresIn * 900); // 90% of expiry time
-    tokenCache.set(cacheKey, {
-      token: data.token,
-      expiresAt: expiresAt
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'User authentication failed');
+      }
+      return response.json();
     });
-
-    return data.token;
   } catch (error) {
     console.error(`[Auth] Failed to get user JWT token for ${userId}:`, error.message);
     throw error;
@@ -597,35 +643,115 @@ async function apiRequest(endpoint, options = {}) {
   if (CONFIG.DEBUG) console.log(`[API] ${options.method || 'GET'} ${url}`);
   const response = await fetch(url, { ...options, headers: { 'Content-Type': 'application/json', ...options.headers } });
   const data = await response.json();
-  if (!response.ok) throw new Error(data.error || 'API request failed');
+  if (!response.ok) {
+    const error = new Error(data.error || 'API request failed');
+    error.status = response.status;
+    throw error;
+  }
   return data;
 }
 
-async function authenticatedRequest(endpoint, usrId, guildId = null, options = {}) {
-  let token;
-  if (guildId !== null && typeof guildId === 'string') {
-    // エンドユーザーからのリクエストとしてJWTトークンを取得
-    const userId = usrId;
-    token = await getUserJWTToken(userId, guildId);
-  }
-  return apiRequest(endpoint, { 
-    ...options, 
-    headers: { 
-      'Authorization': `Bearer ${token}`, 
-      ...options.headers 
-    } 
-  });
+/**
+ * キャッシュしたJWTトークンで API を呼び出す
+ * トークンが失効・期限切れの場合 (401) は、再発行して1回だけ再試行する
+ */
+async function apiRequestWithToken(endpoint, cacheKey, getToken, options = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const token = await getToken();
+    try {
+      return await apiRequest(endpoint, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          ...options.headers
+        }
+      });
+    } catch (error) {
+      if (error.status !== 401 || attempt > 0) throw error;
+      expireCachedJWTToken(cacheKey);
+    }
+  }
 }
 
-async function authenticatedBotRequest(endpoint, guildId, options = {}) {
-  const token = await getBotJWTToken(guildId);
-  return apiRequest(endpoint, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      ...options.headers
+// 画像として送信できる添付ファイル（それ以外はファイルとして送る）
+const IMAGE_FILENAME_PATTERN = /\.(png|jpe?g|gif|webp)$/i;
+
+/**
+ * Discordの添付ファイルをスレッドのアーティファクトとしてアップロードし、メッセージの content を作成
+ * 添付がない場合はテキストをそのまま返し、ある場合は text / image / file パーツの配列を返す
+ * @param {string} token - スレッドにアクセスできるユーザーのJWT
+ */
+async function buildMessageContent(message, text, threadId, token) {
+  const attachments = [...message.attachments.values()];
+  if (attachments.length === 0) return text;
+
+  const formData = new FormData();
+  formData.append('threadId', threadId);
+  for (const attachment of attachments) {
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      console.error(`[Attachment] Failed to download ${attachment.name}: ${response.status}`);
+      continue;
     }
+    const blob = new Blob([await response.arrayBuffer()], { type: attachment.contentType || 'application/octet-stream' });
+    formData.append('files', blob, attachment.name);
+  }
+
+  const response = await fetch(`${CONFIG.API_BASE_URL}/api/artifacts/upload`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${token}` },
+    body: formData
   });
+  const data = await response.json();
+  if (!response.ok && response.status !== 207) throw new Error(data.error || 'Attachment upload failed');
+
+  const parts = text ? [{ type: 'text', text }] : [];
+  for (const result of data.results || []) {
+    if (result.error) {
+      console.error(`[Attachment] ${result.originalName}: ${result.error}`);
+      continue;
+    }
+    parts.push({
+      type: IMAGE_FILENAME_PATTERN.test(result.displayFilename) ? 'image' : 'file',
+      artifactId: result.artifactId
+    });
+  }
+  return parts.length > 0 ? parts : text;
+}
+
+/**
+ * generate_image ツールで生成した画像をアーティファクトから取得し、ファイルとしてチャンネルに投稿
+ * @param {string} token - スレッドにアクセスできるユーザーのJWT
+ */
+async function sendGeneratedImages(channel, assistantMessage, token) {
+  const images = (assistantMessage?.toolCalls || [])
+    .filter(call => call.name === 'generate_image' && call.result?.success)
+    .map(call => call.result);
+  for (const image of images) {
+    try {
+      const response = await fetch(`${CONFIG.API_BASE_URL}/api/artifacts/${image.artifactId}/raw?version=${image.version}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      await channel.send({ files: [{ attachment: Buffer.from(await response.arrayBuffer()), name: image.filename }] });
+    } catch (error) {
+      console.error(`[GeneratedImage] Failed to send ${image.artifactId} v${image.version}:`, error);
+    }
+  }
+}
+
+async function authenticatedRequest(endpoint, usrId, guildId = null, options = {}) {
+  if (guildId === null || typeof guildId !== 'string') {
+    // ギルド外ではユーザーのトークンを取得できない（認証なしのリクエストになる）
+    return apiRequest(endpoint, options);
+  }
+  // エンドユーザーからのリクエストとしてJWTトークンを取得
+  const userId = usrId;
+  return apiRequestWithToken(endpoint, `user:${userId}:${guildId}`, () => getUserJWTToken(userId, guildId), options);
+}
+
+async function authenticatedBotRequest(endpoint, guildId, options = {}) {
+  return apiRequestWithToken(endpoint, guildId, () => getBotJWTToken(guildId), options);
 }
 
 async function getUserInfo(userId, guildId) {
@@ -690,7 +816,15 @@ async function getOrCreateGroupThread(userId, guildId, channelId, channelName, g
       title: `Group: ${channelName}`,
       systemPrompt: `あなたはDiscordのグループチャンネル「${channelName}」（サーバー: ${guildName}）でのアシスタントです。複数のユーザーと会話します。ユーザーのメッセージにはmetadataとしてuserName, displayNameなどが含まれています。`,
       model: CONFIG.DEFAULT_MODEL,
-      threadId: threadId
+      threadId: threadId,
+      // ギルドメンバーにスレッドを共有するためのメタデータ
+      metadata: {
+        isGroupThread: true,
+        guildId,
+        guildName,
+        channelId,
+        channelName
+      }
     })
   });
   
@@ -713,20 +847,18 @@ async function sendMessage(userId, guildId, threadId, content, saveUserMessage =
   }
 }
 
-async function sendMessageWithMetadata(userId, guildId, threadId, content, metadata, saveUserMessage = true, model = undefined) {
+/**
+ * メッセージの送信をバックグラウンドジョブとして追加し、{ jobId, status, userMessage } を返す
+ * 応答は followJob で待つ
+ */
+async function enqueueMessage(userId, guildId, threadId, content, metadata, model = undefined) {
+  const body = JSON.stringify({ content, metadata, model, async: true });
   if (userId == CONFIG.BOT_USER_ID) {
     // bot としてリクエスト
-    return authenticatedBotRequest(`/api/threads/${threadId}/messages`, guildId, {
-      method: 'POST',
-      body: JSON.stringify({ content, metadata, model, saveUserMessage })
-    });
-  } else {
-    // user としてリクエスト
-    return authenticatedRequest(`/api/threads/${threadId}/messages`, userId, guildId, {
-      method: 'POST',
-      body: JSON.stringify({ content, metadata, model, saveUserMessage })
-    });
+    return authenticatedBotRequest(`/api/threads/${threadId}/messages`, guildId, { method: 'POST', body });
   }
+  // user としてリクエスト
+  return authenticatedRequest(`/api/threads/${threadId}/messages`, userId, guildId, { method: 'POST', body });
 }
 
 async function appendMessage(userId, guildId, threadId, content, metadata) {
@@ -783,6 +915,50 @@ async function updateThreadSystemPromptRequest(guildId, threadId, systemPrompt)
     throw new Error(error.error || 'システムプロンプトの更新に失敗しました');
   }
 }
+/**
+ * スレッドの無効化ツールを更新
+ * mode: 'disable' はツール名未指定で全ツール禁止、'enable' はツール名未指定で全ツール許可
+ */
+async function updateThreadToolsRequest(guildId, threadId, { mode, toolNames }) {
+  const token = await getBotJWTToken(guildId);
+  const endpoint = `${CONFIG.API_BASE_URL}/api/threads/${threadId}/tools`;
+
+  const currentResponse = await fetch(endpoint, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  if (!currentResponse.ok) {
+    throw new Error('ツール設定の取得に失敗しました');
+  }
+  const { disabledTools: current = [] } = await currentResponse.json();
+
+  let disabledTools;
+  if (mode === 'disable') {
+    disabledTools = toolNames.length > 0 ? [...new Set([...current, ...toolNames])] : ['*'];
+  } else {
+    disabledTools = toolNames.length > 0 ? current.filter(name => !toolNames.includes(name)) : [];
+  }
+
+  const response = await fetch(endpoint, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ disabledTools })
+  });
+
+  if (!response.ok) {
+    let error;
+    try {
+      error = await response.json();
+    } catch {
+      error = {};
+    }
+    throw new Error(error.error || 'ツール設定の更新に失敗しました');
+  }
+  return (await response.json()).disabledTools;
+}
+
 function createErrorEmbed(message) {
   return new EmbedBuilder().setColor(0xFF0000).setTitle('❌ エラー').setDescription(message).setTimestamp();
 }
@@ -795,10 +971,10 @@ function createInfoEmbed(title, message) {
   return new EmbedBuilder().setColor(0x0099FF).setTitle(`ℹ️ ${title}`).setDescription(message).setTimestamp();
 }
 
-async function sendLongMessage(channel, content) {
+// Discord の文字数制限に収まるように分割（改行・空白の位置で区切る）
+function splitLongMessage(content) {
   if (content.length <= CONFIG.MAX_MESSAGE_LENGTH) {
-    await channel.send(content);
-    return;
+    return [content];
   }
   const chunks = [];
   let remaining = content;
@@ -815,7 +991,202 @@ async function sendLongMessage(channel, content) {
     chunks.push(remaining.substring(0, splitIndex));
     remaining = remaining.substring(splitIndex).trim();
   }
-  for (const chunk of chunks) await channel.send(chunk);
+  return chunks;
+}
+
+async function sendLongMessage(channel, content) {
+  for (const chunk of splitLongMessage(content)) await channel.send(chunk);
+}
+
+// ====================
+// バックグラウンドジョブ（応答生成）の待機
+// ====================
+
+/**
+ * 応答の生成中のジョブを読み込む
+ */
+async function loadPendingJobs() {
+  try {
+    const data = await fs.readFile(CONFIG.PENDING_JOBS_FILE, 'utf-8');
+    pendingJobs = JSON.parse(data);
+    console.log(`[Job] Loaded ${Object.keys(pendingJobs).length} pending jobs`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[Job] Error loading pending jobs:', error);
+    }
+    pendingJobs = {};
+  }
+}
+
+/**
+ * 応答の生成中のジョブを保存する
+ */
+async function savePendingJobs() {
+  try {
+    await fs.writeFile(CONFIG.PENDING_JOBS_FILE, JSON.stringify(pendingJobs, null, 2), 'utf-8');
+  } catch (error) {
+    console.error('[Job] Error saving pending jobs:', error);
+  }
+}
+
+/**
+ * ジョブの状態を取得（cancel: true の場合はキャンセルを要求する）
+ * トークンが失効・期限切れになった場合 (401) は、再発行して取り直す
+ */
+async function fetchJob(jobId, userId, guildId, { cancel = false } = {}) {
+  const isBot = userId == CONFIG.BOT_USER_ID;
+  for (let attempt = 0; ; attempt++) {
+    const token = isBot ? await getBotJWTToken(guildId) : await getUserJWTToken(userId, guildId);
+    const response = await fetch(`${CONFIG.API_BASE_URL}/api/jobs/${jobId}${cancel ? '/cancel' : ''}`, {
+      method: cancel ? 'POST' : 'GET',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (response.status === 401 && attempt === 0) {
+      expireCachedJWTToken(isBot ? guildId : `user:${userId}:${guildId}`);
+      continue;
+    }
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to get job');
+    return data;
+  }
+}
+
+// 「考え中」メッセージに表示するジョブの進捗
+function formatJobProgress(job) {
+  const lines = [job.status === 'queued' ? '⏳ 順番待ち...' : '💭 考え中...'];
+  for (const tool of job.progress?.tools || []) {
+    if (tool.status === 'running') {
+      lines.push(`🔧 ${tool.name} 実行中...`);
+    } else {
+      lines.push(`${tool.status === 'succeeded' ? '✅' : '❌'} ${tool.name}${tool.message ? `: ${tool.message}` : ''}`);
+    }
+  }
+  if (job.progress?.repairAttempts) {
+    lines.push(`🩹 出力形式を修正中 (${job.progress.repairAttempts})`);
+  }
+  return lines.join('\n').slice(0, CONFIG.MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * 「考え中」メッセージに ⏹️ のリアクションを付け、requesterId のユーザーが押したらジョブをキャンセルする
+ * @returns {() => void} 受付を終了する関数
+ */
+function watchCancelReaction(jobId, { userId, guildId, requesterId, thinkingMessage }) {
+  if (!requesterId) return () => {};
+  thinkingMessage.react(CONFIG.JOB_CANCEL_REACTION).catch(() => {});
+  const collector = thinkingMessage.createReactionCollector({
+    filter: (reaction, user) => reaction.emoji.name === CONFIG.JOB_CANCEL_REACTION && user.id === requesterId
+  });
+  collector.on('collect', () => {
+    fetchJob(jobId, userId, guildId, { cancel: true })
+      .catch(error => console.error(`[Job] Failed to cancel job ${jobId}:`, error.message));
+  });
+  return () => {
+    collector.stop();
+    thinkingMessage.reactions.cache.get(CONFIG.JOB_CANCEL_REACTION)?.users.remove(client.user.id).catch(() => {});
+  };
+}
+
+/**
+ * ジョブが終了するまで待ち、「考え中」メッセージを進捗・結果に書き換える
+ * 応答が長い場合は続きを別のメッセージで送信し、生成した画像も投稿する
+ * 生成中は requesterId のユーザーが ⏹️ のリアクションでキャンセルできる（途中までの応答があれば表示する）
+ * @returns {Promise<object|null>} 成功した場合は応答生成の結果（通常の応答と同じ形）
+ */
+async function followJob(jobId, { userId, guildId, requesterId, thinkingMessage }) {
+  const stopWatching = watchCancelReaction(jobId, { userId, guildId, requesterId, thinkingMessage });
+  try {
+    return await waitForJob(jobId, { userId, guildId, thinkingMessage });
+  } finally {
+    stopWatching();
+  }
+}
+
+async function waitForJob(jobId, { userId, guildId, thinkingMessage }) {
+  let job;
+  let lastProgress = null;
+  let failures = 0;
+  while (true) {
+    await new Promise(resolve => setTimeout(resolve, CONFIG.JOB_POLL_INTERVAL));
+    try {
+      job = await fetchJob(jobId, userId, guildId);
+      failures = 0;
+    } catch (error) {
+      // サーバーの再起動中などは待ち続ける
+      if (++failures >= CONFIG.JOB_POLL_MAX_FAILURES) throw error;
+      continue;
+    }
+    if (['succeeded', 'failed', 'cancelled'].includes(job.status)) break;
+
+    const progress = formatJobProgress(job);
+    if (progress !== lastProgress) {
+      lastProgress = progress;
+      await thinkingMessage.edit(progress).catch(() => {});
+    }
+  }
+
+  delete pendingJobs[jobId];
+  await savePendingJobs();
+
+  const assistantMessage = job.result?.assistantMessage;
+  if (job.status !== 'succeeded' && !(job.status === 'cancelled' && assistantMessage)) {
+    await thinkingMessage.edit(job.status === 'cancelled'
+      ? '⏹️ 応答の生成はキャンセルされました。'
+      : `❌ 応答の生成に失敗しました: ${job.error?.message || '不明なエラー'}`.slice(0, CONFIG.MAX_MESSAGE_LENGTH));
+    return null;
+  }
+
+  // キャンセルされた場合は途中までの応答を表示する
+  const content = job.status === 'cancelled'
+    ? `${assistantMessage.content}\n\n⏹️ *応答の生成はキャンセルされました*`
+    : assistantMessage.content;
+  const [firstChunk, ...restChunks] = splitLongMessage(content);
+  await thinkingMessage.edit(firstChunk);
+  for (const chunk of restChunks) await thinkingMessage.channel.send(chunk);
+
+  const token = userId == CONFIG.BOT_USER_ID ? await getBotJWTToken(guildId) : await getUserJWTToken(userId, guildId);
+  await sendGeneratedImages(thinkingMessage.channel, assistantMessage, token);
+  return job.status === 'succeeded' ? job.result : null;
+}
+
+/**
+ * メンションへの応答をバックグラウンドジョブで生成する
+ * 「考え中」メッセージを返信し、ジョブの終了後に応答に書き換える
+ * @returns {Promise<object|null>} 成功した場合は応答生成の結果
+ */
+async function replyWithJob(message, { userId, guildId, threadId, content, metadata }) {
+  const thinkingMessage = await message.reply('💭 考え中...');
+  let jobId;
+  try {
+    ({ jobId } = await enqueueMessage(userId, guildId, threadId, content, metadata));
+  } catch (error) {
+    await thinkingMessage.delete().catch(() => {});
+    throw error;
+  }
+
+  const requesterId = message.author.id;
+  pendingJobs[jobId] = { userId, guildId, requesterId, channelId: message.channel.id, messageId: thinkingMessage.id, createdAt: new Date().toISOString() };
+  await savePendingJobs();
+  return followJob(jobId, { userId, guildId, requesterId, thinkingMessage });
+}
+
+/**
+ * Bot の停止中に終了した・実行中のジョブの「考え中」メッセージを書き換える（起動時）
+ */
+async function resumePendingJobs() {
+  for (const [jobId, pending] of Object.entries(pendingJobs)) {
+    try {
+      const channel = await client.channels.fetch(pending.channelId);
+      const thinkingMessage = await channel.messages.fetch(pending.messageId);
+      followJob(jobId, { userId: pending.userId, guildId: pending.guildId, requesterId: pending.requesterId, thinkingMessage })
+        .catch(error => console.error(`[Job] Failed to follow job ${jobId}:`, error.message));
+    } catch (error) {
+      // チャンネル・メッセージが削除された場合は諦める
+      console.error(`[Job] Failed to resume job ${jobId}:`, error.message);
+      delete pendingJobs[jobId];
+    }
+  }
+  await savePendingJobs();
 }
 
 /**
@@ -870,7 +1241,15 @@ function buildCommands(modelChoices) {
     new SlashCommandBuilder()
       .setName('update-channel-system-prompt')
       .setDescription('一時的なチャンネルのシステムプロンプトを変更します')
-      .addStringOption(o => o.setName('system_prompt').setDescription('新しいシステムプロンプト').setRequired(true))
+      .addStringOption(o => o.setName('system_prompt').setDescription('新しいシステムプロンプト（prompt を指定しない場合は必須）').setRequired(false))
+      .addStringOption(o => o.setName('prompt').setDescription('プロンプトライブラリから選択').setRequired(false).setAutocomplete(true))
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName('update-channel-tools')
+      .setDescription('一時的なチャンネルで使用できるツールを変更します')
+      .addStringOption(o => o.setName('mode').setDescription('有効化 / 無効化').setRequired(true)
+        .addChoices({ name: '無効化（tools禁止）', value: 'disable' }, { name: '有効化', value: 'enable' }))
+      .addStringOption(o => o.setName('tool_names').setDescription('対象のツール名（カンマ区切り、省略時は全ツール）').setRequired(false))
       .toJSON(),
     new SlashCommandBuilder()
       .setName('one-shot')
@@ -1290,13 +1669,19 @@ async function handleUpdateChannelSystemPrompt(interaction) {
   try {
     const guildId = interaction.guild?.id;
     const userId = interaction.user.id;
-    const systemPrompt = interaction.options.getString('system_prompt');
+    const promptId = interaction.options.getString('prompt');
+    let systemPrompt = interaction.options.getString('system_prompt');
     
     if (!guildId) {
       await interaction.editReply({ embeds: [createErrorEmbed('このコマンドはサーバーで実行してください。')] });
       return;
     }
 
+    if (!promptId === !systemPrompt) {
+      await interaction.editReply({ embeds: [createErrorEmbed('`system_prompt` と `prompt` のどちらか一方を指定してください。')] });
+      return;
+    }
+
     // 権限チェック（チャンネル管理権限が必要）
     const member = await interaction.guild.members.fetch(userId);
     if (!member.permissions.has(PermissionFlagsBits.ManageChannels)) {
@@ -1312,6 +1697,12 @@ async function handleUpdateChannelSystemPrompt(interaction) {
       return;
     }
 
+    // プロンプトライブラリの本文は実行したユーザーの権限で取得する（変数は送信時に置き換えられる）
+    if (promptId) {
+      const prompt = await authenticatedRequest(`/api/prompts/${encodeURIComponent(promptId)}`, userId, guildId);
+      systemPrompt = prompt.content;
+    }
+
     // セレクトメニューを作成
     const requestId = createPendingSelection({
       type: 'system_prompt',
@@ -1345,6 +1736,155 @@ async function handleUpdateChannelSystemPrompt(interaction) {
   }
 }
 
+async function handleUpdateChannelTools(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    const guildId = interaction.guild?.id;
+    const userId = interaction.user.id;
+    const mode = interaction.options.getString('mode');
+    const toolNames = (interaction.options.getString('tool_names') || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    
+    if (!guildId) {
+      await interaction.editReply({ embeds: [createErrorEmbed('このコマンドはサーバーで実行してください。')] });
+      return;
+    }
+
+    // 権限チェック（チャンネル管理権限が必要）
+    const member = await interaction.guild.members.fetch(userId);
+    if (!member.permissions.has(PermissionFlagsBits.ManageChannels)) {
+      await interaction.editReply({ embeds: [createErrorEmbed('このコマンドを使用するには「チャンネルの管理」権限が必要です。')] });
+      return;
+    }
+
+    // このサーバーの一時チャンネルを取得
+    const guildTempChannels = getGuildTempChannels(guildId);
+    
+    if (guildTempChannels.length === 0) {
+      await interaction.editReply({ embeds: [createErrorEmbed('このサーバーには一時チャンネルがありません。')] });
+      return;
+    }
+
+    // セレクトメニューを作成
+    const requestId = createPendingSelection({
+      type: 'tools',
+      guildId,
+      userId,
+      value: { mode, toolNames }
+    });
+
+    const row = buildTempChannelSelectRow(guildTempChannels, requestId, 'ツール設定を変更するチャンネルを選択');
+    
+    if (!row) {
+      await interaction.editReply({ embeds: [createErrorEmbed('チャンネル選択メニューの作成に失敗しました。')] });
+      return;
+    }
+
+    const target = toolNames.length > 0 ? toolNames.join(', ') : '全ツール';
+    const embed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle('🔧 チャンネルのツール設定を変更')
+      .setDescription(`ツール設定を変更する一時チャンネルを選択してください。\n${mode === 'disable' ? '無効化' : '有効化'}: **${target}**`)
+      .setFooter({ text: 'この選択は10分間有効です' })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed], components: [row] });
+  } catch (error) {
+    console.error('[Command Error] /update-channel-tools:', error);
+    await interaction.editReply({ embeds: [createErrorEmbed(`エラーが発生しました: ${error.message}`)] });
+  }
+}
+
+/**
+ * リプライチェーンを遡って会話履歴を復元し、一時スレッドを作成する
+ * 旧形式の単発生成モードの会話や、スレッドの作成者以外のリプライで使用
+ * @returns {Promise<string>} 作成したスレッドのID（リプライされたメッセージまでの履歴を追加済み）
+ */
+async function createOneShotThreadFromReplyChain(message, conversationData, token) {
+  // リプライチェーンを遡って会話履歴を構築
+  const messages = [];
+  let currentMessage = message;
+  const visitedMessages = new Set(); // 無限ループ防止
+
+  // リプライチェーンを遡る
+  while (currentMessage.reference && currentMessage.reference.messageId) {
+    const refId = currentMessage.reference.messageId;
+
+    if (visitedMessages.has(refId)) {
+      break; // 無限ループ防止
+    }
+    visitedMessages.add(refId);
+
+    try {
+      const refMessage = await message.channel.messages.fetch(refId);
+
+      // 初回の定型文メッセージはスキップ
+      if (refMessage.embeds && refMessage.embeds.length > 0 && 
+          refMessage.embeds[0].title === '🤖 単発生成モード') {
+        break;
+      }
+
+      // メッセージをhistoryに追加（逆順なので先頭に追加）
+      if (refMessage.author.id === client.user.id) {
+        messages.unshift({
+          role: 'assistant',
+          content: refMessage.content
+        });
+      } else {
+        messages.unshift({
+          role: 'user',
+          content: refMessage.content
+        });
+      }
+
+      currentMessage = refMessage;
+    } catch (error) {
+      console.error(`[OneShot] Failed to fetch message ${refId}:`, error);
+      break;
+    }
+  }
+
+  // 一時的なスレッドを作成してメッセージを送信
+  const tempThreadResponse = await fetch(`${CONFIG.API_BASE_URL}/api/threads`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({
+      title: `OneShot-${Date.now()}`,
+      systemPrompt: conversationData.systemPrompt,
+      model: conversationData.model
+    })
+  });
+
+  if (!tempThreadResponse.ok) {
+    throw new Error('一時スレッドの作成に失敗しました');
+  }
+
+  const tempThread = await tempThreadResponse.json();
+  const tempThreadId = tempThread.id;
+
+  // メッセージ履歴を追加（新しいリプライは呼び出し側で送信する）
+  for (const msg of messages) {
+    await fetch(`${CONFIG.API_BASE_URL}/api/threads/${tempThreadId}/messages/append`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        role: msg.role,
+        content: msg.content
+      })
+    });
+  }
+
+  return tempThreadId;
+}
+
 async function handleOneShot(interaction) {
   await interaction.deferReply();
   try {
@@ -1375,6 +1915,25 @@ async function handleOneShot(interaction) {
       return;
     }
 
+    // 会話用のスレッドを作成（リプライ先ごとの分岐はスレッド内のメッセージツリーとして保持）
+    const token = await getUserJWTToken(userId, guildId);
+    const threadResponse = await fetch(`${CONFIG.API_BASE_URL}/api/threads`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        title: `OneShot-${Date.now()}`,
+        systemPrompt,
+        model
+      })
+    });
+    if (!threadResponse.ok) {
+      throw new Error('スレッドの作成に失敗しました');
+    }
+    const thread = await threadResponse.json();
+
     // 定型文を返す
     const expiryDate = new Date(Date.now() + (3 * 24 * 60 * 60 * 1000));
     const embed = new EmbedBuilder()
@@ -1400,7 +1959,10 @@ async function handleOneShot(interaction) {
       model,
       systemPrompt,
       createdAt: Date.now(),
-      parentMessageId: null // これは初回メッセージなので親はなし
+      parentMessageId: null, // これは初回メッセージなので親はなし
+      threadId: thread.id,
+      threadOwnerId: userId,
+      messageId: null // 対応するスレッドのメッセージ（初回はルート）
     };
     await saveOneShotConversations();
 
@@ -1411,8 +1973,38 @@ async function handleOneShot(interaction) {
   }
 }
 
+/**
+ * /update-channel-system-prompt の prompt の候補（実行したユーザーが使えるライブラリのプロンプト）
+ */
+async function handleSystemPromptAutocomplete(interaction) {
+  try {
+    const guildId = interaction.guild?.id;
+    if (!guildId) {
+      await interaction.respond([]);
+      return;
+    }
+    const query = interaction.options.getFocused();
+    const { prompts } = await authenticatedRequest(`/api/prompts?q=${encodeURIComponent(query)}`, interaction.user.id, guildId);
+    await interaction.respond(prompts.slice(0, 25).map(prompt => ({
+      name: truncateString(`${prompt.name} (v${prompt.currentVersion})`, 100),
+      value: prompt.id
+    })));
+  } catch (error) {
+    console.error('[Autocomplete Error] /update-channel-system-prompt:', error.message);
+    await interaction.respond([]).catch(() => {});
+  }
+}
+
 // セレクトメニューのインタラクション処理を追加
 client.on('interactionCreate', async interaction => {
+  // オートコンプリートの処理
+  if (interaction.isAutocomplete()) {
+    if (interaction.commandName === 'update-channel-system-prompt') {
+      await handleSystemPromptAutocomplete(interaction);
+    }
+    return;
+  }
+
   // セレクトメニューの処理
   if (interaction.isStringSelectMenu()) {
     const [customId, requestId] = interaction.customId.split(':');
@@ -1490,6 +2082,21 @@ client.on('interactionCreate', async interaction => {
           });
 
           console.log(`[Command] Updated system prompt for channel ${selectedChannelId}`);
+        } else if (pendingSelection.type === 'tools') {
+          const disabledTools = await updateThreadToolsRequest(pendingSelection.guildId, threadId, pendingSelection.value);
+          const summary = disabledTools.length === 0
+            ? '全ツールが有効です'
+            : disabledTools.includes('*') ? '全ツールが無効です（tools禁止）' : `無効なツール: ${disabledTools.join(', ')}`;
+
+          await interaction.followUp({ 
+            embeds: [createSuccessEmbed(
+              'ツール設定を更新しました',
+              `チャンネル: <#${selectedChannelId}>\n${summary}`
+            )], 
+            flags: MessageFlags.Ephemeral 
+          });
+
+          console.log(`[Command] Updated tools for channel ${selectedChannelId}: ${JSON.stringify(disabledTools)}`);
         }
 
         // 使用済みの選択を削除
@@ -1520,6 +2127,7 @@ client.on('interactionCreate', async interaction => {
       case 'list-temp-channels': await handleListTempChannels(interaction); break;
       case 'update-channel-model': await handleUpdateChannelModel(interaction); break;
       case 'update-channel-system-prompt': await handleUpdateChannelSystemPrompt(interaction); break;
+      case 'update-channel-tools': await handleUpdateChannelTools(interaction); break;
       case 'one-shot': await handleOneShot(interaction); break;
       default: await interaction.reply({ content: '不明なコマンドです。', flags: MessageFlags.Ephemeral });
     }
@@ -1561,111 +2169,33 @@ client.on('messageCreate', async (message) => {
           }
         }
         
-        // リプライチェーンを遡って会話履歴を構築
-        const messages = [];
-        let currentMessage = message;
-        const visitedMessages = new Set(); // 無限ループ防止
-        
-        // 最新のユーザーメッセージを追加
-        messages.unshift({
-          role: 'user',
-          content: message.content
-        });
-        
-        // リプライチェーンを遡る
-        while (currentMessage.reference && currentMessage.reference.messageId) {
-          const refId = currentMessage.reference.messageId;
-          
-          if (visitedMessages.has(refId)) {
-            break; // 無限ループ防止
-          }
-          visitedMessages.add(refId);
-          
-          try {
-            const refMessage = await message.channel.messages.fetch(refId);
-            
-            // 初回の定型文メッセージはスキップ
-            if (refMessage.embeds && refMessage.embeds.length > 0 && 
-                refMessage.embeds[0].title === '🤖 単発生成モード') {
-              break;
-            }
-            
-            // メッセージをhistoryに追加（逆順なので先頭に追加）
-            if (refMessage.author.id === client.user.id) {
-              messages.unshift({
-                role: 'assistant',
-                content: refMessage.content
-              });
-            } else {
-              messages.unshift({
-                role: 'user',
-                content: refMessage.content
-              });
-            }
-            
-            currentMessage = refMessage;
-          } catch (error) {
-            console.error(`[OneShot] Failed to fetch message ${refId}:`, error);
-            break;
-          }
-        }
-        
         // typing表示
         await message.channel.sendTyping();
-        
-        // AIにリクエスト送信（直接OpenAI APIを使用）
-        console.log(`[OneShot] Processing conversation with ${messages.length} messages`);
-        
+
         // ユーザーのJWTトークンを取得してAPIリクエスト
         const token = await getUserJWTToken(userId, guildId);
-        
-        // 一時的なスレッドを作成してメッセージを送信
-        const tempThreadResponse = await fetch(`${CONFIG.API_BASE_URL}/api/threads`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
-          },
-          body: JSON.stringify({
-            title: `OneShot-${Date.now()}`,
-            systemPrompt: conversationData.systemPrompt,
-            model: conversationData.model
-          })
-        });
-        
-        if (!tempThreadResponse.ok) {
-          throw new Error('一時スレッドの作成に失敗しました');
-        }
-        
-        const tempThread = await tempThreadResponse.json();
-        const tempThreadId = tempThread.id;
-        
-        // メッセージ履歴を追加（最後のメッセージ以外）
-        for (let i = 0; i < messages.length - 1; i++) {
-          const msg = messages[i];
-          await fetch(`${CONFIG.API_BASE_URL}/api/threads/${tempThreadId}/messages/append`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({
-              role: msg.role,
-              content: msg.content
-            })
-          });
+
+        // リプライ先のメッセージの続きとしてスレッドに送信する（古いメッセージへのリプライは別の分岐になる）
+        // 旧形式の会話（スレッドなし）や、スレッドの作成者以外のリプライはリプライチェーンから一時スレッドを作成
+        let threadId = conversationData.threadId;
+        let parentId = conversationData.messageId ?? null;
+        if (!threadId || conversationData.threadOwnerId !== userId) {
+          threadId = await createOneShotThreadFromReplyChain(message, conversationData, token);
+          parentId = undefined; // 一時スレッドの末尾に続ける
         }
-        
-        // 最後のメッセージを送信してレスポンスを取得
-        const finalMessageResponse = await fetch(`${CONFIG.API_BASE_URL}/api/threads/${tempThreadId}/messages`, {
+
+        console.log(`[OneShot] Processing reply in thread ${threadId}`);
+
+        const finalMessageResponse = await fetch(`${CONFIG.API_BASE_URL}/api/threads/${threadId}/messages`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
           },
           body: JSON.stringify({
-            content: messages[messages.length - 1].content,
-            model: conversationData.model
+            content: await buildMessageContent(message, message.content, threadId, token),
+            model: conversationData.model,
+            parentId
           })
         });
         
@@ -1679,6 +2209,7 @@ client.on('messageCreate', async (message) => {
         
         // 応答を送信
         const reply = await message.reply(assistantMessage);
+        await sendGeneratedImages(message.channel, finalMessageData.assistantMessage, token);
         
         // 新しいリプライを会話データに追加
         oneShotConversations[reply.id] = {
@@ -1687,7 +2218,10 @@ client.on('messageCreate', async (message) => {
           model: conversationData.model,
           systemPrompt: conversationData.systemPrompt,
           createdAt: Date.now(),
-          parentMessageId: referencedMessageId
+          parentMessageId: referencedMessageId,
+          threadId,
+          threadOwnerId: threadId === conversationData.threadId ? conversationData.threadOwnerId : userId,
+          messageId: finalMessageData.assistantMessage.id
         };
         await saveOneShotConversations();
         
@@ -1856,18 +2390,27 @@ client.on('messageCreate', async (message) => {
           }
         }
         
-        // 応答を生成
-        const response = await sendMessageWithMetadata(message.author.id, guildId, threadId, convertedContent, metadata);
+        // 添付ファイルは画像・ファイル入力としてメッセージに含める
+        const userToken = await getUserJWTToken(message.author.id, guildId);
+        const messageContent = await buildMessageContent(message, convertedContent, threadId, userToken);
+
+        // 応答をバックグラウンドジョブで生成（「考え中」メッセージにツールの実行状況を表示し、終了後に応答に書き換える）
+        const response = await replyWithJob(message, {
+          userId: message.author.id,
+          guildId,
+          threadId,
+          content: messageContent,
+          metadata
+        });
         console.log("response");
         console.log("response");
         console.log(response);
-        await sendLongMessage(message.channel, response.assistantMessage.content);
         
         // アクティビティを更新（Botの書き込み）
         await updateChannelActivity(guildId, channelId, true);
         
         // クレジット残高警告（新しい仕様）
-        if (response.user) {
+        if (response?.user) {
           const paidCredit = response.user.paid_credit || 0;
           const freeCredit = response.user.remaining_credit || 0;
           const totalCredit = paidCredit + freeCredit;
@@ -1896,7 +2439,8 @@ client.on('messageCreate', async (message) => {
         }
       } else {
         // @メンションがない場合は、メッセージをスレッドに追加するのみ
-        await appendMessage(CONFIG.BOT_USER_ID, guildId, threadId, convertedContent, metadata);
+        const messageContent = await buildMessageContent(message, convertedContent, threadId, await getBotJWTToken(guildId));
+        await appendMessage(CONFIG.BOT_USER_ID, guildId, threadId, messageContent, metadata);
         
         if (CONFIG.DEBUG) {
           console.log(`[Message] Appended to thread ${threadId}: ${convertedContent.substring(0, 50)}...`);
@@ -1927,7 +2471,7 @@ client.on('messageCreate', async (message) => {
       return;
     }
     const content = message.content.replace(/<@!?\d+>/g, '').trim();
-    if (!content) { await message.reply('何か質問してください！'); return; }
+    if (!content && message.attachments.size === 0) { await message.reply('何か質問してください！'); return; }
     await message.channel.sendTyping();
     const user = await getUserInfo(userId, guildId);
     if (!user) {
@@ -1970,11 +2514,12 @@ client.on('messageCreate', async (message) => {
     const threadId = await getOrCreateThread(userId, guildId, channelId);
     console.log("通常スレッドのメッセージ")
 
-    const response = await sendMessage(userId, guildId, threadId, content);
-    await sendLongMessage(message.channel, response.assistantMessage.content);
+    const token = await getUserJWTToken(userId, guildId);
+    const messageContent = await buildMessageContent(message, content, threadId, token);
+    const response = await replyWithJob(message, { userId, guildId, threadId, content: messageContent });
     
     // クレジット残高警告（新しい仕様）
-    if (response.user) {
+    if (response?.user) {
       const paidCredit = response.user.paid_credit || 0;
       const freeCredit = response.user.remaining_credit || 0;
       const totalCredit = paidCredit + freeCredit;
@@ -2072,12 +2617,17 @@ client.once(Events.ClientReady, async (readyClient) => {
   // 古い単発生成モード会話をクリーンアップ
   await cleanupOldOneShotConversations();
 
+  // 停止中に終了した・実行中の応答生成ジョブの「考え中」メッセージを書き換え
+  await loadPendingJobs();
+  await resumePendingJobs();
+
   // トークンキャッシュのクリーンアップを定期実行（1時間ごと）
   setInterval(() => {
     const now = Date.now();
     let cleaned = 0;
     for (const [key, cache] of tokenCache.entries()) {
-      if (cache.expiresAt <= now) {
+      // リフレッシュトークンが有効な間は、アクセストークンが期限切れでも残す
+      if ((cache.refreshExpiresAt || cache.expiresAt) <= now) {
         tokenCache.delete(key);
         cleaned++;
       }
@@ -5,76 +5,57 @@
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
 import * as configs from './utils/config.js';
 import * as auth from './auth.js';
+import * as modelRegistry from './utils/model-registry.js';
+import * as pricing from './utils/pricing.js';
+import * as search from './utils/search.js';
+import * as rag from './utils/rag.js';
+import { getStorage } from './utils/storage.js';
+import { migrateJsonToSqlite } from './utils/storage-migration.js';
 
 // ====================
-// システムプロンプト管理
+// ストレージ初期化
 // ====================
 
 /**
- * システムプロンプトのハッシュを生成
+ * ストレージ（SQLite）を初期化し、旧JSONファイル形式のデータがあれば一度だけ移行
+ * 全文検索インデックスが未作成の場合は既存データから作成する
+ * 埋め込み（RAG）が未作成・古いアーティファクトはバックグラウンドで作成する（API を呼ぶため起動を待たせない）
  */
-export function generatePromptHash(content) {
-  return crypto.createHash('sha256').update(content, 'utf-8').digest('hex').substring(0, 16);
-}
-
-/**
- * システムプロンプトファイルの初期化
- */
-export async function initSystemPrompts() {
-  try {
-    await fs.access(configs.SYSTEM_PROMPTS_FILE);
-  } catch {
-    await fs.writeFile(configs.SYSTEM_PROMPTS_FILE, JSON.stringify({}, null, 2));
+export async function initStorage() {
+  const storage = getStorage();
+  const result = await migrateJsonToSqlite(storage);
+  if (!result.skipped) {
+    console.log(`✓ Migrated JSON data to SQLite: ${result.threads} threads, ${result.messages} messages, ${result.artifacts} artifacts, ${result.systemPrompts} system prompts, ${result.responseFormats} response formats`);
   }
+  await search.ensureSearchIndex();
+  rag.ensureEmbeddingIndex().catch(error => console.error('[RAG] Failed to build embedding index:', error));
+  return storage;
 }
 
-/**
- * システムプロンプトを読み込み
- */
-export async function readSystemPrompts() {
-  try {
-    const data = await fs.readFile(configs.SYSTEM_PROMPTS_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch {
-    return {};
-  }
-}
+// ====================
+// システムプロンプト管理
+// ====================
 
 /**
- * システムプロンプトを保存
+ * システムプロンプトのハッシュを生成
  */
-export async function writeSystemPrompts(prompts) {
-  await fs.writeFile(configs.SYSTEM_PROMPTS_FILE, JSON.stringify(prompts, null, 2));
+export function generatePromptHash(content) {
+  return crypto.createHash('sha256').update(content, 'utf-8').digest('hex').substring(0, 16);
 }
 
 /**
  * システムプロンプトを登録（バージョン管理）
+ * userId を指定すると登録者として記録（アクセス制御用）
  */
-export async function registerSystemPrompt(content) {
+export async function registerSystemPrompt(content, userId = null) {
   if (!content || typeof content !== 'string') {
     return null;
   }
 
   const hash = generatePromptHash(content);
-  const prompts = await readSystemPrompts();
-
-  if (!prompts[hash]) {
-    prompts[hash] = {
-      hash,
-      content,
-      createdAt: new Date().toISOString(),
-      usageCount: 0
-    };
-    await writeSystemPrompts(prompts);
-  }
-
-  // 使用回数をインクリメント
-  prompts[hash].usageCount++;
-  await writeSystemPrompts(prompts);
-
+  getStorage().registerSystemPrompt({ hash, content, userId });
   return hash;
 }
 
@@ -82,8 +63,7 @@ export async function registerSystemPrompt(content) {
  * システムプロンプトを取得
  */
 export async function getSystemPrompt(hash) {
-  const prompts = await readSystemPrompts();
-  return prompts[hash] || null;
+  return getStorage().getSystemPrompt(hash);
 }
 
 // ====================
@@ -99,60 +79,23 @@ export function generateResponseFormatHash(content) {
 }
 
 /**
- * Response Formatファイルの初期化
+ * Response Formatを取得
  */
-export async function initResponseFormats() {
-  try {
-    await fs.access(configs.RESPONSE_FORMATS_FILE);
-  } catch {
-    await fs.writeFile(configs.RESPONSE_FORMATS_FILE, JSON.stringify({}, null, 2));
-  }
-}
-
-/**
- * Response Formatを読み込み
- */
-export async function readResponseFormats() {
-  try {
-    const data = await fs.readFile(configs.RESPONSE_FORMATS_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch {
-    return {};
-  }
-}
-
-/**
- * Response Formatを保存
- */
-export async function writeResponseFormats(formats) {
-  await fs.writeFile(configs.RESPONSE_FORMATS_FILE, JSON.stringify(formats, null, 2));
+export async function getResponseFormat(hash) {
+  return getStorage().getResponseFormat(hash);
 }
 
 /**
  * Response Formatを登録（バージョン管理）
+ * userId を指定すると登録者として記録（アクセス制御用）
  */
-export async function registerResponseFormat(content) {
+export async function registerResponseFormat(content, userId = null) {
   if (!content) {
     return null;
   }
 
   const hash = generateResponseFormatHash(content);
-  const formats = await readResponseFormats();
-
-  if (formats[hash]) {
-    formats[hash].usageCount += 1;
-    formats[hash].lastUsedAt = new Date().toISOString();
-  } else {
-    formats[hash] = {
-      content,
-      hash,
-      createdAt: new Date().toISOString(),
-      lastUsedAt: new Date().toISOString(),
-      usageCount: 1
-    };
-  }
-
-  await writeResponseFormats(formats);
+  getStorage().registerResponseFormat({ hash, content, userId });
   return hash;
 }
 
@@ -160,42 +103,106 @@ export async function registerResponseFormat(content) {
 // ログ管理
 // ====================
 
+// 旧形式のログは user_id までの6列（以降の列は読み込み時に 0 として扱う）
+// api_key_id は API キーで実行したリクエストの場合のみ記録する（それ以外は空）
+const TOKEN_LOG_HEADER = 'timestamp,model,input_tokens,output_tokens,total_tokens,user_id,cached_tokens,reasoning_tokens,cost_usd,credits,api_key_id';
+
+function formatTokenLogLine(log) {
+  const timestamp = log.timestamp instanceof Date ? log.timestamp.toISOString() : log.timestamp;
+  return `${timestamp},${log.model},${log.input_tokens},${log.output_tokens},${log.total_tokens},${log.user_id},${log.cached_tokens},${log.reasoning_tokens},${log.cost_usd},${log.credits},${log.api_key_id || ''}\n`;
+}
+
 /**
- * CSVログファイルの初期化
+ * CSVログファイルの初期化（旧形式のヘッダーは新しい列を含むヘッダーに置き換える）
  */
 export async function initTokenLog() {
+  let content;
   try {
-    await fs.access(configs.TOKEN_LOG_FILE);
+    content = await fs.readFile(configs.TOKEN_LOG_FILE, 'utf-8');
   } catch {
-    await fs.writeFile(configs.TOKEN_LOG_FILE, 'timestamp,model,input_tokens,output_tokens,total_tokens,user_id\n');
+    await fs.writeFile(configs.TOKEN_LOG_FILE, `${TOKEN_LOG_HEADER}\n`);
+    return;
+  }
+
+  const newline = content.indexOf('\n');
+  const header = newline === -1 ? content : content.slice(0, newline);
+  if (header.trim() !== TOKEN_LOG_HEADER) {
+    await fs.writeFile(configs.TOKEN_LOG_FILE, `${TOKEN_LOG_HEADER}\n${newline === -1 ? '' : content.slice(newline + 1)}`);
   }
 }
 
 /**
- * トークン使用量をログに記録
+ * トークン使用量をログに記録し、ユーザーのクレジットを消費
+ * @param {object} [options]
+ * @param {string|null} [options.apiKeyId] - API キーで実行したリクエストの場合のキーID
+ * @returns {Promise<object|null>} 実費とクレジット消費量（pricing.calculateCost の戻り値）
  */
-export async function logTokenUsage(model, usage, userId = null) {
-  if (!usage) return;
-  const now = new Date();
-  const timestamp = now.toISOString();
-  const logEntry = `${timestamp},${model},${usage.input_tokens || 0},${usage.output_tokens || 0},${usage.total_tokens || 0},${userId || 'anonymous'}\n`;
-  await fs.appendFile(configs.TOKEN_LOG_FILE, logEntry);
+export async function logTokenUsage(model, usage, userId = null, { apiKeyId = null } = {}) {
+  if (!usage) return null;
+  const tokens = pricing.normalizeUsage(usage);
+  const cost = pricing.calculateCost(model, usage);
+
+  await fs.appendFile(configs.TOKEN_LOG_FILE, formatTokenLogLine({
+    timestamp: new Date(),
+    model,
+    input_tokens: tokens.inputTokens,
+    output_tokens: tokens.outputTokens,
+    total_tokens: tokens.totalTokens,
+    user_id: userId || 'anonymous',
+    cached_tokens: tokens.cachedInputTokens,
+    reasoning_tokens: tokens.reasoningTokens,
+    cost_usd: cost.costUsd ?? 0,
+    credits: cost.credits,
+    api_key_id: apiKeyId
+  }));
 
   // ユーザーのクレジット使用量を記録
-  if (userId && usage.total_tokens) {
+  if (userId && cost.credits > 0) {
     try {
-      // モデルに応じたクレジット消費量を計算
-      const isHighCostModel = configs.AVAILABLE_MODELS_HIGH_COST.includes(model);
-      const tokenCostRate = isHighCostModel ? configs.TOKEN_COST_HIGH : configs.TOKEN_COST_LOW;
-      const creditsToConsume = usage.total_tokens * tokenCostRate;
+      const detail = cost.method === 'pricing'
+        ? `Cost: $${cost.costUsd} (¥${cost.costJpy}), Margin: ${cost.margin}`
+        : `Rate: ${cost.creditsPerToken}/token`;
+      console.log(`[Credit] User: ${userId}, Model: ${model} (${modelRegistry.getModelTier(model) || 'no tier'}), Tokens: ${tokens.totalTokens}, ${detail}, Credits consumed: ${cost.credits}`);
 
-      console.log(`[Credit] User: ${userId}, Model: ${model} (${isHighCostModel ? 'High' : 'Low'} cost), Tokens: ${usage.total_tokens}, Rate: ${tokenCostRate}, Credits consumed: ${creditsToConsume}`);
+      await auth.recordCreditUsage(userId, cost.credits);
+    } catch (error) {
+      console.error('Failed to record credit usage:', error);
+    }
+  }
+  return cost;
+}
 
-      await auth.recordCreditUsage(userId, creditsToConsume);
+/**
+ * 画像生成の使用量をログに記録し、ユーザーのクレジットを消費（トークンとは別の1枚あたりのレート）
+ * @param {object} [options] - { apiKeyId }（logTokenUsage と同じ）
+ * @returns {Promise<{credits: number}>}
+ */
+export async function logImageUsage(model, count, userId = null, { apiKeyId = null } = {}) {
+  const credits = count * configs.IMAGE_GENERATION_CREDITS;
+
+  await fs.appendFile(configs.TOKEN_LOG_FILE, formatTokenLogLine({
+    timestamp: new Date(),
+    model,
+    input_tokens: 0,
+    output_tokens: 0,
+    total_tokens: 0,
+    user_id: userId || 'anonymous',
+    cached_tokens: 0,
+    reasoning_tokens: 0,
+    cost_usd: 0,
+    credits,
+    api_key_id: apiKeyId
+  }));
+
+  if (userId && credits > 0) {
+    try {
+      console.log(`[Credit] User: ${userId}, Model: ${model}, Images: ${count}, Rate: ${configs.IMAGE_GENERATION_CREDITS}/image, Credits consumed: ${credits}`);
+      await auth.recordCreditUsage(userId, credits);
     } catch (error) {
       console.error('Failed to record credit usage:', error);
     }
   }
+  return { credits };
 }
 
 /**
@@ -207,14 +214,19 @@ export async function readTokenLog() {
     const lines = content.trim().split('\n');
     if (lines.length <= 1) return [];
     const data = lines.slice(1).map(line => {
-      const [timestamp, model, input_tokens, output_tokens, total_tokens, user_id] = line.split(',');
+      const [timestamp, model, input_tokens, output_tokens, total_tokens, user_id, cached_tokens, reasoning_tokens, cost_usd, credits, api_key_id] = line.split(',');
       return {
         timestamp: new Date(timestamp),
         model,
         input_tokens: parseInt(input_tokens) || 0,
         output_tokens: parseInt(output_tokens) || 0,
         total_tokens: parseInt(total_tokens) || 0,
-        user_id: user_id || 'anonymous'
+        user_id: user_id || 'anonymous',
+        cached_tokens: parseInt(cached_tokens) || 0,
+        reasoning_tokens: parseInt(reasoning_tokens) || 0,
+        cost_usd: parseFloat(cost_usd) || 0,
+        credits: parseFloat(credits) || 0,
+        api_key_id: api_key_id || null
       };
     });
     return data;
@@ -244,7 +256,7 @@ export async function compressAndCleanLogs() {
     const dailyAggregated = {};
     oldLogs.forEach(log => {
       const dateKey = toJSTDateString(log.timestamp);
-      const modelKey = `${dateKey}_${log.model}_${log.user_id}`;
+      const modelKey = `${dateKey}_${log.model}_${log.user_id}_${log.api_key_id || ''}`;
       if (!dailyAggregated[modelKey]) {
         dailyAggregated[modelKey] = {
           timestamp: new Date(dateKey + 'T00:00:00Z'),
@@ -252,18 +264,28 @@ export async function compressAndCleanLogs() {
           input_tokens: 0,
           output_tokens: 0,
           total_tokens: 0,
-          user_id: log.user_id
+          user_id: log.user_id,
+          cached_tokens: 0,
+          reasoning_tokens: 0,
+          cost_usd: 0,
+          credits: 0,
+          api_key_id: log.api_key_id
         };
       }
-      dailyAggregated[modelKey].input_tokens += log.input_tokens;
-      dailyAggregated[modelKey].output_tokens += log.output_tokens;
-      dailyAggregated[modelKey].total_tokens += log.total_tokens;
+      const aggregated = dailyAggregated[modelKey];
+      aggregated.input_tokens += log.input_tokens;
+      aggregated.output_tokens += log.output_tokens;
+      aggregated.total_tokens += log.total_tokens;
+      aggregated.cached_tokens += log.cached_tokens;
+      aggregated.reasoning_tokens += log.reasoning_tokens;
+      aggregated.cost_usd = Math.round((aggregated.cost_usd + log.cost_usd) * 1e8) / 1e8;
+      aggregated.credits += log.credits;
     });
     const compressedLogs = [...Object.values(dailyAggregated), ...recentLogs]
       .sort((a, b) => a.timestamp - b.timestamp);
-    let csvContent = 'timestamp,model,input_tokens,output_tokens,total_tokens,user_id\n';
+    let csvContent = `${TOKEN_LOG_HEADER}\n`;
     compressedLogs.forEach(log => {
-      csvContent += `${log.timestamp.toISOString()},${log.model},${log.input_tokens},${log.output_tokens},${log.total_tokens},${log.user_id}\n`;
+      csvContent += formatTokenLogLine(log);
     });
     await fs.writeFile(configs.TOKEN_LOG_FILE, csvContent);
     console.log('Token logs compressed and cleaned');
@@ -291,10 +313,9 @@ export async function getTokenUsageSummary(hours = 24, userId = null) {
     // ユーザーIDでフィルタリング（指定された場合）
     if (userId && log.user_id !== userId) continue;
     
-    if (configs.AVAILABLE_MODELS_HIGH_COST.includes(log.model)) {
-      summary.highCost.usage += log.total_tokens;
-    } else if (configs.AVAILABLE_MODELS_LOW_COST.includes(log.model)) {
-      summary.lowCost.usage += log.total_tokens;
+    const tier = modelRegistry.getModelTier(log.model);
+    if (tier) {
+      summary[tier].usage += log.total_tokens;
     }
   }
 
@@ -308,80 +329,42 @@ export async function getTokenUsageSummary(hours = 24, userId = null) {
   return summary;
 }
 
-// ====================
-// トークン管理（JWT）
-// ====================
-
-/**
- * アクセストークンを生成
- */
-export function createAccessToken(user) {
-  if (!user || !user.user_id) {
-    throw new Error('Invalid user payload for token generation');
-  }
-
-  return jwt.sign(
-    {
-      sub: user.user_id,
-      authority: user.authority,
-      remaining_credit: user.remaining_credit,
-      is_active: user.isActive
-    },
-    configs.JWT_SECRET,
-    { expiresIn: configs.JWT_EXPIRES_IN }
-  );
-}
-
 // ====================
 // スレッド管理
 // ====================
 
 /**
- * スレッド一覧を読み込み
+ * スレッド一覧（サマリー）を読み込み
  */
 export async function readThreads() {
-  try {
-    const data = await fs.readFile(configs.THREADS_FILE, 'utf-8');
-    const parsed = JSON.parse(data);
-    parsed.threads = parsed.threads.map(summary => ({
-      ...summary,
-      artifactIds: Array.isArray(summary.artifactIds) ? summary.artifactIds : []
-    }));
-    return parsed;
-  } catch {
-    return { threads: [] };
-  }
-}
-
-/**
- * スレッド一覧を保存
- */
-export async function writeThreads(data) {
-  await fs.writeFile(configs.THREADS_FILE, JSON.stringify(data, null, 2));
+  return { threads: getStorage().listThreadSummaries() };
 }
 
 /**
  * 特定のスレッドを読み込み
  */
 export async function readThread(threadId) {
-  const threadPath = path.join(configs.DATA_DIR, `thread_${threadId}.json`);
-  try {
-    const data = await fs.readFile(threadPath, 'utf-8');
-    const thread = JSON.parse(data);
-    thread.artifactIds = Array.isArray(thread.artifactIds) ? thread.artifactIds : [];
-    return thread;
-  } catch {
-    return null;
-  }
+  const thread = getStorage().getThread(threadId);
+  if (!thread) return null;
+  thread.artifactIds = Array.isArray(thread.artifactIds) ? thread.artifactIds : [];
+  return thread;
 }
 
 /**
  * スレッドを保存
+ * data.messages のメッセージは追加・更新のみ行い、既存メッセージは削除しない
  */
 export async function writeThread(threadId, data) {
   ensureThreadDefaults(data);
-  const threadFile = path.join(configs.DATA_DIR, `thread_${threadId}.json`);
-  await fs.writeFile(threadFile, JSON.stringify(data, null, 2));
+  getStorage().saveThread({ ...data, id: threadId });
+  search.indexThread({ ...data, id: threadId });
+}
+
+/**
+ * スレッドを削除
+ */
+export async function deleteThread(threadId) {
+  return getStorage().deleteThread(threadId);
 }
 
 /**
@@ -413,32 +396,114 @@ export function ensureThreadDefaults(thread) {
  * アーティファクトのメタデータを読み込み
  */
 export async function readArtifactMetadata(artifactId) {
-  const metadataPath = path.join(configs.ARTIFACTS_DIR, artifactId, 'metadata.json');
-  const content = await fs.readFile(metadataPath, 'utf-8');
-  return JSON.parse(content);
+  const metadata = getStorage().getArtifact(artifactId);
+  if (!metadata) {
+    throw new Error(`Artifact not found: ${artifactId}`);
+  }
+  return metadata;
+}
+
+/**
+ * アーティファクトのメタデータを保存
+ */
+export async function writeArtifactMetadata(metadata) {
+  getStorage().saveArtifact(metadata);
+}
+
+/**
+ * アーティファクトのメタデータ一覧を取得（threadId 指定時はそのスレッドに紐づくもののみ）
+ */
+export async function listArtifactMetadata(threadId = null) {
+  return getStorage().listArtifacts({ threadId });
+}
+
+/**
+ * アーティファクトを削除（メタデータとファイル）
+ */
+export async function deleteArtifactRecord(artifactId) {
+  const metadata = getStorage().getArtifact(artifactId);
+  getStorage().deleteArtifact(artifactId);
+  await fs.rm(path.join(configs.ARTIFACTS_DIR, artifactId), { recursive: true, force: true });
+  await updateThreadsAfterArtifactChange(metadata?.threadIds);
+}
+
+/**
+ * 既存のアーティファクトを別のスレッドに添付
+ * @returns {Promise<boolean>} 添付したかどうか（既に紐づいている場合は false）
+ */
+export async function attachArtifactToThread(artifactId, threadId, userId = null) {
+  const attached = getStorage().attachArtifact(artifactId, threadId, { userId });
+  if (attached) {
+    await updateThreadAfterArtifactChange(threadId);
+  }
+  return attached;
+}
+
+/**
+ * アーティファクトのスレッドへの添付を解除（作成元のスレッドからは解除できない）
+ * @returns {Promise<boolean>} 解除したかどうか
+ */
+export async function detachArtifactFromThread(artifactId, threadId) {
+  const metadata = await readArtifactMetadata(artifactId);
+  if (metadata.threadId === threadId) {
+    throw new Error('Cannot detach an artifact from the thread it was created in');
+  }
+  const detached = getStorage().detachArtifact(artifactId, threadId);
+  if (detached) {
+    await updateThreadAfterArtifactChange(threadId);
+  }
+  return detached;
+}
+
+/**
+ * アーティファクトのタグを検証・正規化（前後の空白を除去し、重複を除く）
+ * @throws {Error} 値が不正な場合
+ */
+export function normalizeArtifactTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new Error('tags must be an array of strings');
+  }
+  const normalized = [...new Set(tags.map(tag => (typeof tag === 'string' ? tag.trim() : '')))];
+  if (normalized.some(tag => !tag || tag.length > configs.ARTIFACT_TAG_MAX_LENGTH)) {
+    throw new Error(`Each tag must be a non-empty string of at most ${configs.ARTIFACT_TAG_MAX_LENGTH} characters`);
+  }
+  if (normalized.length > configs.ARTIFACT_MAX_TAGS) {
+    throw new Error(`At most ${configs.ARTIFACT_MAX_TAGS} tags are allowed`);
+  }
+  return normalized;
+}
+
+/**
+ * アーティファクトのタグを置き換え
+ */
+export async function setArtifactTags(artifactId, tags) {
+  const metadata = await readArtifactMetadata(artifactId);
+  metadata.tags = normalizeArtifactTags(tags);
+  await writeArtifactMetadata(metadata);
+
+  const latest = metadata.versions.at(-1);
+  const content = latest
+    ? await fs.readFile(path.join(configs.ARTIFACTS_DIR, artifactId, latest.filename)).catch(() => null)
+    : null;
+  search.indexArtifact(metadata, content);
+  return metadata;
 }
 
 /**
  * スレッドのアーティファクトサマリーを収集
  */
 export async function collectThreadArtifactSummaries(threadId) {
-  const artifactDirs = await fs.readdir(configs.ARTIFACTS_DIR);
-  const summaries = [];
-  for (const dir of artifactDirs) {
-    try {
-      const metadata = await readArtifactMetadata(dir);
-      if (threadId && metadata.threadId !== threadId) continue;
-      const latest = metadata.versions.at(-1) || {};
-      summaries.push({
-        id: metadata.id,
-        name: metadata.filename,
-        description: latest.metadata?.description || '',
-        updatedAt: metadata.updatedAt
-      });
-    } catch {
-      continue;
-    }
-  }
+  const summaries = (await listArtifactMetadata(threadId)).map(metadata => {
+    const latest = metadata.versions.at(-1) || {};
+    return {
+      id: metadata.id,
+      name: metadata.filename,
+      description: latest.metadata?.description || '',
+      tags: metadata.tags || [],
+      attached: metadata.threadId !== threadId,
+      updatedAt: metadata.updatedAt
+    };
+  });
   return summaries.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
 }
 
@@ -469,9 +534,10 @@ export function decodeMulterFilename(name) {
 }
 
 /**
- * システムプロンプトを構成（ユーザープロンプト + アーティファクト情報）
+ * システムプロンプトを構成（ユーザープロンプト + アーティファクト情報 + 関連箇所）
+ * @param {object[]} [retrievedChunks] - rag.retrieveContext の戻り値（応答の生成時のみ。スレッドには保存しない）
  */
-export function composeSystemPrompt(userPrompt = configs.DEFAULT_SYSTEM_PROMPT, artifactSummaries = []) {
+export function composeSystemPrompt(userPrompt = configs.DEFAULT_SYSTEM_PROMPT, artifactSummaries = [], retrievedChunks = []) {
   const sanitized = userPrompt.trim() || configs.DEFAULT_SYSTEM_PROMPT;
   const inventoryJson = JSON.stringify(
     artifactSummaries.map(({ id, name, description }) => ({ id, name, description })),
@@ -483,7 +549,21 @@ export function composeSystemPrompt(userPrompt = configs.DEFAULT_SYSTEM_PROMPT,
     inventoryJson,
     configs.AUTO_PROMPT_MARKER_END.trim()
   ].join('\n') + '\n';
-  return `${sanitized}\n\n${autoBlock}`;
+  if (retrievedChunks.length === 0) {
+    return `${sanitized}\n\n${autoBlock}`;
+  }
+
+  // 関連箇所（続きは read_artifact で行範囲を指定して読める）
+  const retrievedBlock = [
+    configs.RETRIEVED_CONTEXT_MARKER_START.trim(),
+    'Excerpts from the thread artifacts that may be relevant to the latest user message:',
+    ...retrievedChunks.map(chunk => [
+      `[${chunk.filename} (id: ${chunk.artifactId}, v${chunk.version}) lines ${chunk.startLine}-${chunk.endLine}]`,
+      chunk.text
+    ].join('\n')),
+    configs.AUTO_PROMPT_MARKER_END.trim()
+  ].join('\n\n') + '\n';
+  return `${sanitized}\n\n${autoBlock}\n${retrievedBlock}`;
 }
 
 /**
@@ -493,25 +573,6 @@ export function arraysEqual(a = [], b = []) {
   return a.length === b.length && a.every((value, index) => value === b[index]);
 }
 
-/**
- * スレッドサマリーのメタデータを更新
- */
-export async function updateThreadSummaryMetadata(thread) {
-  const threads = await readThreads();
-  let changed = false;
-  threads.threads = threads.threads.map(summary => {
-    if (summary.id !== thread.id) return summary;
-    changed = true;
-    return {
-      ...summary,
-      updatedAt: thread.updatedAt,
-      artifactIds: thread.artifactIds
-    };
-  });
-  if (!changed) return;
-  await writeThreads(threads);
-}
-
 /**
  * スレッドの派生状態をリフレッシュ（systemPrompt再構成など）
  */
@@ -535,7 +596,6 @@ export async function refreshThreadDerivedState(thread, { persist = true } = {})
   if (changed && persist) {
     thread.updatedAt = new Date().toISOString();
     await writeThread(thread.id, thread);
-    await updateThreadSummaryMetadata(thread);
   }
 
   return { thread, artifacts, changed };
@@ -551,6 +611,15 @@ export async function updateThreadAfterArtifactChange(threadId) {
   await refreshThreadDerivedState(thread, { persist: true });
 }
 
+/**
+ * アーティファクト変更後に、紐づいている全スレッドを更新
+ */
+export async function updateThreadsAfterArtifactChange(threadIds = []) {
+  for (const threadId of threadIds) {
+    await updateThreadAfterArtifactChange(threadId);
+  }
+}
+
 /**
  * アーティファクトディレクトリを作成
  */
@@ -578,10 +647,21 @@ export async function writeArtifactFile(filePath, content) {
   await fs.writeFile(filePath, data);
 }
 
+// 埋め込みの作成に失敗してもアーティファクトの保存は続ける（起動時・再インデックスで再試行される）
+async function indexArtifactEmbeddings(artifactMetadata, content) {
+  try {
+    await rag.indexArtifactEmbeddings(artifactMetadata, content);
+  } catch (error) {
+    console.error(`[RAG] Failed to index artifact ${artifactMetadata.id}:`, error.message);
+  }
+}
+
 /**
  * アーティファクトレコードを作成
+ * @param {object} [params.source] - このバージョンを作成した操作（履歴表示用。appendArtifactVersion を参照）
  */
-export async function createArtifactRecord({ filename, content, metadata = {}, threadId = null }) {
+export async function createArtifactRecord({ filename, content, metadata = {}, threadId = null, userId = null, tags = [], source = null }) {
+  const normalizedTags = normalizeArtifactTags(tags);
   const artifactId = generateId();
   const version = 1;
   const timestamp = new Date().toISOString();
@@ -596,19 +676,23 @@ export async function createArtifactRecord({ filename, content, metadata = {}, t
     id: artifactId,
     filename: safeFilename,
     threadId,
+    userId,
+    tags: normalizedTags,
     currentVersion: version,
     versions: [{
       version,
       filename: versionedFilename,
       createdAt: timestamp,
-      metadata
+      metadata,
+      ...(source ? { source } : {})
     }],
     createdAt: timestamp,
     updatedAt: timestamp
   };
 
-  const metadataPath = path.join(artifactDir, 'metadata.json');
-  await fs.writeFile(metadataPath, JSON.stringify(artifactMetadata, null, 2));
+  await writeArtifactMetadata(artifactMetadata);
+  search.indexArtifact(artifactMetadata, content);
+  await indexArtifactEmbeddings(artifactMetadata, content);
   await updateThreadAfterArtifactChange(threadId);
 
   return {
@@ -623,13 +707,13 @@ export async function createArtifactRecord({ filename, content, metadata = {}, t
 
 /**
  * アーティファクトの新バージョンを追加
+ * @param {object} [params.source] - このバージョンを作成した操作
+ *   ツール: { type: 'tool', tool, userId, threadId, callId } / ユーザー: { type: 'user' | 'upload', userId }
+ *   復元: { type: 'restore', fromVersion, userId }
  */
-export async function appendArtifactVersion({ artifactId, content, metadata = {} }) {
+export async function appendArtifactVersion({ artifactId, content, metadata = {}, source = null }) {
   const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
-  const metadataPath = path.join(artifactDir, 'metadata.json');
-
-  const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-  const artifactMetadata = JSON.parse(metadataContent);
+  const artifactMetadata = await readArtifactMetadata(artifactId);
 
   const newVersion = artifactMetadata.currentVersion + 1;
   const timestamp = new Date().toISOString();
@@ -643,12 +727,15 @@ export async function appendArtifactVersion({ artifactId, content, metadata = {}
     version: newVersion,
     filename: versionedFilename,
     createdAt: timestamp,
-    metadata
+    metadata,
+    ...(source ? { source } : {})
   });
   artifactMetadata.updatedAt = timestamp;
 
-  await fs.writeFile(metadataPath, JSON.stringify(artifactMetadata, null, 2));
-  await updateThreadAfterArtifactChange(artifactMetadata.threadId);
+  await writeArtifactMetadata(artifactMetadata);
+  search.indexArtifact(artifactMetadata, content);
+  await indexArtifactEmbeddings(artifactMetadata, content);
+  await updateThreadsAfterArtifactChange(artifactMetadata.threadIds);
 
   return {
     artifactId,
@@ -660,6 +747,19 @@ export async function appendArtifactVersion({ artifactId, content, metadata = {}
   };
 }
 
+/**
+ * アーティファクトの特定バージョンの内容を読み込み
+ * @param {object} artifactMetadata
+ * @param {number} version
+ * @returns {Promise<{versionData: object, content: Buffer}|null>} バージョンが存在しない場合は null
+ */
+export async function readArtifactVersion(artifactMetadata, version) {
+  const versionData = artifactMetadata.versions.find(v => v.version === version);
+  if (!versionData) return null;
+  const content = await fs.readFile(path.join(configs.ARTIFACTS_DIR, artifactMetadata.id, versionData.filename));
+  return { versionData, content };
+}
+
 // ====================
 // パッチ関数群（patch_artifact用）
 // ====================
@@ -870,13 +970,13 @@ export function validateModel(model) {
     return { valid: true, model: configs.DEFAULT_MODEL };
   }
   
-  if (configs.AVAILABLE_MODELS.includes(model)) {
+  if (modelRegistry.getModel(model)) {
     return { valid: true, model };
   }
   
   return { 
     valid: false, 
-    error: `Invalid model: ${model}. Available models: ${configs.AVAILABLE_MODELS.join(', ')}` 
+    error: `Invalid model: ${model}. Available models: ${modelRegistry.listModels().map(entry => entry.id).join(', ')}` 
   };
 }
 
@@ -884,7 +984,7 @@ export function validateModel(model) {
  * Reasoningモデルかどうかを判定
  */
 export function isReasoningModel(model) {
-  return configs.REASONING_MODELS.includes(model);
+  return modelRegistry.supports(model, 'reasoning');
 }
 
 // ====================
@@ -965,10 +1065,134 @@ export async function getOrCreateGroupThread(userId, guildId, channelId, channel
     metadata: newThreadSummary.metadata
   };
   
-  const threads = await readThreads();
-  threads.threads.push(newThreadSummary);
-  await writeThreads(threads);
   await writeThread(threadId, threadData);
   
   return threadId;
 }
+
+// ====================
+// 推論・ツール呼び出し履歴 (transcript)
+// ====================
+
+/**
+ * Responses API の output アイテムを保存用の transcript アイテムに変換
+ * そのまま次回以降の input に含められる形式のみ残す（対象外の場合は null）
+ */
+export function toTranscriptItem(item) {
+  if (!item) return null;
+  switch (item.type) {
+    case 'reasoning': {
+      const transcriptItem = {
+        type: 'reasoning',
+        id: item.id,
+        summary: (item.summary || []).map(part => ({ type: 'summary_text', text: part.text }))
+      };
+      if (item.encrypted_content) {
+        transcriptItem.encrypted_content = item.encrypted_content;
+      }
+      return transcriptItem;
+    }
+    case 'function_call':
+      return {
+        type: 'function_call',
+        call_id: item.call_id,
+        name: item.name,
+        arguments: item.arguments
+      };
+    case 'function_call_output':
+      return {
+        type: 'function_call_output',
+        call_id: item.call_id,
+        output: item.output
+      };
+    case 'message': {
+      const text = (item.content || [])
+        .filter(part => part.type === 'output_text' && part.text)
+        .map(part => part.text)
+        .join('');
+      return text ? { role: 'assistant', content: text } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * transcript から推論サマリーを抽出（UI表示用）
+ */
+export function extractReasoningSummaries(transcript = []) {
+  return transcript
+    .filter(item => item.type === 'reasoning' && item.summary?.length > 0)
+    .map(item => ({ id: item.id, summary: item.summary.map(part => part.text) }));
+}
+
+/**
+ * スレッドのメッセージから Responses API の input を組み立て
+ * replayTranscripts が有効な場合は、アシスタント応答の前に推論・ツール呼び出し履歴を再生する
+ * - 出力が揃っていない function_call は除外（APIエラーになるため）
+ * - reasoning アイテムは同じモデルの応答で、直後に function_call が続く場合のみ再生
+ */
+export function buildConversationInput(messages = [], { replayTranscripts = false, model = null } = {}) {
+  const input = [];
+  for (const message of messages) {
+    if (replayTranscripts && message.role === 'assistant' && Array.isArray(message.transcript)) {
+      const transcript = message.transcript;
+      const outputCallIds = new Set(
+        transcript.filter(item => item.type === 'function_call_output').map(item => item.call_id)
+      );
+      const replayReasoning = message.model === model && isReasoningModel(model);
+
+      transcript.forEach((item, index) => {
+        if (item.type === 'function_call' && !outputCallIds.has(item.call_id)) return;
+        if (item.type === 'reasoning') {
+          const next = transcript[index + 1];
+          if (!replayReasoning || next?.type !== 'function_call' || !outputCallIds.has(next.call_id)) return;
+        }
+        input.push(item);
+      });
+    }
+    input.push({ role: message.role, content: message.content });
+  }
+  return input;
+}
+
+// ====================
+// Server-Sent Events (ストリーミング応答)
+// ====================
+
+/**
+ * リクエストがSSEストリーミングを要求しているか判定
+ * `Accept: text/event-stream` または `?stream=1` でオプトイン
+ */
+export function wantsEventStream(req) {
+  if (req.query?.stream === '1' || req.query?.stream === 'true') {
+    return true;
+  }
+  const accept = req.get('accept') || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * SSEレスポンスのヘッダーを送信してストリームを開始
+ */
+export function initEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+/**
+ * SSEイベントを1件書き込む（接続が閉じている場合は何もしない）
+ */
+export function writeEventStream(res, event, data) {
+  if (res.writableEnded || res.destroyed) {
+    return;
+  }
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data ?? {})}\n\n`);
+}
@@ -3,7 +3,7 @@
 
 import express from 'express';
 import { Client } from '@line/bot-sdk';
-import fetch from 'node-fetch';
+import fetch, { FormData, Blob } from 'node-fetch';
 import 'dotenv/config';
 
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
@@ -134,6 +134,34 @@ async function sendMessage(userId, groupId, threadId, content, model = 'gpt-5-co
   });
 }
 
+// 画像メッセージの内容をスレッドのアーティファクトとしてアップロード
+// （LINEの画像メッセージはJPEG形式）
+async function uploadImage(userId, groupId, threadId, messageId) {
+  const stream = await lineClient.getMessageContent(messageId);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  const formData = new FormData();
+  formData.append('threadId', threadId);
+  formData.append('files', new Blob([Buffer.concat(chunks)], { type: 'image/jpeg' }), `line-${messageId}.jpg`);
+
+  const response = await fetch(`${API_BASE_URL}/api/artifacts/upload`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${getAuthToken(userId, groupId)}`
+    },
+    body: formData
+  });
+  const data = await response.json();
+  const result = data.results?.[0];
+  if (!response.ok || !result || result.error) {
+    throw new Error(result?.error || data.error || 'Image upload failed');
+  }
+  return result.artifactId;
+}
+
 // Webhook エンドポイント
 app.post('/webhook', express.json(), async (req, res) => {
   try {
@@ -151,13 +179,12 @@ app.post('/webhook', express.json(), async (req, res) => {
 
 // イベントハンドラー
 async function handleEvent(event) {
-  // テキストメッセージのみ処理
-  if (event.type !== 'message' || event.message.type !== 'text') {
+  // テキスト・画像メッセージのみ処理
+  if (event.type !== 'message' || !['text', 'image'].includes(event.message.type)) {
     return null;
   }
 
   const userId = event.source.userId;
-  const content = event.message.text;
 
   // グループID/ルームIDの取得
   let groupId;
@@ -182,6 +209,11 @@ async function handleEvent(event) {
     // スレッドの取得・作成
     const threadId = await getOrCreateThread(userId, groupId, sourceType);
 
+    // 画像はアーティファクトとしてアップロードし、画像パーツとして送信
+    const content = event.message.type === 'image'
+      ? [{ type: 'image', artifactId: await uploadImage(userId, groupId, threadId, event.message.id) }]
+      : event.message.text;
+
     // メッセージ送信
     const response = await sendMessage(userId, groupId, threadId, content);
 
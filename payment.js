@@ -3,13 +3,14 @@
 
 import Stripe from 'stripe';
 import * as auth from './auth.js';
+import * as configs from './utils/config.js';
 
 // Stripe初期化
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// 環境変数から購入レートを取得（デフォルト: 100円=1000クレジット）
-const CREDIT_PURCHASE_RATE = parseFloat(process.env.CREDIT_PURCHASE_RATE) || 10; // 1円あたりのクレジット数
-const CURRENCY = process.env.CURRENCY || 'jpy';
+// 購入レート・通貨はクレジット消費量の計算 (utils/pricing.js) と共通の設定を使う（デフォルト: 100円=1000クレジット）
+const CREDIT_PURCHASE_RATE = configs.CREDIT_PURCHASE_RATE; // 1円あたりのクレジット数
+const CURRENCY = configs.CURRENCY;
 const MIN_PURCHASE_AMOUNT = parseInt(process.env.MIN_PURCHASE_AMOUNT) || 100; // 最小購入額（円）
 const MAX_PURCHASE_AMOUNT = parseInt(process.env.MAX_PURCHASE_AMOUNT) || 100000; // 最大購入額（円）
 
@@ -4,10 +4,9 @@
 import fs from 'fs/promises';
 import readline from 'readline';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import * as configs from '../utils/config.js';
+import { getStorage } from '../utils/storage.js';
+import { migrateJsonToSqlite } from '../utils/storage-migration.js';
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -21,9 +20,9 @@ function question(prompt) {
 }
 
 // データパス
-const DATA_DIR = path.join(__dirname, '../data');
-const ARTIFACTS_DIR = path.join(__dirname, '../artifacts');
-const THREADS_FILE = path.join(DATA_DIR, 'threads.json');
+const DATA_DIR = configs.DATA_DIR;
+const ARTIFACTS_DIR = configs.ARTIFACTS_DIR;
+const STORAGE_DB_FILE = configs.STORAGE_DB_FILE;
 
 // メニュー表示
 function displayMenu() {
@@ -47,79 +46,28 @@ function displayMenu() {
 
 // Threads読み込み（サマリー）
 async function loadThreads() {
-  try {
-    const content = await fs.readFile(THREADS_FILE, 'utf-8');
-    const parsed = JSON.parse(content);
-    return parsed.threads || [];
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return [];
-    }
-    throw error;
-  }
-}
-
-// Threads保存（サマリー）
-async function saveThreads(threads) {
-  await fs.writeFile(THREADS_FILE, JSON.stringify({ threads }, null, 2), 'utf-8');
+  return getStorage().listThreadSummaries();
 }
 
 // 個別Thread読み込み
 async function loadThread(threadId) {
-  const threadPath = path.join(DATA_DIR, `thread_${threadId}.json`);
-  try {
-    const content = await fs.readFile(threadPath, 'utf-8');
-    return JSON.parse(content);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null;
-    }
-    throw error;
-  }
+  return getStorage().getThread(threadId);
 }
 
-// 個別Thread削除
-async function deleteThreadFile(threadId) {
-  const threadPath = path.join(DATA_DIR, `thread_${threadId}.json`);
-  try {
-    await fs.unlink(threadPath);
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      throw error;
-    }
-  }
+// Thread削除（メッセージも削除される）
+async function deleteThreadRecord(threadId) {
+  getStorage().deleteThread(threadId);
 }
 
 // Artifact一覧取得
 async function getAllArtifacts() {
-  const artifacts = [];
-  
-  try {
-    const entries = await fs.readdir(ARTIFACTS_DIR);
-    
-    for (const entry of entries) {
-      const artifactDir = path.join(ARTIFACTS_DIR, entry);
-      const stat = await fs.stat(artifactDir);
-      
-      if (!stat.isDirectory()) continue;
-      
-      const metadataPath = path.join(artifactDir, 'metadata.json');
-      
-      try {
-        const content = await fs.readFile(metadataPath, 'utf-8');
-        const metadata = JSON.parse(content);
-        artifacts.push(metadata);
-      } catch (e) {
-        continue;
-      }
-    }
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      throw error;
-    }
-  }
-  
-  return artifacts;
+  return getStorage().listArtifacts();
+}
+
+// Artifact削除（メタデータとファイル）
+async function deleteArtifactRecord(artifactId) {
+  getStorage().deleteArtifact(artifactId);
+  await fs.rm(path.join(ARTIFACTS_DIR, artifactId), { recursive: true, force: true });
 }
 
 // ファイルサイズを取得
@@ -231,12 +179,7 @@ async function deleteThread() {
   }
 
   try {
-    // サマリーから削除
-    const updatedThreads = threads.filter(t => t.id !== threadId.trim());
-    await saveThreads(updatedThreads);
-    
-    // 個別ファイルを削除
-    await deleteThreadFile(threadId.trim());
+    await deleteThreadRecord(threadId.trim());
     
     console.log('\n✓ Threadを削除しました！');
   } catch (error) {
@@ -309,13 +252,8 @@ async function bulkDeleteThreads() {
   }
 
   try {
-    const deleteIds = new Set(toDelete.map(item => item.thread.id));
-    const updatedThreads = threads.filter(t => !deleteIds.has(t.id));
-    await saveThreads(updatedThreads);
-    
-    // 個別ファイルも削除
     for (const { thread } of toDelete) {
-      await deleteThreadFile(thread.id);
+      await deleteThreadRecord(thread.id);
     }
     
     console.log(`\n✓ ${toDelete.length}件のThreadを削除しました！`);
@@ -368,12 +306,12 @@ async function deleteArtifact() {
     return;
   }
 
-  const artifactDir = path.join(ARTIFACTS_DIR, artifactId.trim());
-  const metadataPath = path.join(artifactDir, 'metadata.json');
-
   try {
-    const content = await fs.readFile(metadataPath, 'utf-8');
-    const metadata = JSON.parse(content);
+    const metadata = getStorage().getArtifact(artifactId.trim());
+    if (!metadata) {
+      console.log('❌ Artifactが見つかりません。');
+      return;
+    }
     
     console.log('\nArtifact情報:');
     console.log('-'.repeat(60));
@@ -391,8 +329,8 @@ async function deleteArtifact() {
       return;
     }
 
-    // ディレクトリごと削除
-    await fs.rm(artifactDir, { recursive: true, force: true });
+    // メタデータとディレクトリを削除
+    await deleteArtifactRecord(metadata.id);
     
     console.log('\n✓ Artifactを削除しました！');
   } catch (error) {
@@ -448,8 +386,7 @@ async function deleteArtifactsByThread() {
     let deleted = 0;
     
     for (const artifact of threadArtifacts) {
-      const artifactDir = path.join(ARTIFACTS_DIR, artifact.id);
-      await fs.rm(artifactDir, { recursive: true, force: true });
+      await deleteArtifactRecord(artifact.id);
       deleted++;
     }
     
@@ -503,8 +440,7 @@ async function detectOrphanedArtifacts() {
     let deleted = 0;
     
     for (const artifact of orphanedArtifacts) {
-      const artifactDir = path.join(ARTIFACTS_DIR, artifact.id);
-      await fs.rm(artifactDir, { recursive: true, force: true });
+      await deleteArtifactRecord(artifact.id);
       deleted++;
     }
     
@@ -608,22 +544,12 @@ async function checkStorageUsage() {
     const threads = await loadThreads();
     const artifacts = await getAllArtifacts();
     
-    // Threadsファイルのサイズ
-    let threadsSize = 0;
-    try {
-      const stat = await fs.stat(THREADS_FILE);
-      threadsSize = stat.size;
-    } catch (e) {
-      // ファイルが存在しない場合
-    }
-    
-    // 個別Threadファイルの合計サイズ
-    let threadFilesSize = 0;
-    for (const thread of threads) {
+    // ストレージDBのサイズ（WALファイルを含む）
+    let storageSize = 0;
+    for (const suffix of ['', '-wal', '-shm']) {
       try {
-        const threadPath = path.join(DATA_DIR, `thread_${thread.id}.json`);
-        const stat = await fs.stat(threadPath);
-        threadFilesSize += stat.size;
+        const stat = await fs.stat(STORAGE_DB_FILE + suffix);
+        storageSize += stat.size;
       } catch (e) {
         // ファイルが存在しない場合
       }
@@ -642,8 +568,7 @@ async function checkStorageUsage() {
     console.log('');
     console.log('【ストレージ使用量】');
     console.log('-'.repeat(60));
-    console.log(`Threads JSON:      ${formatBytes(threadsSize)}`);
-    console.log(`Thread Files:      ${formatBytes(threadFilesSize)}`);
+    console.log(`Storage DB:        ${formatBytes(storageSize)}`);
     console.log(`Artifacts:         ${formatBytes(artifactsSize)}`);
     console.log(`Data (全体):       ${formatBytes(dataSize)}`);
     console.log('-'.repeat(60));
@@ -692,6 +617,9 @@ async function main() {
     await fs.mkdir(DATA_DIR, { recursive: true });
     await fs.mkdir(ARTIFACTS_DIR, { recursive: true });
 
+    // 旧JSONファイル形式のデータが未移行であれば移行
+    await migrateJsonToSqlite(getStorage());
+
     while (true) {
       displayMenu();
       const choice = await question('\n選択してください: ');
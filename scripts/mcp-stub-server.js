@@ -0,0 +1,106 @@
+// mcp-stub-server.js
+// 動作確認用のローカルMCPサーバー（stdio）
+//
+// 使い方（Admin APIで登録）:
+//   POST /api/admin/mcp-servers
+//   { "name": "stub", "transport": "stdio", "command": "node", "args": ["scripts/mcp-stub-server.js"] }
+//
+// 提供ツール:
+//   echo  - 受け取ったテキストをそのまま返す
+//   add   - 2つの数値の和を返す
+//   fail  - 常にエラー結果 (isError: true) を返す
+
+import readline from 'readline';
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Echo back the given text.',
+    inputSchema: {
+      type: 'object',
+      properties: { text: { type: 'string', description: 'Text to echo' } },
+      required: ['text']
+    }
+  },
+  {
+    name: 'add',
+    description: 'Add two numbers.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        a: { type: 'number' },
+        b: { type: 'number' }
+      },
+      required: ['a', 'b']
+    }
+  },
+  {
+    name: 'fail',
+    description: 'Always returns an error result.',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+function callTool(name, args = {}) {
+  switch (name) {
+    case 'echo':
+      return { content: [{ type: 'text', text: String(args.text ?? '') }] };
+    case 'add': {
+      const sum = Number(args.a) + Number(args.b);
+      return {
+        content: [{ type: 'text', text: String(sum) }],
+        structuredContent: { sum }
+      };
+    }
+    case 'fail':
+      return { content: [{ type: 'text', text: 'stub failure' }], isError: true };
+    default:
+      return null;
+  }
+}
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+function handle(message) {
+  const { id, method, params = {} } = message;
+  // 通知には応答しない
+  if (id === undefined) return;
+
+  switch (method) {
+    case 'initialize':
+      return send({
+        id,
+        result: {
+          protocolVersion: params.protocolVersion || '2025-06-18',
+          capabilities: { tools: {} },
+          serverInfo: { name: 'mcp-stub-server', version: '1.0.0' }
+        }
+      });
+    case 'ping':
+      return send({ id, result: {} });
+    case 'tools/list':
+      return send({ id, result: { tools: TOOLS } });
+    case 'tools/call': {
+      const result = callTool(params.name, params.arguments);
+      if (!result) {
+        return send({ id, error: { code: -32602, message: `Unknown tool: ${params.name}` } });
+      }
+      return send({ id, result });
+    }
+    default:
+      return send({ id, error: { code: -32601, message: `Method not found: ${method}` } });
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin });
+rl.on('line', line => {
+  if (!line.trim()) return;
+  try {
+    handle(JSON.parse(line));
+  } catch (error) {
+    send({ id: null, error: { code: -32700, message: 'Parse error' } });
+  }
+});
+rl.on('close', () => process.exit(0));
@@ -0,0 +1,48 @@
+// migrate-json-to-sqlite.js
+// 旧JSONファイル形式（data/, artifacts/）からSQLiteストレージへの一括移行ツール
+//
+// 使い方:
+//   node scripts/migrate-json-to-sqlite.js          # 未移行の場合のみ実行
+//   node scripts/migrate-json-to-sqlite.js --force  # 移行済みでも再実行
+//
+// ※ サーバー起動時にも未移行であれば自動で実行されます
+
+import fs from 'fs/promises';
+import * as configs from '../utils/config.js';
+import { getStorage } from '../utils/storage.js';
+import { migrateJsonToSqlite } from '../utils/storage-migration.js';
+
+async function main() {
+  const force = process.argv.includes('--force');
+
+  await fs.mkdir(configs.DATA_DIR, { recursive: true });
+  await fs.mkdir(configs.ARTIFACTS_DIR, { recursive: true });
+
+  const storage = getStorage();
+  try {
+    console.log(`移行先: ${configs.STORAGE_DB_FILE}`);
+    const result = await migrateJsonToSqlite(storage, { force });
+
+    if (result.skipped) {
+      console.log('既に移行済みです。再実行する場合は --force を指定してください。');
+      return;
+    }
+
+    console.log('\n✓ 移行が完了しました');
+    console.log('-'.repeat(40));
+    console.log(`Thread:           ${result.threads}`);
+    console.log(`Message:          ${result.messages}`);
+    console.log(`Artifact:         ${result.artifacts}`);
+    console.log(`System Prompt:    ${result.systemPrompts}`);
+    console.log(`Response Format:  ${result.responseFormats}`);
+    console.log('-'.repeat(40));
+    console.log('移行元のJSONファイルは削除していません。動作確認後に必要に応じて削除してください。');
+  } finally {
+    storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('エラー:', error);
+  process.exit(1);
+});
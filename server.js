@@ -2,29 +2,42 @@
 import 'dotenv/config';
 import express from 'express';
 import multer from 'multer';
-import { OpenAI } from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
 import { OAuth2Scopes, PermissionFlagsBits } from 'discord.js';
 import * as auth from './auth.js';
 import * as payment from './payment.js';
 import * as configs from './utils/config.js';
 import { getStateManager } from './utils/oauth-state-validation.js';
 import * as helpers from './helpers.js';
+import * as access from './utils/access-control.js';
+import * as mcp from './utils/mcp-manager.js';
+import * as toolRegistry from './utils/tool-registry.js';
+import * as contextManager from './utils/context-manager.js';
+import * as modelRegistry from './utils/model-registry.js';
+import * as providers from './utils/providers/index.js';
+import * as pricing from './utils/pricing.js';
+import * as messageTree from './utils/message-tree.js';
+import * as search from './utils/search.js';
+import * as rag from './utils/rag.js';
+import * as diff from './utils/diff.js';
+import * as contentParts from './utils/content-parts.js';
+import * as threadExport from './utils/thread-export.js';
+import * as threadShare from './utils/thread-share.js';
+import * as promptLibrary from './utils/prompt-library.js';
+import * as responseFormatLibrary from './utils/response-format-library.js';
+import * as structuredOutput from './utils/structured-output.js';
+import * as jobQueue from './utils/job-queue.js';
+import * as sessions from './utils/sessions.js';
+import * as apiKeys from './utils/api-keys.js';
+import { artifactTools } from './tools/artifact-tools.js';
+import { imageTools } from './tools/image-tools.js';
+import { sandboxTools } from './tools/sandbox-tools.js';
 
 const app = express();
 
-// ====================
-// JWT無効化機能: サーバー起動時刻を記録
-// ====================
-// サーバー起動時刻（Unix timestamp in seconds）
-const SERVER_STARTUP_TIME = Math.floor(Date.now() / 1000);
-console.log(`[JWT] Server startup time: ${new Date(SERVER_STARTUP_TIME * 1000).toISOString()}`);
-console.log(`[JWT] Tokens issued before this time will be invalidated`);
-
 // ====================
 // 支払い・クレジット購入 API
 // ====================
@@ -134,12 +147,12 @@ const upload = multer({
 // 設定値のログ出力
 configs.logConfiguration();
 
-// OpenAIクライアントの初期化
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: configs.OPENAI_API_TIMEOUT,
-  maxRetries: configs.OPENAI_MAX_RETRIES
-});
+// モデルレジストリの読み込み（models.json の定義が不正な場合はここで停止）
+modelRegistry.loadModelRegistry();
+if (!modelRegistry.getModel(configs.DEFAULT_MODEL)) {
+  console.error(`ERROR: Default model ${configs.DEFAULT_MODEL} is not registered`);
+  process.exit(1);
+}
 
 // ディレクトリの初期化
 await fs.mkdir(configs.DATA_DIR, { recursive: true });
@@ -151,9 +164,14 @@ await auth.initDatabase();
 // CSVログファイルの初期化
 await helpers.initTokenLog();
 
-await helpers.initSystemPrompts();
+// スレッド・アーティファクト・プロンプト用ストレージの初期化（旧JSONデータは初回のみ移行）
+await helpers.initStorage();
 
-await helpers.initResponseFormats();
+// ツールの登録（組み込みツール → plugins/ ディレクトリのツール）
+toolRegistry.registerTools(artifactTools);
+toolRegistry.registerTools(imageTools);
+toolRegistry.registerTools(sandboxTools);
+await toolRegistry.loadPlugins(configs.PLUGINS_DIR);
 
 // ====================
 // 認証ミドルウェア
@@ -163,13 +181,16 @@ await helpers.initResponseFormats();
 async function requireAuth(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
-    console.log("authHeader")
-    console.log("authHeader")
-    console.log(authHeader)
     if (!authHeader) {
       return res.status(401).json({ error: 'Authorization header required' });
     }
 
+    // 個人用 API キー: "Bearer sua_..." または "ApiKey sua_..."
+    const apiKey = apiKeys.extractApiKey(authHeader);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     // Bearer トークン形式: "Bearer <JWT_TOKEN>"
     const token = authHeader.replace('Bearer ', '');
     
@@ -177,32 +198,22 @@ async function requireAuth(req, res, next) {
       return res.status(401).json({ error: 'Invalid token format' });
     }
 
-    // JWTトークンを検証
-    let decoded;
-    try {
-      decoded = jwt.verify(token, configs.JWT_SECRET);
-    } catch (jwtError) {
+    // JWTトークンとログインセッションを検証（失効したセッションのトークンは拒否）
+    const verified = await sessions.verifyAccessToken(token, { ip: req.ip });
+    if (!verified) {
       return res.status(401).json({ error: 'Invalid or expired token' });
     }
 
-    // サーバー起動時刻より前に発行されたトークンを拒否
-    if (decoded.iat && decoded.iat < SERVER_STARTUP_TIME) {
-      console.log(`[JWT] Token rejected: issued at ${new Date(decoded.iat * 1000).toISOString()} (before server startup)`);
-      return res.status(401).json({ 
-        error: 'Token invalidated due to server restart',
-        message: 'Please login again'
-      });
-    }
-
     // デコードされたトークンからユーザー情報を取得
-    const user = await auth.getUser(decoded.sub);
+    const user = await auth.getUser(verified.payload.sub);
     
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    // リクエストにユーザー情報を添付
+    // リクエストにユーザー情報・セッションを添付
     req.user = user;
+    req.authSession = verified.session;
     next();
   } catch (error) {
     if (error.message.includes('stopped') || error.message.includes('banned')) {
@@ -212,6 +223,39 @@ async function requireAuth(req, res, next) {
   }
 }
 
+// API キーでの認証（スコープ・キーごとのリクエスト数を確認する）
+async function authenticateApiKey(req, res, next, key) {
+  const apiKey = await apiKeys.verifyApiKey(key);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+  }
+  if (!apiKeys.isRouteAllowed(apiKey, req.method, req.path, req.query)) {
+    return res.status(403).json({ error: 'This API key does not have the scope required for this endpoint' });
+  }
+
+  const rateLimit = apiKeys.consumeRateLimit(apiKey);
+  res.set('X-RateLimit-Limit', String(rateLimit.limit));
+  res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+  if (!rateLimit.allowed) {
+    res.set('Retry-After', String(rateLimit.retryAfter));
+    return res.status(429).json({ error: 'API key rate limit exceeded' });
+  }
+
+  const user = await auth.getUser(apiKey.user_id);
+  if (!user || !user.isActive) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+  if (user.authority === auth.Authority.STOPPED || user.authority === auth.Authority.BANNED) {
+    return res.status(403).json({ error: `Account is ${user.authority.toLowerCase()}` });
+  }
+
+  // 使用量をキーに記録するため、ユーザー情報にキーIDを添付
+  user.apiKeyId = apiKey.key_id;
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+}
+
 // Admin権限チェックミドルウェア
 async function requireAdmin(req, res, next) {
   if (!req.user || req.user.authority !== auth.Authority.ADMIN) {
@@ -254,6 +298,81 @@ async function checkCredit(req, res, next) {
   next();
 }
 
+// スレッドアクセス権チェックミドルウェア（読み込んだスレッドを req.thread に添付）
+// manage: true の場合は削除・設定変更のための作成者権限を要求
+function requireThreadAccess({ manage = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const thread = await helpers.readThread(req.params.threadId);
+      // 閲覧権限がない場合はスレッドの存在自体を隠す
+      if (!thread || !access.canAccessThread(req.user, thread)) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+      if (manage && !access.canManageThread(req.user, thread)) {
+        return res.status(403).json({ error: 'Only the thread owner can modify this thread' });
+      }
+      req.thread = thread;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// プロンプトライブラリのアクセス権チェックミドルウェア（読み込んだプロンプトを req.libraryPrompt に添付）
+// manage: true の場合は編集・削除のための作成者権限を要求
+function requireLibraryPromptAccess({ manage = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const prompt = promptLibrary.getPrompt(req.params.promptId);
+      if (!prompt || !access.canReadLibraryPrompt(req.user, prompt)) {
+        return res.status(404).json({ error: 'Prompt not found' });
+      }
+      if (manage && !access.canManageLibraryPrompt(req.user, prompt)) {
+        return res.status(403).json({ error: 'Only the prompt owner can modify this prompt' });
+      }
+      req.libraryPrompt = prompt;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// Response Format ライブラリのアクセス権チェックミドルウェア（読み込んだ Response Format を req.libraryResponseFormat に添付）
+// manage: true の場合は編集・削除のための作成者権限を要求
+function requireLibraryResponseFormatAccess({ manage = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const format = responseFormatLibrary.getFormat(req.params.formatId);
+      if (!format || !access.canReadLibraryResponseFormat(req.user, format)) {
+        return res.status(404).json({ error: 'Response format not found' });
+      }
+      if (manage && !access.canManageLibraryResponseFormat(req.user, format)) {
+        return res.status(403).json({ error: 'Only the response format owner can modify this response format' });
+      }
+      req.libraryResponseFormat = format;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// バックグラウンドジョブのアクセス権チェックミドルウェア（ジョブを req.job に添付）
+async function requireJobAccess(req, res, next) {
+  try {
+    const job = jobQueue.getJob(req.params.jobId);
+    if (!job || !access.canAccessJob(req.user, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    req.job = job;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
 // ログ圧縮の定期実行
 setInterval(helpers.compressAndCleanLogs, 60 * 60 * 1000);
 helpers.compressAndCleanLogs();
@@ -266,22 +385,25 @@ helpers.compressAndCleanLogs();
 app.get('/api/threads', requireAuth, async (req, res) => {
   try {
     const data = await helpers.readThreads();
-    res.json({ threads: data.threads });
+    res.json({ threads: access.filterAccessibleThreads(req.user, data.threads) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // 特定スレッド取得
-app.get('/api/threads/:threadId', requireAuth, async (req, res) => {
+app.get('/api/threads/:threadId', requireAuth, requireThreadAccess(), async (req, res) => {
   try {
-    const { threadId } = req.params;
-    const thread = await helpers.readThread(threadId);
-    if (!thread) return res.status(404).json({ error: 'Thread not found' });
-
-    const { thread: refreshedThread, artifacts } = await helpers.refreshThreadDerivedState(thread, { persist: true });
+    const { thread: refreshedThread, artifacts } = await helpers.refreshThreadDerivedState(req.thread, { persist: true });
+    // messages は現在の分岐の会話のみ（分岐の切り替えは branches の siblingIds を使う）
+    const path = messageTree.getActivePath(refreshedThread);
     res.json({
       ...refreshedThread,
+      messages: messageTree.withParentIds(path, refreshedThread.messages),
+      activeLeafId: messageTree.getActiveLeafId(refreshedThread),
+      branches: messageTree.getBranchInfo(refreshedThread.messages, path),
+      replayTranscripts: refreshedThread.replayTranscripts ?? configs.REPLAY_TRANSCRIPTS_DEFAULT,
+      contextSettings: contextManager.getContextSettings(refreshedThread),
       artifactInventory: artifacts
     });
   } catch (error) {
@@ -298,6 +420,10 @@ app.post('/api/threads', requireAuth, async (req, res) => {
       model, 
       responseFormat, 
       reasoningEffort,
+      replayTranscripts,
+      disabledTools,
+      promptId,
+      promptVersion,
       threadId: customThreadId,
       metadata 
     } = req.body;
@@ -305,7 +431,19 @@ app.post('/api/threads', requireAuth, async (req, res) => {
     // threadIdが指定されている場合はそれを使用、なければ生成
     const threadId = customThreadId || helpers.generateId();
     const timestamp = new Date().toISOString();
-    const userPrompt = (systemPrompt || configs.DEFAULT_SYSTEM_PROMPT).trim();
+
+    // プロンプトライブラリから選択した場合はその本文を使う
+    const librarySelection = promptId ? await promptLibrary.resolvePromptSelection(req.user, { promptId, version: promptVersion }) : null;
+    if (promptId && !librarySelection) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+    const userPrompt = (librarySelection?.content || systemPrompt || configs.DEFAULT_SYSTEM_PROMPT).trim();
+
+    // グループスレッドのID形式は Bot と Admin のみ指定できる
+    if (customThreadId && access.GROUP_THREAD_ID_REGEX.test(customThreadId)
+      && !access.canCreateGroupThreadId(req.user, req.authSession ?? null)) {
+      return res.status(403).json({ error: 'This thread ID is reserved for Discord group threads' });
+    }
 
     // 既存のスレッドIDと重複していないか確認
     if (customThreadId) {
@@ -318,31 +456,39 @@ app.post('/api/threads', requireAuth, async (req, res) => {
       }
     }
 
+    // グループスレッドとして共有できるのは自分のギルドのみ（Adminは除く）
+    if (metadata?.isGroupThread && !access.isAdmin(req.user) && String(metadata.guildId) !== String(req.user.group_id)) {
+      return res.status(403).json({ error: 'Cannot create a group thread for another guild' });
+    }
+
     const modelValidation = helpers.validateModel(model);
     if (!modelValidation.valid) {
       return res.status(400).json({ error: modelValidation.error });
     }
 
-    // Response Formatを登録
-    const responseFormatHash = responseFormat ? await helpers.registerResponseFormat(responseFormat) : null;
+    let normalizedDisabledTools = null;
+    if (disabledTools !== undefined) {
+      try {
+        normalizedDisabledTools = toolRegistry.normalizeDisabledTools(disabledTools);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
 
-    const newThreadSummary = {
-      id: threadId,
-      title: title || 'New Thread',
-      userId: req.user.user_id,
-      createdAt: timestamp,
-      updatedAt: timestamp,
-      artifactIds: []
-    };
-    
-    // メタデータがある場合は追加（グループスレッド対応）
-    if (metadata) {
-      newThreadSummary.metadata = metadata;
+    if (responseFormat) {
+      try {
+        structuredOutput.normalizeResponseFormat(responseFormat);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
     }
 
+    // Response Formatを登録
+    const responseFormatHash = responseFormat ? await helpers.registerResponseFormat(responseFormat, req.user.user_id) : null;
+
     const threadData = {
       id: threadId,
-      title: newThreadSummary.title,
+      title: title || 'New Thread',
       systemPromptUser: userPrompt,
       userId: req.user.user_id,
       systemPrompt: helpers.composeSystemPrompt(userPrompt, []),
@@ -355,14 +501,25 @@ app.post('/api/threads', requireAuth, async (req, res) => {
       updatedAt: timestamp
     };
     
-    // メタデータがある場合は追加
+    if (librarySelection) {
+      threadData.promptLibrary = librarySelection.reference;
+    }
+
+    // 推論・ツール呼び出し履歴の再生設定（未指定の場合はデフォルトに従う）
+    if (typeof replayTranscripts === 'boolean') {
+      threadData.replayTranscripts = replayTranscripts;
+    }
+
+    // 無効化するツール（'*' で全ツール禁止）
+    if (normalizedDisabledTools) {
+      threadData.disabledTools = normalizedDisabledTools;
+    }
+
+    // メタデータがある場合は追加（グループスレッド対応）
     if (metadata) {
       threadData.metadata = metadata;
     }
 
-    const threads = await helpers.readThreads();
-    threads.threads.push(newThreadSummary);
-    await helpers.writeThreads(threads);
     await helpers.writeThread(threadId, threadData);
 
     res.status(201).json({
@@ -375,18 +532,12 @@ app.post('/api/threads', requireAuth, async (req, res) => {
 });
 
 // スレッド削除
-app.delete('/api/threads/:threadId', requireAuth, async (req, res) => {
+app.delete('/api/threads/:threadId', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
   try {
     const { threadId } = req.params;
     
-    // スレッド一覧から削除
-    const threads = await helpers.readThreads();
-    threads.threads = threads.threads.filter(t => t.id !== threadId);
-    await helpers.writeThreads(threads);
-    
-    // スレッドファイルを削除
-    const threadFile = path.join(configs.DATA_DIR, `thread_${threadId}.json`);
-    await fs.unlink(threadFile).catch(() => {});
+    // スレッドとメッセージを削除
+    await helpers.deleteThread(threadId);
     
     res.json({ message: 'Thread deleted successfully' });
   } catch (error) {
@@ -394,217 +545,702 @@ app.delete('/api/threads/:threadId', requireAuth, async (req, res) => {
   }
 });
 
+// スレッドのエクスポート（format: md / json / html / zip。zip はアーティファクトの全バージョンを含む）
+app.get('/api/threads/:threadId/export', requireAuth, requireThreadAccess(), async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!threadExport.EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${threadExport.EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { filename, contentType, body } = await threadExport.exportThread(req.thread, format);
+    res.type(contentType);
+    res.attachment(filename);
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// スレッドのインポート（エクスポートした json / zip、または ChatGPT の conversations.json / zip）
+// 新しいIDでスレッド・メッセージ・アーティファクトを作成する
+app.post('/api/threads/import', requireAuth, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'ファイルが添付されていません。' });
+    }
+
+    let parsed;
+    try {
+      parsed = threadExport.parseImportFile(req.file.buffer, helpers.decodeMulterFilename(req.file.originalname));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (parsed.bundles.length === 0) {
+      return res.status(400).json({ error: 'No conversations found in the file' });
+    }
+
+    const threads = [];
+    for (const bundle of parsed.bundles) {
+      threads.push(await threadExport.importThreadBundle(bundle, { user: req.user, files: parsed.files }));
+    }
+    res.status(201).json({ threads });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ====================
-// システムプロンプト管理 API
+// 共有リンク API
 // ====================
 
-// システムプロンプト取得
-app.get('/api/threads/:threadId/system-prompt', requireAuth, async (req, res) => {
+// 共有リンクの作成（スレッドの作成者のみ。expiresAt は任意、includeArtifacts でアーティファクトも公開）
+app.post('/api/threads/:threadId/shares', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
   try {
-    const thread = await helpers.readThread(req.params.threadId);
-    if (!thread) return res.status(404).json({ error: 'Thread not found' });
-    const { thread: refreshedThread, artifacts } = await helpers.refreshThreadDerivedState(thread, { persist: true });
-    res.json({
-      systemPromptUser: refreshedThread.systemPromptUser,
-      systemPrompt: refreshedThread.systemPrompt,
-      artifactInventory: artifacts
-    });
+    let options;
+    try {
+      options = threadShare.normalizeShareOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const share = threadShare.createShare(req.thread, { userId: req.user.user_id, ...options });
+    res.status(201).json({ share, url: `${configs.BASE_URL}/share/${share.token}` });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// システムプロンプト更新
-app.put('/api/threads/:threadId/system-prompt', requireAuth, async (req, res) => {
+// 共有リンク一覧（取り消し済み・期限切れを含む）
+app.get('/api/threads/:threadId/shares', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
   try {
-    const { systemPrompt } = req.body;
-    const thread = await helpers.readThread(req.params.threadId);
-    if (!thread) return res.status(404).json({ error: 'Thread not found' });
+    const shares = threadShare.listShares(req.thread.id).map(share => ({
+      ...share,
+      url: `${configs.BASE_URL}/share/${share.token}`
+    }));
+    res.json({ shares });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    thread.systemPromptUser = (systemPrompt || configs.DEFAULT_SYSTEM_PROMPT).trim();
-    const { thread: refreshedThread, artifacts } = await helpers.refreshThreadDerivedState(thread, { persist: true });
+// 共有リンクの取り消し
+app.delete('/api/threads/:threadId/shares/:token', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
+  try {
+    if (!threadShare.revokeShare(req.thread.id, req.params.token)) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      systemPromptUser: refreshedThread.systemPromptUser,
-      systemPrompt: refreshedThread.systemPrompt,
-      artifactInventory: artifacts
-    });
+// 共有されたスレッドの閲覧（認証不要）
+app.get('/api/share/:token', async (req, res) => {
+  try {
+    const resolved = await threadShare.resolveShare(req.params.token);
+    if (!resolved) {
+      return res.status(404).json({ error: 'Share link not found or expired' });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json(await threadShare.buildSharedView(resolved.share, resolved.thread));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Response Format取得API
-app.get('/api/response-formats/:hash', requireAuth, async (req, res) => {
+// 共有されたアーティファクトのファイルを取得（認証不要。includeArtifacts の共有リンクのみ）
+// 共有するのは最新版のみのため、version の指定は受け付けない
+app.get('/api/share/:token/artifacts/:artifactId/raw', async (req, res) => {
   try {
-    const { hash } = req.params;
-    const formats = await helpers.readResponseFormats();
-    const format = formats[hash];
+    const resolved = await threadShare.resolveShare(req.params.token);
+    const metadata = resolved ? await threadShare.getSharedArtifact(resolved.share, req.params.artifactId) : null;
+    if (!metadata) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
 
-    if (!format) {
-      return res.status(404).json({ error: 'Response format not found' });
+    const result = await helpers.readArtifactVersion(metadata, metadata.currentVersion);
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' });
     }
 
-    res.json(format);
+    res.set('Cache-Control', 'no-store');
+    sendRawArtifact(res, metadata, result.content);
   } catch (error) {
-    console.log(error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Response Format更新API
-app.put('/api/threads/:threadId/response-format', requireAuth, async (req, res) => {
+// 共有されたスレッドを自分のスレッドとしてコピー
+app.post('/api/share/:token/fork', requireAuth, async (req, res) => {
   try {
-    const { threadId } = req.params;
-    const { responseFormat } = req.body;
-    const thread = await helpers.readThread(req.params.threadId);
-    if (!thread) return res.status(404).json({ error: 'Thread not found' });
-
-    // Response Formatを設定
-    if (responseFormat) {
-      const hash = await helpers.registerResponseFormat(responseFormat);
-      thread.responseFormatHash = hash;
-      thread.responseFormat = responseFormat;
-    } else {
-      // 空の場合は削除
-      thread.responseFormatHash = null;
-      thread.responseFormat = null;
+    const resolved = await threadShare.resolveShare(req.params.token);
+    if (!resolved) {
+      return res.status(404).json({ error: 'Share link not found or expired' });
     }
+    const result = await threadShare.forkSharedThread(resolved.share, resolved.thread, req.user);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await helpers.writeThread(threadId, thread);
+// 共有ページ
+app.get('/share/:token', (req, res) => {
+  res.sendFile('share.html', { root: 'public' });
+});
+
+// ====================
+// システムプロンプト管理 API
+// ====================
 
+// システムプロンプト取得
+app.get('/api/threads/:threadId/system-prompt', requireAuth, requireThreadAccess(), async (req, res) => {
+  try {
+    const { thread: refreshedThread, artifacts } = await helpers.refreshThreadDerivedState(req.thread, { persist: true });
     res.json({
-      responseFormat: thread.responseFormat,
-      responseFormatHash: thread.responseFormatHash
+      systemPromptUser: refreshedThread.systemPromptUser,
+      systemPrompt: refreshedThread.systemPrompt,
+      promptLibrary: refreshedThread.promptLibrary ?? null,
+      artifactInventory: artifacts
     });
   } catch (error) {
-    console.log(error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Reasoning Effort更新API
-app.put('/api/threads/:threadId/reasoning-effort', requireAuth, async (req, res) => {
+// システムプロンプト更新（promptId を指定した場合はプロンプトライブラリの本文を使う）
+app.put('/api/threads/:threadId/system-prompt', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
   try {
-    const { threadId } = req.params;
-    const { reasoningEffort } = req.body;
-    const thread = await helpers.readThread(req.params.threadId);
-    if (!thread) return res.status(404).json({ error: 'Thread not found' });
+    const { systemPrompt, promptId, promptVersion } = req.body;
+    const thread = req.thread;
 
-    // Reasoning Effortを設定（デフォルトは medium）
-    thread.reasoningEffort = reasoningEffort || 'medium';
-    
-    await helpers.writeThread(threadId, thread);
+    if (promptId) {
+      const selection = await promptLibrary.resolvePromptSelection(req.user, { promptId, version: promptVersion });
+      if (!selection) {
+        return res.status(404).json({ error: 'Prompt not found' });
+      }
+      thread.systemPromptUser = selection.content.trim();
+      thread.promptLibrary = selection.reference;
+    } else {
+      thread.systemPromptUser = (systemPrompt || configs.DEFAULT_SYSTEM_PROMPT).trim();
+      delete thread.promptLibrary;
+    }
+    // 本文が変わらない場合もライブラリの参照を保存する
+    const { thread: refreshedThread, artifacts } = await helpers.refreshThreadDerivedState(thread, { persist: false });
+    refreshedThread.updatedAt = new Date().toISOString();
+    await helpers.writeThread(thread.id, refreshedThread);
 
     res.json({
-      reasoningEffort: thread.reasoningEffort
+      systemPromptUser: refreshedThread.systemPromptUser,
+      systemPrompt: refreshedThread.systemPrompt,
+      promptLibrary: refreshedThread.promptLibrary ?? null,
+      artifactInventory: artifacts
     });
   } catch (error) {
-    console.log(error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // ====================
-// モデル管理 API
+// プロンプトライブラリ API
 // ====================
 
-// 利用可能なモデル一覧取得
-app.get('/api/models', requireAuth, (req, res) => {
-  res.json({
-    defaultModel: configs.DEFAULT_MODEL,
-    availableModels: configs.AVAILABLE_MODELS,
-    highCostModels: configs.AVAILABLE_MODELS_HIGH_COST,
-    lowCostModels: configs.AVAILABLE_MODELS_LOW_COST
-  });
+// プロンプト一覧（自分のプロンプトと公開プロンプト。q: 名前・説明・タグの部分一致、tag: タグの完全一致）
+app.get('/api/prompts', requireAuth, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const tag = typeof req.query.tag === 'string' ? req.query.tag : '';
+    res.json({
+      prompts: promptLibrary.listPrompts(req.user, { q, tag }),
+      variables: promptLibrary.PROMPT_VARIABLES
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// スレッドのモデル取得
-app.get('/api/threads/:threadId/model', requireAuth, async (req, res) => {
+// プロンプト作成（本文は content、または登録済みのシステムプロンプトの hash で指定）
+app.post('/api/prompts', requireAuth, async (req, res) => {
   try {
-    const { threadId } = req.params;
-    const thread = await helpers.readThread(threadId);
-    
-    if (!thread) {
-      return res.status(404).json({ error: 'Thread not found' });
+    let prompt;
+    try {
+      prompt = await promptLibrary.createPrompt(req.user, promptLibrary.normalizePromptInput(req.body));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
-    
-    res.json({ model: thread.model || configs.DEFAULT_MODEL });
+    res.status(201).json(await promptLibrary.toPromptDetail(prompt, req.user));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// スレッドのモデル更新
-app.put('/api/threads/:threadId/model', requireAuth, async (req, res) => {
+// プロンプト取得（version 省略時は最新版の本文）
+app.get('/api/prompts/:promptId', requireAuth, requireLibraryPromptAccess(), async (req, res) => {
   try {
-    const { threadId } = req.params;
-    const { model } = req.body;
-    
-    // モデルのバリデーション
-    const modelValidation = helpers.validateModel(model);
-    if (!modelValidation.valid) {
-      return res.status(400).json({ error: modelValidation.error });
-    }
-    
-    const thread = await helpers.readThread(threadId);
-    if (!thread) {
-      return res.status(404).json({ error: 'Thread not found' });
+    const prompt = req.libraryPrompt;
+    const version = req.query.version === undefined ? prompt.currentVersion : parseInt(req.query.version);
+    if (!promptLibrary.getPromptVersion(prompt, version)) {
+      return res.status(404).json({ error: 'Version not found' });
     }
-    
-    thread.model = modelValidation.model;
-    thread.updatedAt = new Date().toISOString();
-    await helpers.writeThread(threadId, thread);
-    
-    res.json({ model: thread.model });
+    res.json(await promptLibrary.toPromptDetail(prompt, req.user, { version }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// ====================
-// トークン使用量 API
-// ====================
-
-// トークン使用量の統計を取得
-app.get('/api/token-usage/stats', requireAuth, async (req, res) => {
-  const summary = await helpers.getTokenUsageSummary();
+// プロンプト更新（本文が変わった場合は新しいバージョンを追加）
+app.put('/api/prompts/:promptId', requireAuth, requireLibraryPromptAccess({ manage: true }), async (req, res) => {
   try {
-    res.json({
-      last24Hours: {
-        highCost: {
-          usage: summary.highCost.usage,
-          limit: summary.highCost.limit,
-          percentage: summary.highCost.percentage.toFixed(2)
-        },
-        lowCost: {
-          usage: summary.lowCost.usage,
-          limit: summary.lowCost.limit,
-          percentage: summary.lowCost.percentage.toFixed(2)
-        }
-      }
-    });
+    let prompt;
+    try {
+      const input = promptLibrary.normalizePromptInput(req.body, { partial: true });
+      prompt = await promptLibrary.updatePrompt(req.libraryPrompt, req.user, input);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json(await promptLibrary.toPromptDetail(prompt, req.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// プロンプト削除（このプロンプトから作成したスレッドのシステムプロンプトはそのまま残る）
+app.delete('/api/prompts/:promptId', requireAuth, requireLibraryPromptAccess({ manage: true }), async (req, res) => {
+  try {
+    promptLibrary.deletePrompt(req.libraryPrompt.id);
+    res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // ====================
-// メッセージ処理 API
+// Response Format ライブラリ API
 // ====================
 
-// メッセージ送信と応答生成
-app.post('/api/threads/:threadId/messages', requireAuth, checkCredit, async (req, res) => {
+// Response Format 一覧（自分のものと公開されたもの。q: 名前・説明・タグの部分一致、tag: タグの完全一致。editable: 編集できるか）
+app.get('/api/response-format-library', requireAuth, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const tag = typeof req.query.tag === 'string' ? req.query.tag : '';
+    const formats = responseFormatLibrary.listFormats(req.user, { q, tag })
+      .map(format => ({ ...format, editable: access.canManageLibraryResponseFormat(req.user, format) }));
+    res.json({ formats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Response Format 作成（スキーマは responseFormat、または登録済みの Response Format の hash で指定）
+app.post('/api/response-format-library', requireAuth, async (req, res) => {
+  try {
+    let format;
+    try {
+      format = await responseFormatLibrary.createFormat(req.user, responseFormatLibrary.normalizeFormatInput(req.body));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(201).json(await responseFormatLibrary.toFormatDetail(format, req.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Response Format 取得（version 省略時は最新版のスキーマ）
+app.get('/api/response-format-library/:formatId', requireAuth, requireLibraryResponseFormatAccess(), async (req, res) => {
+  try {
+    const format = req.libraryResponseFormat;
+    const version = req.query.version === undefined ? format.currentVersion : parseInt(req.query.version);
+    if (!responseFormatLibrary.getFormatVersion(format, version)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(await responseFormatLibrary.toFormatDetail(format, req.user, { version }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Response Format 更新（スキーマが変わった場合は新しいバージョンを追加）
+app.put('/api/response-format-library/:formatId', requireAuth, requireLibraryResponseFormatAccess({ manage: true }), async (req, res) => {
+  try {
+    let format;
+    try {
+      const input = responseFormatLibrary.normalizeFormatInput(req.body, { partial: true });
+      format = await responseFormatLibrary.updateFormat(req.libraryResponseFormat, req.user, input);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json(await responseFormatLibrary.toFormatDetail(format, req.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Response Format 削除（このスキーマを設定したスレッドの Response Format はそのまま残る）
+app.delete('/api/response-format-library/:formatId', requireAuth, requireLibraryResponseFormatAccess({ manage: true }), async (req, res) => {
+  try {
+    responseFormatLibrary.deleteFormat(req.libraryResponseFormat.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Response Format取得API
+app.get('/api/response-formats/:hash', requireAuth, async (req, res) => {
+  try {
+    const { hash } = req.params;
+    const format = await helpers.getResponseFormat(hash);
+
+    if (!format || !(await access.canAccessRegistryEntry(req.user, format))) {
+      return res.status(404).json({ error: 'Response format not found' });
+    }
+
+    res.json(format);
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Response Format更新API（formatId を指定した場合は Response Format ライブラリのスキーマを使う）
+app.put('/api/threads/:threadId/response-format', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
   try {
     const { threadId } = req.params;
-    const { content, model, responseFormat, reasoningEffort, metadata } = req.body;
-    const saveUserMessage = req.body.saveUserMessage || true;
+    const { formatId, formatVersion } = req.body;
+    let { responseFormat } = req.body;
+    const thread = req.thread;
+
+    let librarySelection = null;
+    if (formatId) {
+      librarySelection = await responseFormatLibrary.resolveFormatSelection(req.user, { formatId, version: formatVersion });
+      if (!librarySelection) {
+        return res.status(404).json({ error: 'Response format not found' });
+      }
+      responseFormat = librarySelection.responseFormat;
+    }
 
-    const thread = await helpers.readThread(threadId);
-    if (!thread) return res.status(404).json({ error: 'Thread not found' });
+    if (responseFormat) {
+      try {
+        structuredOutput.normalizeResponseFormat(responseFormat);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    // Response Formatを設定
+    if (responseFormat) {
+      const hash = await helpers.registerResponseFormat(responseFormat, req.user.user_id);
+      thread.responseFormatHash = hash;
+      thread.responseFormat = responseFormat;
+    } else {
+      // 空の場合は削除
+      thread.responseFormatHash = null;
+      thread.responseFormat = null;
+    }
+    if (librarySelection) {
+      thread.responseFormatLibrary = librarySelection.reference;
+    } else {
+      delete thread.responseFormatLibrary;
+    }
+
+    await helpers.writeThread(threadId, thread);
+
+    res.json({
+      responseFormat: thread.responseFormat,
+      responseFormatHash: thread.responseFormatHash,
+      responseFormatLibrary: thread.responseFormatLibrary ?? null
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reasoning Effort更新API
+app.put('/api/threads/:threadId/reasoning-effort', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const { reasoningEffort } = req.body;
+    const thread = req.thread;
+
+    // Reasoning Effortを設定（デフォルトは medium）
+    thread.reasoningEffort = reasoningEffort || 'medium';
+    
+    await helpers.writeThread(threadId, thread);
+
+    res.json({
+      reasoningEffort: thread.reasoningEffort
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 推論・ツール呼び出し履歴の再生設定更新API
+app.put('/api/threads/:threadId/replay-transcripts', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const { replayTranscripts } = req.body;
+    const thread = req.thread;
+
+    if (typeof replayTranscripts !== 'boolean') {
+      return res.status(400).json({ error: 'replayTranscripts must be a boolean' });
+    }
+
+    thread.replayTranscripts = replayTranscripts;
+    await helpers.writeThread(threadId, thread);
+
+    res.json({
+      replayTranscripts: thread.replayTranscripts
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const { thread: hydratedThread } = await helpers.refreshThreadDerivedState(thread, { persist: false });
-    const developerPrompt = hydratedThread.systemPrompt;
+// スレッドで利用可能なツール一覧（組み込み・プラグイン・MCP）
+app.get('/api/threads/:threadId/tools', requireAuth, requireThreadAccess(), async (req, res) => {
+  try {
+    const thread = req.thread;
+    res.json({
+      disabledTools: thread.disabledTools || [],
+      enabledTools: thread.enabledTools || [],
+      tools: await toolRegistry.describeTools({ user: req.user, thread })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// スレッドで無効化するツールを更新（'*' で全ツール禁止、'prefix*' で前方一致）
+app.put('/api/threads/:threadId/tools', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const thread = req.thread;
+
+    let disabledTools;
+    try {
+      disabledTools = toolRegistry.normalizeDisabledTools(req.body.disabledTools);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    thread.disabledTools = disabledTools;
+    await helpers.writeThread(threadId, thread);
+
+    res.json({
+      disabledTools: thread.disabledTools
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 会話履歴の送信方法を更新（strategy: full / sliding_window / summary, maxTokens）
+app.put('/api/threads/:threadId/context-settings', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const thread = req.thread;
+
+    let contextSettings;
+    try {
+      contextSettings = contextManager.normalizeContextSettings(req.body, thread.contextSettings);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    thread.contextSettings = contextSettings;
+    await helpers.writeThread(threadId, thread);
+
+    res.json({
+      contextSettings: contextManager.getContextSettings(thread),
+      contextSummary: thread.contextSummary || null
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 保存済みの要約を破棄（次回の送信時に作り直す）
+app.delete('/api/threads/:threadId/context-summary', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const thread = req.thread;
+
+    delete thread.contextSummary;
+    await helpers.writeThread(threadId, thread);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// メッセージのピン留め（ピン留めしたメッセージは常に会話履歴に含める）
+app.put('/api/threads/:threadId/messages/:messageId/pin', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
+  try {
+    const { threadId, messageId } = req.params;
+    const { pinned } = req.body;
+    const thread = req.thread;
+
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({ error: 'pinned must be a boolean' });
+    }
+
+    const message = thread.messages.find(m => m.id === messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (pinned) {
+      message.pinned = true;
+    } else {
+      delete message.pinned;
+    }
+    await helpers.writeThread(threadId, thread);
+
+    res.json({
+      messageId,
+      pinned: Boolean(message.pinned)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ====================
+// モデル管理 API
+// ====================
+
+// 利用可能なモデル一覧取得
+app.get('/api/models', requireAuth, (req, res) => {
+  const models = modelRegistry.listModels();
+  res.json({
+    defaultModel: configs.DEFAULT_MODEL,
+    availableModels: models.map(entry => entry.id),
+    highCostModels: models.filter(entry => entry.tier === 'highCost').map(entry => entry.id),
+    lowCostModels: models.filter(entry => entry.tier === 'lowCost').map(entry => entry.id),
+    models: models.map(modelRegistry.toPublicModel)
+  });
+});
+
+// スレッドのモデル取得
+app.get('/api/threads/:threadId/model', requireAuth, requireThreadAccess(), async (req, res) => {
+  try {
+    const thread = req.thread;
+    res.json({ model: thread.model || configs.DEFAULT_MODEL });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// スレッドのモデル更新
+app.put('/api/threads/:threadId/model', requireAuth, requireThreadAccess({ manage: true }), async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const { model } = req.body;
+    
+    // モデルのバリデーション
+    const modelValidation = helpers.validateModel(model);
+    if (!modelValidation.valid) {
+      return res.status(400).json({ error: modelValidation.error });
+    }
+    
+    const thread = req.thread;
+    thread.model = modelValidation.model;
+    thread.updatedAt = new Date().toISOString();
+    await helpers.writeThread(threadId, thread);
+    
+    res.json({ model: thread.model });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ====================
+// トークン使用量 API
+// ====================
+
+// トークン使用量の統計を取得
+app.get('/api/token-usage/stats', requireAuth, async (req, res) => {
+  const summary = await helpers.getTokenUsageSummary();
+  try {
+    res.json({
+      last24Hours: {
+        highCost: {
+          usage: summary.highCost.usage,
+          limit: summary.highCost.limit,
+          percentage: summary.highCost.percentage.toFixed(2)
+        },
+        lowCost: {
+          usage: summary.lowCost.usage,
+          limit: summary.lowCost.limit,
+          percentage: summary.lowCost.percentage.toFixed(2)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ====================
+// メッセージ処理 API
+// ====================
+
+// Response Format を Responses API の text パラメータに変換
+function buildTextFormat(responseFormat) {
+  return {
+    format: {
+      name: responseFormat.name,
+      type: "json_schema",
+      description: responseFormat.description,
+      strict: responseFormat.strict,
+      schema: responseFormat.schema
+    }
+  };
+}
+
+/**
+ * 応答を生成してスレッドに保存し、結果を channel に渡す
+ * 送信・編集・再生成で共通。HTTP リクエストからもバックグラウンドジョブからも呼ぶ（結果の返し方は channel が決める）
+ * モデル・Response Format・Reasoning Effort は body から取得
+ * Response Format が指定されていない場合はスレッドの設定を使い、応答をスキーマで検証する（structured に保存）
+ * @param {object} context
+ * @param {object} context.user - リクエストしたユーザー
+ * @param {object} context.body - { model?, responseFormat?, reasoningEffort? }
+ * @param {object} context.channel - createHttpReplyChannel / createJobReplyChannel の戻り値
+ * @param {AbortSignal|null} [context.signal] - 中止用。中止された場合はそれまでの出力を cancelled: true のメッセージとして保存する
+ * @param {object} params
+ * @param {object} params.thread
+ * @param {object[]} params.history - 応答の前提となる会話（ルートから親メッセージまで）
+ * @param {object|null} params.userMessage - 新しいユーザーメッセージ（再生成の場合は null）
+ * @param {boolean} [params.saveUserMessage=true] - ユーザーメッセージを会話ログとして保存するか
+ * @param {string|null} [params.assistantMessageId] - アシスタントメッセージのID（ジョブでは作成時に決めておく）
+ */
+async function runReply({ user, body, channel, signal = null }, { thread, history, userMessage, saveUserMessage = true, assistantMessageId = null }) {
+  try {
+    const threadId = thread.id;
+    const { model, responseFormat, reasoningEffort } = body;
+
+    const { thread: hydratedThread, artifacts } = await helpers.refreshThreadDerivedState(thread, { persist: false });
+
+    // Response Formatの優先順位: リクエスト（null で使わない）> スレッド
+    let activeResponseFormat;
+    try {
+      activeResponseFormat = structuredOutput.normalizeResponseFormat(
+        responseFormat === undefined ? await structuredOutput.resolveThreadResponseFormat(thread) : responseFormat
+      );
+    } catch (error) {
+      return channel.reject(400, { error: error.message });
+    }
 
     // モデルの優先順位: リクエスト > スレッド > デフォルト
     let selectedModel = model || thread.model || configs.DEFAULT_MODEL;
@@ -612,21 +1248,32 @@ app.post('/api/threads/:threadId/messages', requireAuth, checkCredit, async (req
     // モデルのバリデーション
     const modelValidation = helpers.validateModel(selectedModel);
     if (!modelValidation.valid) {
-      return res.status(400).json({ error: modelValidation.error });
+      return channel.reject(400, { error: modelValidation.error });
     }
     selectedModel = modelValidation.model;
     console.log(selectedModel)
     console.log(selectedModel)
     console.log(selectedModel)
+
+    // システムプロンプトの変数 ({{user_name}}, {{date}} など) を送信時の値に置き換える
+    const promptVariables = promptLibrary.buildPromptVariables({
+      user,
+      thread: hydratedThread,
+      model: selectedModel,
+      message: userMessage ?? history.findLast(message => message.role === 'user') ?? null
+    });
+    const renderedUserPrompt = promptLibrary.renderPromptVariables(hydratedThread.systemPromptUser, promptVariables);
+    const developerPrompt = helpers.composeSystemPrompt(renderedUserPrompt, artifacts);
     
     // 有料クレジットがある場合はトークン制限をスキップ
-    const hasPaidCredit = (req.user.paid_credit || 0) > 0;
+    const hasPaidCredit = (user.paid_credit || 0) > 0;
     if (!hasPaidCredit) {
       const usageSummary = await helpers.getTokenUsageSummary();
-      const modelTier = configs.AVAILABLE_MODELS_HIGH_COST.includes(selectedModel) ? 'highCost' : 'lowCost';
-      const tierUsage = usageSummary[modelTier];
-      if (tierUsage.usage >= tierUsage.limit * configs.LIMIT_THRESHOLD_RATIO) {
-        return res.status(429).json({
+      // 無料枠の対象外のモデル（tier なし）は制限しない
+      const modelTier = modelRegistry.getModelTier(selectedModel);
+      const tierUsage = modelTier ? usageSummary[modelTier] : null;
+      if (tierUsage && tierUsage.usage >= tierUsage.limit * configs.LIMIT_THRESHOLD_RATIO) {
+        return channel.reject(429, {
           error: 'TOKEN_LIMIT_APPROACHING',
           message: '24時間の無料利用枠がまもなく上限に達するため、しばらく待ってから再度お試しください。有料クレジットを購入すると、この制限なしでご利用いただけます。',
           usage: {
@@ -637,24 +1284,61 @@ app.post('/api/threads/:threadId/messages', requireAuth, checkCredit, async (req
       }
     }
     
-    // ユーザーメッセージを追加
-    let userMessage = {
-      id: helpers.generateId(),
-      role: 'user',
-      content,
-      timestamp: new Date().toISOString()
+    // バリデーション完了後に開始を通知（SSE の場合はここからストリームになる）
+    const emit = channel.emit;
+    channel.start({ threadId, model: selectedModel, userMessage });
+
+    // 生成の途中経過（中止された場合も、ここまでの出力と報告された使用量を保存する）
+    let allToolCalls = [];
+    // 推論・ツール呼び出し・ツール出力の履歴（アシスタントメッセージに保存）
+    const transcript = [];
+    // 各イテレーションのトークン使用量と実費（アシスタントメッセージの usage に合算）
+    const iterationUsages = [];
+    const iterationCosts = [];
+    // ツールが消費したクレジット（画像生成など。トークンとは別に課金済み）
+    let toolCredits = 0;
+    let contextUsage = null;
+    let responseText = '';
+    // ストリーミングで受信中のテキスト（現在のイテレーションのみ）
+    let partialText = '';
+
+    // Usage情報の拡張（ツール呼び出し・修正の全イテレーションの合計）
+    const buildUsage = (systemPromptHash, rawUsage) => {
+      const tokenTotals = pricing.sumUsage(iterationUsages);
+      const cost = pricing.sumCosts(iterationCosts);
+      return {
+        inputTokens: tokenTotals.inputTokens,
+        cachedInputTokens: tokenTotals.cachedInputTokens,
+        outputTokens: tokenTotals.outputTokens,
+        reasoningTokens: tokenTotals.reasoningTokens,
+        totalTokens: tokenTotals.totalTokens,
+        iterations: iterationUsages.length,
+        creditsUsed: (cost?.credits || 0) + toolCredits,
+        toolCredits,
+        costUsd: cost?.costUsd ?? null,
+        costJpy: cost?.costJpy ?? null,
+        cost,  // 実費の内訳・料金表・マージン倍率・換算レート
+        isHighCost: modelRegistry.getModelTier(selectedModel) === 'highCost',
+        tokenCostRate: modelRegistry.getCreditsPerToken(selectedModel),
+        systemPromptHash,
+        context: contextUsage,  // 送信した履歴（含めたメッセージ・要約）
+        raw: rawUsage  // 最後のイテレーションの元のusage情報も保持
+      };
     };
-    if (metadata) {
-      userMessage.metadata = metadata;
-    }
-    
+
     let assistantMessage;
     try {
+     // 過去の推論・ツール呼び出し履歴を入力に含めるか（スレッド設定 > デフォルト）
+     const replayTranscripts = thread.replayTranscripts ?? configs.REPLAY_TRANSCRIPTS_DEFAULT;
+
      // ユーザーメッセージを会話ログとして保存する場合と、そうでない場合（グループ会話で会話の継続を促す場合など）で扱いを変える
-     let conversationHistory = {};
-     if (saveUserMessage === true) {
-       // ユーザーメッセージをthread変数に追加
-       thread.messages.push(userMessage);
+     // 再生成の場合はユーザーメッセージなしで、親メッセージまでの会話に対して応答する
+     let contextMessages;
+     if (userMessage && saveUserMessage === true) {
+       // ユーザーメッセージを分岐の末端として thread 変数に追加（ジョブの再試行で保存済みの場合は追加しない）
+       if (!thread.messages.some(message => message.id === userMessage.id)) {
+         messageTree.appendMessage(thread, userMessage, history.at(-1)?.id ?? null);
+       }
        console.log("thread")
        console.log(thread)
  
@@ -662,202 +1346,48 @@ app.post('/api/threads/:threadId/messages', requireAuth, checkCredit, async (req
        thread.updatedAt = new Date().toISOString();
        await helpers.writeThread(threadId, thread);
  
-       // Responses APIの形式に合わせる
-       conversationHistory = thread.messages.map(m => ({
-         role: m.role,
-         content: m.content
-       }));
+       contextMessages = [...history, userMessage];
      } else {
        console.log("thread")
        console.log(thread)
  
-       // Responses APIの形式に合わせる
-       conversationHistory = thread.messages.map(m => ({
-         role: m.role,
-         content: m.content
+       contextMessages = userMessage ? [...history, userMessage] : history;
+     }
+
+     // コンテキスト設定に従って送信する履歴を選び、Responses APIの形式に合わせる
+     let conversationHistory;
+     ({ input: conversationHistory, context: contextUsage } = await contextManager.buildContextInput({
+       thread,
+       messages: contextMessages,
+       model: selectedModel,
+       replayTranscripts,
+       userId: user.user_id,
+       apiKeyId: user.apiKeyId
+     }));
+
+     // 直近のユーザーメッセージに関連するアーティファクトの箇所を developer プロンプトに挿入（RAG）
+     // 保存・表示する systemPrompt には含めない
+     const retrievedChunks = await rag.retrieveContext({
+       thread: hydratedThread,
+       message: contextMessages.findLast(message => message.role === 'user') ?? null,
+       userId: user.user_id,
+       apiKeyId: user.apiKeyId
+     });
+     const requestDeveloperPrompt = retrievedChunks.length > 0
+       ? helpers.composeSystemPrompt(renderedUserPrompt, artifacts, retrievedChunks)
+       : developerPrompt;
+     if (retrievedChunks.length > 0) {
+       contextUsage.retrieval = retrievedChunks.map(({ artifactId, filename, version, startLine, endLine, score }) => ({
+         artifactId, filename, version, startLine, endLine, score
        }));
-       conversationHistory.push({role: userMessage.role, content: userMessage.content});
      }
+     emit('context', contextUsage);
  
       console.log(`Sending request to ${selectedModel}...`);
 
-      // カスタムツールの定義
-      const tools = [
-        {
-          type: "function",
-          name: "create_artifact",
-          description: "Create a new artifact (file) with the given filename and content. Use this when the user asks to create a file or when you want to save code/content as an artifact.",
-          parameters: {
-            type: "object",
-            properties: {
-              filename: {
-                type: "string",
-                description: "The name of the file to create (e.g., script.js, style.css, document.md)"
-              },
-              content: {
-                type: "string",
-                description: "The complete content of the artifact"
-              },
-              description: {
-                type: "string",
-                description: "A brief description of what this artifact contains"
-              }
-            },
-            required: ["filename", "content"]
-          }
-        },
-        {
-          type: "function",
-          name: "replace_artifact",
-          description: "Replace whole content of an existing artifact by providing its ID and the new content. Use this when the user asks to modify an existing artifact.",
-          parameters: {
-            type: "object",
-            properties: {
-              artifact_id: {
-                type: "string",
-                description: "The ID of the artifact to edit"
-              },
-              content: {
-                type: "string",
-                description: "The new complete content for the artifact"
-              },
-              description: {
-                type: "string",
-                description: "Updated description of what this artifact contains"
-              }
-            },
-            required: ["artifact_id", "content"]
-          }
-        },
-        {
-          type: "function",
-          name: "read_artifact",
-          description: "Read the contents of an existing artifact. For large files, you can read specific portions (top/bottom lines) instead of the entire file.",
-          parameters: {
-            type: "object",
-            properties: {
-              artifact_id: {
-                type: "string",
-                description: "The ID of the artifact to read"
-              },
-              version: {
-                type: "integer",
-                description: "Specific version to read. Defaults to the latest version."
-              },
-              encoding: {
-                type: "string",
-                enum: ["utf-8", "base64"],
-                description: "Encoding for the returned content. Defaults to utf-8; use base64 for binary files."
-              },
-              range: {
-                type: "string",
-                enum: ["all", "top", "bottom"],
-                description: "Which part of the file to read. 'all' returns entire file, 'top' returns first N lines, 'bottom' returns last N lines. Defaults to 'all'."
-              },
-              line_count: {
-                type: "integer",
-                description: "Number of lines to read when range is 'top' or 'bottom'. Required when range is not 'all'. Must be positive.",
-                minimum: 1
-              }
-            },
-            required: ["artifact_id"]
-          }
-        },
-        {
-          type: "function",
-          name: "patch_artifact",
-          description: `Edit specific parts of an artifact using pattern matching. This is more efficient than reading the entire file.
-Supports multiple edits in a single call.
-edit_type options:
-- "replace": Replace content between start_pattern and end_pattern
-- "delete": Delete content between start_pattern and end_pattern
-- "insert_before": Insert new_content before start_pattern
-- "insert_after": Insert new_content after start_pattern
-
-Patterns are matched with normalized whitespace (consecutive spaces/newlines treated as single space).
-If start_pattern matches multiple locations, the operation is applied to all matches.`,
-          parameters: {
-            type: "object",
-            properties: {
-              artifact_id: {
-                type: "string",
-                description: "The ID of the artifact to edit"
-              },
-              edits: {
-                type: "array",
-                description: "Array of edit operations to apply",
-                items: {
-                  type: "object",
-                  properties: {
-                    edit_type: {
-                      type: "string",
-                      enum: ["replace", "delete", "insert_before", "insert_after"],
-                      description: "Type of edit operation"
-                    },
-                    start_pattern: {
-                      type: "string",
-                      description: "Pattern to match the start position (whitespace normalized)"
-                    },
-                    end_pattern: {
-                      type: "string",
-                      description: "Pattern to match the end position (required for replace/delete)"
-                    },
-                    new_content: {
-                      type: "string",
-                      description: "New content to insert or replace with (required for replace/insert_*)"
-                    }
-                  },
-                  required: ["edit_type", "start_pattern"]
-                }
-              }
-            },
-            required: ["artifact_id", "edits"]
-          }
-        },
-        {
-          type: "function",
-          name: "search_in_artifact",
-          description: "Search for patterns in an artifact and return matching sections with context lines. Useful for locating specific code or content in large files. Whitespace in patterns is normalized (consecutive spaces/tabs/newlines treated as single space).",
-          parameters: {
-            type: "object",
-            properties: {
-              artifact_id: {
-                type: "string",
-                description: "The ID of the artifact to search"
-              },
-              version: {
-                type: "integer",
-                description: "Specific version to search. Defaults to the latest version."
-              },
-              search_pattern: {
-                type: "string",
-                description: "Pattern to search for. Whitespace is normalized, so 'function\\n\\nfoo' will match 'function foo'."
-              },
-              context_before: {
-                type: "integer",
-                description: "Number of lines to include before each match",
-                default: 2,
-                minimum: 0
-              },
-              context_after: {
-                type: "integer",
-                description: "Number of lines to include after each match",
-                default: 2,
-                minimum: 0
-              },
-              max_matches: {
-                type: "integer",
-                description: "Maximum number of matches to return. Defaults to 10 to avoid overwhelming responses.",
-                default: 10,
-                minimum: 1
-              }
-            },
-            required: ["artifact_id", "search_pattern"]
-          }
-        }
-      ];
+      // 利用可能なツール（組み込み・プラグイン・MCP。スレッドで無効化されたものは除く）
+      const toolset = await toolRegistry.createToolset({ user, thread });
 
-      let allToolCalls = [];
       let maxIterations = 10; // 無限ループ防止
       let iteration = 0;
       let finalResponse;
@@ -867,16 +1397,18 @@ If start_pattern matches multiple locations, the operation is applied to all mat
 
       // ツール実行ループ
       while (iteration < maxIterations) {
+        signal?.throwIfAborted();
         iteration++;
+        partialText = '';
         console.log(`\n🔄 Iteration ${iteration}/${maxIterations}`);
 
         const requestParams = {
           model: selectedModel,
           input: [
-            { role: 'developer', content: developerPrompt },
+            { role: 'developer', content: requestDeveloperPrompt },
             ...conversationHistory
           ],
-          tools: tools,
+          tools: toolset.definitions,
           tool_choice: "auto",
           parallel_tool_calls: true
         };
@@ -890,20 +1422,22 @@ If start_pattern matches multiple locations, the operation is applied to all mat
         }
 
         // JSON Schema対応
-        if (responseFormat && responseFormat.schema) {
-          requestParams.text = {
-            format: {
-              name: responseFormat.name || "custom_response_schema",
-              type: "json_schema",
-              description: responseFormat.description || "Custom response schema",
-              strict: responseFormat.strict !== undefined ? responseFormat.strict : false,
-              schema: responseFormat.schema
-            }
-          };
+        if (activeResponseFormat) {
+          requestParams.text = buildTextFormat(activeResponseFormat);
         }
-        console.log(responseFormat);
-
-        const response = await client.responses.create(requestParams);
+        console.log(activeResponseFormat);
+
+        // モデルのプロバイダー（OpenAI Responses / Chat Completions互換 / Anthropic）で応答を生成
+        // ストリーミング時は差分 (text_delta / reasoning_delta / reasoning_summary) をクライアントへ中継
+        const response = await providers.createResponse(requestParams, {
+          signal,
+          ...(channel.streaming ? {
+            onEvent: ({ type, ...data }) => {
+              if (type === 'text_delta') partialText += data.delta || '';
+              emit(type, { iteration, ...data });
+            }
+          } : {})
+        });
         console.log(requestParams);
         console.log(response);
 
@@ -916,12 +1450,18 @@ If start_pattern matches multiple locations, the operation is applied to all mat
           console.log(`出力トークン: ${response.usage.output_tokens}`);
           console.log(`合計トークン: ${response.usage.total_tokens}`);
           console.log('---------------------\n');
-          await helpers.logTokenUsage(selectedModel, response.usage, req.user.user_id);
+          channel.markSideEffects();
+          const cost = await helpers.logTokenUsage(selectedModel, response.usage, user.user_id, { apiKeyId: user.apiKeyId });
+          iterationUsages.push(response.usage);
+          iterationCosts.push(cost);
+          emit('usage', { iteration, final: false, model: selectedModel, usage: response.usage, cost });
         }
 
         // レスポンス構造の取得
         let toolCallsInThisIteration = [];
         let hasToolCalls = false;
+        let shouldRefreshThread = false;
+        const iterationTranscript = [];
         
         if (response.output && Array.isArray(response.output)) {
           console.log('\n--- レスポンス解析開始 ---');
@@ -932,6 +1472,10 @@ If start_pattern matches multiple locations, the operation is applied to all mat
 
             // OpenAI API の出力を会話履歴に追加
             conversationHistory.push(item)
+            const transcriptItem = helpers.toTranscriptItem(item);
+            if (transcriptItem) {
+              iterationTranscript.push(transcriptItem);
+            }
 
             // Web検索の情報を抽出
             if (item.type === 'web_search_call') {
@@ -962,410 +1506,45 @@ If start_pattern matches multiple locations, the operation is applied to all mat
               } else {
                 toolInput = item.input;
               }
-              
-              // ツール実行結果
-              let toolResult = null;
-              
-              // Artifact作成ツール
-              if (item.name === 'create_artifact') {
-                try {
-                  console.log('  📝 Creating artifact...');
-                  const record = await helpers.createArtifactRecord({
-                    filename: toolInput.filename,
-                    content: toolInput.content,
-                    metadata: { description: toolInput.description || '' },
-                    threadId
-                  });
-                  console.log(`  ✅ Artifact created: ${record.artifactId} (${record.displayFilename})`);
-
-                  toolResult = {
-                    success: true,
-                    artifactId: record.artifactId,
-                    filename: record.displayFilename,
-                    storageFilename: record.filename,
-                    fileContent: toolInput.content,
-                    version: record.version,
-                    message: `Successfully created artifact: ${record.displayFilename}`
-                  };
-                  
-                  allToolCalls.push({
-                    type: 'create_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    result: toolResult
-                  });
-                } catch (error) {
-                  console.error('  ❌ Failed to create artifact:', error);
-                  toolResult = {
-                    success: false,
-                    error: error.message
-                  };
-                  
-                  allToolCalls.push({
-                    type: 'create_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    error: error.message
-                  });
-                }
-              }
-              
-              // Artifact編集ツール
-              if (item.name === 'replace_artifact') {
-                try {
-                  console.log('  ✏️ Editing artifact...');
-                  const record = await helpers.appendArtifactVersion({
-                    artifactId: toolInput.artifact_id,
-                    content: toolInput.content,
-                    metadata: { description: toolInput.description || '' }
-                  });
-
-                  console.log(`  ✅ Artifact edited: ${record.artifactId} (v${record.version})`);
-                  
-                  toolResult = {
-                    success: true,
-                    artifactId: record.artifactId,
-                    filename: record.displayFilename,
-                    storageFilename: record.filename,
-                    version: record.version,
-                    fileContent: toolInput.content,
-                    message: `Successfully updated artifact to version ${record.version}`
-                  };
-
-                  allToolCalls.push({
-                    type: 'replace_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    result: toolResult
-                  });
-                } catch (error) {
-                  console.error('  ❌ Failed to edit artifact:', error);
-                  toolResult = {
-                    success: false,
-                    error: error.message
-                  };
-                  
-                  allToolCalls.push({
-                    type: 'replace_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    error: error.message
-                  });
-                }
-              }
-              
-              // Artifact読み取りツール
-              if (item.name === 'read_artifact') {
-                try {
-                  console.log('  📖 Reading artifact...');
-                  const artifactId = toolInput.artifact_id;
-                  const requestedVersion = typeof toolInput.version === 'number' ? toolInput.version : null;
-                  const encoding = toolInput.encoding === 'base64' ? 'base64' : 'utf-8';
-                  const range = toolInput.range || 'all';
-                  const lineCount = toolInput.line_count;
-
-                  // バリデーション
-                  if ((range === 'top' || range === 'bottom') && !lineCount) {
-                    throw new Error('line_count is required when range is "top" or "bottom"');
-                  }
-                  
-                  if (lineCount && lineCount < 1) {
-                    throw new Error('line_count must be a positive integer');
-                  }
-
-                  const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
-                  const metadataPath = path.join(artifactDir, 'metadata.json');
-                  const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-                  const artifactMetadata = JSON.parse(metadataContent);
-
-                  const versionData = requestedVersion
-                    ? artifactMetadata.versions.find(v => v.version === requestedVersion)
-                    : artifactMetadata.versions.at(-1);
-
-                  if (!versionData) {
-                    throw new Error(
-                      requestedVersion
-                        ? `Artifact version ${requestedVersion} not found`
-                        : 'No versions found for artifact'
-                    );
-                  }
-
-                  const filePath = path.join(artifactDir, versionData.filename);
-                  const fileBuffer = await fs.readFile(filePath);
-                  
-                  let fileContent;
-                  let totalLines = null;
-                  let returnedLines = null;
-                  let isTruncated = false;
-                  
-                  if (encoding === 'base64') {
-                    // バイナリファイルの場合はrangeオプションは適用されない
-                    fileContent = fileBuffer.toString('base64');
-                    if (range !== 'all') {
-                      console.warn('range option is ignored for base64 encoding');
-                    }
-                  } else {
-                    const fullContent = fileBuffer.toString('utf-8');
-                    const lines = fullContent.split('\n');
-                    totalLines = lines.length;
-                    
-                    if (range === 'all') {
-                      fileContent = fullContent;
-                      returnedLines = totalLines;
-                    } else if (range === 'top') {
-                      const selectedLines = lines.slice(0, lineCount);
-                      fileContent = selectedLines.join('\n');
-                      returnedLines = selectedLines.length;
-                      isTruncated = totalLines > lineCount;
-                    } else if (range === 'bottom') {
-                      const startIndex = Math.max(0, totalLines - lineCount);
-                      const selectedLines = lines.slice(startIndex);
-                      fileContent = selectedLines.join('\n');
-                      returnedLines = selectedLines.length;
-                      isTruncated = totalLines > lineCount;
-                    }
-                  }
-
-                  toolResult = {
-                    success: true,
-                    artifactId,
-                    filename: artifactMetadata.filename,
-                    version: versionData.version,
-                    encoding,
-                    content: fileContent,
-                    range,
-                    totalLines,
-                    returnedLines,
-                    isTruncated,
-                    metadata: versionData.metadata ?? {},
-                    message: `Successfully read artifact ${artifactMetadata.filename} (v${versionData.version})${
-                      range !== 'all' ? ` - ${range} ${returnedLines} of ${totalLines} lines` : ''
-                    }`,
-                  };
-
-                  allToolCalls.push({
-                    type: 'read_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    result: toolResult
-                  });
-
-                  console.log(`  ✅ Artifact read: ${artifactId} (v${versionData.version})`);
-                } catch (error) {
-                  console.error('  ❌ Failed to read artifact:', error);
-                  toolResult = {
-                    success: false,
-                    error: error.message
-                  };
-
-                  allToolCalls.push({
-                    type: 'read_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    error: error.message
-                  });
-                }
-              }
-
-              // patch_artifactツール
-              if (item.name === 'patch_artifact') {
-                try {
-                  console.log('  🔧 Patching artifact...');
-                  const artifactId = toolInput.artifact_id;
-                  const edits = toolInput.edits;
-                  
-                  // 現在のアーティファクトを読み込む
-                  const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
-                  const metadataPath = path.join(artifactDir, 'metadata.json');
-                  const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-                  const artifactMetadata = JSON.parse(metadataContent);
-                  
-                  const latestVersion = artifactMetadata.versions.at(-1);
-                  if (!latestVersion) {
-                    throw new Error('No versions found for artifact');
-                  }
-                  
-                  const filePath = path.join(artifactDir, latestVersion.filename);
-                  const originalContent = await fs.readFile(filePath, 'utf-8');
-                  
-                  // パッチを適用
-                  const patchedContent = helpers.applyPatches(originalContent, edits);
-                  
-                  // 新しいバージョンとして保存
-                  const record = await helpers.appendArtifactVersion({
-                    artifactId,
-                    content: patchedContent,
-                    metadata: { 
-                      description: `Patched with ${edits.length} edit(s)`,
-                      patchSummary: edits.map(e => e.edit_type).join(', ')
-                    }
-                  });
-                  
-                  console.log(`  ✅ Artifact patched: ${record.artifactId} (v${record.version})`);
-                  
-                  toolResult = {
-                    success: true,
-                    artifactId: record.artifactId,
-                    filename: record.displayFilename,
-                    version: record.version,
-                    editsApplied: edits.length,
-                    stats: {
-                      originalLines: originalContent.split('\n').length,
-                      newLines: patchedContent.split('\n').length,
-                      linesDiff: patchedContent.split('\n').length - originalContent.split('\n').length
-                    },
-                    message: `Successfully patched artifact with ${edits.length} edit(s). New version: ${record.version}`
-                  };
-                  
-                  allToolCalls.push({
-                    type: 'patch_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    result: toolResult
-                  });
-                } catch (error) {
-                  console.error('  ❌ Failed to patch artifact:', error);
-                  toolResult = {
-                    success: false,
-                    error: error.message
-                  };
-                  
-                  allToolCalls.push({
-                    type: 'patch_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    error: error.message
-                  });
-                }
-              }
 
-              if (item.name === 'search_in_artifact') {
-                try{    
-                  console.log('  🔍 Searching in artifact...');
-                  const artifactId = toolInput.artifact_id;
-                  const requestedVersion = typeof toolInput.version === 'number' ? toolInput.version : null;
-                  const searchPattern = toolInput.search_pattern;
-                  const contextBefore = toolInput.context_before ?? 2;
-                  const contextAfter = toolInput.context_after ?? 2;
-                  const maxMatches = toolInput.max_matches ?? 10;
-
-                  if (!searchPattern || searchPattern.trim().length === 0) {
-                    throw new Error('search_pattern must be a non-empty string');
-                  }
-
-                  const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
-                  const metadataPath = path.join(artifactDir, 'metadata.json');
-                  const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-                  const artifactMetadata = JSON.parse(metadataContent);
-
-                  const versionData = requestedVersion
-                    ? artifactMetadata.versions.find(v => v.version === requestedVersion)
-                    : artifactMetadata.versions.at(-1);
-
-                  if (!versionData) {
-                    throw new Error(
-                      requestedVersion
-                        ? `Artifact version ${requestedVersion} not found`
-                        : 'No versions found for artifact'
-                    );
-                  }
-
-                  const filePath = path.join(artifactDir, versionData.filename);
-                  const content = await fs.readFile(filePath, 'utf-8');
-                  
-                  // findAllMatchesを再利用（既存のpatch_artifact用関数）
-                  const matches = helpers.findAllMatches(content, searchPattern);
-                  
-                  // 行単位の情報を構築
-                  const lines = content.split('\n');
-                  const results = [];
-                  
-                  for (let i = 0; i < Math.min(matches.length, maxMatches); i++) {
-                    const match = matches[i];
-                    
-                    // マッチ位置を行番号に変換
-                    const beforeMatch = content.slice(0, match.startOffset);
-                    const matchStartLine = beforeMatch.split('\n').length - 1; // 0-indexed
-                    const matchText = content.slice(match.startOffset, match.endOffset);
-                    const matchLineCount = matchText.split('\n').length;
-                    const matchEndLine = matchStartLine + matchLineCount - 1; // 0-indexed
-                    
-                    // コンテキスト行を含めた範囲を計算
-                    const startLine = Math.max(0, matchStartLine - contextBefore);
-                    const endLine = Math.min(lines.length - 1, matchEndLine + contextAfter);
-                    
-                    const contextLines = lines.slice(startLine, endLine + 1);
-                    
-                    results.push({
-                      matchIndex: i + 1,
-                      lineRange: {
-                        start: startLine + 1, // 1-based line numbers for display
-                        end: endLine + 1,
-                        matchStart: matchStartLine + 1,
-                        matchEnd: matchEndLine + 1
-                      },
-                      content: contextLines.join('\n'),
-                      matchedText: match.text,
-                      // マッチ位置を示すマーカー（オプション）
-                      contextInfo: `Lines ${startLine + 1}-${endLine + 1} (match at ${matchStartLine + 1}-${matchEndLine + 1})`
-                    });
-                  }
-                  
-                  console.log(`  ✅ Searched in artifact: ${searchPattern} are found in ${artifactId} (v${versionData.version}) x${results.length}`);
-
-                  toolResult = {
-                    success: true,
-                    artifactId,
-                    filename: artifactMetadata.filename,
-                    version: versionData.version,
-                    searchPattern,
-                    totalMatches: matches.length,
-                    returnedMatches: results.length,
-                    hasMoreMatches: matches.length > maxMatches,
-                    matches: results,
-                    message: `Found ${matches.length} match(es) for pattern in ${artifactMetadata.filename}${
-                      matches.length > maxMatches ? ` (showing first ${maxMatches})` : ''
-                    }`
-                  };
-                  
-                  allToolCalls.push({
-                    type: 'search_in_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    result: toolResult
-                  });
-                } catch (error) {
-                  console.error('  ❌ Failed to search in artifact:', error);
-                  toolResult = {
-                    success: false,
-                    error: error.message
-                  };
-                  
-                  allToolCalls.push({
-                    type: 'search_in_artifact',
-                    name: item.name,
-                    input: toolInput,
-                    error: error.message
-                  });
-                }
+              const callId = item.call_id || item.id;
+              emit('tool_start', { iteration, callId, name: item.name, input: toolInput });
+              
+              // ツール実行
+              channel.markSideEffects();
+              const { result: toolResult, record, refreshThread } = await toolset.execute(item.name, toolInput, { callId });
+              allToolCalls.push(record);
+              if (refreshThread) {
+                shouldRefreshThread = true;
               }
+              toolCredits += toolResult?.credits || 0;
+
+              emit('tool_end', {
+                iteration,
+                callId,
+                name: item.name,
+                success: toolResult?.success === true,
+                artifactId: toolResult?.artifactId,
+                filename: toolResult?.filename,
+                version: toolResult?.version,
+                message: toolResult?.message,
+                error: toolResult?.error
+              });
 
               // ツール結果を会話履歴に追加
-              if (toolResult) {
-                toolCallsInThisIteration.push({
-                  call_id: item.call_id || item.id,
-                  name: item.name,
-                  result: toolResult
-                });
-              }
+              toolCallsInThisIteration.push({
+                call_id: callId,
+                name: item.name,
+                result: toolResult
+              });
             }
           }
           
           console.log('\n--- レスポンス解析完了 ---');
         }
 
-        // create/edit artifactツール呼び出しがあった場合、スレッドの派生状態を更新
-        if (toolCallsInThisIteration.some(call => ['create_artifact', 'replace_artifact'].includes(call.name))) {
+        // アーティファクトを作成・置換するツールの呼び出しがあった場合、スレッドの派生状態を更新
+        if (shouldRefreshThread) {
           await helpers.refreshThreadDerivedState(thread, { persist: true });
         }
 
@@ -1375,187 +1554,653 @@ If start_pattern matches multiple locations, the operation is applied to all mat
 
           // ツール結果を追加
           for (const toolCall of toolCallsInThisIteration) {
-            conversationHistory.push({
+            const outputItem = {
               type: "function_call_output",
               call_id: toolCall.call_id,
               output: JSON.stringify(toolCall.result)
-            });
+            };
+            conversationHistory.push(outputItem);
+            iterationTranscript.push(helpers.toTranscriptItem(outputItem));
           }
+          transcript.push(...iterationTranscript);
           
           // 次のイテレーションへ
           continue;
         }
         
         // ツール呼び出しがない場合、最終レスポンスを取得
+        // 最終テキストは content に保存するため、transcript には含めない
         finalResponse = response;
+        transcript.push(...iterationTranscript.filter(item => item.role !== 'assistant'));
+
+        // 処理時間の計測終了
+        console.log(`⏱️  Elapsed time: ${(Date.now() - startTime) / 1000}s`);
+        break;
+      }
+
+      // 最終レスポンスからテキストを抽出
+      responseText = structuredOutput.extractResponseText(finalResponse);
+
+      // Response Formatのスキーマで検証し、適合しない場合はエラーを伝えて修正させる
+      let structured;
+      if (activeResponseFormat && finalResponse) {
+        let check = structuredOutput.checkResponse(activeResponseFormat, responseText);
+        let repairAttempts = 0;
+        while (!check.valid && repairAttempts < configs.STRUCTURED_OUTPUT_REPAIR_ATTEMPTS) {
+          signal?.throwIfAborted();
+          repairAttempts++;
+          console.log(`🩹 Response does not match the schema. Repair attempt ${repairAttempts}:`, check.errors);
+          emit('repair', { attempt: repairAttempts, errors: check.errors });
+
+          conversationHistory.push({ role: 'user', content: structuredOutput.buildRepairMessage(check.errors) });
+          const repairParams = {
+            model: selectedModel,
+            input: [
+              { role: 'developer', content: requestDeveloperPrompt },
+              ...conversationHistory
+            ],
+            // 履歴中のツール呼び出しのために定義は残し、呼び出しはさせない
+            tools: toolset.definitions,
+            tool_choice: "none",
+            text: buildTextFormat(activeResponseFormat)
+          };
+          if (helpers.isReasoningModel(selectedModel)) {
+            repairParams.reasoning = { effort: reasoningEffort || "medium", summary: "auto" };
+          }
+
+          const repairResponse = await providers.createResponse(repairParams, { signal });
+          if (repairResponse.usage) {
+            channel.markSideEffects();
+            const cost = await helpers.logTokenUsage(selectedModel, repairResponse.usage, user.user_id, { apiKeyId: user.apiKeyId });
+            iterationUsages.push(repairResponse.usage);
+            iterationCosts.push(cost);
+            emit('usage', { iteration: iteration + repairAttempts, final: false, model: selectedModel, usage: repairResponse.usage, cost });
+          }
+          conversationHistory.push(...(repairResponse.output || []));
+
+          const repairedText = structuredOutput.extractResponseText(repairResponse);
+          if (repairedText.trim()) {
+            responseText = repairedText;
+            finalResponse = repairResponse;
+          }
+          check = structuredOutput.checkResponse(activeResponseFormat, responseText);
+        }
+
+        structured = {
+          valid: check.valid,
+          ...(check.data !== undefined ? { data: check.data } : {}),
+          ...(check.valid ? {} : { errors: check.errors }),
+          repairAttempts,
+          responseFormatName: activeResponseFormat.name
+        };
+      }
+
+      // レスポンステキストの最終確認
+      if (!responseText || responseText.trim().length === 0) {
+        if (allToolCalls.length > 0) {
+          console.log('ℹ️ Info: No text response after tool execution');
+          const toolNames = allToolCalls.map(tc => tc.name || tc.type).join(', ');
+          responseText = `[Executed: ${toolNames}]`;
+        } else {
+          console.warn('⚠️ Warning: No response text found in output');
+          responseText = 'No response text found';
+        }
+      }
+
+      // システムプロンプトをバージョン管理システムに登録
+      const systemPromptHash = await helpers.registerSystemPrompt(developerPrompt, user.user_id);
+
+      // Response Formatをバージョン管理システムに登録
+      if (responseFormat) {
+        const responseFormatHash = await helpers.registerResponseFormat(responseFormat, user.user_id);
+        thread.responseFormatHash = responseFormatHash;
+      }
+
+      // Reasoning Effortを保存
+      if (reasoningEffort) {
+        thread.reasoningEffort = reasoningEffort;
+      }
+
+      // 推論サマリー（UIの折りたたみ表示用）
+      const reasoningSummaries = helpers.extractReasoningSummaries(transcript);
+
+      // アシスタントの応答を追加
+      assistantMessage = {
+        id: assistantMessageId ?? helpers.generateId(),
+        role: 'assistant',
+        content: responseText || 'No response',
+        model: selectedModel,
+        timestamp: new Date().toISOString(),
+        toolCalls: allToolCalls.length > 0 ? allToolCalls : undefined,
+        reasoning: reasoningSummaries.length > 0 ? reasoningSummaries : undefined,
+        transcript: transcript.length > 0 ? transcript : undefined,
+        structured,  // Response Formatの検証結果と解析した JSON
+        usage: buildUsage(systemPromptHash, finalResponse?.usage || {})
+      };
+      
+      console.log('📨 Final assistant message:', {
+        contentLength: assistantMessage.content.length,
+        hasToolCalls: !!assistantMessage.toolCalls,
+        toolCallsCount: assistantMessage.toolCalls?.length || 0,
+        transcriptItems: transcript.length,
+        iterations: iteration
+      });
+    } catch (apiError) {
+      if (signal?.aborted) {
+        // 中止された場合は、それまでに受信したテキスト・ツール呼び出しを保存する
+        // 使用量は API から報告されたイテレーションの分のみ（途中で中断したリクエストの分は課金しない）
+        console.log(`⏹️ Generation cancelled (${iterationUsages.length} reported iteration(s))`);
+        const reasoningSummaries = helpers.extractReasoningSummaries(transcript);
+        assistantMessage = {
+          id: assistantMessageId ?? helpers.generateId(),
+          role: 'assistant',
+          content: responseText || partialText || '（応答の生成を中止しました）',
+          model: selectedModel,
+          timestamp: new Date().toISOString(),
+          cancelled: true,
+          toolCalls: allToolCalls.length > 0 ? allToolCalls : undefined,
+          reasoning: reasoningSummaries.length > 0 ? reasoningSummaries : undefined,
+          transcript: transcript.length > 0 ? transcript : undefined,
+          usage: buildUsage(await helpers.registerSystemPrompt(developerPrompt, user.user_id), {})
+        };
+        emit('cancelled', { messageId: assistantMessage.id });
+      } else if (channel.shouldRetry(apiError, { charged: iterationUsages.length > 0 || allToolCalls.length > 0 })) {
+        // ジョブで再試行する場合はエラーメッセージを保存しない
+        throw new jobQueue.JobError(apiError.message, { retryable: true, status: apiError.status ?? null });
+      } else {
+        console.error(`${selectedModel} API Error:`, apiError);
+        emit('error', { message: apiError.message });
+        // エラーの場合でもエラーメッセージを返す
+        // それまでに受信したテキスト・実行したツール・課金済みの使用量は保存する
+        const reasoningSummaries = helpers.extractReasoningSummaries(transcript);
+        const partialContent = responseText || partialText;
+        assistantMessage = {
+          id: assistantMessageId ?? helpers.generateId(),
+          role: 'assistant',
+          content: `${partialContent ? `${partialContent}\n\n` : ''}エラーが発生しました: ${apiError.message}`,
+          model: selectedModel,
+          timestamp: new Date().toISOString(),
+          error: apiError.message,
+          toolCalls: allToolCalls.length > 0 ? allToolCalls : undefined,
+          reasoning: reasoningSummaries.length > 0 ? reasoningSummaries : undefined,
+          transcript: transcript.length > 0 ? transcript : undefined,
+          ...(iterationUsages.length > 0 || toolCredits > 0
+            ? { usage: buildUsage(await helpers.registerSystemPrompt(developerPrompt, user.user_id), {}) }
+            : {})
+        };
+      }
+    }
+    
+    // 保存したユーザーメッセージ（再生成の場合は親メッセージ）の子として追加
+    const replyParentId = userMessage && saveUserMessage === true ? userMessage.id : (history.at(-1)?.id ?? null);
+    messageTree.appendMessage(thread, assistantMessage, replyParentId);
+    
+    // スレッドを更新
+    thread.updatedAt = new Date().toISOString();
+    await helpers.writeThread(threadId, thread);
+
+    
+    const result = {
+      userMessage,
+      assistantMessage,
+      thread: {
+        id: thread.id,
+        messageCount: thread.messages.length,
+        activeLeafId: thread.activeLeafId,
+        model: selectedModel
+      }
+    };
+
+    if (assistantMessage.usage) {
+      emit('usage', { final: true, model: selectedModel, usage: assistantMessage.usage });
+    }
+    return channel.finish(result);
+  } catch (error) {
+    return channel.fail(error);
+  }
+}
+
+/**
+ * HTTP リクエストに応答を返す channel（Accept: text/event-stream または ?stream=1 の場合は SSE、それ以外は JSON）
+ * @param {string} generationId - 中止に使うID（start イベントで通知する）
+ */
+function createHttpReplyChannel(req, res, generationId) {
+  const streaming = helpers.wantsEventStream(req);
+  return {
+    streaming,
+    reject: (status, body) => res.status(status).json(body),
+    start: (data) => {
+      // バリデーション完了後にSSEを開始（それまでのエラーは通常のJSONで返す）
+      if (streaming) {
+        helpers.initEventStream(res);
+        helpers.writeEventStream(res, 'start', { ...data, generationId });
+      }
+    },
+    emit: (event, data) => {
+      if (streaming) helpers.writeEventStream(res, event, data);
+    },
+    shouldRetry: () => false,
+    markSideEffects: () => {},
+    finish: (result) => {
+      if (streaming) {
+        helpers.writeEventStream(res, 'done', result);
+        return res.end();
+      }
+      res.json(result);
+    },
+    fail: (error) => {
+      console.error('Error in message endpoint:', error);
+      // SSE開始後はステータスコードを変更できないため、errorイベントで通知
+      if (res.headersSent) {
+        helpers.writeEventStream(res, 'error', { message: error.message });
+        return res.end();
+      }
+      res.status(500).json({
+        error: error.message,
+        details: error.stack
+      });
+    }
+  };
+}
+
+/**
+ * バックグラウンドジョブで応答を生成する channel
+ * イベントは購読者（GET /api/jobs/:jobId/events）に中継し、段階とツールの実行状況を job.progress に保存する
+ * 結果は job.result になる。エラーで終了した場合は、途中までの応答を保存した上でジョブを失敗にする（job.error.data に結果）
+ * 再試行するのはプロバイダーの一時的なエラーで、まだツールの実行・課金がない場合のみ
+ * （再試行は応答の生成を最初からやり直すため、アーティファクトの作成や課金が重複する）
+ * @param {object} job
+ * @param {object} context - jobQueue のハンドラーに渡される { report, setProgress, markSideEffects }
+ */
+function createJobReplyChannel(job, { report, setProgress, markSideEffects }) {
+  const progress = { stage: 'running', tools: [], repairAttempts: 0 };
+  return {
+    streaming: true,
+    reject: (status, body) => {
+      throw new jobQueue.JobError(body.message || body.error, { status, data: body });
+    },
+    start: (data) => {
+      report('start', { ...data, jobId: job.id });
+      setProgress({ ...progress });
+    },
+    emit: (event, data) => {
+      report(event, data);
+      if (event === 'tool_start') {
+        progress.tools.push({ callId: data.callId, name: data.name, status: 'running' });
+      } else if (event === 'tool_end') {
+        const tool = progress.tools.find(entry => entry.callId === data.callId);
+        if (tool) {
+          tool.status = data.success ? 'succeeded' : 'failed';
+          tool.message = data.message || data.error;
+        }
+      } else if (event === 'repair') {
+        progress.stage = 'repairing';
+        progress.repairAttempts = data.attempt;
+      } else {
+        return;
+      }
+      setProgress({ ...progress, tools: [...progress.tools] });
+    },
+    shouldRetry: (error, { charged }) => (
+      job.attempts < job.maxAttempts && !charged && providers.isTransientError(error)
+    ),
+    // 課金・ツールの実行の前に記録する（再起動時はこの記録があるジョブを再実行せずに失敗にする）
+    markSideEffects,
+    finish: (result) => {
+      if (result.assistantMessage.error) {
+        throw new jobQueue.JobError(result.assistantMessage.error, { data: result });
+      }
+      return result;
+    },
+    fail: (error) => {
+      // shouldRetry で判定したもの以外（プログラムの誤りなど）は再試行しない
+      if (error instanceof jobQueue.JobError) throw error;
+      throw new jobQueue.JobError(error.message, { status: error.status ?? null });
+    }
+  };
+}
+
+// 実行中の応答生成（HTTP リクエストのもの。ジョブは jobQueue でキャンセルする）
+// generationId → { id, threadId, userId, controller }
+const activeGenerations = new Map();
+
+/**
+ * HTTP リクエストに対して応答を生成（runReply を参照）
+ * 生成中は POST /api/threads/:threadId/cancel で中止できる
+ * body.async が true の場合はバックグラウンドジョブとして追加し、202 でジョブIDを返す
+ * （結果は GET /api/jobs/:jobId または GET /api/jobs/:jobId/events で受け取る）
+ */
+async function generateReply(req, res, params) {
+  if (req.body.async === true) {
+    return enqueueReply(req, res, params);
+  }
+
+  const generation = { id: helpers.generateId(), threadId: params.thread.id, userId: req.user.user_id, controller: new AbortController() };
+  activeGenerations.set(generation.id, generation);
+  try {
+    return await runReply({
+      user: req.user,
+      body: req.body,
+      signal: generation.controller.signal,
+      channel: createHttpReplyChannel(req, res, generation.id)
+    }, params);
+  } finally {
+    activeGenerations.delete(generation.id);
+  }
+}
+
+// 応答生成のジョブを追加（ジョブの実行時にスレッドを読み直すため、履歴は親メッセージのIDで保存する）
+function enqueueReply(req, res, { thread, history, userMessage, saveUserMessage = true }) {
+  const { model, responseFormat, reasoningEffort } = req.body;
+
+  // 入力の誤りはジョブを作らずにその場で返す
+  try {
+    structuredOutput.normalizeResponseFormat(responseFormat);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const modelValidation = helpers.validateModel(model || thread.model || configs.DEFAULT_MODEL);
+  if (!modelValidation.valid) {
+    return res.status(400).json({ error: modelValidation.error });
+  }
+
+  const job = jobQueue.enqueue({
+    type: 'reply',
+    userId: req.user.user_id,
+    threadId: thread.id,
+    payload: {
+      body: { model, responseFormat, reasoningEffort },
+      parentId: history.at(-1)?.id ?? null,
+      userMessage,
+      saveUserMessage,
+      // 再試行・再起動をまたいで同じ応答を重複して保存しないよう、IDを先に決めておく
+      assistantMessageId: helpers.generateId(),
+      // API キーで送信した場合は、使用量をそのキーに記録する
+      apiKeyId: req.user.apiKeyId ?? null
+    }
+  });
+  res.status(202).json({ jobId: job.id, status: job.status, userMessage });
+}
+
+// 応答生成ジョブの処理
+jobQueue.registerHandler('reply', async (job, { signal, report, setProgress, markSideEffects }) => {
+  const { body, parentId, userMessage, saveUserMessage, assistantMessageId, apiKeyId = null } = job.payload;
+
+  // ジョブの作成後に停止・BAN されたユーザーや、アクセスできなくなったスレッドでは実行しない
+  let user;
+  try {
+    user = await auth.getUser(job.userId);
+  } catch (error) {
+    throw new jobQueue.JobError(error.message, { status: 403 });
+  }
+  if (!user) {
+    throw new jobQueue.JobError('User not found', { status: 401 });
+  }
+  user.apiKeyId = apiKeyId;
+  const thread = await helpers.readThread(job.threadId);
+  if (!thread || !access.canAccessThread(user, thread)) {
+    throw new jobQueue.JobError('Thread not found', { status: 404 });
+  }
+
+  // 前回の試行で応答まで保存済みの場合（保存直後にサーバーが停止した場合など）はそれを結果とする
+  const savedMessage = thread.messages.find(message => message.id === assistantMessageId);
+  if (savedMessage) {
+    return {
+      userMessage,
+      assistantMessage: savedMessage,
+      thread: { id: thread.id, messageCount: thread.messages.length, activeLeafId: thread.activeLeafId, model: savedMessage.model }
+    };
+  }
+  if (parentId !== null && !thread.messages.some(message => message.id === parentId)) {
+    throw new jobQueue.JobError('Parent message not found', { status: 400 });
+  }
+
+  return runReply({ user, body, signal, channel: createJobReplyChannel(job, { report, setProgress, markSideEffects }) }, {
+    thread,
+    history: messageTree.getPath(thread.messages, parentId),
+    userMessage,
+    saveUserMessage,
+    assistantMessageId
+  });
+});
+
+// メッセージ送信と応答生成
+// content は文字列、または text / image / file パーツの配列（utils/content-parts.js）
+// parentId を指定した場合はそのメッセージの続きとして分岐を作成（null でルート、省略時は現在の分岐の末端）
+app.post('/api/threads/:threadId/messages', requireAuth, requireThreadAccess(), checkCredit, async (req, res) => {
+  try {
+    const { metadata, parentId } = req.body;
+    const saveUserMessage = req.body.saveUserMessage || true;
+    const thread = req.thread;
+
+    if (parentId != null && !thread.messages.some(m => m.id === parentId)) {
+      return res.status(400).json({ error: 'Parent message not found' });
+    }
+    const resolvedParentId = parentId === undefined ? messageTree.getActiveLeafId(thread) : parentId;
+
+    let content;
+    try {
+      content = await contentParts.normalizeMessageContent(req.body.content, req.user);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    await contentParts.attachContentArtifacts(content, thread.id, req.user.user_id);
+
+    const userMessage = {
+      id: helpers.generateId(),
+      role: 'user',
+      content,
+      timestamp: new Date().toISOString()
+    };
+    if (metadata) {
+      userMessage.metadata = metadata;
+    }
+
+    await generateReply(req, res, {
+      thread,
+      history: messageTree.getPath(thread.messages, resolvedParentId),
+      userMessage,
+      saveUserMessage
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ユーザーメッセージを編集して応答を再生成
+// 元のメッセージは上書きせず、同じ親を持つ兄弟メッセージとして新しい分岐を作成する
+app.post('/api/threads/:threadId/messages/:messageId/edit', requireAuth, requireThreadAccess(), checkCredit, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const thread = req.thread;
+
+    let content;
+    try {
+      content = await contentParts.normalizeMessageContent(req.body.content, req.user);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (typeof content === 'string' && !content.trim()) {
+      return res.status(400).json({ error: 'Message content is required' });
+    }
 
-        // 処理時間の計測終了
-        console.log(`⏱️  Elapsed time: ${(Date.now() - startTime) / 1000}s`);
-        break;
-      }
+    const original = thread.messages.find(m => m.id === messageId);
+    if (!original) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (original.role !== 'user') {
+      return res.status(400).json({ error: 'Only user messages can be edited' });
+    }
+    await contentParts.attachContentArtifacts(content, thread.id, req.user.user_id);
 
-      // 最終レスポンスからテキストを抽出
-      let responseText = finalResponse?.output_text || '';
-      
-      if (!responseText || responseText.trim().length === 0) {
-        // output配列からメッセージを探す
-        if (finalResponse?.output && Array.isArray(finalResponse.output)) {
-          for (const item of finalResponse.output) {
-            if (item.type === 'message' && item.content) {
-              for (const content of item.content) {
-                if (content.type === 'text' && content.text) {
-                  responseText += content.text;
-                }
-              }
-            }
-          }
-        }
-      }
+    const userMessage = {
+      id: helpers.generateId(),
+      role: 'user',
+      content,
+      timestamp: new Date().toISOString(),
+      editedFrom: original.id
+    };
+    if (original.metadata) {
+      userMessage.metadata = original.metadata;
+    }
 
-      // レスポンステキストの最終確認
-      if (!responseText || responseText.trim().length === 0) {
-        if (allToolCalls.length > 0) {
-          console.log('ℹ️ Info: No text response after tool execution');
-          const toolNames = allToolCalls.map(tc => tc.name || tc.type).join(', ');
-          responseText = `[Executed: ${toolNames}]`;
-        } else {
-          console.warn('⚠️ Warning: No response text found in output');
-          responseText = 'No response text found';
-        }
-      }
+    const parentId = messageTree.resolveParentIds(thread.messages).get(original.id);
+    await generateReply(req, res, {
+      thread,
+      history: messageTree.getPath(thread.messages, parentId),
+      userMessage
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // システムプロンプトをバージョン管理システムに登録
-      const systemPromptHash = await helpers.registerSystemPrompt(developerPrompt);
+// アシスタントの応答を再生成（messageId 省略時は現在の分岐の最後のアシスタントメッセージ）
+// 元の応答は上書きせず、同じ親を持つ兄弟メッセージとして新しい分岐を作成する
+app.post(['/api/threads/:threadId/regenerate', '/api/threads/:threadId/messages/:messageId/regenerate'], requireAuth, requireThreadAccess(), checkCredit, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const thread = req.thread;
+
+    const target = messageId
+      ? thread.messages.find(m => m.id === messageId)
+      : messageTree.getActivePath(thread).findLast(m => m.role === 'assistant');
+    if (!target) {
+      return res.status(404).json({ error: messageId ? 'Message not found' : 'No assistant message to regenerate' });
+    }
+    if (target.role !== 'assistant') {
+      return res.status(400).json({ error: 'Only assistant messages can be regenerated' });
+    }
 
-      // Response Formatをバージョン管理システムに登録
-      if (responseFormat) {
-        const responseFormatHash = await helpers.registerResponseFormat(responseFormat);
-        thread.responseFormatHash = responseFormatHash;
-      }
+    const parentId = messageTree.resolveParentIds(thread.messages).get(target.id);
+    await generateReply(req, res, {
+      thread,
+      history: messageTree.getPath(thread.messages, parentId),
+      userMessage: null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Reasoning Effortを保存
-      if (reasoningEffort) {
-        thread.reasoningEffort = reasoningEffort;
+// 応答の生成を中止（生成済みの部分と、API から報告された分の使用量は保存される）
+// generationId（SSE の start イベント）または jobId を指定した場合はその生成のみ、省略時はスレッドで生成中・待機中のすべて
+// 中止できるのは生成をリクエストしたユーザー、スレッドの作成者と Admin
+app.post('/api/threads/:threadId/cancel', requireAuth, requireThreadAccess(), async (req, res) => {
+  try {
+    const { generationId, jobId } = req.body || {};
+    const cancelAll = !generationId && !jobId;
+    const canCancel = (userId) => userId === req.user.user_id || access.canManageThread(req.user, req.thread);
+
+    const cancelled = { generations: [], jobs: [] };
+    for (const generation of activeGenerations.values()) {
+      if (generation.threadId !== req.thread.id || !canCancel(generation.userId)) continue;
+      if (cancelAll || generation.id === generationId) {
+        generation.controller.abort();
+        cancelled.generations.push(generation.id);
+      }
+    }
+    const jobs = jobQueue.listJobs({ threadId: req.thread.id, statuses: ['queued', 'running'], limit: 200 });
+    for (const job of jobs) {
+      if (!canCancel(job.userId)) continue;
+      if (cancelAll || job.id === jobId) {
+        jobQueue.cancelJob(job.id);
+        cancelled.jobs.push(job.id);
       }
+    }
 
-      // Usage情報の拡張
-      const rawUsage = finalResponse?.usage || {};
-      const inputTokens = rawUsage.input_tokens || 0;
-      const outputTokens = rawUsage.output_tokens || 0;
-      const totalTokens = rawUsage.total_tokens || (inputTokens + outputTokens);
-      const isHighCostModel = configs.AVAILABLE_MODELS_HIGH_COST.includes(selectedModel);
-      const tokenCostRate = isHighCostModel ? configs.TOKEN_COST_HIGH : configs.TOKEN_COST_LOW;
-      const creditsUsed = totalTokens * tokenCostRate;
+    if (!cancelAll && cancelled.generations.length === 0 && cancelled.jobs.length === 0) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    res.json({ cancelled });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // アシスタントの応答を追加
-      assistantMessage = {
-        id: helpers.generateId(),
-        role: 'assistant',
-        content: responseText || 'No response',
-        model: selectedModel,
-        timestamp: new Date().toISOString(),
-        toolCalls: allToolCalls.length > 0 ? allToolCalls : undefined,
-        usage: {
-          inputTokens,
-          outputTokens,
-          totalTokens,
-          creditsUsed,
-          isHighCost: isHighCostModel,
-          tokenCostRate,
-          systemPromptHash,
-          raw: rawUsage  // 元のusage情報も保持
-        }
-      };
-      
-      console.log('📨 Final assistant message:', {
-        contentLength: assistantMessage.content.length,
-        hasToolCalls: !!assistantMessage.toolCalls,
-        toolCallsCount: assistantMessage.toolCalls?.length || 0,
-        iterations: iteration
+// メッセージ履歴取得（現在の分岐の会話。?all=true で全分岐のメッセージ）
+app.get('/api/threads/:threadId/messages', requireAuth, requireThreadAccess(), async (req, res) => {
+  try {
+    const thread = req.thread;
+    const activeLeafId = messageTree.getActiveLeafId(thread);
+
+    if (req.query.all === 'true') {
+      return res.json({
+        messages: messageTree.withParentIds(thread.messages, thread.messages),
+        activeLeafId
       });
-    } catch (apiError) {
-      console.error(`${selectedModel} API Error:`, apiError);
-      // エラーの場合でもエラーメッセージを返す
-      assistantMessage = {
-        id: helpers.generateId(),
-        role: 'assistant',
-        content: `エラーが発生しました: ${apiError.message}`,
-        model: selectedModel,
-        timestamp: new Date().toISOString()
-      };
-    }
-    
-    thread.messages.push(assistantMessage);
-    
-    // スレッドを更新
-    thread.updatedAt = new Date().toISOString();
-    await helpers.writeThread(threadId, thread);
-    
-    // スレッド一覧の更新時刻も更新
-    const threads = await helpers.readThreads();
-    const threadIndex = threads.threads.findIndex(t => t.id === threadId);
-    if (threadIndex !== -1) {
-      threads.threads[threadIndex].updatedAt = thread.updatedAt;
-      await helpers.writeThreads(threads);
     }
-    
+
+    const path = messageTree.getActivePath(thread);
     res.json({
-      userMessage,
-      assistantMessage,
-      thread: {
-        id: thread.id,
-        messageCount: thread.messages.length,
-        model: selectedModel
-      }
+      messages: messageTree.withParentIds(path, thread.messages),
+      activeLeafId,
+      branches: messageTree.getBranchInfo(thread.messages, path)
     });
   } catch (error) {
-    console.error('Error in message endpoint:', error);
-    res.status(500).json({ 
-      error: error.message,
-      details: error.stack 
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// メッセージ履歴取得
-app.get('/api/threads/:threadId/messages', requireAuth, async (req, res) => {
+// 表示・送信する分岐を切り替え（指定のメッセージを含み、それ以降は最も新しい分岐をたどる）
+app.put('/api/threads/:threadId/active-branch', requireAuth, requireThreadAccess(), async (req, res) => {
   try {
     const { threadId } = req.params;
-    const thread = await helpers.readThread(threadId);
-    
-    if (!thread) {
-      return res.status(404).json({ error: 'Thread not found' });
+    const { messageId } = req.body;
+    const thread = req.thread;
+
+    if (typeof messageId !== 'string' || !messageId) {
+      return res.status(400).json({ error: 'messageId is required' });
     }
-    
-    res.json({ messages: thread.messages });
+    if (!thread.messages.some(m => m.id === messageId)) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    messageTree.selectBranch(thread, messageId);
+    await helpers.writeThread(threadId, thread);
+
+    const path = messageTree.getActivePath(thread);
+    res.json({
+      activeLeafId: thread.activeLeafId,
+      messages: messageTree.withParentIds(path, thread.messages),
+      branches: messageTree.getBranchInfo(thread.messages, path)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // メッセージ追加のみ（応答なし・グループスレッド用）
-app.post('/api/threads/:threadId/messages/append', requireAuth, async (req, res) => {
+app.post('/api/threads/:threadId/messages/append', requireAuth, requireThreadAccess(), async (req, res) => {
   try {
     const { threadId } = req.params;
-    const { role, content, metadata } = req.body;
+    const { role, metadata } = req.body;
 
-    if (!content || !content.trim()) {
+    let content;
+    try {
+      content = await contentParts.normalizeMessageContent(req.body.content, req.user);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (typeof content === 'string' && !content.trim()) {
       return res.status(400).json({ error: 'Message content is required' });
     }
 
     if (!role || !['user', 'assistant'].includes(role)) {
       return res.status(400).json({ error: 'Valid role (user or assistant) is required' });
     }
-
-    const thread = await helpers.readThread(threadId);
-    if (!thread) {
-      return res.status(404).json({ error: 'Thread not found' });
+    // 画像・ファイルを含められるのはユーザーメッセージのみ
+    if (role === 'assistant' && Array.isArray(content)) {
+      return res.status(400).json({ error: 'Assistant messages must be text' });
     }
 
+    const thread = req.thread;
+    await contentParts.attachContentArtifacts(content, threadId, req.user.user_id);
+
     const newMessage = {
       id: helpers.generateId(),
       role,
-      content: content.trim(),
+      content: typeof content === 'string' ? content.trim() : content,
       timestamp: new Date().toISOString()
     };
 
@@ -1564,7 +2209,7 @@ app.post('/api/threads/:threadId/messages/append', requireAuth, async (req, res)
       newMessage.metadata = metadata;
     }
 
-    thread.messages.push(newMessage);
+    messageTree.appendMessage(thread, newMessage);
     thread.updatedAt = new Date().toISOString();
 
     await helpers.writeThread(threadId, thread);
@@ -1588,14 +2233,10 @@ app.post('/api/threads/:threadId/messages/append', requireAuth, async (req, res)
 // ====================
 
 // メッセージの使用統計を取得
-app.get('/api/threads/:threadId/messages/:messageId/usage', requireAuth, async (req, res) => {
+app.get('/api/threads/:threadId/messages/:messageId/usage', requireAuth, requireThreadAccess(), async (req, res) => {
   try {
-    const { threadId, messageId } = req.params;
-    const thread = await helpers.readThread(threadId);
-    
-    if (!thread) {
-      return res.status(404).json({ error: 'Thread not found' });
-    }
+    const { messageId } = req.params;
+    const thread = req.thread;
     
     const message = thread.messages.find(m => m.id === messageId);
     
@@ -1619,13 +2260,96 @@ app.get('/api/threads/:threadId/messages/:messageId/usage', requireAuth, async (
   }
 });
 
+// ====================
+// バックグラウンドジョブ API
+// ====================
+
+// ジョブ一覧（自分のジョブ。Admin は全員分）
+// ?threadId= でスレッド、?status=queued,running で状態を絞り込む
+app.get('/api/jobs', requireAuth, async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : null;
+    const invalidStatus = statuses?.find(status => !jobQueue.JOB_STATUSES.includes(status));
+    if (invalidStatus) {
+      return res.status(400).json({ error: `status must be one of: ${jobQueue.JOB_STATUSES.join(', ')}` });
+    }
+    const jobs = jobQueue.listJobs({
+      userId: access.isAdmin(req.user) ? null : req.user.user_id,
+      threadId: req.query.threadId || null,
+      statuses,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+    res.json({ jobs: jobs.map(jobQueue.toJobSummary) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ジョブの状態と結果（成功した場合と、中止までの応答を保存した場合は result に応答生成の結果）
+app.get('/api/jobs/:jobId', requireAuth, requireJobAccess, async (req, res) => {
+  try {
+    res.json(jobQueue.toJobSummary(req.job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ジョブのイベントを購読（SSE）
+// 最初に job（現在の状態）を送り、応答生成のイベント（start / text_delta / tool_start など）を中継する
+// 状態が変わるたびに job を送り、終了時は done（成功。job.result）または error を送って閉じる
+app.get('/api/jobs/:jobId/events', requireAuth, requireJobAccess, async (req, res) => {
+  const jobId = req.job.id;
+  helpers.initEventStream(res);
+  helpers.writeEventStream(res, 'job', jobQueue.toJobSummary(req.job));
+
+  let unsubscribe = () => {};
+  const finish = (job) => {
+    unsubscribe();
+    // 中止されたジョブも、途中までの応答を保存した場合は done で返す
+    if (job.result) {
+      helpers.writeEventStream(res, 'done', job.result);
+    } else {
+      helpers.writeEventStream(res, 'error', { message: job.error?.message || `Job ${job.status}`, status: job.status });
+    }
+    helpers.writeEventStream(res, 'job', jobQueue.toJobSummary(job));
+    res.end();
+  };
+
+  if (jobQueue.isFinished(req.job)) {
+    return finish(req.job);
+  }
+  // 実行中の場合は start を受け取れないため、ここで送る
+  if (req.job.status === 'running') {
+    helpers.writeEventStream(res, 'start', { threadId: req.job.threadId, jobId, userMessage: req.job.payload.userMessage ?? null });
+  }
+
+  unsubscribe = jobQueue.subscribe(jobId, ({ event, data }) => {
+    if (event === 'finished') return finish(data);
+    helpers.writeEventStream(res, event === 'status' ? 'job' : event, data);
+  });
+  req.on('close', unsubscribe);
+});
+
+// ジョブをキャンセル（待機中はその場で、実行中は処理を中止して cancelled になる。途中までの応答は result に入る）
+app.post('/api/jobs/:jobId/cancel', requireAuth, requireJobAccess, async (req, res) => {
+  try {
+    if (jobQueue.isFinished(req.job)) {
+      return res.status(409).json({ error: `Job is already ${req.job.status}` });
+    }
+    const job = jobQueue.cancelJob(req.job.id);
+    res.json(jobQueue.toJobSummary(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // システムプロンプトの取得
 app.get('/api/system-prompts/:hash', requireAuth, async (req, res) => {
   try {
     const { hash } = req.params;
     const prompt = await helpers.getSystemPrompt(hash);
     
-    if (!prompt) {
+    if (!prompt || !(await access.canAccessRegistryEntry(req.user, prompt))) {
       return res.status(404).json({ error: 'System prompt not found' });
     }
     
@@ -1642,12 +2366,23 @@ app.get('/api/system-prompts/:hash', requireAuth, async (req, res) => {
 // アーティファクト作成
 app.post('/api/artifacts', requireAuth, async (req, res) => {
   try {
-    const { filename, content, metadata, threadId } = req.body;
+    const { filename, content, metadata, threadId, tags = [] } = req.body;
+    if (threadId && !access.canAccessThread(req.user, await helpers.readThread(threadId))) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    try {
+      helpers.normalizeArtifactTags(tags);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     const result = await helpers.createArtifactRecord({
       filename,
       content,
       metadata: metadata || {},
-      threadId: threadId || null
+      threadId: threadId || null,
+      userId: req.user.user_id,
+      tags,
+      source: { type: 'user', userId: req.user.user_id }
     });
     res.status(201).json(result);
   } catch (error) {
@@ -1655,15 +2390,34 @@ app.post('/api/artifacts', requireAuth, async (req, res) => {
   }
 });
 
+// アクセス可能なアーティファクトのタグ一覧（件数付き）
+app.get('/api/artifacts/tags', requireAuth, async (req, res) => {
+  try {
+    const { threads } = await helpers.readThreads();
+    const artifacts = access.filterAccessibleArtifacts(req.user, await helpers.listArtifactMetadata(), threads);
+
+    const counts = new Map();
+    for (const metadata of artifacts) {
+      for (const tag of metadata.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    const tags = [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+    res.json({ tags });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // アーティファクト取得(最新版)
 app.get('/api/artifacts/:artifactId', requireAuth, async (req, res) => {
   try {
     const { artifactId } = req.params;
     const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
-    const metadataPath = path.join(artifactDir, 'metadata.json');
-    
-    const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-    const metadata = JSON.parse(metadataContent);
+    const metadata = await access.assertArtifactAccess(req.user, artifactId);
     
     const latestVersion = metadata.versions[metadata.versions.length - 1];
     const filePath = path.join(artifactDir, latestVersion.filename);
@@ -1682,15 +2436,191 @@ app.get('/api/artifacts/:artifactId', requireAuth, async (req, res) => {
   }
 });
 
+// アーティファクトのバージョン履歴（各バージョンを作成した操作を含む）
+// ツールで作成されたバージョンは、そのツール呼び出しを含むアシスタントメッセージの messageId も返す
+app.get('/api/artifacts/:artifactId/versions', requireAuth, async (req, res) => {
+  try {
+    const { artifactId } = req.params;
+    const metadata = await access.assertArtifactAccess(req.user, artifactId).catch(() => null);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    // ツール呼び出しの call_id → メッセージID（アクセス可能なスレッドのみ）
+    const toolMessageIds = new Map();
+    const toolThreadIds = new Set(metadata.versions
+      .filter(version => version.source?.type === 'tool' && version.source.threadId)
+      .map(version => version.source.threadId));
+    for (const threadId of toolThreadIds) {
+      const thread = await helpers.readThread(threadId);
+      if (!access.canAccessThread(req.user, thread)) continue;
+      for (const message of thread.messages) {
+        for (const item of message.transcript || []) {
+          if (item.type === 'function_call' && item.call_id) {
+            toolMessageIds.set(`${threadId}:${item.call_id}`, message.id);
+          }
+        }
+      }
+    }
+
+    const versions = await Promise.all(metadata.versions.map(async version => {
+      const stat = await fs.stat(path.join(configs.ARTIFACTS_DIR, artifactId, version.filename)).catch(() => null);
+      const source = version.source?.type === 'tool'
+        ? { ...version.source, messageId: toolMessageIds.get(`${version.source.threadId}:${version.source.callId}`) ?? null }
+        : (version.source ?? null);
+      return {
+        version: version.version,
+        filename: version.filename,
+        createdAt: version.createdAt,
+        size: stat?.size ?? null,
+        metadata: version.metadata ?? {},
+        source
+      };
+    }));
+
+    res.json({
+      id: artifactId,
+      filename: metadata.filename,
+      currentVersion: metadata.currentVersion,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 2つのバージョンの差分
+// from / to: バージョン番号（to の省略時は最新版、from の省略時は to の1つ前）
+// format: unified（unified diff テキスト）| lines（行ごとの差分。UIの左右比較表示用）
+app.get('/api/artifacts/:artifactId/diff', requireAuth, async (req, res) => {
+  try {
+    const { artifactId } = req.params;
+    const format = req.query.format || 'unified';
+    if (!['unified', 'lines'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: unified, lines' });
+    }
+    const context = req.query.context === undefined ? undefined : parseInt(req.query.context);
+    if (context !== undefined && (!Number.isInteger(context) || context < 0)) {
+      return res.status(400).json({ error: 'context must be a non-negative integer' });
+    }
+
+    const metadata = await access.assertArtifactAccess(req.user, artifactId).catch(() => null);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    const toVersion = req.query.to === undefined ? metadata.currentVersion : parseInt(req.query.to);
+    const fromVersion = req.query.from === undefined ? toVersion - 1 : parseInt(req.query.from);
+    const [from, to] = await Promise.all([
+      helpers.readArtifactVersion(metadata, fromVersion),
+      helpers.readArtifactVersion(metadata, toVersion)
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    if (from.content.includes(0) || to.content.includes(0)) {
+      return res.status(400).json({ error: 'Binary artifacts cannot be diffed' });
+    }
+
+    const lines = diff.diffLines(from.content.toString('utf-8'), to.content.toString('utf-8'));
+    const result = {
+      id: artifactId,
+      filename: metadata.filename,
+      from: fromVersion,
+      to: toVersion,
+      format,
+      stats: diff.diffStats(lines)
+    };
+    if (format === 'lines') {
+      result.lines = lines;
+    } else {
+      result.diff = diff.unifiedDiff(lines, {
+        oldLabel: `${metadata.filename} (v${fromVersion})`,
+        newLabel: `${metadata.filename} (v${toVersion})`,
+        context
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 過去のバージョンを復元（その内容で新しいバージョンを作成。既存のバージョンは残る）
+app.post('/api/artifacts/:artifactId/versions/:version/restore', requireAuth, async (req, res) => {
+  try {
+    const { artifactId } = req.params;
+    const version = parseInt(req.params.version);
+
+    const metadata = await access.assertArtifactAccess(req.user, artifactId).catch(() => null);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    const restored = Number.isInteger(version) ? await helpers.readArtifactVersion(metadata, version) : null;
+    if (!restored) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const result = await helpers.appendArtifactVersion({
+      artifactId,
+      content: restored.content,
+      metadata: {
+        ...restored.versionData.metadata,
+        description: restored.versionData.metadata?.description || `Restored from v${version}`
+      },
+      source: { type: 'restore', fromVersion: version, userId: req.user.user_id }
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// アーティファクトのファイルをそのまま返す
+// 画像以外はダウンロードとして返し、sandbox でスクリプトを実行させない（保存された HTML / SVG による XSS 対策）
+function sendRawArtifact(res, metadata, content) {
+  const mimeType = contentParts.getMimeType(metadata.filename);
+  if (!contentParts.isInlineSafeMimeType(mimeType)) {
+    res.attachment(metadata.filename);
+  }
+  res.type(mimeType);
+  res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': 'sandbox'
+  });
+  res.send(content);
+}
+
+// アーティファクトのファイルをそのまま取得（画像の表示など。version 省略時は最新版）
+app.get('/api/artifacts/:artifactId/raw', requireAuth, async (req, res) => {
+  try {
+    const { artifactId } = req.params;
+    const metadata = await access.assertArtifactAccess(req.user, artifactId).catch(() => null);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    const version = req.query.version === undefined ? metadata.currentVersion : parseInt(req.query.version);
+    const result = await helpers.readArtifactVersion(metadata, version);
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    sendRawArtifact(res, metadata, result.content);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // アーティファクト取得(特定バージョン)
 app.get('/api/artifacts/:artifactId/v:version', requireAuth, async (req, res) => {
   try {
     const { artifactId, version } = req.params;
     const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
-    const metadataPath = path.join(artifactDir, 'metadata.json');
-    
-    const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-    const metadata = JSON.parse(metadataContent);
+    const metadata = await access.assertArtifactAccess(req.user, artifactId);
     
     const versionData = metadata.versions.find(v => v.version === parseInt(version));
     if (!versionData) {
@@ -1722,10 +2652,12 @@ app.put('/api/artifacts/:artifactId', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'content is required' });
     }
 
+    await access.assertArtifactAccess(req.user, req.params.artifactId);
     const result = await helpers.appendArtifactVersion({
       artifactId: req.params.artifactId,
       content,
-      metadata: metadata || {}
+      metadata: metadata || {},
+      source: { type: 'user', userId: req.user.user_id }
     });
 
     res.json(result);
@@ -1739,12 +2671,16 @@ app.put('/api/artifacts/:artifactId', requireAuth, async (req, res) => {
 app.delete('/api/artifacts/:artifactId', requireAuth, async (req, res) => {
   try {
     const { artifactId } = req.params;
-    const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
-    const metadata = await helpers.readArtifactMetadata(req.params.artifactId).catch(() => null);
+    const metadata = await helpers.readArtifactMetadata(artifactId).catch(() => null);
+    if (!metadata || !(await access.canAccessArtifact(req.user, metadata))) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    if (!(await access.canAccessArtifact(req.user, metadata, { manage: true }))) {
+      return res.status(403).json({ error: 'Only the thread owner can delete this artifact' });
+    }
 
-    // ディレクトリを削除
-    await fs.rm(artifactDir, { recursive: true, force: true });
-    await helpers.updateThreadAfterArtifactChange(metadata?.threadId);
+    // メタデータとディレクトリを削除
+    await helpers.deleteArtifactRecord(artifactId);
 
     res.json({ message: 'Artifact deleted successfully' });
   } catch (error) {
@@ -1752,44 +2688,146 @@ app.delete('/api/artifacts/:artifactId', requireAuth, async (req, res) => {
   }
 });
 
+// アーティファクト一覧のレスポンス形式に変換（紐づくスレッドはアクセス可能なもののみ返す）
+function toArtifactListItem(metadata, accessibleThreads, threadId = null) {
+  const threads = (metadata.threadIds || [])
+    .filter(id => accessibleThreads.has(id))
+    .map(id => ({ id, title: accessibleThreads.get(id).title }));
+  return {
+    id: metadata.id,
+    filename: metadata.filename,
+    threadId: metadata.threadId,
+    threads,
+    attached: threadId ? metadata.threadId !== threadId : undefined,
+    tags: metadata.tags || [],
+    description: metadata.versions.at(-1)?.metadata?.description || '',
+    currentVersion: metadata.currentVersion,
+    versionCount: metadata.versions.length,
+    createdAt: metadata.createdAt,
+    updatedAt: metadata.updatedAt
+  };
+}
+
 // アーティファクト一覧取得
+// threadId 指定時はそのスレッドに紐づくアーティファクト（他のスレッドから添付されたものを含む）
+// 未指定時はアクセス可能な全アーティファクト（q: 検索語 / tag: タグ（カンマ区切りで全て含むもの）/ mine=true: 自分が作成したもののみ）
 app.get('/api/artifacts', requireAuth, async (req, res) => {
   try {
-    const { threadId } = req.query;
-    const artifactDirs = await fs.readdir(configs.ARTIFACTS_DIR);
-    const artifacts = [];
-    
-    // threadIdがクエリにないなら即座に空配列を返す
+    const { threadId, q, tag, mine } = req.query;
+
+    if (threadId && !access.canAccessThread(req.user, await helpers.readThread(threadId))) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { threads } = await helpers.readThreads();
+    const accessibleThreads = new Map(
+      access.filterAccessibleThreads(req.user, threads).map(thread => [thread.id, thread])
+    );
+
+    let artifacts = await helpers.listArtifactMetadata(threadId || null);
     if (!threadId) {
-      return res.json({ artifacts: [] });
+      artifacts = access.filterAccessibleArtifacts(req.user, artifacts, threads)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
     }
 
-    for (const dir of artifactDirs) {
-      const metadataPath = path.join(configs.ARTIFACTS_DIR, dir, 'metadata.json');
-      try {
-        const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-        const metadata = JSON.parse(metadataContent);
-        
-        // threadIdが指定されている場合はフィルタリング
-        if (threadId && metadata.threadId !== threadId) {
-          continue;
-        }
-        
-        artifacts.push({
-          id: metadata.id,
-          filename: metadata.filename,
-          threadId: metadata.threadId,
-          currentVersion: metadata.currentVersion,
-          versionCount: metadata.versions.length,
-          createdAt: metadata.createdAt,
-          updatedAt: metadata.updatedAt
-        });
-      } catch (e) {
-        continue;
-      }
+    if (tag) {
+      const tags = String(tag).split(',').map(value => value.trim()).filter(Boolean);
+      artifacts = artifacts.filter(metadata => tags.every(value => metadata.tags?.includes(value)));
     }
-    
-    res.json({ artifacts });
+    if (mine === 'true') {
+      artifacts = artifacts.filter(metadata => metadata.userId === req.user.user_id);
+    }
+
+    const matches = q ? search.findArtifactMatches(q) : null;
+    if (matches) {
+      artifacts = artifacts.filter(metadata => matches.has(metadata.id));
+    }
+
+    res.json({
+      artifacts: artifacts.map(metadata => ({
+        ...toArtifactListItem(metadata, accessibleThreads, threadId),
+        snippet: matches?.get(metadata.id)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// アーティファクトのタグを置き換え
+app.put('/api/artifacts/:artifactId/tags', requireAuth, async (req, res) => {
+  try {
+    const { tags } = req.body ?? {};
+    const { artifactId } = req.params;
+
+    const metadata = await access.assertArtifactAccess(req.user, artifactId).catch(() => null);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    try {
+      helpers.normalizeArtifactTags(tags);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const updated = await helpers.setArtifactTags(artifactId, tags);
+
+    res.json({ id: artifactId, tags: updated.tags });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 既存のアーティファクトを別のスレッドに添付（添付先スレッドのアーティファクト一覧・システムプロンプトに表示される）
+app.post('/api/artifacts/:artifactId/threads', requireAuth, async (req, res) => {
+  try {
+    const { threadId } = req.body ?? {};
+    const { artifactId } = req.params;
+
+    if (!threadId) {
+      return res.status(400).json({ error: 'threadId is required' });
+    }
+    const metadata = await access.assertArtifactAccess(req.user, artifactId).catch(() => null);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    if (!access.canAccessThread(req.user, await helpers.readThread(threadId))) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const attached = await helpers.attachArtifactToThread(artifactId, threadId, req.user.user_id);
+
+    const { threads } = await helpers.readThreads();
+    const accessibleThreads = new Map(
+      access.filterAccessibleThreads(req.user, threads).map(thread => [thread.id, thread])
+    );
+    res.status(attached ? 201 : 200).json({
+      attached,
+      artifact: toArtifactListItem(await helpers.readArtifactMetadata(artifactId), accessibleThreads, threadId)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// アーティファクトのスレッドへの添付を解除（作成元のスレッドからは解除できない）
+app.delete('/api/artifacts/:artifactId/threads/:threadId', requireAuth, async (req, res) => {
+  try {
+    const { artifactId, threadId } = req.params;
+
+    const metadata = await access.assertArtifactAccess(req.user, artifactId).catch(() => null);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    if (!access.canAccessThread(req.user, await helpers.readThread(threadId)) || !metadata.threadIds.includes(threadId)) {
+      return res.status(404).json({ error: 'Artifact is not attached to this thread' });
+    }
+    if (metadata.threadId === threadId) {
+      return res.status(400).json({ error: 'Cannot detach an artifact from the thread it was created in' });
+    }
+
+    await helpers.detachArtifactFromThread(artifactId, threadId);
+    res.json({ message: 'Artifact detached successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1803,6 +2841,9 @@ app.post('/api/artifacts/upload', requireAuth, upload.array('files'), async (req
     }
 
     const threadId = req.body.threadId || null;
+    if (threadId && !access.canAccessThread(req.user, await helpers.readThread(threadId))) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
     const metadataPayload = req.body.metadata ? JSON.parse(req.body.metadata) : {};
 
     const results = [];
@@ -1817,7 +2858,9 @@ app.post('/api/artifacts/upload', requireAuth, upload.array('files'), async (req
           // filename: file.originalname,
           content: file.buffer,
           metadata: fileMetadata,
-          threadId
+          threadId,
+          userId: req.user.user_id,
+          source: { type: 'upload', userId: req.user.user_id }
         });
         results.push({
           ...record,
@@ -1838,6 +2881,80 @@ app.post('/api/artifacts/upload', requireAuth, upload.array('files'), async (req
   }
 });
 
+// ====================
+// 検索 API
+// ====================
+
+// 検索の日付フィルタを ISO 文字列に変換（日付のみの to はその日の終わりまでを含む）
+function parseSearchDate(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const text = String(value);
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${text}`);
+  }
+  return date.toISOString();
+}
+
+// スレッド・メッセージ・アーティファクトの全文検索
+// q: 検索語（空白区切りで AND、"..." で囲むと空白を含む語）
+// type: thread,message,artifact のカンマ区切り / role / model / guildId / threadId / from / to / limit / offset
+app.get('/api/search', requireAuth, async (req, res) => {
+  try {
+    const { q, type, role, model, guildId, threadId } = req.query;
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const kinds = type ? String(type).split(',').map(kind => kind.trim()).filter(Boolean) : null;
+    const invalidKind = kinds?.find(kind => !search.SEARCH_KINDS.includes(kind));
+    if (invalidKind) {
+      return res.status(400).json({ error: `type must be one of: ${search.SEARCH_KINDS.join(', ')}` });
+    }
+    if (role && !['user', 'assistant'].includes(role)) {
+      return res.status(400).json({ error: 'role must be one of: user, assistant' });
+    }
+
+    let from;
+    let to;
+    try {
+      from = parseSearchDate(req.query.from);
+      to = parseSearchDate(req.query.to, { endOfDay: true });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { threads } = await helpers.readThreads();
+    const accessibleThreads = access.filterAccessibleThreads(req.user, threads);
+    const titles = new Map(accessibleThreads.map(thread => [thread.id, thread.title]));
+
+    const { total, results } = search.search({
+      query: q,
+      threadIds: access.isAdmin(req.user) ? null : accessibleThreads.map(thread => thread.id),
+      userId: req.user.user_id,
+      filters: { kinds, role, model, guildId, threadId, from, to },
+      limit,
+      offset
+    });
+
+    res.json({
+      query: q,
+      total,
+      limit,
+      offset,
+      results: results.map(result => ({
+        ...result,
+        threadTitle: result.threadId ? (titles.get(result.threadId) ?? null) : null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ====================
 // 認証・ユーザー管理 API
 // ====================
@@ -1920,22 +3037,23 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // JWTトークンを生成
-    const token = helpers.createAccessToken(user);
+    // ログインセッションを作成し、アクセストークン・リフレッシュトークンを発行
+    // deviceName はセッション一覧に表示する端末名（Bot など。省略時は User-Agent）
+    const tokens = await sessions.createSession(user, {
+      authType,
+      device: typeof req.body.deviceName === 'string' ? req.body.deviceName : req.get('user-agent'),
+      ip: req.ip
+    });
 
-    // Bot認証の場合は24時間の有効期限を明示
     const response = { 
       success: true,
       user,
-      token
+      ...tokens,
+      authType
     };
     
     if (authType === 'bot') {
-      response.expiresIn = 86400; // 24時間（秒）
-      response.authType = 'bot';
       response.guildId = guildId;
-    } else {
-      response.authType = authType;
     }
 
     res.json(response);
@@ -1948,6 +3066,129 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
+// アクセストークンの再発行（リフレッシュトークンは使い捨てで、新しいものを返す）
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const tokens = await sessions.refreshSession(refreshToken, { ip: req.ip });
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    if (error.message.includes('stopped') || error.message.includes('banned')) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('[Auth] Refresh error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ログアウト（このセッションを失効）
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.authSession.session_id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 全端末からログアウト（keepCurrent: true の場合はこのセッションを残す）
+app.post('/api/auth/logout-all', requireAuth, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeUserSessions(req.user.user_id, {
+      exceptSessionId: req.body?.keepCurrent === true ? req.authSession.session_id : null
+    });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ログイン中のセッション一覧
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  try {
+    const list = await sessions.listSessions(req.user.user_id);
+    res.json({ sessions: list.map(session => sessions.toSessionSummary(session, req.authSession.session_id)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// セッションを個別に失効
+app.delete('/api/auth/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const session = await sessions.getUserSession(req.user.user_id, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await sessions.revokeSession(session.session_id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ====================
+// 個人用 API キー
+// ====================
+// API キー自体では呼び出せない（ログインしたセッションからのみ作成・失効できる）
+
+// API キー一覧（使用量を含む）と、指定できるスコープ
+app.get('/api/api-keys', requireAuth, async (req, res) => {
+  try {
+    const keys = await apiKeys.listApiKeys(req.user.user_id);
+    const usage = await apiKeys.getApiKeyUsage(keys.map(apiKey => apiKey.key_id));
+    res.json({
+      keys: keys.map(apiKey => apiKeys.toApiKeySummary(apiKey, usage.get(apiKey.key_id))),
+      scopes: apiKeys.API_KEY_SCOPES
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API キーの作成（key はこのレスポンスでのみ返す）
+app.post('/api/api-keys', requireAuth, async (req, res) => {
+  try {
+    let input;
+    try {
+      input = apiKeys.normalizeApiKeyInput(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let created;
+    try {
+      created = await apiKeys.createApiKey(req.user, input);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(201).json({ key: created.key, apiKey: apiKeys.toApiKeySummary(created.apiKey) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API キーの失効
+app.delete('/api/api-keys/:keyId', requireAuth, async (req, res) => {
+  try {
+    const apiKey = await apiKeys.getUserApiKey(req.user.user_id, req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    await apiKeys.revokeApiKey(apiKey.key_id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // パスワード変更
 app.post('/api/auth/change-password', requireAuth, async (req, res) => {
   try {
@@ -1958,6 +3199,8 @@ app.post('/api/auth/change-password', requireAuth, async (req, res) => {
     }
 
     await auth.changePassword(req.user.user_id, oldPassword, newPassword);
+    // 他の端末のセッションは失効する
+    await sessions.revokeUserSessions(req.user.user_id, { exceptSessionId: req.authSession.session_id });
     
     res.json({ 
       success: true,
@@ -2266,7 +3509,7 @@ app.get('/auth/discord/callback', async (req, res) => {
           authority: auth.Authority.PENDING,
           remainingCredit: configs.BOT_DEFAULT_CREDIT
         });
-        user = result.userId;
+        user = await auth.getUser(result.userId);
       } catch (error) {
         console.error('[OAuth] User creation error:', error);
         // ユーザーが既に存在する可能性がある
@@ -2279,8 +3522,12 @@ app.get('/auth/discord/callback', async (req, res) => {
       return res.status(404).send('ユーザーが見つかりません');
     }
 
-    // 6. JWTトークンを生成
-    const jwtToken = helpers.createAccessToken(user);
+    // 6. ログインセッションを作成し、JWTトークンを生成
+    const { token: jwtToken, refreshToken } = await sessions.createSession(user, {
+      authType: 'discord',
+      device: req.get('user-agent'),
+      ip: req.ip
+    });
 
     // 7. OAuth2トークンをデータベースに保存（オプション）
     // ここで必要に応じてaccess_tokenとrefresh_tokenを保存
@@ -2397,6 +3644,7 @@ app.get('/auth/discord/callback', async (req, res) => {
         <script>
           // JWTトークンをlocalStorageに保存
           localStorage.setItem('auth_token', '${jwtToken}');
+          localStorage.setItem('auth_refresh_token', '${refreshToken}');
           localStorage.setItem('discord_user', JSON.stringify({
             id: '${userId}',
             username: '${username}',
@@ -2598,6 +3846,7 @@ app.put('/api/admin/users/:userId', requireAuth, requireAdmin, async (req, res)
 app.post('/api/admin/users/:userId/stop', requireAuth, requireAdmin, async (req, res) => {
   try {
     const user = await auth.stopAccount(req.user.user_id, req.params.userId);
+    await sessions.revokeUserSessions(req.params.userId);
     res.json({ user, message: 'Account stopped successfully' });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -2608,6 +3857,7 @@ app.post('/api/admin/users/:userId/stop', requireAuth, requireAdmin, async (req,
 app.post('/api/admin/users/:userId/ban', requireAuth, requireAdmin, async (req, res) => {
   try {
     const user = await auth.banAccount(req.user.user_id, req.params.userId);
+    await sessions.revokeUserSessions(req.params.userId);
     res.json({ user, message: 'Account banned successfully' });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -2629,6 +3879,8 @@ app.post('/api/admin/users/:userId/reactivate', requireAuth, requireAdmin, async
 app.delete('/api/admin/users/:userId', requireAuth, requireAdmin, async (req, res) => {
   try {
     const result = await auth.deleteAccount(req.user.user_id, req.params.userId);
+    await sessions.revokeUserSessions(req.params.userId);
+    await auth.revokeUserApiKeys(req.params.userId);
     res.json(result);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -2683,10 +3935,158 @@ app.post('/api/admin/users/:userId/credit/reset', requireAuth, requireAdmin, asy
   }
 });
 
+// ユーザーの全セッションを失効（Admin専用。全端末から強制ログアウト）
+app.post('/api/admin/users/:userId/sessions/revoke', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeUserSessions(req.params.userId);
+    res.json({ message: 'Sessions revoked successfully', revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 署名鍵の更新（Admin専用。revokePrevious: true の場合は以前の鍵で署名したアクセストークンを直ちに無効にする）
+app.post('/api/admin/signing-keys/rotate', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const kid = await sessions.rotateSigningKey({ revokePrevious: req.body?.revokePrevious === true });
+    res.json({ message: 'Signing key rotated successfully', kid });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 全文検索インデックスの再構築（Admin専用）
+app.post('/api/admin/search/reindex', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const counts = await search.rebuildSearchIndex();
+    res.json({ message: 'Search index rebuilt successfully', ...counts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 埋め込み（RAG）インデックスの再構築（Admin専用。埋め込み方法を変更した場合など）
+app.post('/api/admin/embeddings/reindex', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const counts = await rag.rebuildEmbeddingIndex({ force: true });
+    res.json({ message: 'Embedding index rebuilt successfully', ...counts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// スレッドで有効化するツールを更新（run_artifact など、Admin による有効化が必要なツール）
+app.put('/api/admin/threads/:threadId/enabled-tools', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { threadId } = req.params;
+    const thread = await helpers.readThread(threadId);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    let enabledTools;
+    try {
+      enabledTools = toolRegistry.normalizeEnabledTools(req.body.enabledTools);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    thread.enabledTools = enabledTools;
+    await helpers.writeThread(threadId, thread);
+
+    res.json({
+      enabledTools: thread.enabledTools
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ====================
+// MCPサーバー管理 API（Admin専用）
+// ====================
+
+// MCPサーバー一覧取得（threadId 指定時は全体共通とそのスレッド用のみ）
+app.get('/api/admin/mcp-servers', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const servers = mcp.listMcpServers({ threadId: req.query.threadId || null });
+    res.json({ servers: servers.map(mcp.toPublicMcpServer) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// MCPサーバー登録
+app.post('/api/admin/mcp-servers', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const server = mcp.normalizeMcpServer(req.body);
+    if (server.threadId && !(await helpers.readThread(server.threadId))) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    mcp.saveMcpServer(server);
+    res.status(201).json({ server: mcp.toPublicMcpServer(server) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// MCPサーバー更新
+app.put('/api/admin/mcp-servers/:serverId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const existing = mcp.getMcpServer(req.params.serverId);
+    if (!existing) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+    const server = mcp.normalizeMcpServer(req.body, existing);
+    if (server.threadId && !(await helpers.readThread(server.threadId))) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    mcp.saveMcpServer(server);
+    res.json({ server: mcp.toPublicMcpServer(server) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// MCPサーバー削除
+app.delete('/api/admin/mcp-servers/:serverId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!mcp.deleteMcpServer(req.params.serverId)) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+    res.json({ message: 'MCP server deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// MCPサーバーのツール一覧取得（接続確認を兼ねる）
+app.get('/api/admin/mcp-servers/:serverId/tools', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const server = mcp.getMcpServer(req.params.serverId);
+    if (!server) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+    const client = await mcp.getClient(server);
+    const tools = (await client.listTools()).map(tool => ({
+      name: tool.name,
+      exposedName: mcp.buildMcpToolName(server.name, tool.name),
+      description: tool.description || '',
+      inputSchema: tool.inputSchema
+    }));
+    res.json({ server: mcp.toPublicMcpServer(server), tools });
+  } catch (error) {
+    res.status(502).json({ error: `Failed to connect MCP server: ${error.message}` });
+  }
+});
+
 // ====================
 // サーバー起動
 // ====================
 
+// バックグラウンドジョブの処理を開始（前回の停止で中断されたジョブも再実行する）
+jobQueue.startWorker();
+
 app.listen(configs.PORT, () => {
   console.log(`GPT-5-Codex Backend API running on port ${configs.PORT}`);
   console.log(`Data directory: ${configs.DATA_DIR}`);
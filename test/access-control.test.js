@@ -0,0 +1,45 @@
+// スレッドのアクセス制御（グループスレッドの判定・予約されたスレッドID）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as auth from '../auth.js';
+import * as access from '../utils/access-control.js';
+
+const admin = { user_id: 'admin', authority: auth.Authority.ADMIN };
+const member = { user_id: 'member', authority: auth.Authority.USER, group_id: '111' };
+const outsider = { user_id: 'outsider', authority: auth.Authority.USER, group_id: '999' };
+
+test('guild membership is decided by metadata, not by the thread ID', () => {
+  const groupThread = {
+    id: 'thread-111_222_g',
+    userId: 'bot',
+    metadata: { isGroupThread: true, guildId: '111' }
+  };
+  assert.equal(access.getThreadGuildId(groupThread), '111');
+  assert.equal(access.canAccessThread(member, groupThread), true);
+  assert.equal(access.canAccessThread(outsider, groupThread), false);
+
+  // ID がグループスレッドの形式でも、メタデータがなければ作成者のスレッド
+  const spoofed = { id: 'thread-111_222_g', userId: 'outsider', metadata: {} };
+  assert.equal(access.getThreadGuildId(spoofed), null);
+  assert.equal(access.canAccessThread(member, spoofed), false);
+  assert.equal(access.canAccessThread(outsider, spoofed), true);
+  assert.equal(access.canAccessThread(admin, spoofed), true);
+});
+
+test('group thread IDs are reserved for the bot and admins', () => {
+  assert.match('thread-111_222_g', access.GROUP_THREAD_ID_REGEX);
+  assert.doesNotMatch('thread-abc_222_g', access.GROUP_THREAD_ID_REGEX);
+
+  assert.equal(access.canCreateGroupThreadId(member, { auth_type: 'password' }), false);
+  assert.equal(access.canCreateGroupThreadId(member, null), false);
+  assert.equal(access.canCreateGroupThreadId(member, { auth_type: 'bot' }), true);
+  assert.equal(access.canCreateGroupThreadId(admin, null), true);
+});
+
+test('only the owner and admins can manage a group thread', () => {
+  const groupThread = { id: 'thread-111_222_g', userId: 'bot', metadata: { isGroupThread: true, guildId: '111' } };
+  assert.equal(access.canManageThread(member, groupThread), false);
+  assert.equal(access.canManageThread(admin, groupThread), true);
+  assert.equal(access.canManageThread({ user_id: 'bot' }, groupThread), true);
+});
@@ -0,0 +1,129 @@
+// 個人用 API キーのスコープ表・入力検証・リクエスト数の制限
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as apiKeys from '../utils/api-keys.js';
+
+const ALL_SCOPES = Object.keys(apiKeys.API_KEY_SCOPES);
+
+// 変更系のエンドポイントと、呼び出しに必要なスコープ（null はキーでは呼び出せない）
+const MUTATING_ROUTES = [
+  ['POST', '/api/threads', 'threads:write'],
+  ['POST', '/api/threads/import', 'threads:write'],
+  ['DELETE', '/api/threads/t1', 'threads:write'],
+  ['PUT', '/api/threads/t1/system-prompt', 'threads:write'],
+  ['PUT', '/api/threads/t1/model', 'threads:write'],
+  ['PUT', '/api/threads/t1/tools', 'threads:write'],
+  ['PUT', '/api/threads/t1/active-branch', 'threads:write'],
+  ['PUT', '/api/threads/t1/messages/m1/pin', 'threads:write'],
+  ['POST', '/api/threads/t1/messages/append', 'threads:write'],
+  ['POST', '/api/threads/t1/shares', 'threads:write'],
+  ['POST', '/api/threads/t1/messages', 'messages:send'],
+  ['POST', '/api/threads/t1/messages/m1/edit', 'messages:send'],
+  ['POST', '/api/threads/t1/regenerate', 'messages:send'],
+  ['POST', '/api/threads/t1/messages/m1/regenerate', 'messages:send'],
+  ['POST', '/api/threads/t1/cancel', 'messages:send'],
+  ['POST', '/api/jobs/j1/cancel', 'messages:send'],
+  ['POST', '/api/artifacts', 'artifacts:write'],
+  ['POST', '/api/artifacts/upload', 'artifacts:write'],
+  ['PUT', '/api/artifacts/a1', 'artifacts:write'],
+  ['PUT', '/api/artifacts/a1/tags', 'artifacts:write'],
+  ['DELETE', '/api/artifacts/a1', 'artifacts:write'],
+  ['POST', '/api/artifacts/a1/versions/2/restore', 'artifacts:write'],
+  ['POST', '/api/prompts', null],
+  ['POST', '/api/response-format-library', null],
+  ['POST', '/api/share/token/fork', null],
+  ['POST', '/api/api-keys', null],
+  ['DELETE', '/api/api-keys/k1', null],
+  ['POST', '/api/auth/change-password', null],
+  ['POST', '/api/auth/logout-all', null],
+  ['POST', '/api/payment/create-checkout', null],
+  ['POST', '/api/admin/users', null],
+  ['POST', '/api/admin/signing-keys/rotate', null]
+];
+
+function keyWithScopes(scopes) {
+  return { key_id: 'k', scopes };
+}
+
+test('each mutating route requires exactly its scope', () => {
+  for (const [method, path, required] of MUTATING_ROUTES) {
+    for (const scope of ALL_SCOPES) {
+      assert.equal(
+        apiKeys.isRouteAllowed(keyWithScopes([scope]), method, path),
+        scope === required,
+        `${method} ${path} with ${scope}`
+      );
+    }
+    if (required === null) {
+      assert.equal(apiKeys.isRouteAllowed(keyWithScopes(ALL_SCOPES), method, path), false, `${method} ${path} with all scopes`);
+    }
+  }
+});
+
+test('read routes follow the read scopes', () => {
+  const reader = keyWithScopes(['threads:read']);
+  assert.ok(apiKeys.isRouteAllowed(reader, 'GET', '/api/threads/t1'));
+  assert.ok(apiKeys.isRouteAllowed(reader, 'GET', '/api/jobs/j1'));
+  assert.ok(!apiKeys.isRouteAllowed(reader, 'GET', '/api/artifacts/a1'));
+  assert.ok(apiKeys.isRouteAllowed(keyWithScopes(['artifacts:read']), 'GET', '/api/artifacts/a1/raw'));
+  assert.ok(apiKeys.isRouteAllowed(keyWithScopes([]), 'GET', '/api/auth/me'));
+  assert.ok(!apiKeys.isRouteAllowed(keyWithScopes(ALL_SCOPES), 'GET', '/api/admin/users'));
+  assert.ok(!apiKeys.isRouteAllowed(keyWithScopes(ALL_SCOPES), 'GET', '/api/auth/sessions'));
+});
+
+test('paths are matched the way Express routes them', () => {
+  const writer = keyWithScopes(['threads:write']);
+  for (const path of [
+    '/api/threads/t1/messages/',
+    '/api/threads/t1/MESSAGES',
+    '/API/Threads/t1/Messages/',
+    '/api/threads/t1/messages/m1/EDIT',
+    '/api/threads/t1/Regenerate/',
+    '/api/threads/t1/cancel/'
+  ]) {
+    assert.equal(apiKeys.isRouteAllowed(writer, 'POST', path), false, path);
+    assert.equal(apiKeys.isRouteAllowed(keyWithScopes(['messages:send']), 'POST', path), true, path);
+  }
+  assert.ok(!apiKeys.isRouteAllowed(keyWithScopes(ALL_SCOPES), 'GET', '/API/Admin/users/'));
+});
+
+test('zip export also requires artifacts:read', () => {
+  const path = '/api/threads/t1/export';
+  const reader = keyWithScopes(['threads:read']);
+  assert.ok(apiKeys.isRouteAllowed(reader, 'GET', path, { format: 'md' }));
+  assert.ok(apiKeys.isRouteAllowed(reader, 'GET', path));
+  assert.ok(!apiKeys.isRouteAllowed(reader, 'GET', path, { format: 'zip' }));
+  assert.ok(!apiKeys.isRouteAllowed(keyWithScopes(['artifacts:read']), 'GET', path, { format: 'zip' }));
+  assert.ok(apiKeys.isRouteAllowed(keyWithScopes(['threads:read', 'artifacts:read']), 'GET', `${path}/`, { format: 'zip' }));
+});
+
+test('extractApiKey accepts Bearer sua_ and ApiKey schemes only', () => {
+  assert.equal(apiKeys.extractApiKey('Bearer sua_abc_def'), 'sua_abc_def');
+  assert.equal(apiKeys.extractApiKey('ApiKey sua_abc_def'), 'sua_abc_def');
+  assert.equal(apiKeys.extractApiKey('Bearer eyJhbGciOi.jwt.token'), null);
+  assert.equal(apiKeys.extractApiKey('Bearer'), null);
+});
+
+test('normalizeApiKeyInput validates name, scopes and limits', () => {
+  const normalized = apiKeys.normalizeApiKeyInput({ name: ' ci ', scopes: ['threads:read', 'threads:read'], expiresInDays: 1 });
+  assert.equal(normalized.name, 'ci');
+  assert.deepEqual(normalized.scopes, ['threads:read']);
+  assert.ok(Date.parse(normalized.expiresAt) > Date.now());
+  assert.equal(normalized.rateLimitPerMinute, null);
+
+  assert.throws(() => apiKeys.normalizeApiKeyInput({ name: '', scopes: ['threads:read'] }), /name/);
+  assert.throws(() => apiKeys.normalizeApiKeyInput({ name: 'x', scopes: ['admin'] }), /scopes/);
+  assert.throws(() => apiKeys.normalizeApiKeyInput({ name: 'x', scopes: [] }), /scopes/);
+  assert.throws(() => apiKeys.normalizeApiKeyInput({ name: 'x', scopes: ['threads:read'], expiresInDays: 0 }), /expiresInDays/);
+  assert.throws(() => apiKeys.normalizeApiKeyInput({ name: 'x', scopes: ['threads:read'], rateLimitPerMinute: 1.5 }), /rateLimitPerMinute/);
+});
+
+test('consumeRateLimit allows up to the per-minute limit', () => {
+  const apiKey = { key_id: 'rate-limit-test', rate_limit_per_minute: 2 };
+  assert.equal(apiKeys.consumeRateLimit(apiKey).remaining, 1);
+  assert.equal(apiKeys.consumeRateLimit(apiKey).remaining, 0);
+  const limited = apiKeys.consumeRateLimit(apiKey);
+  assert.equal(limited.allowed, false);
+  assert.ok(limited.retryAfter > 0 && limited.retryAfter <= 60);
+});
@@ -0,0 +1,104 @@
+// 行単位の差分（Myers）と unified diff
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as diff from '../utils/diff.js';
+
+// 差分から元のテキスト・新しいテキストを組み立て直す
+function rebuild(lines) {
+  return {
+    old: lines.filter(line => line.type !== 'add').map(line => line.text),
+    new: lines.filter(line => line.type !== 'remove').map(line => line.text)
+  };
+}
+
+// 最長共通部分列の長さ（編集距離の最小値の確認用）
+function lcsLength(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      table[i][j] = a[i - 1] === b[j - 1] ? table[i - 1][j - 1] + 1 : Math.max(table[i - 1][j], table[i][j - 1]);
+    }
+  }
+  return table[a.length][b.length];
+}
+
+// 再現性のある乱数（線形合同法）
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+test('diffLines returns only equal lines for identical text', () => {
+  const lines = diff.diffLines('a\nb\n', 'a\nb\n');
+  assert.deepEqual(lines.map(line => line.type), ['equal', 'equal']);
+  assert.equal(diff.unifiedDiff(lines), '');
+});
+
+test('diffLines numbers old and new lines from 1', () => {
+  assert.deepEqual(diff.diffLines('a\nb\nc', 'a\nx\nc'), [
+    { type: 'equal', text: 'a', oldLine: 1, newLine: 1 },
+    { type: 'remove', text: 'b', oldLine: 2, newLine: null },
+    { type: 'add', text: 'x', oldLine: null, newLine: 2 },
+    { type: 'equal', text: 'c', oldLine: 3, newLine: 3 }
+  ]);
+});
+
+test('diffLines finds a minimal edit script', () => {
+  const random = createRandom(42);
+  for (let round = 0; round < 200; round++) {
+    const makeLines = () => Array.from({ length: Math.floor(random() * 12) }, () => 'abcd'[Math.floor(random() * 4)]);
+    const a = makeLines();
+    const b = makeLines();
+    const lines = diff.diffLines(a.join('\n'), b.join('\n'));
+
+    assert.deepEqual(rebuild(lines), { old: a, new: b }, `round ${round}`);
+    const { added, removed } = diff.diffStats(lines);
+    const common = lcsLength(a, b);
+    assert.equal(added, b.length - common, `round ${round}`);
+    assert.equal(removed, a.length - common, `round ${round}`);
+  }
+});
+
+test('diffLines falls back to replacing the middle when the edit distance is too large', () => {
+  const a = Array.from({ length: 1500 }, (_, i) => `old ${i}`);
+  const b = Array.from({ length: 1500 }, (_, i) => `new ${i}`);
+  const lines = diff.diffLines(['head', ...a, 'tail'].join('\n'), ['head', ...b, 'tail'].join('\n'));
+
+  assert.deepEqual(diff.diffStats(lines), { added: 1500, removed: 1500 });
+  assert.deepEqual(rebuild(lines), { old: ['head', ...a, 'tail'], new: ['head', ...b, 'tail'] });
+  assert.equal(lines[0].type, 'equal');
+  assert.equal(lines.at(-1).type, 'equal');
+});
+
+test('unifiedDiff groups nearby changes into hunks like git diff', () => {
+  const oldText = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+  const newText = oldText.replace('line 2\n', 'line two\n').replace('line 18\n', '');
+  assert.equal(diff.unifiedDiff(diff.diffLines(oldText, newText), { oldLabel: 'v1', newLabel: 'v2' }), [
+    '--- v1',
+    '+++ v2',
+    '@@ -1,5 +1,5 @@',
+    ' line 1',
+    '-line 2',
+    '+line two',
+    ' line 3',
+    ' line 4',
+    ' line 5',
+    '@@ -15,6 +15,5 @@',
+    ' line 15',
+    ' line 16',
+    ' line 17',
+    '-line 18',
+    ' line 19',
+    ' line 20',
+    ''
+  ].join('\n'));
+});
+
+test('unifiedDiff starts an empty side at the preceding line', () => {
+  assert.equal(diff.unifiedDiff(diff.diffLines('', 'a\nb\n')), '--- a\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+  assert.equal(diff.unifiedDiff(diff.diffLines('a\nb\n', ''), { context: 0 }), '--- a\n+++ b\n@@ -1,2 +0,0 @@\n-a\n-b\n');
+});
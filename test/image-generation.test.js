@@ -0,0 +1,86 @@
+// 画像生成の fake バックエンド（API キー不要・決定的な単色 PNG）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+
+// config.js は読み込み時に環境変数を参照するため、import より前に設定する
+process.env.IMAGE_GENERATION_BACKEND = 'fake';
+const imageGeneration = await import('../utils/image-generation.js');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG をチャンクに分解し、CRC も検証する
+function readPngChunks(buffer) {
+  assert.deepEqual(buffer.subarray(0, 8), PNG_SIGNATURE);
+  const chunks = [];
+  let offset = 8;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    const crc = buffer.readUInt32BE(offset + 8 + length);
+    assert.equal(crc, zlib.crc32(buffer.subarray(offset + 4, offset + 8 + length)), `CRC of ${type}`);
+    chunks.push({ type, data });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function readPngInfo(buffer) {
+  const chunks = readPngChunks(buffer);
+  assert.deepEqual(chunks.map(chunk => chunk.type), ['IHDR', 'IDAT', 'IEND']);
+  const header = chunks[0].data;
+  const raw = zlib.inflateSync(chunks[1].data);
+  return {
+    width: header.readUInt32BE(0),
+    height: header.readUInt32BE(4),
+    bitDepth: header[8],
+    colorType: header[9],
+    raw
+  };
+}
+
+test('createSolidPng produces a valid RGB PNG filled with the color', () => {
+  const info = readPngInfo(imageGeneration.createSolidPng(3, 2, [10, 20, 30]));
+  assert.equal(info.width, 3);
+  assert.equal(info.height, 2);
+  assert.equal(info.bitDepth, 8);
+  assert.equal(info.colorType, 2);
+
+  const row = Buffer.from([0, 10, 20, 30, 10, 20, 30, 10, 20, 30]);
+  assert.deepEqual(info.raw, Buffer.concat([row, row]));
+});
+
+test('fake backend returns a PNG of the requested size', async () => {
+  for (const size of ['1024x1024', '1024x1536', '1536x1024']) {
+    const image = await imageGeneration.generateImage({ prompt: 'a red fox', size });
+    assert.equal(image.format, 'png');
+    assert.equal(image.model, 'fake-image');
+    const info = readPngInfo(image.buffer);
+    assert.equal(`${info.width}x${info.height}`, size);
+  }
+});
+
+test('fake backend treats auto as 1024x1024 and always returns png', async () => {
+  const image = await imageGeneration.generateImage({ prompt: 'a red fox', size: 'auto', format: 'webp' });
+  assert.equal(image.format, 'png');
+  const info = readPngInfo(image.buffer);
+  assert.equal(info.width, 1024);
+  assert.equal(info.height, 1024);
+});
+
+test('fake backend is deterministic per prompt', async () => {
+  const first = await imageGeneration.generateImage({ prompt: 'a red fox' });
+  const second = await imageGeneration.generateImage({ prompt: 'a red fox' });
+  const other = await imageGeneration.generateImage({ prompt: 'a blue whale' });
+  assert.deepEqual(first.buffer, second.buffer);
+  assert.notDeepEqual(first.buffer, other.buffer);
+});
+
+test('generateImage validates prompt, size and format', async () => {
+  await assert.rejects(imageGeneration.generateImage({ prompt: '' }), /prompt is required/);
+  await assert.rejects(imageGeneration.generateImage({ prompt: '   ' }), /prompt is required/);
+  await assert.rejects(imageGeneration.generateImage({ prompt: 'x', size: '512x512' }), /size must be one of/);
+  await assert.rejects(imageGeneration.generateImage({ prompt: 'x', format: 'gif' }), /format must be one of/);
+});
@@ -0,0 +1,187 @@
+// バックグラウンドジョブのキュー（取り出し・再実行・再試行の判定）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SqliteStorage, getStorage } from '../utils/storage.js';
+import * as jobQueue from '../utils/job-queue.js';
+import * as providers from '../utils/providers/index.js';
+
+// jobQueue はメモリ上のデータベースを使う（最初に getStorage を呼んだ時のパスで作成される）
+getStorage(':memory:');
+
+function makeJob(id, fields = {}) {
+  const timestamp = '2025-01-01T00:00:00.000Z';
+  return {
+    id,
+    type: 'test',
+    userId: 'user-1',
+    threadId: null,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: 3,
+    payload: {},
+    runAfter: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    ...fields
+  };
+}
+
+// ジョブが終了するまで待つ
+function waitForFinished(jobId) {
+  return new Promise(resolve => {
+    const unsubscribe = jobQueue.subscribe(jobId, ({ event, data }) => {
+      if (event === 'finished') {
+        unsubscribe();
+        resolve(data);
+      }
+    });
+  });
+}
+
+test('claimNextJob takes queued jobs in run order and marks them running', () => {
+  const storage = new SqliteStorage(':memory:');
+  storage.saveJob(makeJob('later', { runAfter: '2025-01-01T00:00:02.000Z' }));
+  storage.saveJob(makeJob('first', { runAfter: '2025-01-01T00:00:01.000Z' }));
+  storage.saveJob(makeJob('future', { runAfter: '2999-01-01T00:00:00.000Z' }));
+
+  const now = '2025-01-02T00:00:00.000Z';
+  const claimed = storage.claimNextJob(now);
+  assert.equal(claimed.id, 'first');
+  assert.equal(claimed.status, 'running');
+  assert.equal(claimed.attempts, 1);
+  assert.equal(storage.getJob('first').status, 'running');
+
+  assert.equal(storage.claimNextJob(now).id, 'later');
+  // run_after が未来のジョブは取り出さない
+  assert.equal(storage.claimNextJob(now), null);
+});
+
+test('claimNextJob does not run two jobs of the same thread at once', () => {
+  const storage = new SqliteStorage(':memory:');
+  storage.saveJob(makeJob('a1', { threadId: 'thread-a', createdAt: '2025-01-01T00:00:01.000Z' }));
+  storage.saveJob(makeJob('a2', { threadId: 'thread-a', createdAt: '2025-01-01T00:00:02.000Z' }));
+  storage.saveJob(makeJob('b1', { threadId: 'thread-b', createdAt: '2025-01-01T00:00:03.000Z' }));
+
+  const now = '2025-01-02T00:00:00.000Z';
+  assert.equal(storage.claimNextJob(now).id, 'a1');
+  assert.equal(storage.claimNextJob(now).id, 'b1');
+  assert.equal(storage.claimNextJob(now), null);
+
+  storage.saveJob({ ...storage.getJob('a1'), status: 'succeeded' });
+  assert.equal(storage.claimNextJob(now).id, 'a2');
+});
+
+test('requeueRunningJobs returns interrupted jobs to the queue', () => {
+  const storage = new SqliteStorage(':memory:');
+  storage.saveJob(makeJob('interrupted'));
+  storage.claimNextJob('2025-01-02T00:00:00.000Z');
+
+  assert.deepEqual(storage.requeueRunningJobs('2025-01-03T00:00:00.000Z'), { requeued: 1, failed: 0 });
+  const job = storage.getJob('interrupted');
+  assert.equal(job.status, 'queued');
+  assert.equal(job.runAfter, '2025-01-03T00:00:00.000Z');
+  assert.equal(storage.claimNextJob('2025-01-03T00:00:00.000Z').attempts, 2);
+});
+
+test('requeueRunningJobs fails jobs that are out of attempts or have started side effects', () => {
+  const storage = new SqliteStorage(':memory:');
+  const now = '2025-01-03T00:00:00.000Z';
+  storage.saveJob(makeJob('exhausted', { status: 'running', attempts: 3 }));
+  storage.saveJob(makeJob('charged', { status: 'running', attempts: 1, sideEffectsStarted: true }));
+  storage.saveJob(makeJob('fresh', { status: 'running', attempts: 1, sideEffectsStarted: false }));
+
+  assert.deepEqual(storage.requeueRunningJobs(now), { requeued: 1, failed: 2 });
+  for (const id of ['exhausted', 'charged']) {
+    const job = storage.getJob(id);
+    assert.equal(job.status, 'failed', id);
+    assert.equal(job.finishedAt, now);
+    assert.match(job.error.message, /interrupted/);
+  }
+  assert.equal(storage.getJob('fresh').status, 'queued');
+  assert.equal(storage.claimNextJob(now).id, 'fresh');
+});
+
+test('markSideEffects is saved with the running job', async () => {
+  let release;
+  const marked = new Promise(resolve => {
+    jobQueue.registerHandler('test-side-effects', async (job, { markSideEffects }) => {
+      markSideEffects();
+      resolve();
+      await new Promise(done => { release = done; });
+      return null;
+    });
+  });
+  const job = jobQueue.enqueue({ type: 'test-side-effects', userId: 'user-1', payload: {} });
+  assert.equal(job.sideEffectsStarted, false);
+  const finished = waitForFinished(job.id);
+  await marked;
+  assert.equal(getStorage().getJob(job.id).sideEffectsStarted, true);
+  release();
+  assert.equal((await finished).status, 'succeeded');
+});
+
+test('jobs run through registered handlers', async () => {
+  jobQueue.registerHandler('test-success', async (job, { setProgress }) => {
+    setProgress({ stage: 'half' });
+    return { echoed: job.payload.value };
+  });
+  const job = jobQueue.enqueue({ type: 'test-success', userId: 'user-1', payload: { value: 42 } });
+  const finished = await waitForFinished(job.id);
+  assert.equal(finished.status, 'succeeded');
+  assert.deepEqual(finished.result, { echoed: 42 });
+  assert.deepEqual(jobQueue.getJob(job.id).progress, { stage: 'half' });
+});
+
+test('non-retryable JobError fails the job on the first attempt', async () => {
+  jobQueue.registerHandler('test-fatal', async () => {
+    throw new jobQueue.JobError('bad input', { status: 400, data: { partial: true } });
+  });
+  const job = jobQueue.enqueue({ type: 'test-fatal', userId: 'user-1', payload: {} });
+  const finished = await waitForFinished(job.id);
+  assert.equal(finished.status, 'failed');
+  assert.equal(finished.attempts, 1);
+  assert.deepEqual(finished.error, { message: 'bad input', status: 400, data: { partial: true } });
+});
+
+test('retryable errors put the job back in the queue with a delay', async () => {
+  let calls = 0;
+  jobQueue.registerHandler('test-retry', async () => {
+    calls++;
+    throw new jobQueue.JobError('overloaded', { retryable: true, status: 503 });
+  });
+  const job = jobQueue.enqueue({ type: 'test-retry', userId: 'user-1', payload: {} });
+  const requeued = await new Promise(resolve => {
+    const unsubscribe = jobQueue.subscribe(job.id, ({ event, data }) => {
+      if (event === 'status' && data.status === 'queued') {
+        unsubscribe();
+        resolve(data);
+      }
+    });
+  });
+  assert.equal(calls, 1);
+  assert.equal(requeued.attempts, 1);
+  assert.equal(requeued.error.message, 'overloaded');
+  assert.ok(Date.parse(requeued.runAfter) > Date.now());
+  jobQueue.cancelJob(job.id);
+});
+
+test('cancelJob cancels queued jobs immediately', () => {
+  jobQueue.registerHandler('test-cancel', async () => null);
+  const job = jobQueue.enqueue({ type: 'test-cancel', userId: 'user-1', payload: {} });
+  const cancelled = jobQueue.cancelJob(job.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.ok(jobQueue.isFinished(jobQueue.getJob(job.id)));
+});
+
+test('isTransientError only accepts provider overload and network failures', () => {
+  assert.ok(providers.isTransientError({ status: 429 }));
+  assert.ok(providers.isTransientError({ status: 503 }));
+  assert.ok(providers.isTransientError(Object.assign(new Error('socket'), { code: 'ECONNRESET' })));
+  assert.ok(providers.isTransientError(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })));
+  assert.ok(providers.isTransientError(new DOMException('timed out', 'TimeoutError')));
+
+  assert.ok(!providers.isTransientError({ status: 400 }));
+  assert.ok(!providers.isTransientError(new TypeError("Cannot read properties of undefined (reading 'id')")));
+  assert.ok(!providers.isTransientError(null));
+});
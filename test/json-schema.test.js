@@ -0,0 +1,104 @@
+// JSON Schema の検証（構造化出力用の最小限の実装）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as jsonSchema from '../utils/json-schema.js';
+import * as structuredOutput from '../utils/structured-output.js';
+
+const ITEM_LIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: { $ref: '#/$defs/item' }
+    }
+  },
+  required: ['title', 'items'],
+  additionalProperties: false,
+  $defs: {
+    item: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        qty: { type: 'integer', minimum: 1 }
+      },
+      required: ['name', 'qty']
+    }
+  }
+};
+
+function paths(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`);
+}
+
+test('validate accepts conforming values', () => {
+  assert.deepEqual(jsonSchema.validate(ITEM_LIST_SCHEMA, { title: 'ok', items: [{ name: 'a', qty: 1 }] }), []);
+});
+
+test('validate reports errors with JSON Pointer paths', () => {
+  const errors = jsonSchema.validate(ITEM_LIST_SCHEMA, { title: '', items: [{ name: 'a', qty: 0 }, { qty: 1.5 }], extra: 1 });
+  assert.deepEqual(paths(errors), [
+    '/title: must have at least 1 characters',
+    '/items/0/qty: must be >= 1',
+    '/items/1: missing required property "name"',
+    '/items/1/qty: must be integer (got number)',
+    ': unexpected property "extra"'
+  ]);
+});
+
+test('validate supports combinators, enum, const and tuples', () => {
+  assert.deepEqual(jsonSchema.validate({ anyOf: [{ type: 'string' }, { type: 'null' }] }, null), []);
+  assert.equal(jsonSchema.validate({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1).length, 1);
+  assert.equal(jsonSchema.validate({ not: { const: 'x' } }, 'x').length, 1);
+  assert.equal(jsonSchema.validate({ enum: [{ a: 1 }] }, { a: 1 }).length, 0);
+  assert.equal(jsonSchema.validate({ type: 'array', uniqueItems: true }, [{ a: 1 }, { a: 1 }]).length, 1);
+  assert.deepEqual(
+    paths(jsonSchema.validate({ type: 'array', prefixItems: [{ type: 'string' }], items: { type: 'number' } }, ['a', 'b'])),
+    ['/1: must be number (got string)']
+  );
+});
+
+test('validate counts characters, not UTF-16 code units', () => {
+  assert.deepEqual(jsonSchema.validate({ type: 'string', maxLength: 2 }, '😀😀'), []);
+});
+
+test('validate escapes property names in paths', () => {
+  const errors = jsonSchema.validate({ additionalProperties: { type: 'number' } }, { 'a/b~c': 'x' });
+  assert.equal(errors[0].path, '/a~1b~0c');
+});
+
+test('validate stops after 20 errors', () => {
+  const errors = jsonSchema.validate({ type: 'array', items: { type: 'string' } }, Array(50).fill(0));
+  assert.equal(errors.length, 20);
+});
+
+test('assertValidSchema rejects unresolved $ref and invalid patterns', () => {
+  assert.throws(() => jsonSchema.assertValidSchema([]), /schema must be an object/);
+  assert.throws(() => jsonSchema.assertValidSchema({ $ref: '#/$defs/missing' }), /Unresolved \$ref/);
+  assert.throws(() => jsonSchema.assertValidSchema({ $ref: 'https://example.com/schema' }), /Unsupported \$ref/);
+  assert.throws(() => jsonSchema.assertValidSchema({ pattern: '(' }), SyntaxError);
+});
+
+test('assertValidSchema rejects patterns that can backtrack catastrophically', () => {
+  for (const pattern of ['(a+)+$', '^(\\w*\\s?)*$', '((ab)*c)+', '(a{1,3})*', 'x'.repeat(201)]) {
+    assert.throws(() => jsonSchema.assertValidSchema({ type: 'string', pattern }), /pattern must/, pattern);
+  }
+  for (const pattern of ['^\\d{3}-\\d{4}$', '^(foo|bar)+$', '[(+]+', '\\(a+\\)+', '^[A-Z]{2}\\d*$']) {
+    assert.doesNotThrow(() => jsonSchema.assertValidSchema({ type: 'string', pattern }), pattern);
+  }
+});
+
+test('validate limits the length of strings checked against a pattern', () => {
+  const errors = jsonSchema.validate({ type: 'string', pattern: '^a+$' }, 'a'.repeat(10_001));
+  assert.match(errors[0].message, /at most 10000 characters/);
+  assert.deepEqual(jsonSchema.validate({ type: 'string', pattern: '^a+$' }, 'a'.repeat(10_000)), []);
+});
+
+test('checkResponse reports unsafe patterns in stored schemas as errors instead of running them', () => {
+  const format = { name: 'legacy', schema: { type: 'string', pattern: '^(a+)+$' } };
+  const check = structuredOutput.checkResponse(format, JSON.stringify('a'.repeat(40) + 'b'));
+  assert.equal(check.valid, false);
+  assert.match(check.errors[0].message, /nested quantifiers/);
+});
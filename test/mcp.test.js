@@ -0,0 +1,91 @@
+// MCP クライアントとツールセット（scripts/mcp-stub-server.js を stdio で起動して確認）
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStorage } from '../utils/storage.js';
+import { McpClient, McpError } from '../utils/mcp-client.js';
+import * as mcpManager from '../utils/mcp-manager.js';
+
+const STUB_SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'scripts', 'mcp-stub-server.js');
+
+// ストレージはメモリ上のデータベースを使う（最初に getStorage を呼んだ時のパスで作成される）
+getStorage(':memory:');
+
+function stubServer(fields = {}) {
+  return mcpManager.normalizeMcpServer({
+    name: 'stub',
+    transport: 'stdio',
+    command: process.execPath,
+    args: [STUB_SERVER],
+    ...fields
+  });
+}
+
+after(() => mcpManager.closeAllClients());
+
+test('McpClient lists and calls tools over stdio', async () => {
+  const client = new McpClient(stubServer(), { timeout: 5000 });
+  try {
+    await client.connect();
+    assert.equal(client.serverInfo.name, 'mcp-stub-server');
+
+    const tools = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name), ['echo', 'add', 'fail']);
+
+    const result = await client.callTool('add', { a: 2, b: 3 });
+    assert.deepEqual(result.structuredContent, { sum: 5 });
+
+    await assert.rejects(client.callTool('missing'), error => error instanceof McpError && error.code === -32602);
+  } finally {
+    client.close();
+  }
+});
+
+test('McpClient rejects pending requests when closed', async () => {
+  const client = new McpClient(stubServer(), { timeout: 5000 });
+  await client.connect();
+  const pending = client.request('tools/list');
+  client.close();
+  await assert.rejects(pending, /MCP connection closed/);
+});
+
+test('normalizeMcpServer validates transports', () => {
+  assert.throws(() => mcpManager.normalizeMcpServer({ name: 'x', transport: 'ws' }), /transport must be one of/);
+  assert.throws(() => mcpManager.normalizeMcpServer({ name: 'x', transport: 'stdio' }), /command is required/);
+  assert.throws(() => mcpManager.normalizeMcpServer({ name: 'x', transport: 'http', url: 'not a url' }), /valid url/);
+});
+
+test('buildMcpToolName namespaces and shortens long names', () => {
+  assert.equal(mcpManager.buildMcpToolName('my server', 'echo'), 'mcp__my_server__echo');
+  const long = mcpManager.buildMcpToolName('s'.repeat(40), 't'.repeat(40));
+  assert.equal(long.length, 64);
+  assert.match(long, /^mcp__s{40}__t+_[0-9a-f]{8}$/);
+});
+
+test('getMcpToolset merges namespaced tools and dispatches calls', async () => {
+  const global = mcpManager.saveMcpServer(stubServer());
+  const scoped = mcpManager.saveMcpServer(stubServer({ name: 'scoped', threadId: 'thread-a' }));
+  try {
+    const toolset = await mcpManager.getMcpToolset('thread-a');
+    assert.ok(toolset.has('mcp__stub__echo'));
+    assert.ok(toolset.has('mcp__scoped__add'));
+
+    const otherThread = await mcpManager.getMcpToolset('thread-b');
+    assert.ok(!otherThread.has('mcp__scoped__add'));
+
+    const echo = await toolset.callTool('mcp__stub__echo', { text: 'こんにちは' });
+    assert.equal(echo.success, true);
+    assert.equal(echo.content, 'こんにちは');
+
+    const failure = await toolset.callTool('mcp__stub__fail');
+    assert.equal(failure.success, false);
+    assert.equal(failure.error, 'stub failure');
+
+    await assert.rejects(toolset.callTool('mcp__stub__missing'), /Unknown MCP tool/);
+  } finally {
+    mcpManager.deleteMcpServer(global.id);
+    mcpManager.deleteMcpServer(scoped.id);
+  }
+});
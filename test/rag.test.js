@@ -0,0 +1,131 @@
+// アーティファクトの RAG（チャンク分割・local 埋め込み・検索）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js は読み込み時に環境変数を参照するため、import より前に設定する
+process.env.EMBEDDING_PROVIDER = 'local';
+const { getStorage } = await import('../utils/storage.js');
+const embeddings = await import('../utils/embeddings.js');
+const rag = await import('../utils/rag.js');
+
+// チャンクはメモリ上のデータベースに保存する（最初に getStorage を呼んだ時のパスで作成される）
+getStorage(':memory:');
+
+function saveArtifact(id, filename, version = 1) {
+  const timestamp = '2025-01-01T00:00:00.000Z';
+  const metadata = {
+    id,
+    threadId: null,
+    userId: 'user-1',
+    filename,
+    currentVersion: version,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    versions: []
+  };
+  getStorage().saveArtifact(metadata);
+  return metadata;
+}
+
+test('chunkText keeps line numbers and overlaps adjacent chunks', () => {
+  const lines = Array.from({ length: 10 }, (_, i) => `line ${String(i + 1).padStart(2, '0')}`);
+  const chunks = rag.chunkText(lines.join('\n'), { size: 32, overlap: 8 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].startLine, 1);
+  assert.equal(chunks.at(-1).endLine, 10);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= 32);
+    assert.equal(chunk.text, lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'));
+  }
+  // 次のチャンクは前のチャンクの最終行から始まる
+  for (let i = 1; i < chunks.length; i++) {
+    assert.equal(chunks[i].startLine, chunks[i - 1].endLine);
+  }
+});
+
+test('chunkText splits overlong lines and skips blank text', () => {
+  const chunks = rag.chunkText('a'.repeat(25), { size: 10, overlap: 0 });
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5)]);
+  assert.ok(chunks.every(chunk => chunk.startLine === 1 && chunk.endLine === 1));
+
+  assert.deepEqual(rag.chunkText(''), []);
+  assert.deepEqual(rag.chunkText('\n  \n'), []);
+});
+
+test('tokenize splits words and CJK bigrams', () => {
+  assert.deepEqual(embeddings.tokenize('Hello, World_1!'), ['hello', 'world_1']);
+  assert.deepEqual(embeddings.tokenize('東京都 猫'), ['東京', '京都', '猫']);
+});
+
+test('local embedder is deterministic and normalized', async () => {
+  const embedder = embeddings.getEmbedder();
+  assert.match(embedder.id, /^local:/);
+
+  const { vectors: [a, b, c], usage } = await embeddings.embedTexts(['red fox jumps', 'red fox jumps', 'blue whale sings']);
+  assert.equal(usage, null);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(embeddings.similarity(a, a) - 1) < 1e-6);
+  assert.ok(embeddings.similarity(a, c) < embeddings.similarity(a, b));
+});
+
+test('searchArtifactChunks ranks chunks by overlap with the query', async () => {
+  const fox = saveArtifact('art-fox', 'fox.md');
+  const whale = saveArtifact('art-whale', 'whale.md');
+  const other = saveArtifact('art-other', 'other.md');
+  await rag.indexArtifactEmbeddings(fox, 'The quick red fox jumps over the lazy dog');
+  await rag.indexArtifactEmbeddings(whale, 'The blue whale sings in the deep ocean');
+  await rag.indexArtifactEmbeddings(other, 'The red fox sleeps in its den');
+
+  const results = await rag.searchArtifactChunks({
+    query: 'red fox',
+    artifactIds: ['art-fox', 'art-whale'],
+    topK: 5,
+    minScore: 0.1
+  });
+  // 検索対象外のアーティファクトは含めない
+  assert.deepEqual(results.map(result => result.artifactId), ['art-fox']);
+  assert.equal(results[0].filename, 'fox.md');
+  assert.equal(results[0].version, 1);
+  assert.equal(results[0].startLine, 1);
+
+  const ranked = await rag.searchArtifactChunks({
+    query: 'whale in the ocean',
+    artifactIds: ['art-fox', 'art-whale', 'art-other'],
+    topK: 2,
+    minScore: 0
+  });
+  assert.equal(ranked.length, 2);
+  assert.equal(ranked[0].artifactId, 'art-whale');
+  assert.ok(ranked[0].score >= ranked[1].score);
+});
+
+test('indexArtifactEmbeddings skips unchanged versions and re-indexes new ones', async () => {
+  const metadata = saveArtifact('art-versioned', 'notes.txt');
+  assert.deepEqual(await rag.indexArtifactEmbeddings(metadata, 'first draft'), { chunks: 1 });
+  assert.equal(await rag.indexArtifactEmbeddings(metadata, 'first draft'), null);
+  assert.deepEqual(await rag.indexArtifactEmbeddings(metadata, 'first draft', { force: true }), { chunks: 1 });
+
+  const updated = saveArtifact('art-versioned', 'notes.txt', 2);
+  assert.deepEqual(await rag.indexArtifactEmbeddings(updated, 'second draft'), { chunks: 1 });
+  const [chunk] = getStorage().listArtifactChunks(['art-versioned'], embeddings.getEmbedder().id);
+  assert.equal(chunk.version, 2);
+  assert.equal(chunk.text, 'second draft');
+
+  // バイナリは対象外（チャンクなしで記録する）
+  const binary = saveArtifact('art-binary', 'image.png');
+  assert.deepEqual(await rag.indexArtifactEmbeddings(binary, Buffer.from([0x89, 0x00, 0x01])), { chunks: 0 });
+});
+
+test('retrieveContext respects the thread retrieval setting', async () => {
+  const message = { role: 'user', content: 'red fox' };
+  const thread = { artifactIds: ['art-fox', 'art-whale'] };
+
+  const results = await rag.retrieveContext({ thread, message });
+  assert.equal(results[0].artifactId, 'art-fox');
+
+  assert.deepEqual(await rag.retrieveContext({ thread: { ...thread, contextSettings: { retrievalTopK: 0 } }, message }), []);
+  assert.deepEqual(await rag.retrieveContext({ thread: { artifactIds: [] }, message }), []);
+  assert.deepEqual(await rag.retrieveContext({ thread, message: null }), []);
+});
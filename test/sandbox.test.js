@@ -0,0 +1,109 @@
+// コード実行サンドボックス（unshare が使えない環境ではスキップする）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+
+// config.js は読み込み時に環境変数を参照するため、import より前に設定する
+process.env.SANDBOX_TIMEOUT = '2000';
+process.env.EMBEDDING_PROVIDER = 'none';
+const sandbox = await import('../utils/sandbox.js');
+const { getStorage } = await import('../utils/storage.js');
+const helpers = await import('../helpers.js');
+const { sandboxTools } = await import('../tools/sandbox-tools.js');
+
+// スレッドとアーティファクトはメモリ上のデータベースに保存する
+getStorage(':memory:');
+
+const unshareAvailable = spawnSync('unshare', ['--user', '--map-root-user', '--net', '--mount', '--pid', '--fork', '--mount-proc', 'true']).status === 0;
+const pythonAvailable = spawnSync('python3', ['--version']).status === 0;
+const skip = !unshareAvailable || !pythonAvailable ? 'unshare or python3 is not available' : false;
+
+function runPython(script) {
+  return sandbox.runInSandbox({ entry: 'main.py', files: [{ name: 'main.py', content: script }] });
+}
+
+test('timeout kills descendants that left the process group', { skip }, async () => {
+  const started = Date.now();
+  const result = await runPython([
+    'import os, time',
+    'if os.fork() == 0:',
+    '    os.setsid()',
+    '    time.sleep(30)',
+    'else:',
+    '    time.sleep(30)'
+  ].join('\n'));
+  assert.equal(result.timedOut, true);
+  assert.ok(Date.now() - started < 6000, `took ${Date.now() - started}ms`);
+});
+
+test('scripts run and return the files they write', { skip }, async () => {
+  const result = await runPython('open("out.txt", "w").write("hello")\nprint("done")');
+  assert.equal(result.exitCode, 0, result.stderr);
+  assert.equal(result.stdout, 'done\n');
+  assert.deepEqual(result.files.map(file => [file.name, file.content.toString()]), [['out.txt', 'hello']]);
+});
+
+test('only the working directory is writable and the app directory is hidden', { skip }, async () => {
+  const result = await runPython([
+    'import json, os',
+    'def attempt(path):',
+    '    try:',
+    '        open(path, "a").close()',
+    '        return "written"',
+    '    except OSError:',
+    '        return "denied"',
+    'def hidden(path):',
+    '    try:',
+    '        return os.listdir(path) == []',
+    '    except OSError:',
+    '        return True',
+    'cwd = os.getcwd()',
+    'print(json.dumps({',
+    '    "tmp": sorted(os.listdir(os.path.dirname(cwd))) == [os.path.basename(cwd)],',
+    `    "app": hidden(${JSON.stringify(process.cwd())}),`,
+    '    "writes": [attempt(p) for p in ["/etc/sandbox-test", "/var/tmp/sandbox-test", os.path.join(os.path.dirname(cwd), "sibling")]],',
+    '    "work": attempt("inside.txt")',
+    '}))'
+  ].join('\n'));
+  assert.equal(result.exitCode, 0, result.stderr);
+  assert.deepEqual(JSON.parse(result.stdout), { tmp: true, app: true, writes: ['denied', 'denied', 'denied'], work: 'written' });
+});
+
+test('outputs never become versions of artifacts the user cannot manage', { skip }, async () => {
+  const [runArtifact] = sandboxTools;
+  const member = { user_id: 'member', group_id: '111' };
+  await helpers.writeThread('thread-111_222_g', { title: 'Group', userId: 'bot', metadata: { isGroupThread: true, guildId: '111' }, messages: [] });
+  await helpers.writeThread('member-thread', { title: 'Own', userId: 'member', messages: [] });
+  const shared = await helpers.createArtifactRecord({ filename: 'data.txt', content: 'original', threadId: 'thread-111_222_g', userId: 'bot' });
+  const other = await helpers.createArtifactRecord({ filename: 'report.txt', content: 'original', threadId: 'thread-111_222_g', userId: 'bot' });
+  await helpers.attachArtifactToThread(other.artifactId, 'member-thread', 'member');
+  const script = await helpers.createArtifactRecord({
+    filename: 'main.py',
+    content: 'open("data.txt", "w").write("changed")\nopen("report.txt", "w").write("changed")',
+    threadId: 'member-thread',
+    userId: 'member'
+  });
+  const created = [shared.artifactId, other.artifactId, script.artifactId];
+
+  try {
+    const result = await runArtifact.handler(
+      { artifact_id: script.artifactId, input_artifact_ids: [shared.artifactId] },
+      { user: member, threadId: 'member-thread', callId: 'call-1' }
+    );
+    created.push(result.artifactId, ...result.files.map(file => file.artifactId));
+    assert.equal(result.exitCode, 0, result.stderr);
+    assert.equal(result.files.length, 2);
+    for (const file of result.files) {
+      assert.ok(![shared.artifactId, other.artifactId].includes(file.artifactId), file.filename);
+      assert.equal((await helpers.readArtifactMetadata(file.artifactId)).threadId, 'member-thread');
+    }
+    for (const artifactId of [shared.artifactId, other.artifactId]) {
+      assert.equal((await helpers.readArtifactMetadata(artifactId)).currentVersion, 1);
+    }
+  } finally {
+    for (const artifactId of new Set(created)) {
+      await helpers.deleteArtifactRecord(artifactId);
+    }
+  }
+});
@@ -0,0 +1,123 @@
+// ログインセッション（リフレッシュトークンの更新・失効、署名鍵の切り替え）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js は読み込み時に環境変数を参照するため、import より前に設定する
+process.env.JWT_SECRET = 'test-secret';
+const auth = await import('../auth.js');
+const sessions = await import('../utils/sessions.js');
+
+before(async () => {
+  await auth.initDatabase(':memory:');
+  await auth.createUser({ userId: 'alice' });
+  await auth.createUser({ userId: 'bob' });
+});
+
+after(async () => {
+  await auth.closeDatabase();
+});
+
+async function login(userId, meta = {}) {
+  return sessions.createSession(await auth.getUser(userId), { authType: 'password', ...meta });
+}
+
+test('createSession issues an access token bound to the session', async () => {
+  const tokens = await login('alice', { device: 'x'.repeat(300), ip: '127.0.0.1' });
+  assert.match(tokens.refreshToken, new RegExp(`^${tokens.sessionId}\\.`));
+  assert.equal(tokens.expiresIn, sessions.ACCESS_TOKEN_TTL_SECONDS);
+
+  const verified = await sessions.verifyAccessToken(tokens.token);
+  assert.equal(verified.payload.sub, 'alice');
+  assert.equal(verified.payload.sid, tokens.sessionId);
+
+  // リフレッシュトークンはハッシュのみ保存し、端末名は切り詰める
+  const session = await auth.getSession(tokens.sessionId);
+  assert.notEqual(session.refresh_token_hash, tokens.refreshToken);
+  assert.equal(session.device.length, 200);
+});
+
+test('refreshSession rotates the refresh token and rejects the old one', async () => {
+  const tokens = await login('alice');
+  const refreshed = await sessions.refreshSession(tokens.refreshToken);
+  assert.equal(refreshed.sessionId, tokens.sessionId);
+  assert.notEqual(refreshed.refreshToken, tokens.refreshToken);
+  assert.equal((await sessions.verifyAccessToken(refreshed.token)).payload.sub, 'alice');
+
+  assert.equal(await sessions.refreshSession(tokens.refreshToken), null);
+  assert.ok(await sessions.refreshSession(refreshed.refreshToken));
+});
+
+test('concurrent refreshes with the same token succeed only once', async () => {
+  const tokens = await login('alice');
+  const results = await Promise.all([
+    sessions.refreshSession(tokens.refreshToken),
+    sessions.refreshSession(tokens.refreshToken),
+    sessions.refreshSession(tokens.refreshToken)
+  ]);
+  assert.equal(results.filter(Boolean).length, 1);
+});
+
+test('refreshSession rejects malformed and forged tokens', async () => {
+  const tokens = await login('alice');
+  assert.equal(await sessions.refreshSession(undefined), null);
+  assert.equal(await sessions.refreshSession('no-dot'), null);
+  assert.equal(await sessions.refreshSession(`${tokens.sessionId}.forged`), null);
+  assert.equal(await sessions.refreshSession('unknown-session.value'), null);
+});
+
+test('revoking a session invalidates its access and refresh tokens', async () => {
+  const tokens = await login('alice');
+  assert.equal(await sessions.revokeSession(tokens.sessionId), true);
+  assert.equal(await sessions.revokeSession(tokens.sessionId), false);
+
+  assert.equal(await sessions.verifyAccessToken(tokens.token), null);
+  assert.equal(await sessions.refreshSession(tokens.refreshToken), null);
+});
+
+test('revokeUserSessions keeps the excepted session and other users', async () => {
+  const current = await login('bob');
+  const other = await login('bob');
+  const alice = await login('alice');
+
+  const revoked = await sessions.revokeUserSessions('bob', { exceptSessionId: current.sessionId });
+  assert.ok(revoked >= 1);
+  assert.ok(await sessions.verifyAccessToken(current.token));
+  assert.equal(await sessions.verifyAccessToken(other.token), null);
+  assert.ok(await sessions.verifyAccessToken(alice.token));
+
+  const listed = await sessions.listSessions('bob');
+  assert.deepEqual(listed.map(session => session.session_id), [current.sessionId]);
+  assert.equal(await sessions.getUserSession('alice', current.sessionId), null);
+});
+
+test('refreshSession refuses suspended accounts', async () => {
+  await auth.createUser({ userId: 'carol' });
+  const tokens = await login('carol');
+  await auth.updateUser('carol', { authority: auth.Authority.STOPPED });
+  await assert.rejects(sessions.refreshSession(tokens.refreshToken), /Account is stopped/);
+});
+
+test('rotating the signing key keeps or revokes previously issued tokens', async () => {
+  const tokens = await login('alice');
+
+  await sessions.rotateSigningKey();
+  assert.ok(await sessions.verifyAccessToken(tokens.token));
+  const next = await login('alice');
+  assert.ok(await sessions.verifyAccessToken(next.token));
+
+  // 以前の鍵を失効してもセッションは残るため、リフレッシュトークンで再発行できる
+  await sessions.rotateSigningKey({ revokePrevious: true });
+  assert.equal(await sessions.verifyAccessToken(tokens.token), null);
+  assert.equal(await sessions.verifyAccessToken(next.token), null);
+  const refreshed = await sessions.refreshSession(tokens.refreshToken);
+  assert.ok(await sessions.verifyAccessToken(refreshed.token));
+});
+
+test('verifyAccessToken rejects tampered tokens', async () => {
+  const tokens = await login('alice');
+  const [header, payload, signature] = tokens.token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'bob' })).toString('base64url');
+  assert.equal(await sessions.verifyAccessToken(`${header}.${forged}.${signature}`), null);
+  assert.equal(await sessions.verifyAccessToken('not-a-jwt'), null);
+});
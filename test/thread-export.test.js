@@ -0,0 +1,224 @@
+// スレッドのエクスポート・インポートと ZIP の読み書き
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js は読み込み時に環境変数を参照するため、import より前に設定する（アーティファクトの埋め込みは作成しない）
+process.env.EMBEDDING_PROVIDER = 'none';
+const { getStorage } = await import('../utils/storage.js');
+const helpers = await import('../helpers.js');
+const zip = await import('../utils/zip.js');
+const threadExport = await import('../utils/thread-export.js');
+
+// スレッドはメモリ上のデータベースに保存する（最初に getStorage を呼んだ時のパスで作成される）
+getStorage(':memory:');
+
+test('createZip output can be read back by readZip', () => {
+  const buffer = zip.createZip([
+    { name: 'thread.json', content: JSON.stringify({ hello: 'こんにちは' }) },
+    { name: 'artifacts/a/v1/data.bin', content: Buffer.from([0, 1, 2, 255]) },
+    { name: 'artifacts/a/v2/large.txt', content: 'x'.repeat(10_000) }
+  ]);
+  assert.ok(zip.isZip(buffer));
+
+  const entries = zip.readZip(buffer);
+  assert.deepEqual(entries.map(entry => entry.name), ['thread.json', 'artifacts/a/v1/data.bin', 'artifacts/a/v2/large.txt']);
+  assert.equal(JSON.parse(entries[0].content).hello, 'こんにちは');
+  assert.deepEqual([...entries[1].content], [0, 1, 2, 255]);
+  assert.equal(entries[2].content.toString(), 'x'.repeat(10_000));
+});
+
+test('readZip enforces the extracted size limit', () => {
+  const buffer = zip.createZip([{ name: 'big.txt', content: 'a'.repeat(100_000) }]);
+  assert.ok(buffer.length < 1000);
+  assert.throws(() => zip.readZip(buffer, { maxTotalBytes: 50_000 }), /too large when extracted/);
+});
+
+test('readZip does not inflate beyond the declared size', () => {
+  const buffer = zip.createZip([{ name: 'bomb.txt', content: 'a'.repeat(100_000) }]);
+  // 中央ディレクトリの展開後サイズを小さく偽装する
+  const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt32LE(10, central + 24);
+  assert.throws(() => zip.readZip(buffer));
+});
+
+test('readZip rejects corrupted entries and non-zip data', () => {
+  const buffer = zip.createZip([{ name: 'a.txt', content: 'stored' }]);
+  const corrupted = Buffer.from(buffer);
+  corrupted[30 + 'a.txt'.length] ^= 0xff;
+  assert.throws(() => zip.readZip(corrupted), /checksum mismatch/);
+  assert.throws(() => zip.readZip(Buffer.from('not a zip')), /end of central directory not found/);
+  assert.ok(!zip.isZip(Buffer.from('{}')));
+});
+
+test('readZip rejects unsupported compression methods', () => {
+  const buffer = zip.createZip([{ name: 'a.txt', content: 'b'.repeat(1000) }]);
+  const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt16LE(12, central + 10);
+  assert.throws(() => zip.readZip(buffer), /Unsupported zip compression method 12/);
+});
+
+test('parseImportFile reads thread.json from an exported zip', () => {
+  const bundle = { format: 'simple-openai-api-ui.thread', version: 1, thread: { title: 't' }, messages: [] };
+  const { bundles, files } = threadExport.parseImportFile(zip.createZip([
+    { name: 'export/thread.json', content: JSON.stringify(bundle) }
+  ]), 'export.zip');
+  assert.equal(bundles[0].thread.title, 't');
+  assert.ok(files.has('export/thread.json'));
+
+  assert.throws(() => threadExport.parseImportFile(zip.createZip([{ name: 'readme.txt', content: '' }])), /thread.json or conversations.json not found/);
+  assert.throws(() => threadExport.parseImportFile(Buffer.from('{"format":"other"}'), 'x.json'), /Unsupported file/);
+});
+
+test('importThreadBundle does not keep artifact IDs from the source instance', async () => {
+  const bundle = {
+    format: 'simple-openai-api-ui.thread',
+    version: 1,
+    thread: { title: 'Imported', activeLeafId: 'm2' },
+    artifacts: [],
+    messages: [
+      {
+        id: 'm1',
+        role: 'user',
+        parentId: null,
+        content: [
+          { type: 'text', text: 'see attachment' },
+          { type: 'file', artifactId: 'source-artifact', version: 1, filename: 'notes.md' }
+        ]
+      },
+      {
+        id: 'm2',
+        role: 'assistant',
+        parentId: 'm1',
+        content: 'ok',
+        usage: {
+          context: {
+            includedMessageIds: ['m1', 'unknown'],
+            retrieval: [{ artifactId: 'source-artifact', filename: 'notes.md', version: 1, startLine: 1, endLine: 3, score: 0.9 }]
+          }
+        }
+      }
+    ]
+  };
+
+  const result = await threadExport.importThreadBundle(bundle, { user: { user_id: 'importer' } });
+  const thread = await helpers.readThread(result.threadId);
+  const [userMessage, assistantMessage] = thread.messages;
+
+  assert.notEqual(userMessage.id, 'm1');
+  assert.equal(assistantMessage.parentId, userMessage.id);
+  assert.equal(thread.activeLeafId, assistantMessage.id);
+  assert.deepEqual(userMessage.content[1], { type: 'text', text: '[file: notes.md (not imported)]' });
+  // 使用量（コンテキストの情報を含む）は取り込まない
+  assert.equal(assistantMessage.usage, undefined);
+  assert.ok(!JSON.stringify(thread).includes('source-artifact'));
+});
+
+test('importThreadBundle keeps only known message fields', async () => {
+  const bundle = {
+    format: 'simple-openai-api-ui.thread',
+    version: 1,
+    thread: { title: 'Crafted', activeLeafId: 'm2' },
+    artifacts: [],
+    messages: [
+      {
+        id: 'm1',
+        role: 'user',
+        parentId: null,
+        timestamp: 'not a date',
+        metadata: { discord: { onclick: 'alert(1)' } },
+        content: [
+          'plain',
+          { type: 'image', filename: 'x" onerror="alert(1)', version: '1);alert(1' },
+          { type: 'html', html: '<script>' }
+        ]
+      },
+      {
+        id: 'm2',
+        role: 'assistant',
+        parentId: 'm1',
+        content: 'ok',
+        model: 'gpt-test',
+        pinned: true,
+        structured: { valid: true, data: { html: '<img onerror>' } },
+        toolCalls: [{ name: 'generate_image', result: { success: true, artifactId: 'a', version: '1);alert(1' } }],
+        transcript: [{ type: 'message' }],
+        reasoning: [{ id: 'r1', summary: ['thinking'] }, { summary: [{ html: '<b>' }] }],
+        usage: { systemPromptHash: '0123456789abcdef', creditsUsed: '<b>', context: { retrieval: [{}] } }
+      }
+    ]
+  };
+
+  const result = await threadExport.importThreadBundle(bundle, { user: { user_id: 'importer' } });
+  const [userMessage, assistantMessage] = (await helpers.readThread(result.threadId)).messages;
+
+  assert.deepEqual(Object.keys(userMessage).sort(), ['content', 'id', 'parentId', 'role', 'timestamp']);
+  assert.ok(!Number.isNaN(Date.parse(userMessage.timestamp)));
+  assert.deepEqual(userMessage.content, [
+    { type: 'text', text: 'plain' },
+    { type: 'text', text: '[image: x" onerror="alert(1) (not imported)]' },
+    { type: 'text', text: '[html: attachment (not imported)]' }
+  ]);
+
+  assert.equal(assistantMessage.model, 'gpt-test');
+  assert.equal(assistantMessage.pinned, true);
+  assert.deepEqual(assistantMessage.reasoning, [{ id: 'r1', summary: ['thinking'] }]);
+  assert.deepEqual(assistantMessage.usage, { systemPromptHash: '0123456789abcdef' });
+  for (const field of ['structured', 'toolCalls', 'transcript', 'metadata']) {
+    assert.equal(assistantMessage[field], undefined, field);
+  }
+});
+
+test('importThreadBundle resolves attachments against the imported artifacts', async () => {
+  const bundle = {
+    format: 'simple-openai-api-ui.thread',
+    version: 1,
+    thread: { title: 'With artifacts', activeLeafId: 'm1' },
+    artifacts: [
+      {
+        id: 'source-image',
+        filename: 'photo.png',
+        versions: [
+          { version: 2, path: 'artifacts/source-image/photo_v2.png' },
+          { version: 5, path: 'artifacts/source-image/photo_v5.png' }
+        ]
+      },
+      { id: 'source-notes', filename: 'notes.md', versions: [{ version: 1, path: 'artifacts/source-notes/notes_v1.md' }] }
+    ],
+    messages: [
+      {
+        id: 'm1',
+        role: 'user',
+        parentId: null,
+        content: [
+          { type: 'image', artifactId: 'source-image', version: 2, filename: 'a" onload="alert(1)', mimeType: 'text/html', detail: 'high' },
+          { type: 'image', artifactId: 'source-image', version: '5);alert(1' },
+          { type: 'image', artifactId: 'source-notes', version: 1 }
+        ]
+      }
+    ]
+  };
+  const files = new Map([
+    ['artifacts/source-image/photo_v2.png', Buffer.from('png v2')],
+    ['artifacts/source-image/photo_v5.png', Buffer.from('png v5')],
+    ['artifacts/source-notes/notes_v1.md', Buffer.from('# notes')]
+  ]);
+
+  const result = await threadExport.importThreadBundle(bundle, { user: { user_id: 'importer' }, files });
+  const thread = await helpers.readThread(result.threadId);
+  try {
+    const [image, fallback, notes] = thread.messages[0].content;
+    const imageId = image.artifactId;
+    assert.deepEqual(image, { type: 'image', artifactId: imageId, version: 1, filename: 'photo.png', mimeType: 'image/png', detail: 'high' });
+    // 不明なバージョンは最新版を参照する
+    assert.deepEqual(fallback, { type: 'image', artifactId: imageId, version: 2, filename: 'photo.png', mimeType: 'image/png' });
+    // 画像でないアーティファクトは file として参照する
+    assert.equal(notes.type, 'file');
+    assert.equal(notes.filename, 'notes.md');
+    assert.equal(notes.version, 1);
+  } finally {
+    for (const artifactId of thread.artifactIds) {
+      await helpers.deleteArtifactRecord(artifactId);
+    }
+  }
+});
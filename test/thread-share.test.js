@@ -0,0 +1,132 @@
+// スレッドの共有リンク（共有ページで公開する内容）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js は読み込み時に環境変数を参照するため、import より前に設定する（アーティファクトの埋め込みは作成しない）
+process.env.EMBEDDING_PROVIDER = 'none';
+const { getStorage } = await import('../utils/storage.js');
+const helpers = await import('../helpers.js');
+const threadShare = await import('../utils/thread-share.js');
+
+// スレッドはメモリ上のデータベースに保存する（最初に getStorage を呼んだ時のパスで作成される）
+// メッセージIDはスレッドをまたいで一意にする
+getStorage(':memory:');
+
+const TIMESTAMP = '2025-01-01T00:00:00.000Z';
+
+async function createThread(id, messages) {
+  await helpers.writeThread(id, {
+    title: 'Shared',
+    userId: 'owner',
+    model: 'gpt-test',
+    systemPromptUser: 'secret system prompt',
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP,
+    activeLeafId: messages.at(-1).id,
+    messages: messages.map(message => ({ timestamp: TIMESTAMP, ...message }))
+  });
+  return helpers.readThread(id);
+}
+
+function saveArtifact(id, threadId, filename, currentVersion = 1) {
+  getStorage().saveArtifact({
+    id,
+    threadId,
+    userId: 'owner',
+    filename,
+    currentVersion,
+    createdAt: TIMESTAMP,
+    updatedAt: TIMESTAMP,
+    versions: Array.from({ length: currentVersion }, (_, i) => ({ version: i + 1, filename: `v${i + 1}_${filename}`, createdAt: TIMESTAMP }))
+  });
+}
+
+test('attachment labels come from artifact metadata, not the stored message', async () => {
+  const thread = await createThread('share-thread', [
+    {
+      id: 'm1',
+      role: 'user',
+      parentId: null,
+      content: [
+        { type: 'text', text: 'look' },
+        { type: 'image', artifactId: 'art-image', version: 1, filename: 'a" onload="alert(1)', mimeType: 'text/html' },
+        { type: 'file', artifactId: 'art-elsewhere', version: 1, filename: '<script>' }
+      ]
+    },
+    {
+      id: 'm2',
+      role: 'assistant',
+      parentId: 'm1',
+      content: 'done',
+      toolCalls: [{ name: 'read_artifact', arguments: '{}', output: 'secret file contents' }],
+      reasoning: 'secret reasoning'
+    }
+  ]);
+  // スレッドに紐づけるため、スレッドの作成後に保存する
+  saveArtifact('art-image', 'share-thread', 'photo.png', 3);
+
+  const shared = await threadShare.buildSharedView({ includeArtifacts: true, expiresAt: null }, thread);
+  assert.deepEqual(shared.messages[0].content, [
+    { type: 'text', text: 'look' },
+    { type: 'image', artifactId: 'art-image', filename: 'photo.png', mimeType: 'image/png' },
+    { type: 'file' }
+  ]);
+  assert.deepEqual(shared.messages[1].toolNames, ['read_artifact']);
+  assert.deepEqual(shared.artifacts.map(artifact => [artifact.id, artifact.currentVersion]), [['art-image', 3]]);
+  assert.ok(!JSON.stringify(shared).includes('secret'));
+
+  const hidden = await threadShare.buildSharedView({ includeArtifacts: false, expiresAt: null }, thread);
+  assert.deepEqual(hidden.messages[0].content.slice(1), [{ type: 'image', filename: 'photo.png' }, { type: 'file' }]);
+  assert.deepEqual(hidden.artifacts, []);
+});
+
+test('forking copies only what the share page shows', async () => {
+  await createThread('fork-source', [{ id: 'f0', role: 'user', parentId: null, content: 'placeholder' }]);
+  const record = await helpers.createArtifactRecord({ filename: 'notes.md', content: 'v1 secret', threadId: 'fork-source', userId: 'owner' });
+  await helpers.appendArtifactVersion({ artifactId: record.artifactId, content: 'v2 latest' });
+  const created = [record.artifactId];
+
+  // 現在の分岐は f1 → f2（f3 は別の分岐）
+  const source = await createThread('fork-source', [
+    { id: 'f1', role: 'user', parentId: null, content: [{ type: 'text', text: 'read this' }, { type: 'file', artifactId: record.artifactId, version: 1 }] },
+    { id: 'f3', role: 'user', parentId: 'f1', content: 'other branch' },
+    {
+      id: 'f2',
+      role: 'assistant',
+      parentId: 'f1',
+      content: 'summary',
+      model: 'gpt-test',
+      toolCalls: [{ name: 'read_artifact', output: 'v1 secret' }],
+      reasoning: [{ summary: ['secret reasoning'] }],
+      usage: { systemPromptHash: '0123456789abcdef' }
+    }
+  ]);
+
+  try {
+    const withArtifacts = await threadShare.forkSharedThread({ includeArtifacts: true }, source, { user_id: 'forker' });
+    const forked = await helpers.readThread(withArtifacts.threadId);
+    created.push(...forked.artifactIds);
+    assert.equal(forked.userId, 'forker');
+    assert.equal(forked.messages.length, 2);
+    assert.equal(forked.messages[1].content, 'summary');
+    assert.equal(forked.messages[1].parentId, forked.messages[0].id);
+    assert.ok(!JSON.stringify(forked).includes('secret'));
+
+    const [artifact] = await helpers.listArtifactMetadata(forked.id);
+    assert.equal(artifact.versions.length, 1);
+    const { content } = await helpers.readArtifactVersion(artifact, artifact.currentVersion);
+    assert.equal(content.toString(), 'v2 latest');
+    assert.equal(forked.messages[0].content[1].artifactId, artifact.id);
+    assert.equal(forked.messages[0].content[1].version, 1);
+
+    const withoutArtifacts = await threadShare.forkSharedThread({ includeArtifacts: false }, source, { user_id: 'forker' });
+    const plain = await helpers.readThread(withoutArtifacts.threadId);
+    assert.deepEqual(plain.artifactIds, []);
+    assert.deepEqual(plain.messages[0].content[1], { type: 'text', text: '[file: notes.md (not imported)]' });
+  } finally {
+    for (const artifactId of created) {
+      await helpers.deleteArtifactRecord(artifactId);
+    }
+  }
+});
@@ -0,0 +1,521 @@
+// tools/artifact-tools.js
+
+// ==================================================
+// 組み込みツール: アーティファクト操作
+// ==================================================
+//
+// ツールの定義形式は utils/tool-registry.js を参照。
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as configs from '../utils/config.js';
+import * as helpers from '../helpers.js';
+import * as access from '../utils/access-control.js';
+import * as rag from '../utils/rag.js';
+
+export const artifactTools = [
+  // Artifact作成ツール
+  {
+    name: "create_artifact",
+    description: "Create a new artifact (file) with the given filename and content. Use this when the user asks to create a file or when you want to save code/content as an artifact.",
+    parameters: {
+      type: "object",
+      properties: {
+        filename: {
+          type: "string",
+          description: "The name of the file to create (e.g., script.js, style.css, document.md)"
+        },
+        content: {
+          type: "string",
+          description: "The complete content of the artifact"
+        },
+        description: {
+          type: "string",
+          description: "A brief description of what this artifact contains"
+        }
+      },
+      required: ["filename", "content"]
+    },
+    refreshThread: true,
+    handler: async (input, { user, threadId, callId }) => {
+      console.log('  📝 Creating artifact...');
+      const record = await helpers.createArtifactRecord({
+        filename: input.filename,
+        content: input.content,
+        metadata: { description: input.description || '' },
+        threadId,
+        userId: user.user_id,
+        source: { type: 'tool', tool: 'create_artifact', userId: user.user_id, threadId, callId }
+      });
+      console.log(`  ✅ Artifact created: ${record.artifactId} (${record.displayFilename})`);
+
+      return {
+        success: true,
+        artifactId: record.artifactId,
+        filename: record.displayFilename,
+        storageFilename: record.filename,
+        fileContent: input.content,
+        version: record.version,
+        message: `Successfully created artifact: ${record.displayFilename}`
+      };
+    }
+  },
+  // Artifact編集ツール（全体置換）
+  {
+    name: "replace_artifact",
+    description: "Replace whole content of an existing artifact by providing its ID and the new content. Use this when the user asks to modify an existing artifact.",
+    parameters: {
+      type: "object",
+      properties: {
+        artifact_id: {
+          type: "string",
+          description: "The ID of the artifact to edit"
+        },
+        content: {
+          type: "string",
+          description: "The new complete content for the artifact"
+        },
+        description: {
+          type: "string",
+          description: "Updated description of what this artifact contains"
+        }
+      },
+      required: ["artifact_id", "content"]
+    },
+    refreshThread: true,
+    handler: async (input, { user, threadId, callId }) => {
+      console.log('  ✏️ Editing artifact...');
+      await access.assertArtifactAccess(user, input.artifact_id);
+      const record = await helpers.appendArtifactVersion({
+        artifactId: input.artifact_id,
+        content: input.content,
+        metadata: { description: input.description || '' },
+        source: { type: 'tool', tool: 'replace_artifact', userId: user.user_id, threadId, callId }
+      });
+
+      console.log(`  ✅ Artifact edited: ${record.artifactId} (v${record.version})`);
+
+      return {
+        success: true,
+        artifactId: record.artifactId,
+        filename: record.displayFilename,
+        storageFilename: record.filename,
+        version: record.version,
+        fileContent: input.content,
+        message: `Successfully updated artifact to version ${record.version}`
+      };
+    }
+  },
+  // Artifact読み取りツール
+  {
+    name: "read_artifact",
+    description: "Read the contents of an existing artifact. For large files, you can read specific portions (top/bottom lines) instead of the entire file.",
+    parameters: {
+      type: "object",
+      properties: {
+        artifact_id: {
+          type: "string",
+          description: "The ID of the artifact to read"
+        },
+        version: {
+          type: "integer",
+          description: "Specific version to read. Defaults to the latest version."
+        },
+        encoding: {
+          type: "string",
+          enum: ["utf-8", "base64"],
+          description: "Encoding for the returned content. Defaults to utf-8; use base64 for binary files."
+        },
+        range: {
+          type: "string",
+          enum: ["all", "top", "bottom"],
+          description: "Which part of the file to read. 'all' returns entire file, 'top' returns first N lines, 'bottom' returns last N lines. Defaults to 'all'."
+        },
+        line_count: {
+          type: "integer",
+          description: "Number of lines to read when range is 'top' or 'bottom'. Required when range is not 'all'. Must be positive.",
+          minimum: 1
+        }
+      },
+      required: ["artifact_id"]
+    },
+    handler: async (input, { user }) => {
+      console.log('  📖 Reading artifact...');
+      const artifactId = input.artifact_id;
+      await access.assertArtifactAccess(user, artifactId);
+      const requestedVersion = typeof input.version === 'number' ? input.version : null;
+      const encoding = input.encoding === 'base64' ? 'base64' : 'utf-8';
+      const range = input.range || 'all';
+      const lineCount = input.line_count;
+
+      // バリデーション
+      if ((range === 'top' || range === 'bottom') && !lineCount) {
+        throw new Error('line_count is required when range is "top" or "bottom"');
+      }
+
+      if (lineCount && lineCount < 1) {
+        throw new Error('line_count must be a positive integer');
+      }
+
+      const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
+      const artifactMetadata = await helpers.readArtifactMetadata(artifactId);
+
+      const versionData = requestedVersion
+        ? artifactMetadata.versions.find(v => v.version === requestedVersion)
+        : artifactMetadata.versions.at(-1);
+
+      if (!versionData) {
+        throw new Error(
+          requestedVersion
+            ? `Artifact version ${requestedVersion} not found`
+            : 'No versions found for artifact'
+        );
+      }
+
+      const filePath = path.join(artifactDir, versionData.filename);
+      const fileBuffer = await fs.readFile(filePath);
+
+      let fileContent;
+      let totalLines = null;
+      let returnedLines = null;
+      let isTruncated = false;
+
+      if (encoding === 'base64') {
+        // バイナリファイルの場合はrangeオプションは適用されない
+        fileContent = fileBuffer.toString('base64');
+        if (range !== 'all') {
+          console.warn('range option is ignored for base64 encoding');
+        }
+      } else {
+        const fullContent = fileBuffer.toString('utf-8');
+        const lines = fullContent.split('\n');
+        totalLines = lines.length;
+
+        if (range === 'all') {
+          fileContent = fullContent;
+          returnedLines = totalLines;
+        } else if (range === 'top') {
+          const selectedLines = lines.slice(0, lineCount);
+          fileContent = selectedLines.join('\n');
+          returnedLines = selectedLines.length;
+          isTruncated = totalLines > lineCount;
+        } else if (range === 'bottom') {
+          const startIndex = Math.max(0, totalLines - lineCount);
+          const selectedLines = lines.slice(startIndex);
+          fileContent = selectedLines.join('\n');
+          returnedLines = selectedLines.length;
+          isTruncated = totalLines > lineCount;
+        }
+      }
+
+      console.log(`  ✅ Artifact read: ${artifactId} (v${versionData.version})`);
+
+      return {
+        success: true,
+        artifactId,
+        filename: artifactMetadata.filename,
+        version: versionData.version,
+        encoding,
+        content: fileContent,
+        range,
+        totalLines,
+        returnedLines,
+        isTruncated,
+        metadata: versionData.metadata ?? {},
+        message: `Successfully read artifact ${artifactMetadata.filename} (v${versionData.version})${
+          range !== 'all' ? ` - ${range} ${returnedLines} of ${totalLines} lines` : ''
+        }`,
+      };
+    }
+  },
+  // Artifact部分編集ツール（パターンマッチ）
+  {
+    name: "patch_artifact",
+    description: `Edit specific parts of an artifact using pattern matching. This is more efficient than reading the entire file.
+Supports multiple edits in a single call.
+edit_type options:
+- "replace": Replace content between start_pattern and end_pattern
+- "delete": Delete content between start_pattern and end_pattern
+- "insert_before": Insert new_content before start_pattern
+- "insert_after": Insert new_content after start_pattern
+
+Patterns are matched with normalized whitespace (consecutive spaces/newlines treated as single space).
+If start_pattern matches multiple locations, the operation is applied to all matches.`,
+    parameters: {
+      type: "object",
+      properties: {
+        artifact_id: {
+          type: "string",
+          description: "The ID of the artifact to edit"
+        },
+        edits: {
+          type: "array",
+          description: "Array of edit operations to apply",
+          items: {
+            type: "object",
+            properties: {
+              edit_type: {
+                type: "string",
+                enum: ["replace", "delete", "insert_before", "insert_after"],
+                description: "Type of edit operation"
+              },
+              start_pattern: {
+                type: "string",
+                description: "Pattern to match the start position (whitespace normalized)"
+              },
+              end_pattern: {
+                type: "string",
+                description: "Pattern to match the end position (required for replace/delete)"
+              },
+              new_content: {
+                type: "string",
+                description: "New content to insert or replace with (required for replace/insert_*)"
+              }
+            },
+            required: ["edit_type", "start_pattern"]
+          }
+        }
+      },
+      required: ["artifact_id", "edits"]
+    },
+    handler: async (input, { user, threadId, callId }) => {
+      console.log('  🔧 Patching artifact...');
+      const artifactId = input.artifact_id;
+      const edits = input.edits;
+      await access.assertArtifactAccess(user, artifactId);
+
+      // 現在のアーティファクトを読み込む
+      const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
+      const artifactMetadata = await helpers.readArtifactMetadata(artifactId);
+
+      const latestVersion = artifactMetadata.versions.at(-1);
+      if (!latestVersion) {
+        throw new Error('No versions found for artifact');
+      }
+
+      const filePath = path.join(artifactDir, latestVersion.filename);
+      const originalContent = await fs.readFile(filePath, 'utf-8');
+
+      // パッチを適用
+      const patchedContent = helpers.applyPatches(originalContent, edits);
+
+      // 新しいバージョンとして保存
+      const record = await helpers.appendArtifactVersion({
+        artifactId,
+        content: patchedContent,
+        metadata: { 
+          description: `Patched with ${edits.length} edit(s)`,
+          patchSummary: edits.map(e => e.edit_type).join(', ')
+        },
+        source: { type: 'tool', tool: 'patch_artifact', userId: user.user_id, threadId, callId }
+      });
+
+      console.log(`  ✅ Artifact patched: ${record.artifactId} (v${record.version})`);
+
+      return {
+        success: true,
+        artifactId: record.artifactId,
+        filename: record.displayFilename,
+        version: record.version,
+        editsApplied: edits.length,
+        stats: {
+          originalLines: originalContent.split('\n').length,
+          newLines: patchedContent.split('\n').length,
+          linesDiff: patchedContent.split('\n').length - originalContent.split('\n').length
+        },
+        message: `Successfully patched artifact with ${edits.length} edit(s). New version: ${record.version}`
+      };
+    }
+  },
+  // Artifact内検索ツール
+  {
+    name: "search_in_artifact",
+    description: "Search for patterns in an artifact and return matching sections with context lines. Useful for locating specific code or content in large files. Whitespace in patterns is normalized (consecutive spaces/tabs/newlines treated as single space).",
+    parameters: {
+      type: "object",
+      properties: {
+        artifact_id: {
+          type: "string",
+          description: "The ID of the artifact to search"
+        },
+        version: {
+          type: "integer",
+          description: "Specific version to search. Defaults to the latest version."
+        },
+        search_pattern: {
+          type: "string",
+          description: "Pattern to search for. Whitespace is normalized, so 'function\\n\\nfoo' will match 'function foo'."
+        },
+        context_before: {
+          type: "integer",
+          description: "Number of lines to include before each match",
+          default: 2,
+          minimum: 0
+        },
+        context_after: {
+          type: "integer",
+          description: "Number of lines to include after each match",
+          default: 2,
+          minimum: 0
+        },
+        max_matches: {
+          type: "integer",
+          description: "Maximum number of matches to return. Defaults to 10 to avoid overwhelming responses.",
+          default: 10,
+          minimum: 1
+        }
+      },
+      required: ["artifact_id", "search_pattern"]
+    },
+    handler: async (input, { user }) => {
+      console.log('  🔍 Searching in artifact...');
+      const artifactId = input.artifact_id;
+      await access.assertArtifactAccess(user, artifactId);
+      const requestedVersion = typeof input.version === 'number' ? input.version : null;
+      const searchPattern = input.search_pattern;
+      const contextBefore = input.context_before ?? 2;
+      const contextAfter = input.context_after ?? 2;
+      const maxMatches = input.max_matches ?? 10;
+
+      if (!searchPattern || searchPattern.trim().length === 0) {
+        throw new Error('search_pattern must be a non-empty string');
+      }
+
+      const artifactDir = path.join(configs.ARTIFACTS_DIR, artifactId);
+      const artifactMetadata = await helpers.readArtifactMetadata(artifactId);
+
+      const versionData = requestedVersion
+        ? artifactMetadata.versions.find(v => v.version === requestedVersion)
+        : artifactMetadata.versions.at(-1);
+
+      if (!versionData) {
+        throw new Error(
+          requestedVersion
+            ? `Artifact version ${requestedVersion} not found`
+            : 'No versions found for artifact'
+        );
+      }
+
+      const filePath = path.join(artifactDir, versionData.filename);
+      const content = await fs.readFile(filePath, 'utf-8');
+
+      // findAllMatchesを再利用（既存のpatch_artifact用関数）
+      const matches = helpers.findAllMatches(content, searchPattern);
+
+      // 行単位の情報を構築
+      const lines = content.split('\n');
+      const results = [];
+
+      for (let i = 0; i < Math.min(matches.length, maxMatches); i++) {
+        const match = matches[i];
+
+        // マッチ位置を行番号に変換
+        const beforeMatch = content.slice(0, match.startOffset);
+        const matchStartLine = beforeMatch.split('\n').length - 1; // 0-indexed
+        const matchText = content.slice(match.startOffset, match.endOffset);
+        const matchLineCount = matchText.split('\n').length;
+        const matchEndLine = matchStartLine + matchLineCount - 1; // 0-indexed
+
+        // コンテキスト行を含めた範囲を計算
+        const startLine = Math.max(0, matchStartLine - contextBefore);
+        const endLine = Math.min(lines.length - 1, matchEndLine + contextAfter);
+
+        const contextLines = lines.slice(startLine, endLine + 1);
+
+        results.push({
+          matchIndex: i + 1,
+          lineRange: {
+            start: startLine + 1, // 1-based line numbers for display
+            end: endLine + 1,
+            matchStart: matchStartLine + 1,
+            matchEnd: matchEndLine + 1
+          },
+          content: contextLines.join('\n'),
+          matchedText: match.text,
+          // マッチ位置を示すマーカー（オプション）
+          contextInfo: `Lines ${startLine + 1}-${endLine + 1} (match at ${matchStartLine + 1}-${matchEndLine + 1})`
+        });
+      }
+
+      console.log(`  ✅ Searched in artifact: ${searchPattern} are found in ${artifactId} (v${versionData.version}) x${results.length}`);
+
+      return {
+        success: true,
+        artifactId,
+        filename: artifactMetadata.filename,
+        version: versionData.version,
+        searchPattern,
+        totalMatches: matches.length,
+        returnedMatches: results.length,
+        hasMoreMatches: matches.length > maxMatches,
+        matches: results,
+        message: `Found ${matches.length} match(es) for pattern in ${artifactMetadata.filename}${
+          matches.length > maxMatches ? ` (showing first ${maxMatches})` : ''
+        }`
+      };
+    }
+  },
+  // Artifact横断の意味検索ツール
+  {
+    name: "semantic_search_artifacts",
+    description: "Search the contents of artifacts by meaning (embedding similarity) and return the most relevant sections with line ranges. Searches all artifacts in the current thread unless artifact_ids is given. Useful for finding relevant parts of large documents when you don't know the exact wording; use search_in_artifact for exact patterns.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "A natural language description of the information to find"
+        },
+        artifact_ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "IDs of the artifacts to search. Defaults to all artifacts in the current thread."
+        },
+        top_k: {
+          type: "integer",
+          description: `Maximum number of sections to return (max ${configs.RAG_MAX_TOP_K})`,
+          default: 5,
+          minimum: 1
+        }
+      },
+      required: ["query"]
+    },
+    handler: async (input, { user, threadId }) => {
+      console.log('  🔎 Searching artifacts semantically...');
+      const query = input.query;
+      if (typeof query !== 'string' || query.trim().length === 0) {
+        throw new Error('query must be a non-empty string');
+      }
+      const topK = Math.min(Math.max(Math.floor(input.top_k ?? 5), 1), configs.RAG_MAX_TOP_K);
+
+      let artifactIds;
+      if (Array.isArray(input.artifact_ids) && input.artifact_ids.length > 0) {
+        for (const artifactId of input.artifact_ids) {
+          await access.assertArtifactAccess(user, artifactId);
+        }
+        artifactIds = input.artifact_ids;
+      } else {
+        artifactIds = threadId ? (await helpers.listArtifactMetadata(threadId)).map(metadata => metadata.id) : [];
+      }
+
+      const results = await rag.searchArtifactChunks({ query, artifactIds, topK, userId: user.user_id, apiKeyId: user.apiKeyId });
+
+      console.log(`  ✅ Semantic search: ${results.length} section(s) found in ${artifactIds.length} artifact(s)`);
+
+      return {
+        success: true,
+        query,
+        searchedArtifacts: artifactIds.length,
+        results: results.map(result => ({
+          artifactId: result.artifactId,
+          filename: result.filename,
+          version: result.version,
+          lineRange: { start: result.startLine, end: result.endLine },
+          score: result.score,
+          content: result.text
+        })),
+        message: `Found ${results.length} relevant section(s) in ${artifactIds.length} artifact(s)`
+      };
+    }
+  }
+];
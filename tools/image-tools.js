@@ -0,0 +1,106 @@
+// tools/image-tools.js
+
+// ==================================================
+// 組み込みツール: 画像生成
+// ==================================================
+//
+// ツールの定義形式は utils/tool-registry.js を参照。
+// 生成した画像はアーティファクト（PNG / WebP）として保存し、artifact_id を指定した場合は新しいバージョンとして追加する。
+// クレジットはトークンとは別に、1枚あたり IMAGE_GENERATION_CREDITS を消費する。
+
+import path from 'path';
+import * as helpers from '../helpers.js';
+import * as access from '../utils/access-control.js';
+import * as imageGeneration from '../utils/image-generation.js';
+
+const DEFAULT_IMAGE_BASENAME = 'image';
+
+export const imageTools = [
+  {
+    name: "generate_image",
+    description: "Generate an image from a text prompt and save it as an artifact (PNG or WebP). Use this when the user asks to draw, create or generate a picture. To revise a previously generated image, pass its artifact_id to save the result as a new version.",
+    parameters: {
+      type: "object",
+      properties: {
+        prompt: {
+          type: "string",
+          description: "A detailed description of the image to generate"
+        },
+        filename: {
+          type: "string",
+          description: "The name of the image file without extension (e.g., sunset). Ignored when artifact_id is given."
+        },
+        size: {
+          type: "string",
+          enum: imageGeneration.IMAGE_SIZES,
+          description: "Image size. Defaults to 1024x1024."
+        },
+        format: {
+          type: "string",
+          enum: imageGeneration.IMAGE_FORMATS,
+          description: "Image format. Defaults to png. Ignored when artifact_id is given."
+        },
+        artifact_id: {
+          type: "string",
+          description: "The ID of a previously generated image artifact to add a new version to"
+        },
+        description: {
+          type: "string",
+          description: "A brief description of the image"
+        }
+      },
+      required: ["prompt"]
+    },
+    refreshThread: true,
+    handler: async (input, { user, threadId, callId }) => {
+      console.log('  🎨 Generating image...');
+      const source = { type: 'tool', tool: 'generate_image', userId: user.user_id, threadId, callId };
+      const metadata = { description: input.description || '', prompt: input.prompt };
+
+      // 既存の画像に追加する場合は、その形式で生成する
+      let existing = null;
+      let format = input.format || 'png';
+      if (input.artifact_id) {
+        existing = await access.assertArtifactAccess(user, input.artifact_id);
+        format = path.extname(existing.filename).slice(1).toLowerCase();
+        if (!imageGeneration.IMAGE_FORMATS.includes(format)) {
+          throw new Error(`Artifact ${existing.filename} is not a generated image (${imageGeneration.IMAGE_FORMATS.join(', ')})`);
+        }
+      }
+
+      const image = await imageGeneration.generateImage({
+        prompt: input.prompt,
+        size: input.size || '1024x1024',
+        format
+      });
+      if (existing && image.format !== format) {
+        throw new Error(`Image backend returned ${image.format}, but artifact ${existing.filename} is ${format}`);
+      }
+
+      const record = existing
+        ? await helpers.appendArtifactVersion({ artifactId: existing.id, content: image.buffer, metadata, source })
+        : await helpers.createArtifactRecord({
+          filename: `${path.parse(input.filename || '').name || DEFAULT_IMAGE_BASENAME}.${image.format}`,
+          content: image.buffer,
+          metadata,
+          threadId,
+          userId: user.user_id,
+          source
+        });
+      const { credits } = await helpers.logImageUsage(image.model, 1, user.user_id, { apiKeyId: user.apiKeyId });
+      console.log(`  ✅ Image saved: ${record.artifactId} (${record.displayFilename} v${record.version})`);
+
+      return {
+        success: true,
+        artifactId: record.artifactId,
+        filename: record.displayFilename,
+        storageFilename: record.filename,
+        version: record.version,
+        mimeType: `image/${image.format}`,
+        bytes: image.buffer.length,
+        credits,
+        message: `Successfully generated image: ${record.displayFilename} (version ${record.version})`
+      };
+    }
+  }
+];
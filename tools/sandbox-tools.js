@@ -0,0 +1,160 @@
+// tools/sandbox-tools.js
+
+// ==================================================
+// 組み込みツール: アーティファクトの実行
+// ==================================================
+//
+// ツールの定義形式は utils/tool-registry.js を参照。
+// JavaScript / Python のアーティファクトをサンドボックス (utils/sandbox.js) で実行する。
+// Admin がスレッドごとに有効化した場合のみ利用できる（PUT /api/admin/threads/:threadId/enabled-tools）。
+//
+// 実行結果はアーティファクトとして保存する:
+//   - stdout / stderr は <スクリプト名>.log（スレッドに同名のアーティファクトがあれば新しいバージョン）
+//   - 作業ディレクトリで変更された入力ファイルは、元のアーティファクトの新しいバージョン
+//   - 新しく作られたファイルは、スレッドに同名のアーティファクトがあれば新しいバージョン、なければ新規作成
+// 既存のアーティファクトに追記するのは、このスレッドで作成されたもので、かつ管理権限がある場合のみ。
+// それ以外（他のスレッドの入力ファイル、閲覧のみ可能なもの）は、このスレッドに新規作成する
+
+import path from 'path';
+import * as helpers from '../helpers.js';
+import * as access from '../utils/access-control.js';
+import * as sandbox from '../utils/sandbox.js';
+
+// モデルに返す stdout / stderr の最大文字数（全文はログのアーティファクトに保存する）
+const MAX_RESULT_OUTPUT_CHARS = 4000;
+
+function truncateForModel(text) {
+  return text.length > MAX_RESULT_OUTPUT_CHARS
+    ? `${text.slice(0, MAX_RESULT_OUTPUT_CHARS)}\n... (truncated, see the log artifact)`
+    : text;
+}
+
+async function readInputArtifact(user, artifactId, version = null) {
+  const metadata = await access.assertArtifactAccess(user, artifactId);
+  const result = await helpers.readArtifactVersion(metadata, version ?? metadata.currentVersion);
+  if (!result) {
+    throw new Error(`Artifact version ${version} not found`);
+  }
+  return { metadata, version: result.versionData.version, content: result.content };
+}
+
+function formatRunLog(filename, run) {
+  const status = run.timedOut
+    ? 'timed out'
+    : run.signal ? `killed by ${run.signal}` : `exit code ${run.exitCode}`;
+  return [
+    `$ ${run.command.join(' ')}`,
+    `# ${filename}: ${status} (${run.durationMs}ms)`,
+    '',
+    `--- stdout${run.stdoutTruncated ? ' (truncated)' : ''} ---`,
+    run.stdout,
+    `--- stderr${run.stderrTruncated ? ' (truncated)' : ''} ---`,
+    run.stderr
+  ].join('\n');
+}
+
+export const sandboxTools = [
+  {
+    name: "run_artifact",
+    description: `Run a JavaScript (Node.js) or Python artifact in an isolated sandbox without network access and return its stdout/stderr. Supported extensions: ${sandbox.SUPPORTED_EXTENSIONS.join(', ')}. Other artifacts can be placed next to the script as input files. Files the script creates or modifies in its working directory are saved as artifacts (new versions for existing ones), and the output is saved as a <script>.log artifact.`,
+    parameters: {
+      type: "object",
+      properties: {
+        artifact_id: {
+          type: "string",
+          description: "The ID of the script artifact to run"
+        },
+        version: {
+          type: "integer",
+          description: "Specific version of the script to run. Defaults to the latest version."
+        },
+        args: {
+          type: "array",
+          items: { type: "string" },
+          description: "Command line arguments passed to the script"
+        },
+        input_artifact_ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "IDs of other artifacts to place in the working directory (latest version, under their filenames)"
+        }
+      },
+      required: ["artifact_id"]
+    },
+    permissions: {
+      threadEnablement: true
+    },
+    refreshThread: true,
+    handler: async (input, { user, threadId, callId }) => {
+      console.log('  ▶️ Running artifact in sandbox...');
+      const script = await readInputArtifact(user, input.artifact_id, typeof input.version === 'number' ? input.version : null);
+      if (!sandbox.getLanguage(script.metadata.filename)) {
+        throw new Error(`Unsupported file type: ${script.metadata.filename} (supported: ${sandbox.SUPPORTED_EXTENSIONS.join(', ')})`);
+      }
+
+      // 作業ディレクトリに置くファイル（ファイル名 → アーティファクト）
+      const inputs = new Map([[script.metadata.filename, script]]);
+      for (const artifactId of input.input_artifact_ids || []) {
+        const file = await readInputArtifact(user, artifactId);
+        if (inputs.has(file.metadata.filename)) {
+          throw new Error(`Duplicate input filename: ${file.metadata.filename}`);
+        }
+        inputs.set(file.metadata.filename, file);
+      }
+
+      const run = await sandbox.runInSandbox({
+        entry: script.metadata.filename,
+        files: [...inputs.entries()].map(([name, file]) => ({ name, content: file.content })),
+        args: Array.isArray(input.args) ? input.args : []
+      });
+
+      const source = { type: 'tool', tool: 'run_artifact', userId: user.user_id, threadId, callId };
+      const threadArtifacts = threadId ? await helpers.listArtifactMetadata(threadId) : [];
+
+      // 入力ファイル → スレッドの同名のアーティファクト → 新規作成 の順に保存先を決める
+      const canAppend = async metadata => metadata.threadId === threadId
+        && await access.canAccessArtifact(user, metadata, { manage: true });
+      const saveFile = async (filename, content, description) => {
+        const candidate = inputs.get(filename)?.metadata
+          ?? threadArtifacts.find(metadata => metadata.filename === filename);
+        const existing = candidate && threadId && await canAppend(candidate) ? candidate : null;
+        const record = existing
+          ? await helpers.appendArtifactVersion({ artifactId: existing.id, content, metadata: { description }, source })
+          : await helpers.createArtifactRecord({ filename, content, metadata: { description }, threadId, userId: user.user_id, source });
+        return { artifactId: record.artifactId, filename: record.displayFilename, version: record.version };
+      };
+
+      const log = await saveFile(
+        `${script.metadata.filename}.log`,
+        formatRunLog(script.metadata.filename, run),
+        `Output of ${script.metadata.filename} v${script.version}`
+      );
+      const files = [];
+      for (const file of run.files) {
+        files.push({
+          ...(await saveFile(path.basename(file.name), file.content, `Generated by ${script.metadata.filename}`)),
+          modified: file.modified
+        });
+      }
+
+      const status = run.timedOut ? 'timed out' : `exited with code ${run.exitCode ?? run.signal}`;
+      console.log(`  ✅ Sandbox run finished: ${script.metadata.filename} ${status} (${run.durationMs}ms)`);
+
+      return {
+        success: true,
+        artifactId: log.artifactId,
+        filename: log.filename,
+        version: log.version,
+        exitCode: run.exitCode,
+        signal: run.signal,
+        timedOut: run.timedOut,
+        durationMs: run.durationMs,
+        stdout: truncateForModel(run.stdout),
+        stderr: truncateForModel(run.stderr),
+        files,
+        skippedFiles: run.skippedFiles,
+        message: `${script.metadata.filename} ${status}${files.length > 0 ? `, saved ${files.length} file(s)` : ''}`
+      };
+    }
+  }
+];
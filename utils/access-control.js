@@ -0,0 +1,200 @@
+// utils/access-control.js
+
+// ==================================================
+// スレッド・アーティファクトのアクセス制御
+// ==================================================
+//
+// - Admin は全てのリソースにアクセス可能
+// - 通常スレッドは作成者 (thread.userId) のみアクセス可能
+// - グループスレッド (Discordチャンネル用) はそのギルドのメンバー
+//   (users.group_id === guildId) も閲覧・メッセージ送信が可能
+//   グループスレッドかどうかは保存されたメタデータのみで判定する（スレッドIDの形式からは推定しない）
+// - スレッド削除や設定変更 (manage) は作成者と Admin のみ
+// - アーティファクトは紐づくスレッドの権限に従う（スレッドなしの場合は作成者のみ）
+//   複数のスレッドに添付されている場合は、いずれかのスレッドにアクセスできれば閲覧可能
+// - プロンプトライブラリ・Response Format ライブラリは作成者のみ編集可能。公開 (visibility: 'public') のものは全員が閲覧・使用可能
+// - バックグラウンドジョブは作成者と Admin のみ閲覧・キャンセル可能
+
+import * as auth from '../auth.js';
+import * as helpers from '../helpers.js';
+
+// Discord Bot が作成するグループスレッドのID形式: thread-<guildId>_<channelId>_g
+export const GROUP_THREAD_ID_REGEX = /^thread-(\d+)_(\d+)_g$/;
+
+/**
+ * Admin 権限を持つか判定
+ */
+export function isAdmin(user) {
+  return user?.authority === auth.Authority.ADMIN;
+}
+
+/**
+ * グループスレッドのギルドIDを取得（グループスレッドでなければ null）
+ */
+export function getThreadGuildId(thread) {
+  if (thread?.metadata?.isGroupThread && thread.metadata.guildId) {
+    return String(thread.metadata.guildId);
+  }
+  return null;
+}
+
+/**
+ * グループスレッドのID形式のスレッドを作成できるか判定（Discord Bot と Admin のみ）
+ * 他のユーザーが先に作成すると、Bot がそのスレッドをギルドのスレッドとして使ってしまうため
+ * @param {object} user
+ * @param {object|null} session - リクエストのログインセッション（API キーの場合は null）
+ */
+export function canCreateGroupThreadId(user, session) {
+  return isAdmin(user) || session?.auth_type === 'bot';
+}
+
+/**
+ * スレッドの作成者か判定
+ */
+export function isThreadOwner(user, thread) {
+  return Boolean(user && thread && thread.userId === user.user_id);
+}
+
+/**
+ * スレッドの閲覧・メッセージ送信が可能か判定
+ * thread はスレッド本体・スレッドサマリーのどちらでも可
+ */
+export function canAccessThread(user, thread) {
+  if (!user || !thread) return false;
+  if (isAdmin(user) || isThreadOwner(user, thread)) return true;
+
+  const guildId = getThreadGuildId(thread);
+  return Boolean(guildId && user.group_id && String(user.group_id) === guildId);
+}
+
+/**
+ * スレッドの削除・設定変更が可能か判定
+ */
+export function canManageThread(user, thread) {
+  if (!user || !thread) return false;
+  return isAdmin(user) || isThreadOwner(user, thread);
+}
+
+/**
+ * アクセス可能なスレッドサマリーのみに絞り込み
+ */
+export function filterAccessibleThreads(user, summaries = []) {
+  return summaries.filter(summary => canAccessThread(user, summary));
+}
+
+/**
+ * アーティファクトへのアクセスが可能か判定
+ * 閲覧は紐づいているいずれかのスレッドにアクセスできれば可能（紐づくスレッドがない場合は作成者のみ）
+ * 削除などの管理操作は作成元のスレッドの権限に従う
+ * @param {object} artifactMetadata - アーティファクトのメタデータ（helpers.readArtifactMetadata の戻り値）
+ * @param {object} [options]
+ * @param {boolean} [options.manage=false] - 削除など作成者権限が必要な操作か
+ */
+export async function canAccessArtifact(user, artifactMetadata, { manage = false } = {}) {
+  if (!user || !artifactMetadata) return false;
+  if (isAdmin(user)) return true;
+
+  if (manage) {
+    const thread = artifactMetadata.threadId ? await helpers.readThread(artifactMetadata.threadId) : null;
+    return thread ? canManageThread(user, thread) : artifactMetadata.userId === user.user_id;
+  }
+
+  const threadIds = artifactMetadata.threadIds ?? (artifactMetadata.threadId ? [artifactMetadata.threadId] : []);
+  let hasThread = false;
+  for (const threadId of threadIds) {
+    const thread = await helpers.readThread(threadId);
+    if (!thread) continue;
+    if (canAccessThread(user, thread)) return true;
+    hasThread = true;
+  }
+  return !hasThread && artifactMetadata.userId === user.user_id;
+}
+
+/**
+ * アクセス可能なアーティファクトのみに絞り込み（一覧用。スレッドの権限はサマリーで判定する）
+ * @param {object[]} artifacts - threadIds を含むアーティファクトのメタデータ
+ * @param {object[]} threadSummaries - helpers.readThreads の threads
+ */
+export function filterAccessibleArtifacts(user, artifacts = [], threadSummaries = []) {
+  if (!user) return [];
+  if (isAdmin(user)) return artifacts;
+
+  const summaries = new Map(threadSummaries.map(summary => [summary.id, summary]));
+  return artifacts.filter(metadata => {
+    const threads = (metadata.threadIds || []).map(threadId => summaries.get(threadId)).filter(Boolean);
+    return threads.length > 0
+      ? threads.some(thread => canAccessThread(user, thread))
+      : metadata.userId === user.user_id;
+  });
+}
+
+/**
+ * アーティファクトへのアクセス権を確認し、メタデータを返す
+ * 存在しない・権限がない場合はどちらも同じエラーを投げる（存在の有無を漏らさない）
+ */
+export async function assertArtifactAccess(user, artifactId, options = {}) {
+  const metadata = await helpers.readArtifactMetadata(artifactId).catch(() => null);
+  if (!metadata || !(await canAccessArtifact(user, metadata, options))) {
+    throw new Error(`Artifact not found: ${artifactId}`);
+  }
+  return metadata;
+}
+
+/**
+ * プロンプトライブラリのプロンプトを閲覧・使用できるか判定
+ */
+export function canReadLibraryPrompt(user, prompt) {
+  if (!user || !prompt) return false;
+  return isAdmin(user) || prompt.userId === user.user_id || prompt.visibility === 'public';
+}
+
+/**
+ * プロンプトライブラリのプロンプトを編集・削除できるか判定
+ */
+export function canManageLibraryPrompt(user, prompt) {
+  if (!user || !prompt) return false;
+  return isAdmin(user) || prompt.userId === user.user_id;
+}
+
+/**
+ * Response Format ライブラリのスキーマを閲覧・使用できるか判定（プロンプトライブラリと同じ規則）
+ */
+export function canReadLibraryResponseFormat(user, format) {
+  return canReadLibraryPrompt(user, format);
+}
+
+/**
+ * Response Format ライブラリのスキーマを編集・削除できるか判定
+ */
+export function canManageLibraryResponseFormat(user, format) {
+  return canManageLibraryPrompt(user, format);
+}
+
+/**
+ * バックグラウンドジョブを閲覧・キャンセルできるか判定（作成者と Admin）
+ */
+export function canAccessJob(user, job) {
+  if (!user || !job) return false;
+  return isAdmin(user) || job.userId === user.user_id;
+}
+
+/**
+ * バージョン管理されたシステムプロンプト / Response Format へのアクセスが可能か判定
+ * 登録者 (userIds) に含まれるか、アクセス可能なスレッドで使われているかで判定
+ * （旧データや他ユーザーが登録したグループスレッドの設定にも対応）
+ * @param {object} entry - システムプロンプト / Response Format のエントリ
+ */
+export async function canAccessRegistryEntry(user, entry) {
+  if (!user || !entry) return false;
+  if (isAdmin(user)) return true;
+  if (entry.userIds?.includes(user.user_id)) return true;
+
+  const { threads } = await helpers.readThreads();
+  for (const summary of filterAccessibleThreads(user, threads)) {
+    const thread = await helpers.readThread(summary.id);
+    if (!thread) continue;
+    if (thread.responseFormatHash === entry.hash) return true;
+    if (thread.messages?.some(m => m.usage?.systemPromptHash === entry.hash)) return true;
+  }
+  return false;
+}
@@ -0,0 +1,262 @@
+// utils/api-keys.js
+
+// ==================================================
+// 個人用 API キー（スクリプト・連携用）
+// ==================================================
+//
+// - キーは "sua_<キーID>_<乱数>" の形式で、作成時に1回だけ返す（users.db にはハッシュのみ保存する）
+// - requireAuth で "Authorization: Bearer <キー>"（または "ApiKey <キー>"）を受け付ける
+//   キーで呼び出せるのはスコープで許可されたエンドポイントのみ（API_KEY_ROUTES に無いものは全て拒否する）
+// - キーごとに1分あたりのリクエスト数を制限する（このプロセスのメモリで数える）
+// - キーで生成した応答などの使用量は、トークンログの api_key_id 列に記録する
+
+import crypto from 'crypto';
+import * as auth from '../auth.js';
+import * as configs from './config.js';
+import * as helpers from '../helpers.js';
+
+export const API_KEY_PREFIX = 'sua_';
+
+export const API_KEY_SCOPES = {
+  'threads:read': 'スレッド・メッセージ・ジョブの閲覧、検索',
+  'threads:write': 'スレッドの作成・設定変更・削除',
+  'messages:send': 'メッセージの送信・編集・再生成・中止',
+  'artifacts:read': 'アーティファクトの閲覧',
+  'artifacts:write': 'アーティファクトの作成・更新・削除'
+};
+
+// エンドポイントごとに必要なスコープ
+// 上から順に照合し、最初に一致したものを使う（scopes のいずれかがあれば許可。空配列はスコープ不要）
+// requireAll の場合は scopes の全てが必要。query を指定した場合はクエリも一致したときのみ使う
+// パスは normalizeRoutePath で小文字・末尾のスラッシュなしにしてから照合する（Express のルーティングに合わせる）
+const API_KEY_ROUTES = [
+  { methods: ['GET'], pattern: /^\/api\/(auth\/me|auth\/credit-info|models)$/, scopes: [] },
+  // zip はアーティファクトの全バージョンを含む
+  { methods: ['GET'], pattern: /^\/api\/threads\/[^/]+\/export$/, query: query => query.format === 'zip', scopes: ['threads:read', 'artifacts:read'], requireAll: true },
+  { methods: ['POST'], pattern: /^\/api\/threads\/[^/]+\/(messages|messages\/[^/]+\/(edit|regenerate)|regenerate|cancel)$/, scopes: ['messages:send'] },
+  { methods: ['GET'], pattern: /^\/api\/jobs(\/|$)/, scopes: ['threads:read', 'messages:send'] },
+  { methods: ['POST'], pattern: /^\/api\/jobs\/[^/]+\/cancel$/, scopes: ['messages:send'] },
+  { methods: ['GET'], pattern: /^\/api\/(threads|search|system-prompts|response-formats)(\/|$)/, scopes: ['threads:read'] },
+  { methods: ['POST', 'PUT', 'DELETE'], pattern: /^\/api\/threads(\/|$)/, scopes: ['threads:write'] },
+  { methods: ['GET'], pattern: /^\/api\/artifacts(\/|$)/, scopes: ['artifacts:read'] },
+  { methods: ['POST', 'PUT', 'DELETE'], pattern: /^\/api\/artifacts(\/|$)/, scopes: ['artifacts:write'] }
+];
+
+const API_KEY_PATTERN = /^sua_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/;
+const API_KEY_NAME_MAX_LENGTH = 100;
+const API_KEY_MAX_EXPIRES_IN_DAYS = 3650;
+// 最終使用日時を更新する最小間隔
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// キーごとのリクエスト数（keyId → { windowStart, count }）
+const rateLimitWindows = new Map();
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isApiKeyActive(apiKey) {
+  return Boolean(apiKey) && !apiKey.revoked_at && (!apiKey.expires_at || apiKey.expires_at > new Date().toISOString());
+}
+
+/**
+ * 作成の入力を検証・正規化
+ * @param {object} input - { name, scopes, expiresInDays?, rateLimitPerMinute? }
+ * @returns {{name: string, scopes: string[], expiresAt: string|null, rateLimitPerMinute: number|null}}
+ * @throws {Error} 値が不正な場合
+ */
+export function normalizeApiKeyInput(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > API_KEY_NAME_MAX_LENGTH) {
+    throw new Error(`name must be a non-empty string of at most ${API_KEY_NAME_MAX_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(input.scopes) || input.scopes.length === 0
+    || input.scopes.some(scope => !Object.hasOwn(API_KEY_SCOPES, scope))) {
+    throw new Error(`scopes must be a non-empty array of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+  }
+
+  let expiresAt = null;
+  if (input.expiresInDays !== undefined && input.expiresInDays !== null) {
+    const days = input.expiresInDays;
+    if (!Number.isInteger(days) || days < 1 || days > API_KEY_MAX_EXPIRES_IN_DAYS) {
+      throw new Error(`expiresInDays must be an integer between 1 and ${API_KEY_MAX_EXPIRES_IN_DAYS}`);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  let rateLimitPerMinute = null;
+  if (input.rateLimitPerMinute !== undefined && input.rateLimitPerMinute !== null) {
+    const limit = input.rateLimitPerMinute;
+    if (!Number.isInteger(limit) || limit < 1 || limit > configs.API_KEY_MAX_RATE_LIMIT_PER_MINUTE) {
+      throw new Error(`rateLimitPerMinute must be an integer between 1 and ${configs.API_KEY_MAX_RATE_LIMIT_PER_MINUTE}`);
+    }
+    rateLimitPerMinute = limit;
+  }
+
+  return { name, scopes: [...new Set(input.scopes)], expiresAt, rateLimitPerMinute };
+}
+
+/**
+ * API キーを作成
+ * @param {object} user
+ * @param {object} input - normalizeApiKeyInput の戻り値
+ * @returns {Promise<{key: string, apiKey: object}>} key は平文のキー（この時だけ返す）
+ * @throws {Error} 作成できる数の上限に達している場合
+ */
+export async function createApiKey(user, input) {
+  const existing = await auth.listApiKeys(user.user_id);
+  if (existing.length >= configs.API_KEY_MAX_PER_USER) {
+    throw new Error(`You can create at most ${configs.API_KEY_MAX_PER_USER} API keys`);
+  }
+
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const key = `${API_KEY_PREFIX}${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await auth.createApiKey({
+    keyId,
+    userId: user.user_id,
+    name: input.name,
+    keyHash: hashApiKey(key),
+    scopes: input.scopes,
+    rateLimitPerMinute: input.rateLimitPerMinute,
+    expiresAt: input.expiresAt
+  });
+  return { key, apiKey };
+}
+
+export function listApiKeys(userId) {
+  return auth.listApiKeys(userId);
+}
+
+/**
+ * ユーザーの API キーを取得（他のユーザーのキー・失効したキーは null）
+ */
+export async function getUserApiKey(userId, keyId) {
+  const apiKey = await auth.getApiKey(keyId);
+  return apiKey && apiKey.user_id === userId && !apiKey.revoked_at ? apiKey : null;
+}
+
+export function revokeApiKey(keyId) {
+  return auth.revokeApiKey(keyId);
+}
+
+// ====================
+// 認証
+// ====================
+
+/**
+ * Authorization ヘッダーから API キーを取り出す
+ * @returns {string|null} API キーでない場合は null（JWT として扱う）
+ */
+export function extractApiKey(authHeader) {
+  const [scheme, credential] = String(authHeader).trim().split(/\s+/, 2);
+  if (!credential) return null;
+  if (scheme === 'ApiKey' || (scheme === 'Bearer' && credential.startsWith(API_KEY_PREFIX))) {
+    return credential;
+  }
+  return null;
+}
+
+/**
+ * API キーを検証（最終使用日時を更新する）
+ * @returns {Promise<object|null>} 無効・失効・期限切れのキーの場合は null
+ */
+export async function verifyApiKey(key) {
+  const match = API_KEY_PATTERN.exec(key);
+  if (!match) return null;
+
+  const apiKey = await auth.getApiKey(match[1]);
+  if (!isApiKeyActive(apiKey)
+    || !crypto.timingSafeEqual(Buffer.from(hashApiKey(key)), Buffer.from(apiKey.key_hash))) {
+    return null;
+  }
+
+  if (!apiKey.last_used_at || Date.now() - Date.parse(apiKey.last_used_at) > TOUCH_INTERVAL_MS) {
+    auth.touchApiKey(apiKey.key_id)
+      .catch(error => console.error('[ApiKey] Failed to update last used:', error.message));
+  }
+  return apiKey;
+}
+
+// Express のルーティングは大文字・小文字を区別せず、末尾のスラッシュも許すため、照合前に揃える
+function normalizeRoutePath(path) {
+  return String(path).toLowerCase().replace(/\/+$/, '');
+}
+
+/**
+ * API キーのスコープでエンドポイントを呼び出せるか
+ * @param {object} apiKey
+ * @param {string} method
+ * @param {string} path - req.path
+ * @param {object} [query] - req.query
+ */
+export function isRouteAllowed(apiKey, method, path, query = {}) {
+  const normalizedPath = normalizeRoutePath(path);
+  const route = API_KEY_ROUTES.find(entry => entry.methods.includes(method)
+    && entry.pattern.test(normalizedPath)
+    && (!entry.query || entry.query(query)));
+  if (!route) return false;
+  if (route.requireAll) return route.scopes.every(scope => apiKey.scopes.includes(scope));
+  return route.scopes.length === 0 || route.scopes.some(scope => apiKey.scopes.includes(scope));
+}
+
+/**
+ * リクエスト数を数え、1分あたりの上限を超えていないか確認
+ * @returns {{allowed: boolean, limit: number, remaining: number, retryAfter: number}} retryAfter は秒
+ */
+export function consumeRateLimit(apiKey) {
+  const limit = apiKey.rate_limit_per_minute || configs.API_KEY_RATE_LIMIT_PER_MINUTE;
+  const now = Date.now();
+  let window = rateLimitWindows.get(apiKey.key_id);
+  if (!window || now - window.windowStart >= 60 * 1000) {
+    window = { windowStart: now, count: 0 };
+    rateLimitWindows.set(apiKey.key_id, window);
+  }
+
+  const retryAfter = Math.ceil((window.windowStart + 60 * 1000 - now) / 1000);
+  if (window.count >= limit) {
+    return { allowed: false, limit, remaining: 0, retryAfter };
+  }
+  window.count++;
+  return { allowed: true, limit, remaining: limit - window.count, retryAfter };
+}
+
+// ====================
+// 一覧・使用量
+// ====================
+
+/**
+ * キーごとの使用量をトークンログから集計
+ * @param {string[]} keyIds
+ * @returns {Promise<Map<string, {totalTokens: number, credits: number}>>}
+ */
+export async function getApiKeyUsage(keyIds) {
+  const usage = new Map(keyIds.map(keyId => [keyId, { totalTokens: 0, credits: 0 }]));
+  for (const log of await helpers.readTokenLog()) {
+    const entry = log.api_key_id && usage.get(log.api_key_id);
+    if (!entry) continue;
+    entry.totalTokens += log.total_tokens;
+    entry.credits += log.credits;
+  }
+  return usage;
+}
+
+/**
+ * API で返す形（キーのハッシュは含めない）
+ * @param {object} apiKey
+ * @param {object} [usage] - getApiKeyUsage の値
+ */
+export function toApiKeySummary(apiKey, usage = null) {
+  return {
+    id: apiKey.key_id,
+    name: apiKey.name,
+    prefix: `${API_KEY_PREFIX}${apiKey.key_id}_`,
+    scopes: apiKey.scopes,
+    rateLimitPerMinute: apiKey.rate_limit_per_minute || configs.API_KEY_RATE_LIMIT_PER_MINUTE,
+    createdAt: apiKey.created_at,
+    lastUsedAt: apiKey.last_used_at,
+    expiresAt: apiKey.expires_at,
+    expired: !isApiKeyActive(apiKey),
+    ...(usage ? { usage } : {})
+  };
+}
@@ -40,17 +40,60 @@ export const DEBUG = process.env.DEBUG || true;
 
 /**
  * JWT署名用のシークレットキー
+ * 署名鍵（users.db に保存し、定期的に更新する）はこの値と組み合わせて生成するため、DB だけではトークンを偽造できない
  * @type {string}
  */
 export const JWT_SECRET = process.env.JWT_SECRET;
 
 /**
- * JWTトークンの有効期限
+ * JWTトークン（アクセストークン）の有効期限
+ * 期限が切れたらリフレッシュトークンで再発行する
  * @type {string}
  * @default '12h'
  */
 export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
 
+/**
+ * リフレッシュトークン（ログインセッション）の有効期限（日）
+ * 使用するたびに延長される
+ * @type {number}
+ * @default 30
+ */
+export const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+/**
+ * 署名鍵を自動で更新する間隔（日）
+ * 古い鍵で署名されたトークンは、有効期限までは引き続き使用できる
+ * @type {number}
+ * @default 30
+ */
+export const JWT_KEY_ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30;
+
+// ====================
+// 個人用 API キー
+// ====================
+
+/**
+ * API キーごとの1分あたりのリクエスト数の上限（キーの作成時に個別に指定しない場合）
+ * @type {number}
+ * @default 60
+ */
+export const API_KEY_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60;
+
+/**
+ * キーの作成時に指定できる1分あたりのリクエスト数の上限の最大値
+ * @type {number}
+ * @default 600
+ */
+export const API_KEY_MAX_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_MAX_RATE_LIMIT_PER_MINUTE) || 600;
+
+/**
+ * ユーザーごとに作成できる API キーの数
+ * @type {number}
+ * @default 20
+ */
+export const API_KEY_MAX_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER) || 20;
+
 // ====================
 // UI表示設定
 // ====================
@@ -80,6 +123,29 @@ export const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
  */
 export const MAX_FILES = 20;
 
+/**
+ * メッセージ1件に含められる content パーツの最大数
+ * @type {number}
+ * @default 20
+ */
+export const MESSAGE_MAX_CONTENT_PARTS = 20;
+
+/**
+ * メッセージに添付する画像・ファイル1件あたりの最大サイズ (バイト)
+ * これを超えるアーティファクトはモデルに送信せず、ファイル名のみを伝える
+ * @type {number}
+ * @default 20MB
+ */
+export const INPUT_ATTACHMENT_MAX_BYTES = parseInt(process.env.INPUT_ATTACHMENT_MAX_BYTES) || 20 * 1024 * 1024;
+
+/**
+ * スレッドのインポートで受け付ける zip の展開後の合計サイズ (バイト)
+ * アップロード自体は MAX_FILE_SIZE まで
+ * @type {number}
+ * @default 200MB
+ */
+export const THREAD_IMPORT_MAX_EXTRACTED_BYTES = parseInt(process.env.THREAD_IMPORT_MAX_EXTRACTED_BYTES) || 200 * 1024 * 1024;
+
 // ====================
 // モデル関連の設定
 // ====================
@@ -181,6 +247,29 @@ export const REASONING_MODELS = [
   'o4-mini',
 ];
 
+/**
+ * 画像・ファイル入力に対応したモデルのリスト
+ * @type {string[]}
+ */
+export const VISION_MODELS = [
+  'gpt-5.1',
+  'gpt-5.1-codex',
+  'gpt-5.1-codex-mini',
+  'gpt-5',
+  'gpt-5-codex',
+  'gpt-5-chat-latest',
+  'gpt-5-mini',
+  'gpt-5-nano',
+  'gpt-4.1',
+  'gpt-4.1-mini',
+  'gpt-4.1-nano',
+  'gpt-4o',
+  'gpt-4o-mini',
+  'o1',
+  'o3',
+  'o4-mini',
+];
+
 /**
  * 推論能力を持たない通常のモデルのリスト
  * @type {string[]}
@@ -194,6 +283,74 @@ export const NON_REASONING_MODELS = [
   'gpt-4o-mini'
 ];
 
+// ====================
+// 料金・クレジット換算の設定
+// ====================
+
+/**
+ * 組み込みモデルの料金表（USD / 100万トークン, Standard）
+ * reasoning を省略した場合は output と同じ単価、cachedInput を省略した場合は input と同じ単価
+ * models.json の pricing で上書き可能
+ * @type {Object<string, {input: number, cachedInput?: number, output: number, reasoning?: number}>}
+ */
+export const MODEL_PRICING = {
+  'gpt-5.1': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5.1-codex': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5-codex': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5-chat-latest': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8 },
+  'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+  'o1': { input: 15, cachedInput: 7.5, output: 60 },
+  'o3': { input: 2, cachedInput: 0.5, output: 8 },
+  'gpt-5.1-codex-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+  'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+  'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, cachedInput: 0.025, output: 0.4 },
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+  'o1-mini': { input: 1.1, cachedInput: 0.55, output: 4.4 },
+  'o3-mini': { input: 1.1, cachedInput: 0.55, output: 4.4 },
+  'o4-mini': { input: 1.1, cachedInput: 0.275, output: 4.4 }
+};
+
+/**
+ * クレジット消費量の計算方法
+ * - cost: 料金表の実費 × マージン倍率 × 購入レート（料金表のないモデルは tokens と同じ）
+ * - tokens: 合計トークン × モデルの creditsPerToken (TOKEN_COST_HIGH / TOKEN_COST_LOW)
+ * @type {'cost'|'tokens'}
+ * @default 'cost'
+ */
+export const CREDIT_BILLING = process.env.CREDIT_BILLING === 'tokens' ? 'tokens' : 'cost';
+
+/**
+ * 1 USD あたりの円の額（実費の円換算に使用）
+ * @type {number}
+ * @default 150
+ */
+export const USD_JPY_RATE = parseFloat(process.env.USD_JPY_RATE) || 150;
+
+/**
+ * 実費に掛けるマージン倍率（1.5 なら実費の1.5倍のクレジットを消費）
+ * @type {number}
+ * @default 1
+ */
+export const CREDIT_MARGIN = parseFloat(process.env.CREDIT_MARGIN) || 1;
+
+/**
+ * クレジット購入レート（購入通貨1単位あたりのクレジット数）
+ * @type {number}
+ * @default 10
+ */
+export const CREDIT_PURCHASE_RATE = parseFloat(process.env.CREDIT_PURCHASE_RATE) || 10;
+
+/**
+ * クレジット購入の通貨（ISO 4217通貨コード。実費の換算は jpy / usd に対応）
+ * @type {string}
+ * @default 'jpy'
+ */
+export const CURRENCY = process.env.CURRENCY || 'jpy';
+
 /**
  * 無料枠の制限（トークン数）
  * @type {Object}
@@ -234,8 +391,188 @@ export const AUTO_PROMPT_MARKER_START = '-----\n[auto] thread_artifact_inventory
  */
 export const AUTO_PROMPT_MARKER_END = '-----';
 
+/**
+ * 自動で挿入する関連箇所（RAG）の開始マーカー（終了は AUTO_PROMPT_MARKER_END）
+ * @type {string}
+ */
+export const RETRIEVED_CONTEXT_MARKER_START = '-----\n[auto] retrieved_artifact_context\n';
+
+/**
+ * 過去のアシスタント応答の推論・ツール呼び出し履歴を次回以降の入力に含めるかのデフォルト値
+ * （スレッドごとに replayTranscripts で上書き可能）
+ * @type {boolean}
+ */
+export const REPLAY_TRANSCRIPTS_DEFAULT = process.env.REPLAY_TRANSCRIPTS === 'true';
+
+// ====================
+// プロンプトライブラリ
+// ====================
+
+/**
+ * プロンプト名の最大文字数
+ * @type {number}
+ * @default 100
+ */
+export const PROMPT_LIBRARY_NAME_MAX_LENGTH = 100;
+
+/**
+ * プロンプトの説明の最大文字数
+ * @type {number}
+ * @default 1000
+ */
+export const PROMPT_LIBRARY_DESCRIPTION_MAX_LENGTH = 1000;
+
+/**
+ * システムプロンプトの変数 ({{date}} など) の日付に使うタイムゾーン
+ * @type {string}
+ * @default 'Asia/Tokyo'
+ */
+export const PROMPT_VARIABLE_TIME_ZONE = process.env.PROMPT_VARIABLE_TIME_ZONE || 'Asia/Tokyo';
+
+// ====================
+// 構造化出力（Response Format）
+// ====================
+
+/**
+ * 応答が Response Format の JSON Schema に適合しない場合に、修正を依頼する最大回数（0 で修正しない）
+ * @type {number}
+ * @default 2
+ */
+export const STRUCTURED_OUTPUT_REPAIR_ATTEMPTS = parseInt(process.env.STRUCTURED_OUTPUT_REPAIR_ATTEMPTS ?? '2');
+
+// ====================
+// コンテキストウィンドウ管理
+// ====================
+
+/**
+ * 会話履歴の送信方法のデフォルト値（スレッドごとに contextSettings で上書き可能）
+ * - full: 全メッセージを送信
+ * - sliding_window: 新しいメッセージから上限トークン数まで送信（ピン留めメッセージは常に含める）
+ * - summary: sliding_window に加え、範囲外になった古いメッセージの要約を含める
+ * @type {string}
+ * @default 'sliding_window'
+ */
+export const CONTEXT_STRATEGY_DEFAULT = process.env.CONTEXT_STRATEGY || 'sliding_window';
+
+/**
+ * 会話履歴として送信する最大トークン数（推定値）のデフォルト値
+ * @type {number}
+ * @default 100000
+ */
+export const CONTEXT_MAX_TOKENS_DEFAULT = parseInt(process.env.CONTEXT_MAX_TOKENS) || 100_000;
+
+/**
+ * 古いメッセージの要約に使用するモデル
+ * @type {string}
+ * @default 'gpt-4.1-mini'
+ */
+export const CONTEXT_SUMMARY_MODEL = process.env.CONTEXT_SUMMARY_MODEL || 'gpt-4.1-mini';
+
+/**
+ * 要約の最大出力トークン数（コンテキストの上限からこの分を要約用に確保する）
+ * @type {number}
+ * @default 2000
+ */
+export const CONTEXT_SUMMARY_MAX_TOKENS = parseInt(process.env.CONTEXT_SUMMARY_MAX_TOKENS) || 2000;
+
+/**
+ * 要約時に1回のリクエストで渡すメッセージの最大トークン数（超える場合は分割して順に要約を更新）
+ * @type {number}
+ * @default 50000
+ */
+export const CONTEXT_SUMMARY_CHUNK_TOKENS = parseInt(process.env.CONTEXT_SUMMARY_CHUNK_TOKENS) || 50_000;
+
+// ====================
+// 画像生成
+// ====================
+
+/**
+ * 画像生成のバックエンド
+ * - openai: OpenAI Images API
+ * - fake: プロンプトから決まる単色のPNGをローカルで生成（オフラインでの動作確認用）
+ * @type {'openai'|'fake'}
+ * @default 'openai'
+ */
+export const IMAGE_GENERATION_BACKEND = process.env.IMAGE_GENERATION_BACKEND === 'fake' ? 'fake' : 'openai';
+
+/**
+ * 画像生成に使用するモデル
+ * @type {string}
+ * @default 'gpt-image-1'
+ */
+export const IMAGE_GENERATION_MODEL = process.env.IMAGE_GENERATION_MODEL || 'gpt-image-1';
+
+/**
+ * 画像1枚あたりのクレジット消費量（トークンの料金とは別に課金する）
+ * @type {number}
+ * @default 100
+ */
+export const IMAGE_GENERATION_CREDITS = parseInt(process.env.IMAGE_GENERATION_CREDITS) || 100;
+
 // ====================
-// OpenAI API設定
+// 埋め込み・検索拡張生成 (RAG)
+// ====================
+
+/**
+ * 埋め込みベクトルの生成方法
+ * - openai: OpenAI Embeddings API (EMBEDDING_MODEL)
+ * - local: 単語・文字 n-gram のハッシュによる決定的な埋め込み（API 不要。テスト・オフライン用）
+ * - none: 埋め込みを作成しない（semantic_search_artifacts・関連箇所の自動挿入は無効）
+ * @type {'openai'|'local'|'none'}
+ * @default 'openai'
+ */
+export const EMBEDDING_PROVIDER = ['openai', 'local', 'none'].includes(process.env.EMBEDDING_PROVIDER)
+  ? process.env.EMBEDDING_PROVIDER
+  : 'openai';
+
+/**
+ * OpenAI の埋め込みモデル
+ * @type {string}
+ * @default 'text-embedding-3-small'
+ */
+export const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+
+/**
+ * local 埋め込みの次元数
+ * @type {number}
+ */
+export const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * 1回の API リクエストで埋め込むチャンク数
+ * @type {number}
+ */
+export const EMBEDDING_BATCH_SIZE = 64;
+
+/**
+ * チャンクの最大文字数と、前のチャンクと重複させる文字数
+ * @type {number}
+ */
+export const RAG_CHUNK_SIZE = 1200;
+export const RAG_CHUNK_OVERLAP = 200;
+
+/**
+ * 関連箇所の自動挿入で使うチャンク数のデフォルト（スレッドの contextSettings.retrievalTopK で変更、0 で無効）
+ * @type {number}
+ */
+export const RAG_TOP_K_DEFAULT = parseInt(process.env.RAG_TOP_K_DEFAULT ?? '4', 10);
+
+/**
+ * 関連箇所とみなす類似度（コサイン類似度）の下限
+ * local は語の重なりのみで類似度が低く出るため、デフォルトを下げる
+ * @type {number}
+ * @default 0.2（local の場合は 0.05）
+ */
+export const RAG_MIN_SCORE = parseFloat(process.env.RAG_MIN_SCORE ?? (EMBEDDING_PROVIDER === 'local' ? '0.05' : '0.2'));
+
+/**
+ * semantic_search_artifacts で返すチャンク数の上限
+ * @type {number}
+ */
+export const RAG_MAX_TOP_K = 20;
+
+// ====================
+// AIプロバイダー API設定
 // ====================
 
 /**
@@ -252,6 +589,135 @@ export const OPENAI_API_TIMEOUT = 30 * 60 * 1000; // 30分
  */
 export const OPENAI_MAX_RETRIES = 2;
 
+/**
+ * Anthropic Messages API のバージョンヘッダー
+ * @type {string}
+ */
+export const ANTHROPIC_API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API のデフォルトのベースURL
+ * @type {string}
+ */
+export const ANTHROPIC_BASE_URL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+
+// ====================
+// MCP (Model Context Protocol) 関連
+// ====================
+
+/**
+ * MCPサーバーへのリクエストのタイムアウト時間（ミリ秒）
+ * @type {number}
+ * @default 60000 (1分)
+ */
+export const MCP_REQUEST_TIMEOUT = parseInt(process.env.MCP_REQUEST_TIMEOUT) || 60 * 1000;
+
+/**
+ * MCPツールをモデルに渡す際のツール名の接頭辞（mcp__<サーバー名>__<ツール名>）
+ * @type {string}
+ */
+export const MCP_TOOL_NAME_PREFIX = 'mcp__';
+
+/**
+ * MCPクライアントとして名乗るクライアント情報
+ * @type {{name: string, version: string}}
+ */
+export const MCP_CLIENT_INFO = { name: 'simple-openai-api-ui', version: '1.0.0' };
+
+// ====================
+// コード実行サンドボックス (run_artifact ツール)
+// ====================
+
+/**
+ * 実行時間の上限（ミリ秒）。超えた場合はプロセスグループごと強制終了する
+ * @type {number}
+ * @default 10000 (10秒)
+ */
+export const SANDBOX_TIMEOUT = parseInt(process.env.SANDBOX_TIMEOUT) || 10 * 1000;
+
+/**
+ * メモリ（データ領域）の上限（MB）
+ * @type {number}
+ * @default 256
+ */
+export const SANDBOX_MEMORY_LIMIT_MB = parseInt(process.env.SANDBOX_MEMORY_LIMIT_MB) || 256;
+
+/**
+ * ネットワークの遮断方法
+ * - unshare: unshare コマンドでネットワーク・マウント名前空間を分離する（利用できない環境では実行を拒否）
+ * - none: 遮断しない（開発用）
+ * @type {'unshare'|'none'}
+ * @default 'unshare'
+ */
+export const SANDBOX_NETWORK_ISOLATION = process.env.SANDBOX_NETWORK_ISOLATION === 'none' ? 'none' : 'unshare';
+
+/**
+ * サンドボックス内から見えなくするディレクトリ（カンマ区切り。アプリのディレクトリ・データ・アーティファクト・ホームディレクトリに追加）
+ * SANDBOX_NETWORK_ISOLATION=unshare の場合のみ有効
+ * @type {string[]}
+ */
+export const SANDBOX_HIDDEN_PATHS = (process.env.SANDBOX_HIDDEN_PATHS || '').split(',').map(p => p.trim()).filter(Boolean);
+
+/**
+ * 言語ごとの実行コマンド
+ * @type {{javascript: string, python: string}}
+ */
+export const SANDBOX_COMMANDS = {
+  javascript: process.env.SANDBOX_NODE_COMMAND || process.execPath,
+  python: process.env.SANDBOX_PYTHON_COMMAND || 'python3'
+};
+
+/**
+ * stdout / stderr それぞれの保存上限（バイト、超えた分は切り捨て）
+ * @type {number}
+ */
+export const SANDBOX_MAX_OUTPUT_BYTES = 256 * 1024;
+
+/**
+ * 実行後にアーティファクトとして取り込むファイル数・1ファイルのサイズの上限
+ */
+export const SANDBOX_MAX_OUTPUT_FILES = 20;
+export const SANDBOX_MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// ====================
+// バックグラウンドジョブ（非同期の応答生成）
+// ====================
+
+/**
+ * 同時に実行するジョブ数
+ * @type {number}
+ * @default 2
+ */
+export const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+/**
+ * ジョブの最大試行回数（失敗した場合は間隔を空けて再試行する）
+ * @type {number}
+ * @default 3
+ */
+export const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+/**
+ * 再試行までの待ち時間（ミリ秒）。試行ごとに 2 倍にする
+ * @type {number}
+ * @default 30000 (30秒)
+ */
+export const JOB_RETRY_DELAY = parseInt(process.env.JOB_RETRY_DELAY) || 30 * 1000;
+
+/**
+ * 待機中のジョブを確認する間隔（ミリ秒）
+ * @type {number}
+ * @default 2000
+ */
+export const JOB_POLL_INTERVAL = 2000;
+
+/**
+ * 終了したジョブを保持する日数
+ * @type {number}
+ * @default 7
+ */
+export const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 7;
+
 // ====================
 // ディレクトリ・ファイルパス
 // ====================
@@ -275,7 +741,25 @@ export const DATA_DIR = path.join(ROOT_DIR, 'data');
 export const ARTIFACTS_DIR = path.join(ROOT_DIR, 'artifacts');
 
 /**
- * スレッド情報保存用JSONファイル
+ * モデルレジストリの追加・上書き定義（JSON、存在しない場合は組み込みの OpenAI モデルのみ）
+ * @type {string}
+ */
+export const MODELS_FILE = process.env.MODELS_FILE || path.join(ROOT_DIR, 'models.json');
+
+/**
+ * サードパーティ製ツール（プラグイン）の読み込み元ディレクトリ
+ * @type {string}
+ */
+export const PLUGINS_DIR = process.env.PLUGINS_DIR || path.join(ROOT_DIR, 'plugins');
+
+/**
+ * スレッド・メッセージ・アーティファクトメタデータ等を保存するSQLiteデータベース
+ * @type {string}
+ */
+export const STORAGE_DB_FILE = path.join(DATA_DIR, 'storage.db');
+
+/**
+ * スレッド情報保存用JSONファイル（旧形式・SQLiteへの移行元）
  * @type {string}
  */
 export const THREADS_FILE = path.join(DATA_DIR, 'threads.json');
@@ -287,13 +771,13 @@ export const THREADS_FILE = path.join(DATA_DIR, 'threads.json');
 export const TOKEN_LOG_FILE = path.join(DATA_DIR, 'token_usage.csv');
 
 /**
- * システムプロンプト保存用JSONファイル
+ * システムプロンプト保存用JSONファイル（旧形式・SQLiteへの移行元）
  * @type {string}
  */
 export const SYSTEM_PROMPTS_FILE = path.join(DATA_DIR, 'system_prompts.json');
 
 /**
- * レスポンスフォーマット保存用JSONファイル
+ * レスポンスフォーマット保存用JSONファイル（旧形式・SQLiteへの移行元）
  * @type {string}
  */
 export const RESPONSE_FORMATS_FILE = path.join(DATA_DIR, 'response_formats.json');
@@ -314,6 +798,18 @@ export const INVALID_FILENAME_CHARS_REGEX = /[\\/:*?"<>|]/g;
  */
 export const DEFAULT_ARTIFACT_BASENAME = 'artifact';
 
+/**
+ * アーティファクト1件に付けられるタグの最大数
+ * @type {number}
+ */
+export const ARTIFACT_MAX_TAGS = 20;
+
+/**
+ * アーティファクトのタグの最大文字数
+ * @type {number}
+ */
+export const ARTIFACT_TAG_MAX_LENGTH = 50;
+
 // ====================
 // サーバー設定
 // ====================
@@ -0,0 +1,233 @@
+// utils/content-parts.js
+
+// ==================================================
+// メッセージの content パーツ（画像・ファイル入力）
+// ==================================================
+//
+// - メッセージの content は文字列、または次のパーツの配列
+//     { type: 'text', text }
+//     { type: 'image', artifactId, version?, detail? }  // 画像のアーティファクト（detail: auto / low / high）
+//     { type: 'file', artifactId, version? }            // ファイルのアーティファクト（PDF・テキストなど）
+// - 保存時にアーティファクトのアクセス権を確認し、version（省略時は最新版）・filename・mimeType を確定する
+//   参照したアーティファクトはスレッドに添付し、スレッドのメンバーも閲覧できるようにする
+// - モデルへの送信時にアーティファクトを読み込み、Responses API の input_text / input_image / input_file に変換する
+//   - テキストのファイルは内容を input_text として送る（どのモデルでも読める）
+//   - 画像・バイナリのファイルは画像入力に対応したモデル (capabilities.vision) にのみ送り、
+//     それ以外のモデルにはファイル名を伝えるテキストに置き換える
+
+import path from 'path';
+import * as configs from './config.js';
+import * as helpers from '../helpers.js';
+import * as access from './access-control.js';
+import * as modelRegistry from './model-registry.js';
+
+export const CONTENT_PART_TYPES = ['text', 'image', 'file'];
+
+export const IMAGE_DETAILS = ['auto', 'low', 'high'];
+
+// 画像として送信できる形式（Responses API の input_image が対応する形式）
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const FILE_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.xml': 'application/xml'
+};
+
+/**
+ * ファイル名の拡張子から MIME タイプを判定（不明な場合は application/octet-stream）
+ */
+export function getMimeType(filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  return IMAGE_MIME_TYPES[extension] || FILE_MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * ブラウザでそのまま表示してよい形式か（画像のみ。HTML / SVG などはこのオリジンでスクリプトが実行されるため不可）
+ */
+export function isInlineSafeMimeType(mimeType) {
+  return Object.values(IMAGE_MIME_TYPES).includes(mimeType);
+}
+
+/**
+ * アーティファクトを参照するパーツ（image / file）か判定
+ */
+export function isAttachmentPart(part) {
+  return (part?.type === 'image' || part?.type === 'file') && typeof part.artifactId === 'string';
+}
+
+/**
+ * content に含まれるアーティファクト参照のパーツ
+ * @returns {object[]}
+ */
+export function getAttachmentParts(content) {
+  return Array.isArray(content) ? content.filter(isAttachmentPart) : [];
+}
+
+/**
+ * 画像・ファイルのパーツを表すテキスト（検索・要約・画像入力に非対応のモデル向け）
+ */
+export function describePart(part, note = null) {
+  return `[${part.type}: ${part.filename || part.artifactId} (artifact ${part.artifactId} v${part.version})${note ? ` ${note}` : ''}]`;
+}
+
+// ====================
+// 保存時の検証
+// ====================
+
+async function normalizeAttachmentPart(part, user) {
+  if (typeof part.artifactId !== 'string' || !part.artifactId) {
+    throw new Error(`${part.type} part requires artifactId`);
+  }
+  const metadata = await access.assertArtifactAccess(user, part.artifactId);
+
+  const version = part.version == null ? metadata.currentVersion : Number(part.version);
+  if (!metadata.versions.some(v => v.version === version)) {
+    throw new Error(`Version ${part.version} not found for artifact ${part.artifactId}`);
+  }
+
+  const normalized = {
+    type: part.type,
+    artifactId: metadata.id,
+    version,
+    filename: metadata.filename,
+    mimeType: getMimeType(metadata.filename)
+  };
+
+  if (part.type === 'image') {
+    if (!normalized.mimeType.startsWith('image/')) {
+      throw new Error(`Artifact ${metadata.filename} is not a supported image (${Object.keys(IMAGE_MIME_TYPES).join(', ')})`);
+    }
+    if (part.detail !== undefined) {
+      if (!IMAGE_DETAILS.includes(part.detail)) {
+        throw new Error(`detail must be one of: ${IMAGE_DETAILS.join(', ')}`);
+      }
+      normalized.detail = part.detail;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * メッセージの content を検証・正規化
+ * 文字列はそのまま返し、配列の場合は各パーツを検証して保存用の形式にする（文字列の要素は text パーツとして扱う）
+ * @param {string|object[]} content
+ * @param {object} user - アーティファクトのアクセス権の確認に使用
+ * @returns {Promise<string|object[]>}
+ * @throws {Error} content が不正な場合・参照したアーティファクトにアクセスできない場合
+ */
+export async function normalizeMessageContent(content, user) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content) || content.length === 0) {
+    throw new Error('content must be a string or a non-empty array of content parts');
+  }
+  if (content.length > configs.MESSAGE_MAX_CONTENT_PARTS) {
+    throw new Error(`At most ${configs.MESSAGE_MAX_CONTENT_PARTS} content parts are allowed`);
+  }
+
+  const parts = [];
+  for (const part of content) {
+    if (typeof part === 'string') {
+      parts.push({ type: 'text', text: part });
+      continue;
+    }
+    switch (part?.type) {
+      case 'text':
+        if (typeof part.text !== 'string') {
+          throw new Error('text part requires text');
+        }
+        parts.push({ type: 'text', text: part.text });
+        break;
+      case 'image':
+      case 'file':
+        parts.push(await normalizeAttachmentPart(part, user));
+        break;
+      default:
+        throw new Error(`Content part type must be one of: ${CONTENT_PART_TYPES.join(', ')}`);
+    }
+  }
+
+  if (!parts.some(part => part.type !== 'text' || part.text.trim())) {
+    throw new Error('Message content is required');
+  }
+  return parts;
+}
+
+/**
+ * content が参照しているアーティファクトをスレッドに添付（既に紐づいているものは何もしない）
+ */
+export async function attachContentArtifacts(content, threadId, userId = null) {
+  const artifactIds = new Set(getAttachmentParts(content).map(part => part.artifactId));
+  for (const artifactId of artifactIds) {
+    await helpers.attachArtifactToThread(artifactId, threadId, userId);
+  }
+}
+
+// ====================
+// モデルへの送信
+// ====================
+
+async function readAttachment(part) {
+  const metadata = await helpers.readArtifactMetadata(part.artifactId).catch(() => null);
+  const result = metadata ? await helpers.readArtifactVersion(metadata, part.version).catch(() => null) : null;
+  return result?.content ?? null;
+}
+
+function toDataUrl(mimeType, buffer) {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+// 保存形式のパーツを Responses API の入力パーツに変換
+async function toInputPart(part, vision) {
+  if (part.type === 'text') {
+    return { type: 'input_text', text: part.text };
+  }
+
+  const buffer = await readAttachment(part);
+  if (!buffer) {
+    return { type: 'input_text', text: describePart(part, '(deleted)') };
+  }
+  if (buffer.length > configs.INPUT_ATTACHMENT_MAX_BYTES) {
+    return { type: 'input_text', text: describePart(part, '(too large to attach)') };
+  }
+
+  if (part.type === 'file' && !buffer.includes(0) && part.mimeType !== 'application/pdf') {
+    return { type: 'input_text', text: `${describePart(part)}\n${buffer.toString('utf-8')}` };
+  }
+  if (!vision) {
+    return { type: 'input_text', text: describePart(part, '(this model cannot read images or files)') };
+  }
+
+  const mimeType = part.mimeType || getMimeType(part.filename);
+  if (part.type === 'image') {
+    return { type: 'input_image', image_url: toDataUrl(mimeType, buffer), detail: part.detail || 'auto' };
+  }
+  return { type: 'input_file', filename: part.filename, file_data: toDataUrl(mimeType, buffer) };
+}
+
+/**
+ * 会話の入力に含まれる content パーツを、モデルに送信する形式に変換
+ * @param {object[]} input - helpers.buildConversationInput の戻り値
+ * @param {string} model - 送信先のモデル
+ * @returns {Promise<object[]>}
+ */
+export async function resolveInputContent(input, model) {
+  const vision = modelRegistry.supports(model, 'vision');
+  return Promise.all(input.map(async item => {
+    if (item.role !== 'user' || !Array.isArray(item.content)) return item;
+    return {
+      ...item,
+      content: await Promise.all(item.content.map(part => toInputPart(part, vision)))
+    };
+  }));
+}
@@ -0,0 +1,340 @@
+// utils/context-manager.js
+
+// ==================================================
+// 会話コンテキストの管理
+// ==================================================
+//
+// - メッセージごとのトークン数を推定し、スレッドの contextSettings に従って送信する履歴を選ぶ
+// - ピン留めされたメッセージ (message.pinned) は常に含める
+// - summary 戦略では範囲外になった古いメッセージをLLMで要約し、thread.contextSummary に保存する
+//   （要約は古い順に積み上げていくため、次回以降は新たに範囲外になった分だけを追加で要約する）
+// - どのメッセージを送信したかは、アシスタントメッセージの usage.context に記録する
+
+import * as configs from './config.js';
+import * as helpers from '../helpers.js';
+import * as providers from './providers/index.js';
+import * as pricing from './pricing.js';
+import * as contentParts from './content-parts.js';
+
+export const CONTEXT_STRATEGIES = ['full', 'sliding_window', 'summary'];
+
+// メッセージごとの固定オーバーヘッド（role などの区切り）
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// 画像・ファイル1件あたりの推定トークン数（実際は解像度・ページ数による）
+const ATTACHMENT_TOKENS = 1000;
+
+const MIN_MAX_TOKENS = 1000;
+
+const SUMMARY_PROMPT = [
+  'You maintain a running summary of an earlier part of a conversation that no longer fits in the context window.',
+  'Update the existing summary (if any) with the new messages.',
+  'Keep facts, decisions, open questions, user preferences, names, and artifact IDs/filenames that may be referenced later.',
+  'Write concisely in the main language of the conversation. Output only the summary.'
+].join('\n');
+
+// ====================
+// トークン数の推定
+// ====================
+
+/**
+ * テキストのトークン数を推定
+ * ASCII は約4文字で1トークン、日本語などの非ASCII文字は1文字で約1トークンとして数える
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let ascii = 0;
+  let nonAscii = 0;
+  for (const char of String(text)) {
+    if (char.charCodeAt(0) < 128) {
+      ascii++;
+    } else {
+      nonAscii++;
+    }
+  }
+  return Math.ceil(ascii / 4) + nonAscii;
+}
+
+/**
+ * メッセージ本文をテキストとして取得（配列形式の content にも対応。画像・ファイルはファイル名で表す）
+ * @returns {string}
+ */
+export function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => {
+      if (typeof part === 'string') return part;
+      if (contentParts.isAttachmentPart(part)) return contentParts.describePart(part);
+      return part?.text ?? JSON.stringify(part);
+    }).join('\n');
+  }
+  return content == null ? '' : JSON.stringify(content);
+}
+
+/**
+ * メッセージ1件のトークン数を推定
+ * @param {object} message
+ * @param {object} [options]
+ * @param {boolean} [options.replayTranscripts] - 推論・ツール呼び出し履歴も送信する場合は true
+ */
+export function countMessageTokens(message, { replayTranscripts = false } = {}) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTokens(contentToText(message.content))
+    + contentParts.getAttachmentParts(message.content).length * ATTACHMENT_TOKENS;
+  if (replayTranscripts && message.role === 'assistant' && Array.isArray(message.transcript)) {
+    tokens += estimateTokens(JSON.stringify(message.transcript));
+  }
+  return tokens;
+}
+
+// ====================
+// 設定
+// ====================
+
+/**
+ * contextSettings の値を検証・正規化
+ * @param {object} input - リクエストボディ
+ * @param {object} [existing] - 既存の設定
+ * @throws {Error} 値が不正な場合
+ */
+export function normalizeContextSettings(input = {}, existing = {}) {
+  const merged = { ...existing, ...input };
+  const settings = {};
+
+  if (merged.strategy !== undefined) {
+    if (!CONTEXT_STRATEGIES.includes(merged.strategy)) {
+      throw new Error(`strategy must be one of: ${CONTEXT_STRATEGIES.join(', ')}`);
+    }
+    settings.strategy = merged.strategy;
+  }
+
+  if (merged.maxTokens !== undefined && merged.maxTokens !== null) {
+    const maxTokens = Number(merged.maxTokens);
+    if (!Number.isInteger(maxTokens) || maxTokens < MIN_MAX_TOKENS) {
+      throw new Error(`maxTokens must be an integer >= ${MIN_MAX_TOKENS}`);
+    }
+    settings.maxTokens = maxTokens;
+  }
+
+  if (merged.retrievalTopK !== undefined && merged.retrievalTopK !== null) {
+    const retrievalTopK = Number(merged.retrievalTopK);
+    if (!Number.isInteger(retrievalTopK) || retrievalTopK < 0 || retrievalTopK > configs.RAG_MAX_TOP_K) {
+      throw new Error(`retrievalTopK must be an integer between 0 and ${configs.RAG_MAX_TOP_K}`);
+    }
+    settings.retrievalTopK = retrievalTopK;
+  }
+
+  return settings;
+}
+
+/**
+ * スレッドのコンテキスト設定を取得（未設定の項目はデフォルト値）
+ */
+export function getContextSettings(thread) {
+  return {
+    strategy: thread?.contextSettings?.strategy || configs.CONTEXT_STRATEGY_DEFAULT,
+    maxTokens: thread?.contextSettings?.maxTokens || configs.CONTEXT_MAX_TOKENS_DEFAULT,
+    // 関連するアーティファクトの箇所を developer プロンプトに挿入するチャンク数（0 で無効）
+    retrievalTopK: thread?.contextSettings?.retrievalTopK ?? configs.RAG_TOP_K_DEFAULT
+  };
+}
+
+// ====================
+// 送信するメッセージの選択
+// ====================
+
+/**
+ * 上限トークン数に収まるメッセージを選ぶ
+ * ピン留めメッセージは常に含め、残りは新しい順に連続して収まる分だけ含める（最新のメッセージは必ず含める）
+ * @returns {{included: object[], excluded: object[]}} どちらも時系列順。excluded はピン留めを含まない
+ */
+export function selectContextMessages(messages, tokenCounts, budget) {
+  const pinnedTokens = messages
+    .filter(message => message.pinned)
+    .reduce((sum, message) => sum + tokenCounts.get(message.id), 0);
+
+  let remaining = budget - pinnedTokens;
+  let cutoff = messages.length;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.pinned) continue;
+    const tokens = tokenCounts.get(message.id);
+    if (tokens > remaining && cutoff < messages.length) break;
+    remaining -= tokens;
+    cutoff = i;
+  }
+
+  return {
+    included: messages.filter((message, index) => index >= cutoff || message.pinned),
+    excluded: messages.filter((message, index) => index < cutoff && !message.pinned)
+  };
+}
+
+// ====================
+// 要約
+// ====================
+
+function formatMessagesForSummary(messages) {
+  return messages
+    .map(message => `[${message.role}${message.timestamp ? ` ${message.timestamp}` : ''}]\n${contentToText(message.content)}`)
+    .join('\n\n');
+}
+
+// トークン数の上限ごとにメッセージを分割
+function chunkMessages(messages, tokenCounts, chunkTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  for (const message of messages) {
+    const tokens = tokenCounts.get(message.id);
+    if (current.length > 0 && currentTokens + tokens > chunkTokens) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(message);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+async function requestSummary(previousSummary, messages, userId, apiKeyId) {
+  const input = [
+    previousSummary ? `Existing summary:\n${previousSummary}` : 'Existing summary: (none)',
+    `New messages:\n${formatMessagesForSummary(messages)}`
+  ].join('\n\n');
+
+  const response = await providers.createResponse({
+    model: configs.CONTEXT_SUMMARY_MODEL,
+    input: [
+      { role: 'developer', content: SUMMARY_PROMPT },
+      { role: 'user', content: input }
+    ],
+    max_output_tokens: configs.CONTEXT_SUMMARY_MAX_TOKENS
+  });
+
+  const cost = await helpers.logTokenUsage(configs.CONTEXT_SUMMARY_MODEL, response.usage, userId, { apiKeyId });
+  return { text: (response.output_text || '').trim(), usage: response.usage || null, cost };
+}
+
+/**
+ * 範囲外になったメッセージの要約を取得（必要に応じて更新し、thread.contextSummary に保存）
+ * 既存の要約が excluded の途中までを対象としている場合は、続きのメッセージだけを追加で要約する
+ * @returns {Promise<{summary: object, generated: boolean, usage: object|null, cost: object|null}>}
+ */
+async function ensureSummary({ thread, excluded, tokenCounts, userId, apiKeyId }) {
+  const existing = thread.contextSummary;
+  const lastExcluded = excluded.at(-1);
+  if (existing?.lastMessageId === lastExcluded.id) {
+    return { summary: existing, generated: false, usage: null, cost: null };
+  }
+
+  // 既存の要約の続きから要約する（既存の要約が送信範囲のメッセージまで含む場合は作り直す）
+  const coveredIndex = existing ? excluded.findIndex(message => message.id === existing.lastMessageId) : -1;
+  let text = coveredIndex === -1 ? '' : existing.content;
+  let messageCount = coveredIndex === -1 ? 0 : existing.messageCount;
+  const pending = excluded.slice(coveredIndex + 1);
+
+  const usage = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+  const costs = [];
+  for (const chunk of chunkMessages(pending, tokenCounts, configs.CONTEXT_SUMMARY_CHUNK_TOKENS)) {
+    const result = await requestSummary(text, chunk, userId, apiKeyId);
+    text = result.text || text;
+    messageCount += chunk.length;
+    usage.input_tokens += result.usage?.input_tokens || 0;
+    usage.output_tokens += result.usage?.output_tokens || 0;
+    usage.total_tokens += result.usage?.total_tokens || 0;
+    costs.push(result.cost);
+  }
+
+  const summary = {
+    content: text,
+    lastMessageId: lastExcluded.id,
+    messageCount,
+    tokenCount: estimateTokens(text),
+    model: configs.CONTEXT_SUMMARY_MODEL,
+    updatedAt: new Date().toISOString()
+  };
+  thread.contextSummary = summary;
+  console.log(`📝 Context summary updated: ${pending.length} new message(s), ${messageCount} total`);
+  return { summary, generated: true, usage, cost: pricing.sumCosts(costs) };
+}
+
+// ====================
+// 入力の構築
+// ====================
+
+/**
+ * モデルに送信する会話履歴を構築
+ * @param {object} params
+ * @param {object} params.thread - 対象スレッド（要約を更新した場合は thread.contextSummary を書き換える）
+ * @param {object[]} params.messages - 送信候補のメッセージ（最新のユーザーメッセージを含む）
+ * @param {string} params.model - 応答生成に使うモデル
+ * @param {boolean} params.replayTranscripts
+ * @param {string} params.userId - 要約のトークン使用量を記録するユーザー
+ * @param {string|null} [params.apiKeyId] - API キーで実行したリクエストの場合のキーID（使用量の記録用）
+ * @returns {Promise<{input: object[], context: object}>} context は usage.context として保存する
+ */
+export async function buildContextInput({ thread, messages, model, replayTranscripts = false, userId, apiKeyId = null }) {
+  const settings = getContextSettings(thread);
+  const tokenCounts = new Map(messages.map(message => [message.id, countMessageTokens(message, { replayTranscripts })]));
+  const totalTokens = [...tokenCounts.values()].reduce((sum, tokens) => sum + tokens, 0);
+
+  let included = messages;
+  let excluded = [];
+  let summaryResult = null;
+
+  if (settings.strategy !== 'full' && totalTokens > settings.maxTokens) {
+    const reserved = settings.strategy === 'summary' ? configs.CONTEXT_SUMMARY_MAX_TOKENS : 0;
+    ({ included, excluded } = selectContextMessages(messages, tokenCounts, settings.maxTokens - reserved));
+
+    if (settings.strategy === 'summary' && excluded.length > 0) {
+      try {
+        summaryResult = await ensureSummary({ thread, excluded, tokenCounts, userId, apiKeyId });
+      } catch (error) {
+        // 要約に失敗してもメッセージ処理は続行する（要約なしのスライディングウィンドウ）
+        console.error('❌ Failed to summarize context:', error.message);
+      }
+    }
+  }
+
+  // 画像・ファイルのパーツはアーティファクトを読み込んでモデルの対応する形式に変換する
+  const input = await contentParts.resolveInputContent(
+    helpers.buildConversationInput(included, { replayTranscripts, model }),
+    model
+  );
+  if (summaryResult?.summary.content) {
+    input.unshift({
+      role: 'developer',
+      content: `Summary of the earlier conversation (${summaryResult.summary.messageCount} messages omitted):\n${summaryResult.summary.content}`
+    });
+  }
+
+  const includedTokens = included.reduce((sum, message) => sum + tokenCounts.get(message.id), 0);
+  const context = {
+    strategy: settings.strategy,
+    maxTokens: settings.maxTokens,
+    estimatedTokens: includedTokens + (summaryResult?.summary.tokenCount || 0),
+    totalMessageCount: messages.length,
+    includedMessageIds: included.map(message => message.id),
+    pinnedMessageIds: included.filter(message => message.pinned).map(message => message.id),
+    excludedMessageCount: excluded.length,
+    summary: summaryResult ? {
+      lastMessageId: summaryResult.summary.lastMessageId,
+      messageCount: summaryResult.summary.messageCount,
+      tokenCount: summaryResult.summary.tokenCount,
+      model: summaryResult.summary.model,
+      generated: summaryResult.generated,
+      usage: summaryResult.usage || undefined,
+      cost: summaryResult.cost || undefined
+    } : null
+  };
+
+  if (excluded.length > 0) {
+    console.log(`✂️ Context trimmed (${settings.strategy}): ${included.length}/${messages.length} messages, ~${context.estimatedTokens} tokens`);
+  }
+
+  return { input, context };
+}
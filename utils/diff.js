@@ -0,0 +1,184 @@
+// utils/diff.js
+
+// ==================================================
+// テキストの差分（行単位）
+// ==================================================
+//
+// - Myers の差分アルゴリズムで行単位の編集列を求める
+// - 差分が大きすぎる場合（MAX_EDIT_DISTANCE 超）は、共通の先頭・末尾以外を全行置換として扱う
+// - unifiedDiff は git diff と同じ形式のテキストを返す（"\ No newline at end of file" は省略）
+
+// 編集距離の上限（計算量・メモリは編集距離の2乗に比例するため）
+const MAX_EDIT_DISTANCE = 2000;
+
+const DEFAULT_CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = String(text).split('\n');
+  if (lines.at(-1) === '') lines.pop();
+  return lines;
+}
+
+// a と b の編集列（'equal' | 'remove' | 'add'）を求める。見つからない場合は null
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // 後で経路を復元するため、この時点の k = -(d+1)..(d+1) の値を保存
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+  return null;
+}
+
+function backtrack(a, b, trace) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = k => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', oldIndex: x - 1, newIndex: y - 1 });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'add', newIndex: y - 1 });
+      } else {
+        ops.push({ type: 'remove', oldIndex: x - 1 });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * 2つのテキストの行単位の差分を求める
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{type: 'equal'|'remove'|'add', text: string, oldLine: number|null, newLine: number|null}[]} 行番号は1始まり
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // 共通の先頭・末尾を除いてから比較する
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const middleOps = myers(middleA, middleB) ?? [
+    ...middleA.map((_, index) => ({ type: 'remove', oldIndex: index })),
+    ...middleB.map((_, index) => ({ type: 'add', newIndex: index }))
+  ];
+
+  const result = [];
+  for (let i = 0; i < prefix; i++) {
+    result.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: i + 1 });
+  }
+  for (const op of middleOps) {
+    result.push({
+      type: op.type,
+      text: op.type === 'add' ? middleB[op.newIndex] : middleA[op.oldIndex],
+      oldLine: op.type === 'add' ? null : prefix + op.oldIndex + 1,
+      newLine: op.type === 'remove' ? null : prefix + op.newIndex + 1
+    });
+  }
+  for (let i = 0; i < suffix; i++) {
+    const oldIndex = a.length - suffix + i;
+    const newIndex = b.length - suffix + i;
+    result.push({ type: 'equal', text: a[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1 });
+  }
+  return result;
+}
+
+/**
+ * 差分の追加・削除行数
+ */
+export function diffStats(lines) {
+  return {
+    added: lines.filter(line => line.type === 'add').length,
+    removed: lines.filter(line => line.type === 'remove').length
+  };
+}
+
+/**
+ * unified diff 形式のテキストを作成
+ * @param {object[]} lines - diffLines の戻り値
+ * @param {object} [options]
+ * @param {string} [options.oldLabel]
+ * @param {string} [options.newLabel]
+ * @param {number} [options.context=3] - 変更箇所の前後に含める行数
+ * @returns {string} 差分がない場合は空文字
+ */
+export function unifiedDiff(lines, { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT_LINES } = {}) {
+  const changed = lines
+    .map((line, index) => (line.type === 'equal' ? -1 : index))
+    .filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  // 前後の文脈を含めた範囲が重なる変更はまとめて1つのハンクにする
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(lines.length - 1, index + context);
+    const last = ranges.at(-1);
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const { start, end } of ranges) {
+    const hunk = lines.slice(start, end + 1);
+    const oldLines = hunk.filter(line => line.type !== 'add');
+    const newLines = hunk.filter(line => line.type !== 'remove');
+    // 行がない側は直前の行番号を開始位置とする（git diff と同じ）
+    const oldStart = oldLines[0]?.oldLine ?? (lines.slice(0, start).filter(line => line.type !== 'add').at(-1)?.oldLine ?? 0);
+    const newStart = newLines[0]?.newLine ?? (lines.slice(0, start).filter(line => line.type !== 'remove').at(-1)?.newLine ?? 0);
+
+    output.push(`@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`);
+    for (const line of hunk) {
+      const marker = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+      output.push(`${marker}${line.text}`);
+    }
+  }
+  return output.join('\n') + '\n';
+}
@@ -0,0 +1,167 @@
+// utils/embeddings.js
+
+// ==================================================
+// 埋め込みベクトルの生成
+// ==================================================
+//
+// - EMBEDDING_PROVIDER で生成方法を切り替える（openai / local / none）
+// - 埋め込み方法は { id, model, embed(texts) } の形で、embed は L2 正規化済みのベクトルを返す
+//   （類似度は内積で計算できる）
+// - id は「方法:モデル」で、方法を変えた場合は古いベクトルを検索に使わない（再インデックスが必要）
+// - local は単語（CJK は文字 bigram）をハッシュして次元に割り当てる決定的な埋め込みで、
+//   API キーなしでテストできる。意味の近さは捉えられず、語の重なりによる類似度になる
+
+import { OpenAI } from 'openai';
+import * as configs from './config.js';
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * 2つの正規化済みベクトルの類似度（内積）
+ */
+export function similarity(a, b) {
+  const length = Math.min(a.length, b.length);
+  let dot = 0;
+  for (let i = 0; i < length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+// ====================
+// local（決定的な埋め込み）
+// ====================
+
+// FNV-1a (32bit)
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * テキストを語に分割（英数字は単語、CJK は文字 bigram）
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const [word] of String(text).toLowerCase().matchAll(/[\p{L}\p{N}_]+/gu)) {
+    if (!CJK_PATTERN.test(word)) {
+      tokens.push(word);
+      continue;
+    }
+    const chars = [...word];
+    if (chars.length === 1) tokens.push(word);
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return tokens;
+}
+
+function createLocalEmbedder() {
+  const dimensions = configs.LOCAL_EMBEDDING_DIMENSIONS;
+  return {
+    id: `local:hash-${dimensions}`,
+    model: `local-hash-${dimensions}`,
+    async embed(texts) {
+      const vectors = texts.map(text => {
+        const counts = new Map();
+        for (const token of tokenize(text)) {
+          counts.set(token, (counts.get(token) || 0) + 1);
+        }
+        const vector = new Float32Array(dimensions);
+        for (const [token, count] of counts) {
+          const hash = hashToken(token);
+          // 繰り返される語に引きずられないよう出現回数は対数で重み付けし、
+          // 衝突の偏りを打ち消すため、ハッシュの最上位ビットで符号を決める
+          vector[hash % dimensions] += (1 + Math.log(count)) * (hash & 0x80000000 ? -1 : 1);
+        }
+        return normalize(vector);
+      });
+      return { vectors, usage: null };
+    }
+  };
+}
+
+// ====================
+// openai
+// ====================
+
+function createOpenAIEmbedder() {
+  const client = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    timeout: configs.OPENAI_API_TIMEOUT,
+    maxRetries: configs.OPENAI_MAX_RETRIES
+  });
+  return {
+    id: `openai:${configs.EMBEDDING_MODEL}`,
+    model: configs.EMBEDDING_MODEL,
+    async embed(texts) {
+      const response = await client.embeddings.create({ model: configs.EMBEDDING_MODEL, input: texts, encoding_format: 'float' });
+      const vectors = [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => normalize(Float32Array.from(item.embedding)));
+      return {
+        vectors,
+        usage: response.usage
+          ? { input_tokens: response.usage.prompt_tokens, output_tokens: 0, total_tokens: response.usage.total_tokens }
+          : null
+      };
+    }
+  };
+}
+
+const EMBEDDER_FACTORIES = {
+  openai: createOpenAIEmbedder,
+  local: createLocalEmbedder
+};
+
+let embedder;
+
+/**
+ * 設定されている埋め込み方法（EMBEDDING_PROVIDER=none の場合は null）
+ * @returns {{id: string, model: string, embed: (texts: string[]) => Promise<{vectors: Float32Array[], usage: object|null}>}|null}
+ */
+export function getEmbedder() {
+  if (embedder === undefined) {
+    const factory = EMBEDDER_FACTORIES[configs.EMBEDDING_PROVIDER];
+    embedder = factory ? factory() : null;
+  }
+  return embedder;
+}
+
+/**
+ * テキストをまとめて埋め込む（EMBEDDING_BATCH_SIZE ごとに分けて送信し、usage は合算）
+ * @returns {Promise<{vectors: Float32Array[], usage: object|null}>}
+ */
+export async function embedTexts(texts) {
+  const current = getEmbedder();
+  if (!current) throw new Error('Embeddings are disabled (EMBEDDING_PROVIDER=none)');
+
+  const vectors = [];
+  let usage = null;
+  for (let i = 0; i < texts.length; i += configs.EMBEDDING_BATCH_SIZE) {
+    const result = await current.embed(texts.slice(i, i + configs.EMBEDDING_BATCH_SIZE));
+    vectors.push(...result.vectors);
+    if (result.usage) {
+      usage = {
+        input_tokens: (usage?.input_tokens || 0) + result.usage.input_tokens,
+        output_tokens: 0,
+        total_tokens: (usage?.total_tokens || 0) + result.usage.total_tokens
+      };
+    }
+  }
+  return { vectors, usage };
+}
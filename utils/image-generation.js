@@ -0,0 +1,145 @@
+// utils/image-generation.js
+
+// ==================================================
+// 画像生成
+// ==================================================
+//
+// - IMAGE_GENERATION_BACKEND で生成方法を切り替える
+//   - openai: OpenAI Images API (IMAGE_GENERATION_MODEL) で生成し、base64 の結果をデコードする
+//   - fake: プロンプトのハッシュから色を決めた単色の PNG をローカルで作成する（API キー不要・結果は決定的）
+// - 生成した画像の保存・課金は呼び出し側（tools/image-tools.js）で行う
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { OpenAI } from 'openai';
+import * as configs from './config.js';
+
+export const IMAGE_SIZES = ['1024x1024', '1024x1536', '1536x1024', 'auto'];
+
+export const IMAGE_FORMATS = ['png', 'webp'];
+
+const DEFAULT_SIZE = '1024x1024';
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: configs.OPENAI_API_TIMEOUT,
+      maxRetries: configs.OPENAI_MAX_RETRIES
+    });
+  }
+  return client;
+}
+
+// ====================
+// fake バックエンド
+// ====================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 単色の PNG（8bit RGB）を作成
+ */
+export function createSolidPng(width, height, [r, g, b]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // ビット深度
+  header[9] = 2;  // カラータイプ: RGB
+
+  // 各行の先頭はフィルタ種別 (0: None)
+  const row = Buffer.alloc(1 + width * 3);
+  for (let x = 0; x < width; x++) {
+    row[1 + x * 3] = r;
+    row[2 + x * 3] = g;
+    row[3 + x * 3] = b;
+  }
+  const raw = Buffer.concat(Array.from({ length: height }, () => row));
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function generateFakeImage(prompt, size) {
+  const [width, height] = (size === 'auto' ? DEFAULT_SIZE : size).split('x').map(Number);
+  const hash = crypto.createHash('sha256').update(prompt).digest();
+  return {
+    buffer: createSolidPng(width, height, [hash[0], hash[1], hash[2]]),
+    format: 'png',
+    model: 'fake-image'
+  };
+}
+
+// ====================
+// 生成
+// ====================
+
+/**
+ * プロンプトから画像を1枚生成
+ * @param {object} params
+ * @param {string} params.prompt
+ * @param {string} [params.size='1024x1024'] - IMAGE_SIZES のいずれか
+ * @param {string} [params.format='png'] - IMAGE_FORMATS のいずれか（fake バックエンドは常に png）
+ * @returns {Promise<{buffer: Buffer, format: string, model: string}>}
+ */
+export async function generateImage({ prompt, size = DEFAULT_SIZE, format = 'png' }) {
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw new Error('prompt is required');
+  }
+  if (!IMAGE_SIZES.includes(size)) {
+    throw new Error(`size must be one of: ${IMAGE_SIZES.join(', ')}`);
+  }
+  if (!IMAGE_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${IMAGE_FORMATS.join(', ')}`);
+  }
+
+  if (configs.IMAGE_GENERATION_BACKEND === 'fake') {
+    return generateFakeImage(prompt, size);
+  }
+
+  const response = await getClient().images.generate({
+    model: configs.IMAGE_GENERATION_MODEL,
+    prompt,
+    size,
+    output_format: format,
+    n: 1
+  });
+  const data = response.data?.[0]?.b64_json;
+  if (!data) {
+    throw new Error('Image generation returned no image');
+  }
+  return {
+    buffer: Buffer.from(data, 'base64'),
+    format,
+    model: configs.IMAGE_GENERATION_MODEL
+  };
+}
@@ -0,0 +1,259 @@
+// utils/job-queue.js
+
+// ==================================================
+// バックグラウンドジョブのキュー（SQLite に保存）
+// ==================================================
+//
+// - enqueue したジョブは jobs テーブルに保存し、このプロセスのワーカーが最大 JOB_CONCURRENCY 件ずつ処理する
+//   同じスレッドのジョブは同時に実行しない
+// - 状態: queued → running → succeeded / failed / cancelled
+//   失敗した場合は JOB_MAX_ATTEMPTS 回まで間隔を空けて再試行する（JobError で retryable: false の場合は再試行しない）
+// - サーバーの停止で running のまま残ったジョブは、起動時に queued に戻して再実行する
+//   ハンドラーは同じジョブが再実行されても結果が重複しないようにする
+//   試行回数が上限に達したジョブと、markSideEffects() で副作用（課金・ツールの実行など）の開始を記録したジョブは失敗にする
+// - キャンセル: queued はその場で cancelled にし、running はハンドラーに渡した signal を中断する
+//   ハンドラーが中断後に値を返した場合（途中までの応答など）は result に保存する
+// - ハンドラーは report(event, data) で途中経過を購読者（SSE）に中継し、setProgress(progress) で job.progress を保存する
+//   markSideEffects() は job.sideEffectsStarted を保存する（再実行すると結果が重複する処理の前に呼ぶ）
+//   購読者には { event, data } を通知する（event: 'status' は状態の変化、'finished' は終了したジョブ）
+
+import { EventEmitter } from 'events';
+import * as configs from './config.js';
+import * as helpers from '../helpers.js';
+import { getStorage } from './storage.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * ジョブの失敗を表すエラー（retryable: false の場合は再試行しない）
+ */
+export class JobError extends Error {
+  constructor(message, { retryable = false, status = null, data = null } = {}) {
+    super(message);
+    this.name = 'JobError';
+    this.retryable = retryable;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+const handlers = new Map();
+// 実行中のジョブ（jobId → { job, controller }）
+const running = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let pollTimer = null;
+let lastCleanupAt = 0;
+
+/**
+ * ジョブの種類ごとの処理を登録
+ * @param {string} type
+ * @param {(job: object, context: {report: Function, setProgress: Function, markSideEffects: Function, signal: AbortSignal}) => Promise<*>} handler
+ *   戻り値は job.result に保存する
+ */
+export function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * ジョブを追加
+ * @param {object} params
+ * @param {string} params.type
+ * @param {string} params.userId - ジョブを作成したユーザー
+ * @param {string|null} [params.threadId]
+ * @param {object} params.payload - ハンドラーに渡す内容（JSON で保存できる値）
+ * @returns {object} 追加したジョブ
+ */
+export function enqueue({ type, userId, threadId = null, payload, maxAttempts = configs.JOB_MAX_ATTEMPTS }) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  const timestamp = new Date().toISOString();
+  const job = {
+    id: helpers.generateId(),
+    type,
+    userId,
+    threadId,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    payload,
+    progress: null,
+    result: null,
+    error: null,
+    sideEffectsStarted: false,
+    runAfter: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    startedAt: null,
+    finishedAt: null
+  };
+  getStorage().saveJob(job);
+  setImmediate(processQueue);
+  return job;
+}
+
+/**
+ * ジョブを取得（実行中の場合は最新の進捗を含む）
+ */
+export function getJob(jobId) {
+  return running.get(jobId)?.job ?? getStorage().getJob(jobId);
+}
+
+/**
+ * ジョブ一覧（新しい順）
+ * @param {object} [filters] - { userId, threadId, statuses, limit }
+ */
+export function listJobs(filters = {}) {
+  return getStorage().listJobs(filters).map(job => running.get(job.id)?.job ?? job);
+}
+
+export function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * API で返す形（ハンドラーへの入力 payload は含めない）
+ */
+export function toJobSummary(job) {
+  const { payload, ...summary } = job;
+  return summary;
+}
+
+/**
+ * ジョブをキャンセル（終了済みの場合は何もしない）
+ * 実行中のジョブは signal を中断し、ハンドラーが終了した時点で cancelled になる
+ * @returns {object|null} ジョブ（存在しない場合は null）
+ */
+export function cancelJob(jobId) {
+  const active = running.get(jobId);
+  if (active) {
+    active.job.cancelRequested = true;
+    saveJob(active.job);
+    notify(active.job, 'status', toJobSummary(active.job));
+    active.controller.abort();
+    return active.job;
+  }
+
+  const job = getStorage().getJob(jobId);
+  if (job && job.status === 'queued') {
+    finishJob(job, 'cancelled', { error: { message: 'Job was cancelled' } });
+  }
+  return job;
+}
+
+/**
+ * ジョブのイベントを購読
+ * @param {string} jobId
+ * @param {(message: {event: string, data: *}) => void} listener
+ * @returns {() => void} 購読を解除する関数
+ */
+export function subscribe(jobId, listener) {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+}
+
+function notify(job, event, data) {
+  events.emit(job.id, { event, data });
+}
+
+function saveJob(job, fields = {}) {
+  Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+  getStorage().saveJob(job);
+}
+
+function finishJob(job, status, fields = {}) {
+  saveJob(job, { ...fields, status, finishedAt: new Date().toISOString() });
+  notify(job, 'finished', job);
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  running.set(job.id, { job, controller });
+  notify(job, 'status', toJobSummary(job));
+
+  const context = {
+    signal: controller.signal,
+    report: (event, data) => notify(job, event, data),
+    setProgress: (progress) => {
+      saveJob(job, { progress });
+      notify(job, 'status', toJobSummary(job));
+    },
+    markSideEffects: () => {
+      if (!job.sideEffectsStarted) {
+        saveJob(job, { sideEffectsStarted: true });
+      }
+    }
+  };
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new JobError(`Unknown job type: ${job.type}`);
+    }
+    const result = await handler(job, context);
+    // 中止された場合でも、ハンドラーが途中までの結果を返した場合は保存する
+    if (controller.signal.aborted) {
+      finishJob(job, 'cancelled', { result, error: { message: 'Job was cancelled' } });
+    } else {
+      finishJob(job, 'succeeded', { result, error: null });
+    }
+  } catch (error) {
+    const retryable = error instanceof JobError ? error.retryable : true;
+    const jobError = {
+      message: error.message,
+      ...(error.status ? { status: error.status } : {}),
+      ...(error.data ? { data: error.data } : {})
+    };
+
+    if (controller.signal.aborted || job.cancelRequested) {
+      finishJob(job, 'cancelled', { error: { message: 'Job was cancelled' } });
+    } else if (retryable && job.attempts < job.maxAttempts) {
+      const delay = configs.JOB_RETRY_DELAY * 2 ** (job.attempts - 1);
+      console.error(`[Job] ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms:`, error.message);
+      // 再試行はハンドラーが判定したもの（副作用の記録は次の試行で改めて行う）
+      saveJob(job, { status: 'queued', runAfter: new Date(Date.now() + delay).toISOString(), error: jobError, sideEffectsStarted: false });
+      notify(job, 'status', toJobSummary(job));
+    } else {
+      console.error(`[Job] ${job.type} ${job.id} failed:`, error);
+      finishJob(job, 'failed', { error: jobError });
+    }
+  } finally {
+    running.delete(job.id);
+    setImmediate(processQueue);
+  }
+}
+
+// 空きがある限り、実行可能なジョブを取り出して実行
+function processQueue() {
+  while (running.size < configs.JOB_CONCURRENCY) {
+    const job = getStorage().claimNextJob();
+    if (!job) break;
+    runJob(job);
+  }
+
+  // 保持期間を過ぎた終了済みのジョブを削除（1時間ごと）
+  if (Date.now() - lastCleanupAt > 60 * 60 * 1000) {
+    lastCleanupAt = Date.now();
+    const before = new Date(Date.now() - configs.JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    getStorage().deleteFinishedJobs(before);
+  }
+}
+
+/**
+ * ワーカーを開始（サーバー起動時に1回呼ぶ）
+ * 前回の停止で中断されたジョブは待機中に戻して再実行する（再実行できないものは失敗にする）
+ */
+export function startWorker() {
+  if (pollTimer) return;
+  const { requeued, failed } = getStorage().requeueRunningJobs();
+  if (requeued > 0) {
+    console.log(`[Job] Requeued ${requeued} interrupted job(s)`);
+  }
+  if (failed > 0) {
+    console.log(`[Job] Failed ${failed} interrupted job(s) that cannot be re-run`);
+  }
+  pollTimer = setInterval(processQueue, configs.JOB_POLL_INTERVAL);
+  processQueue();
+}
@@ -0,0 +1,264 @@
+// utils/json-schema.js
+
+// ==================================================
+// JSON Schema の検証（構造化出力の検証用の最小限の実装）
+// ==================================================
+//
+// - 対応: type（配列も可）, enum, const, properties, required, additionalProperties,
+//   items, prefixItems, minItems, maxItems, uniqueItems, minLength, maxLength, pattern,
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+//   allOf, anyOf, oneOf, not, $ref（同じスキーマ内の #/$defs/... と #/definitions/...）
+// - format などの注釈・未対応のキーワードは無視する（検証に失敗させない）
+// - エラーは JSON Pointer 形式のパス（ルートは ''）とメッセージで返す
+// - pattern はユーザーが指定し、モデルの出力に対してサーバーで実行するため、
+//   長いパターン・量指定子の入れ子（(a+)+ など）は受け付けず、照合する文字列の長さも制限する（ReDoS 対策）
+
+const MAX_ERRORS = 20;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT_LENGTH = 10_000;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeOf(value) === type;
+  }
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// pattern[index] から量指定子（*, +, {n,}, {n,m}）が始まるか
+function isUnboundedQuantifierAt(pattern, index) {
+  const char = pattern[index];
+  return char === '*' || char === '+' || (char === '{' && /^\{\d*,\d*\}/.test(pattern.slice(index)));
+}
+
+// 量指定子の付いたグループの中に量指定子があるか（(a+)+, (\w*\s?)* など）
+function hasNestedQuantifier(pattern) {
+  // グループごとに、中に量指定子があるか
+  const groups = [false];
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index++;
+    } else if (char === '[') {
+      // 文字クラスの中は量指定子として扱わない
+      for (index++; index < pattern.length && pattern[index] !== ']'; index++) {
+        if (pattern[index] === '\\') index++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const quantifiedInside = groups.length > 1 ? groups.pop() : false;
+      if (quantifiedInside && isUnboundedQuantifierAt(pattern, index + 1)) return true;
+      groups[groups.length - 1] ||= quantifiedInside;
+    } else if (isUnboundedQuantifierAt(pattern, index)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * pattern をコンパイル（長すぎる・量指定子が入れ子のパターンはエラー）
+ * @throws {Error}
+ */
+function compilePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (hasNestedQuantifier(pattern)) {
+    throw new Error(`pattern must not contain nested quantifiers: ${pattern}`);
+  }
+  return new RegExp(pattern, 'u');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+  let target = root;
+  for (const segment of ref.slice(1).split('/').filter(Boolean)) {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+    target = target?.[key];
+  }
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref: ${ref}`);
+  }
+  return target;
+}
+
+function validateNode(schema, value, path, context, errors) {
+  if (errors.length >= MAX_ERRORS) return;
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    if (context.depth > 50) {
+      throw new Error(`$ref nesting is too deep: ${schema.$ref}`);
+    }
+    context.depth++;
+    validateNode(resolveRef(context.root, schema.$ref), value, path, context, errors);
+    context.depth--;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push({ path, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined) {
+      if (value.length > MAX_PATTERN_INPUT_LENGTH) {
+        errors.push({ path, message: `must have at most ${MAX_PATTERN_INPUT_LENGTH} characters to be checked against pattern ${schema.pattern}` });
+      } else if (!compilePattern(schema.pattern).test(value)) {
+        errors.push({ path, message: `must match pattern ${schema.pattern}` });
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => deepEqual(other, item)) !== index)) {
+      errors.push({ path, message: 'must not contain duplicate items' });
+    }
+    const prefixItems = schema.prefixItems || [];
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+      validateNode(itemSchema, item, `${path}/${index}`, context, errors);
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) {
+        errors.push({ path, message: `missing required property "${key}"` });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (Object.hasOwn(properties, key)) {
+        validateNode(properties[key], propertyValue, `${path}/${escapePointer(key)}`, context, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path, message: `unexpected property "${key}"` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, propertyValue, `${path}/${escapePointer(key)}`, context, errors);
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      validateNode(subschema, value, path, context, errors);
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => collectErrors(subschema, value, path, context).length === 0)) {
+    errors.push({ path, message: 'must match at least one schema in anyOf' });
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => collectErrors(subschema, value, path, context).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ path, message: `must match exactly one schema in oneOf (matched ${matches})` });
+    }
+  }
+  if (schema.not && collectErrors(schema.not, value, path, context).length === 0) {
+    errors.push({ path, message: 'must not match the schema in not' });
+  }
+}
+
+function collectErrors(schema, value, path, context) {
+  const errors = [];
+  validateNode(schema, value, path, context, errors);
+  return errors;
+}
+
+/**
+ * 値をスキーマで検証
+ * @param {object|boolean} schema
+ * @param {*} value
+ * @returns {{path: string, message: string}[]} エラー（最大 20 件。空の場合は妥当）
+ * @throws {Error} スキーマの $ref が解決できない・pattern が使えない場合
+ */
+export function validate(schema, value) {
+  return collectErrors(schema, value, '', { root: schema, depth: 0 }).slice(0, MAX_ERRORS);
+}
+
+/**
+ * スキーマとして使えるか確認（オブジェクトで、$ref がすべて解決でき、pattern が安全に実行できる）
+ * @throws {Error} 使えない場合
+ */
+export function assertValidSchema(schema) {
+  if (typeOf(schema) !== 'object') {
+    throw new Error('schema must be an object');
+  }
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (typeOf(node) === 'object') {
+      if (typeof node.$ref === 'string') resolveRef(schema, node.$ref);
+      if (typeof node.pattern === 'string') compilePattern(node.pattern);
+      Object.values(node).forEach(visit);
+    }
+  };
+  visit(schema);
+}
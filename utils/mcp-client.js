@@ -0,0 +1,326 @@
+// utils/mcp-client.js
+
+// ==================================================
+// MCP (Model Context Protocol) クライアント
+// ==================================================
+//
+// JSON-RPC 2.0 でMCPサーバーと通信し、ツールの一覧取得と実行を行う。
+// 対応トランスポート:
+//   - stdio: 子プロセスを起動し、改行区切りのJSONでやり取り
+//   - http : Streamable HTTP（POSTでJSON-RPCを送信し、JSONまたはSSEで応答を受け取る）
+
+import { spawn } from 'child_process';
+import * as configs from './config.js';
+
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+
+/**
+ * MCPサーバーがJSON-RPCエラーを返した場合のエラー
+ */
+export class McpError extends Error {
+  constructor(message, code = null, data = null) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// ==================================================
+// クライアント本体
+// ==================================================
+
+export class McpClient {
+  /**
+   * @param {object} server - MCPサーバー登録情報
+   * @param {'stdio'|'http'} server.transport
+   * @param {string} [server.command] - stdio: 起動コマンド
+   * @param {string[]} [server.args] - stdio: コマンド引数
+   * @param {object} [server.env] - stdio: 追加の環境変数
+   * @param {string} [server.url] - http: エンドポイントURL
+   * @param {object} [server.headers] - http: 追加のHTTPヘッダー（認証など）
+   * @param {object} [options]
+   * @param {number} [options.timeout] - リクエストのタイムアウト（ミリ秒）
+   */
+  constructor(server, { timeout = configs.MCP_REQUEST_TIMEOUT } = {}) {
+    this.server = server;
+    this.timeout = timeout;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.connected = false;
+    this.toolsCache = null;
+    this.process = null;
+    this.sessionId = null;
+  }
+
+  /**
+   * サーバーに接続し、initialize ハンドシェイクを行う
+   */
+  async connect() {
+    if (this.connected) return;
+
+    if (this.server.transport === 'stdio') {
+      this.startProcess();
+    } else if (this.server.transport !== 'http') {
+      throw new Error(`Unsupported MCP transport: ${this.server.transport}`);
+    }
+
+    try {
+      const result = await this.request('initialize', {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: configs.MCP_CLIENT_INFO
+      });
+      this.serverInfo = result?.serverInfo || null;
+      await this.notify('notifications/initialized');
+      this.connected = true;
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+  }
+
+  /**
+   * ツール一覧を取得（接続中はキャッシュし、tools/list_changed 通知で破棄）
+   */
+  async listTools() {
+    if (this.toolsCache) return this.toolsCache;
+
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result?.tools || []));
+      cursor = result?.nextCursor;
+    } while (cursor);
+
+    this.toolsCache = tools;
+    return tools;
+  }
+
+  /**
+   * ツールを実行
+   * @returns {Promise<{content: object[], isError?: boolean, structuredContent?: object}>}
+   */
+  async callTool(name, args = {}) {
+    return this.request('tools/call', { name, arguments: args });
+  }
+
+  /**
+   * 接続を閉じ、応答待ちのリクエストを全て失敗させる
+   */
+  close() {
+    this.connected = false;
+    this.toolsCache = null;
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(new Error('MCP connection closed'));
+    }
+    this.pending.clear();
+
+    if (this.process) {
+      this.process.stdin.end();
+      this.process.kill();
+      this.process = null;
+    }
+    this.sessionId = null;
+  }
+
+  // ====================
+  // JSON-RPC
+  // ====================
+
+  async request(method, params = {}) {
+    const id = this.nextId++;
+    const message = { jsonrpc: '2.0', id, method, params };
+
+    if (this.server.transport === 'http') {
+      return this.postHttp(message);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request timed out: ${method}`));
+      }, this.timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      try {
+        this.writeProcess(message);
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  async notify(method, params = undefined) {
+    const message = { jsonrpc: '2.0', method, ...(params ? { params } : {}) };
+    if (this.server.transport === 'http') {
+      await this.postHttp(message);
+      return;
+    }
+    this.writeProcess(message);
+  }
+
+  // サーバーから届いたメッセージ（応答・通知・リクエスト）を処理
+  handleMessage(message) {
+    if (message.id !== undefined && message.method === undefined) {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+      this.pending.delete(message.id);
+      clearTimeout(pending.timer);
+      if (message.error) {
+        pending.reject(new McpError(message.error.message, message.error.code, message.error.data));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.method === 'notifications/tools/list_changed') {
+      this.toolsCache = null;
+      return;
+    }
+
+    // サーバーからのリクエストは ping のみ応答し、それ以外は未対応として返す
+    if (message.id !== undefined && this.server.transport === 'stdio') {
+      this.writeProcess(message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+    }
+  }
+
+  // ====================
+  // stdio トランスポート
+  // ====================
+
+  startProcess() {
+    const { command, args = [], env = {} } = this.server;
+    if (!command) {
+      throw new Error('command is required for stdio MCP server');
+    }
+
+    const child = spawn(command, args, {
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.process = child;
+
+    let buffer = '';
+    child.stdout.setEncoding('utf-8');
+    child.stdout.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (!line) continue;
+        try {
+          this.handleMessage(JSON.parse(line));
+        } catch (error) {
+          console.error(`[MCP:${this.server.name}] Invalid message:`, line);
+        }
+      }
+    });
+
+    child.stderr.setEncoding('utf-8');
+    child.stderr.on('data', chunk => {
+      console.log(`[MCP:${this.server.name}] ${chunk.trimEnd()}`);
+    });
+
+    child.on('error', error => {
+      console.error(`[MCP:${this.server.name}] Process error:`, error.message);
+      if (this.process === child) this.close();
+    });
+    child.on('exit', code => {
+      console.log(`[MCP:${this.server.name}] Process exited (code: ${code})`);
+      if (this.process === child) {
+        this.process = null;
+        this.close();
+      }
+    });
+  }
+
+  writeProcess(message) {
+    if (!this.process || !this.process.stdin.writable) {
+      throw new Error('MCP server process is not running');
+    }
+    this.process.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  // ====================
+  // Streamable HTTP トランスポート
+  // ====================
+
+  async postHttp(message) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      ...(this.server.headers || {})
+    };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    if (message.method !== 'initialize') {
+      headers['MCP-Protocol-Version'] = MCP_PROTOCOL_VERSION;
+    }
+
+    const response = await fetch(this.server.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (!response.ok) {
+      throw new Error(`MCP HTTP error: ${response.status} ${response.statusText}`);
+    }
+
+    // 通知の場合は応答本文なし（202 Accepted）
+    if (message.id === undefined) {
+      return null;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const messages = contentType.includes('text/event-stream')
+      ? parseEventStreamMessages(await response.text())
+      : [await response.json()].flat();
+
+    const reply = messages.find(m => m.id === message.id);
+    for (const other of messages) {
+      if (other !== reply) this.handleMessage(other);
+    }
+    if (!reply) {
+      throw new Error(`No response from MCP server for ${message.method}`);
+    }
+    if (reply.error) {
+      throw new McpError(reply.error.message, reply.error.code, reply.error.data);
+    }
+    return reply.result;
+  }
+}
+
+// SSE 形式の本文から JSON-RPC メッセージを取り出す
+function parseEventStreamMessages(text) {
+  const messages = [];
+  for (const rawEvent of text.split(/\r?\n\r?\n/)) {
+    const data = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+    if (!data) continue;
+    try {
+      messages.push(JSON.parse(data));
+    } catch {
+      continue;
+    }
+  }
+  return messages;
+}
@@ -0,0 +1,240 @@
+// utils/mcp-manager.js
+
+// ==================================================
+// MCPサーバーの登録管理とツールセットの構築
+// ==================================================
+//
+// - MCPサーバーは Admin が登録する（threadId なし: デプロイ全体 / threadId あり: そのスレッドのみ）
+// - 接続はサーバーごとにキャッシュし、登録内容が更新されたら張り直す
+// - モデルには mcp__<サーバー名>__<ツール名> の名前空間付きで渡し、呼び出し時に元の名前へ戻す
+// - 接続できないサーバーはログに記録してスキップする（メッセージ処理自体は失敗させない）
+
+import crypto from 'crypto';
+import * as configs from './config.js';
+import { getStorage } from './storage.js';
+import { McpClient } from './mcp-client.js';
+
+const SUPPORTED_TRANSPORTS = ['stdio', 'http'];
+
+// OpenAI のツール名の制約: ^[a-zA-Z0-9_-]{1,64}$
+const MAX_TOOL_NAME_LENGTH = 64;
+
+// serverId -> { client, updatedAt }
+const clients = new Map();
+
+// ====================
+// 登録情報
+// ====================
+
+/**
+ * MCPサーバー登録内容を検証・正規化
+ * @param {object} input - リクエストボディ
+ * @param {object} [existing] - 更新時の既存の登録内容
+ * @returns {object} 保存用の登録内容
+ */
+export function normalizeMcpServer(input = {}, existing = null) {
+  const merged = { ...(existing || {}), ...input };
+  const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+  if (!name) {
+    throw new Error('name is required');
+  }
+  if (!SUPPORTED_TRANSPORTS.includes(merged.transport)) {
+    throw new Error(`transport must be one of: ${SUPPORTED_TRANSPORTS.join(', ')}`);
+  }
+
+  const timestamp = new Date().toISOString();
+  const server = {
+    id: existing?.id || crypto.randomUUID(),
+    name,
+    transport: merged.transport,
+    threadId: merged.threadId || null,
+    enabled: merged.enabled !== false,
+    createdAt: existing?.createdAt || timestamp,
+    updatedAt: timestamp
+  };
+
+  if (server.transport === 'stdio') {
+    if (typeof merged.command !== 'string' || !merged.command.trim()) {
+      throw new Error('command is required for stdio transport');
+    }
+    server.command = merged.command.trim();
+    server.args = Array.isArray(merged.args) ? merged.args.map(String) : [];
+    server.env = merged.env && typeof merged.env === 'object' ? merged.env : {};
+  } else {
+    try {
+      new URL(merged.url);
+    } catch {
+      throw new Error('A valid url is required for http transport');
+    }
+    server.url = merged.url;
+    server.headers = merged.headers && typeof merged.headers === 'object' ? merged.headers : {};
+  }
+
+  return server;
+}
+
+/**
+ * APIレスポンス用に登録内容を整形（環境変数・ヘッダーの値は伏せる）
+ */
+export function toPublicMcpServer(server) {
+  const maskValues = (obj = {}) => Object.fromEntries(Object.keys(obj).map(key => [key, '***']));
+  return {
+    ...server,
+    ...(server.env ? { env: maskValues(server.env) } : {}),
+    ...(server.headers ? { headers: maskValues(server.headers) } : {})
+  };
+}
+
+export function listMcpServers(options = {}) {
+  return getStorage().listMcpServers(options);
+}
+
+export function getMcpServer(serverId) {
+  return getStorage().getMcpServer(serverId);
+}
+
+export function saveMcpServer(server) {
+  getStorage().saveMcpServer(server);
+  closeClient(server.id);
+  return server;
+}
+
+export function deleteMcpServer(serverId) {
+  closeClient(serverId);
+  return getStorage().deleteMcpServer(serverId);
+}
+
+// ====================
+// 接続管理
+// ====================
+
+/**
+ * サーバーへの接続を取得（未接続・登録内容が更新済みの場合は接続し直す）
+ */
+export async function getClient(server) {
+  const cached = clients.get(server.id);
+  if (cached && cached.updatedAt === server.updatedAt) {
+    // 同時リクエストでも接続は1つだけ張る
+    const client = await cached.connecting;
+    if (client.connected) return client;
+  }
+  closeClient(server.id);
+
+  const client = new McpClient(server);
+  const connecting = client.connect().then(() => client);
+  clients.set(server.id, { client, connecting, updatedAt: server.updatedAt });
+  try {
+    return await connecting;
+  } catch (error) {
+    if (clients.get(server.id)?.client === client) {
+      clients.delete(server.id);
+    }
+    throw error;
+  }
+}
+
+export function closeClient(serverId) {
+  const cached = clients.get(serverId);
+  if (cached) {
+    cached.client.close();
+    clients.delete(serverId);
+  }
+}
+
+export function closeAllClients() {
+  for (const serverId of [...clients.keys()]) {
+    closeClient(serverId);
+  }
+}
+
+// ====================
+// ツールセット
+// ====================
+
+// 名前空間付きのツール名を生成（長すぎる場合はハッシュで短縮）
+export function buildMcpToolName(serverName, toolName) {
+  const sanitize = value => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+  const name = `${configs.MCP_TOOL_NAME_PREFIX}${sanitize(serverName)}__${sanitize(toolName)}`;
+  if (name.length <= MAX_TOOL_NAME_LENGTH) {
+    return name;
+  }
+  const hash = crypto.createHash('sha256').update(name).digest('hex').substring(0, 8);
+  return `${name.substring(0, MAX_TOOL_NAME_LENGTH - hash.length - 1)}_${hash}`;
+}
+
+/**
+ * スレッドで利用可能なMCPツールセットを構築
+ * @param {string|null} threadId
+ * @returns {Promise<{tools: object[], has: (name: string) => boolean, callTool: (name: string, input: object) => Promise<object>}>}
+ */
+export async function getMcpToolset(threadId = null) {
+  const entries = new Map();
+  const tools = [];
+
+  for (const server of listMcpServers({ threadId, enabledOnly: true })) {
+    // 他スレッド用のサーバーは除外（threadId なしで呼ばれた場合）
+    if (server.threadId && server.threadId !== threadId) continue;
+
+    try {
+      const client = await getClient(server);
+      for (const tool of await client.listTools()) {
+        const name = buildMcpToolName(server.name, tool.name);
+        if (entries.has(name)) {
+          console.warn(`[MCP] Duplicate tool name skipped: ${name}`);
+          continue;
+        }
+        entries.set(name, { server, toolName: tool.name });
+        tools.push({
+          type: 'function',
+          name,
+          description: `[MCP:${server.name}] ${tool.description || tool.title || tool.name}`,
+          parameters: tool.inputSchema || { type: 'object', properties: {} }
+        });
+      }
+    } catch (error) {
+      console.error(`[MCP] Failed to load tools from ${server.name}:`, error.message);
+    }
+  }
+
+  return {
+    tools,
+    has: name => entries.has(name),
+    callTool: async (name, input = {}) => {
+      const entry = entries.get(name);
+      if (!entry) {
+        throw new Error(`Unknown MCP tool: ${name}`);
+      }
+      const client = await getClient(entry.server);
+      const result = await client.callTool(entry.toolName, input);
+      return formatToolResult(entry, result);
+    }
+  };
+}
+
+// MCPのツール実行結果をモデルに返す形式に変換
+function formatToolResult({ server, toolName }, result = {}) {
+  const content = (result.content || [])
+    .map(part => {
+      if (part.type === 'text') return part.text;
+      if (part.type === 'resource') return part.resource?.text ?? `[resource: ${part.resource?.uri}]`;
+      if (part.type === 'resource_link') return `[resource: ${part.uri}]`;
+      return `[${part.type}]`;
+    })
+    .join('\n');
+
+  const toolResult = {
+    success: !result.isError,
+    server: server.name,
+    tool: toolName,
+    content
+  };
+  if (result.structuredContent) {
+    toolResult.structuredContent = result.structuredContent;
+  }
+  if (result.isError) {
+    toolResult.error = content || 'MCP tool returned an error';
+  } else {
+    toolResult.message = `Executed MCP tool: ${server.name}/${toolName}`;
+  }
+  return toolResult;
+}
@@ -0,0 +1,131 @@
+// utils/message-tree.js
+
+// ==================================================
+// 会話の分岐（メッセージツリー）
+// ==================================================
+//
+// - 各メッセージは parentId で直前のメッセージを指し、スレッドのメッセージはツリーになる
+//   （parentId を持たない旧形式のメッセージは、保存順で直前のメッセージを親とみなす）
+// - 編集・再生成では既存のメッセージを上書きせず、同じ親を持つ兄弟メッセージとして追加する
+// - thread.activeLeafId が現在の分岐の末端。ルートから末端までの経路を会話として表示・送信する
+
+/**
+ * メッセージIDと親メッセージIDの対応を取得
+ * @param {object[]} messages - スレッドの全メッセージ（保存順）
+ * @returns {Map<string, string|null>}
+ */
+export function resolveParentIds(messages = []) {
+  const parents = new Map();
+  messages.forEach((message, index) => {
+    const parentId = message.parentId !== undefined
+      ? message.parentId
+      : (messages[index - 1]?.id ?? null);
+    parents.set(message.id, parentId);
+  });
+  return parents;
+}
+
+/**
+ * ルートから指定のメッセージまでの経路を取得（存在しないIDの場合は空配列）
+ * @returns {object[]} 時系列順
+ */
+export function getPath(messages, messageId) {
+  const parents = resolveParentIds(messages);
+  const byId = new Map(messages.map(message => [message.id, message]));
+  const path = [];
+  const visited = new Set();
+
+  let current = messageId ? byId.get(messageId) : null;
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    path.unshift(current);
+    current = byId.get(parents.get(current.id));
+  }
+  return path;
+}
+
+/**
+ * 指定のメッセージから、最も新しい子をたどった末端のメッセージIDを取得
+ */
+export function findLatestLeafId(messages, messageId) {
+  const parents = resolveParentIds(messages);
+  let leafId = messageId;
+  for (;;) {
+    const children = messages.filter(message => parents.get(message.id) === leafId);
+    if (children.length === 0) return leafId;
+    leafId = children.at(-1).id;
+  }
+}
+
+/**
+ * 現在の分岐の末端のメッセージID（未設定・削除済みの場合は最後に保存されたメッセージ）
+ * @returns {string|null}
+ */
+export function getActiveLeafId(thread) {
+  const messages = thread.messages || [];
+  if (thread.activeLeafId && messages.some(message => message.id === thread.activeLeafId)) {
+    return thread.activeLeafId;
+  }
+  return messages.at(-1)?.id ?? null;
+}
+
+/**
+ * 現在の分岐の会話（ルートから末端まで）
+ */
+export function getActivePath(thread) {
+  return getPath(thread.messages || [], getActiveLeafId(thread));
+}
+
+/**
+ * 経路上のメッセージのうち、兄弟（別の分岐）があるものの分岐情報を取得
+ * @returns {Object<string, {index: number, count: number, siblingIds: string[]}>} index は0始まり
+ */
+export function getBranchInfo(messages, path) {
+  const parents = resolveParentIds(messages);
+  const branches = {};
+  for (const message of path) {
+    const siblingIds = messages
+      .filter(candidate => parents.get(candidate.id) === parents.get(message.id))
+      .map(candidate => candidate.id);
+    if (siblingIds.length > 1) {
+      branches[message.id] = {
+        index: siblingIds.indexOf(message.id),
+        count: siblingIds.length,
+        siblingIds
+      };
+    }
+  }
+  return branches;
+}
+
+/**
+ * メッセージを分岐の末端に追加し、そのメッセージを現在の分岐の末端にする
+ * @param {object} thread
+ * @param {object} message
+ * @param {string|null} [parentId] - 親メッセージID（省略時は現在の分岐の末端、null でルート）
+ */
+export function appendMessage(thread, message, parentId = getActiveLeafId(thread)) {
+  message.parentId = parentId ?? null;
+  thread.messages.push(message);
+  thread.activeLeafId = message.id;
+  return message;
+}
+
+/**
+ * 指定のメッセージを含む分岐に切り替える（そのメッセージ以降は最も新しい分岐をたどる）
+ * @returns {string} 切り替え後の末端のメッセージID
+ */
+export function selectBranch(thread, messageId) {
+  thread.activeLeafId = findLatestLeafId(thread.messages || [], messageId);
+  return thread.activeLeafId;
+}
+
+/**
+ * APIレスポンス用に parentId を補ったメッセージのコピーを返す（旧形式のメッセージにも parentId を付与）
+ * @param {object[]} messages - 返すメッセージ
+ * @param {object[]} allMessages - スレッドの全メッセージ（親の解決に使用）
+ */
+export function withParentIds(messages, allMessages) {
+  const parents = resolveParentIds(allMessages);
+  return messages.map(message => ({ ...message, parentId: parents.get(message.id) ?? null }));
+}
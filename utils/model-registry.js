@@ -0,0 +1,240 @@
+// utils/model-registry.js
+
+// ==================================================
+// モデルレジストリ
+// ==================================================
+//
+// - 各モデルはバックエンド (provider)・接続先・機能・料金・クレジット単価を宣言する
+// - OpenAI の組み込みモデルは config.js のモデルリストから生成する
+// - models.json (MODELS_FILE) のエントリで組み込みモデルの上書き・追加モデルの登録ができる
+//
+// models.json の形式:
+//   {
+//     "models": [
+//       {
+//         "id": "llama3.1",                            // APIで指定するモデル名
+//         "provider": "chat_completions",              // openai_responses / chat_completions / anthropic
+//         "model": "llama3.1:8b",                      // バックエンドに送るモデル名（省略時は id）
+//         "baseUrl": "http://localhost:11434/v1",
+//         "apiKeyEnv": "OLLAMA_API_KEY",               // APIキーを読む環境変数（apiKey で直接指定も可）
+//         "capabilities": { "reasoning": false, "tools": true, "jsonSchema": true, "vision": false },
+//         "pricing": { "input": 0, "cachedInput": 0, "output": 0, "reasoning": 0 },  // USD / 100万トークン（null で料金表なし）
+//         "creditsPerToken": 0,                        // 料金表のないモデルのクレジット単価
+//         "tier": null,                                // 無料枠の区分: highCost / lowCost / null (対象外)
+//         "maxOutputTokens": 8192                      // anthropic のみ必須相当（省略時 8192）
+//       }
+//     ]
+//   }
+
+import fs from 'fs';
+import * as configs from './config.js';
+
+export const PROVIDERS = ['openai_responses', 'chat_completions', 'anthropic'];
+
+export const TIERS = ['highCost', 'lowCost'];
+
+// 各プロバイダーのAPIキーのデフォルトの環境変数
+const DEFAULT_API_KEY_ENV = {
+  openai_responses: 'OPENAI_API_KEY',
+  chat_completions: null,
+  anthropic: 'ANTHROPIC_API_KEY'
+};
+
+let models = null;
+
+// ====================
+// 読み込み
+// ====================
+
+// config.js のモデルリストから OpenAI の組み込みモデルを生成
+function buildBuiltinModels() {
+  return configs.AVAILABLE_MODELS.map(id => {
+    const tier = configs.AVAILABLE_MODELS_HIGH_COST.includes(id) ? 'highCost' : 'lowCost';
+    return {
+      id,
+      provider: 'openai_responses',
+      model: id,
+      capabilities: {
+        reasoning: configs.REASONING_MODELS.includes(id),
+        tools: true,
+        jsonSchema: true,
+        vision: configs.VISION_MODELS.includes(id)
+      },
+      pricing: configs.MODEL_PRICING[id] || null,
+      creditsPerToken: tier === 'highCost' ? configs.TOKEN_COST_HIGH : configs.TOKEN_COST_LOW,
+      tier
+    };
+  });
+}
+
+/**
+ * 料金表を検証・正規化（USD / 100万トークン）
+ * cachedInput の省略時は input、reasoning の省略時は output と同じ単価
+ * @returns {{input: number, cachedInput: number, output: number, reasoning: number}|null}
+ * @throws {Error} 単価が不正な場合
+ */
+export function normalizePricing(input, modelId) {
+  if (input == null) return null;
+  if (typeof input !== 'object') {
+    throw new Error(`Model ${modelId}: pricing must be an object or null`);
+  }
+
+  const rate = (key, fallback) => {
+    const value = Number(input[key] ?? fallback);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Model ${modelId}: pricing.${key} must be a non-negative number`);
+    }
+    return value;
+  };
+
+  const inputRate = rate('input');
+  const outputRate = rate('output');
+  return {
+    input: inputRate,
+    cachedInput: rate('cachedInput', inputRate),
+    output: outputRate,
+    reasoning: rate('reasoning', outputRate)
+  };
+}
+
+/**
+ * モデル定義を検証・正規化
+ * @param {object} input - models.json のエントリ
+ * @param {object} [base] - 上書き対象の組み込みモデル
+ * @throws {Error} 定義が不正な場合
+ */
+export function normalizeModelEntry(input = {}, base = null) {
+  const merged = {
+    ...(base || {}),
+    ...input,
+    capabilities: { ...(base?.capabilities || {}), ...(input.capabilities || {}) }
+  };
+
+  if (typeof merged.id !== 'string' || !merged.id.trim()) {
+    throw new Error('Model id is required');
+  }
+  if (!PROVIDERS.includes(merged.provider)) {
+    throw new Error(`Model ${merged.id}: provider must be one of: ${PROVIDERS.join(', ')}`);
+  }
+  if (merged.tier != null && !TIERS.includes(merged.tier)) {
+    throw new Error(`Model ${merged.id}: tier must be one of: ${TIERS.join(', ')} or null`);
+  }
+  if (merged.provider === 'chat_completions' && !merged.baseUrl) {
+    throw new Error(`Model ${merged.id}: baseUrl is required for chat_completions`);
+  }
+
+  const creditsPerToken = Number(merged.creditsPerToken ?? configs.TOKEN_COST_LOW);
+  if (!Number.isFinite(creditsPerToken) || creditsPerToken < 0) {
+    throw new Error(`Model ${merged.id}: creditsPerToken must be a non-negative number`);
+  }
+
+  return {
+    id: merged.id.trim(),
+    provider: merged.provider,
+    model: merged.model || merged.id.trim(),
+    baseUrl: merged.baseUrl || null,
+    apiKey: merged.apiKey || null,
+    apiKeyEnv: merged.apiKeyEnv || DEFAULT_API_KEY_ENV[merged.provider],
+    capabilities: {
+      reasoning: merged.capabilities.reasoning === true,
+      tools: merged.capabilities.tools !== false,
+      jsonSchema: merged.capabilities.jsonSchema === true,
+      vision: merged.capabilities.vision === true
+    },
+    pricing: normalizePricing(merged.pricing, merged.id),
+    creditsPerToken,
+    tier: merged.tier ?? null,
+    maxOutputTokens: parseInt(merged.maxOutputTokens) || null
+  };
+}
+
+/**
+ * 組み込みモデルと models.json を読み込む（初回アクセス時に1度だけ）
+ * models.json が不正な場合は起動時に気付けるよう例外を投げる
+ */
+export function loadModelRegistry({ reload = false } = {}) {
+  if (models && !reload) return models;
+
+  const registry = new Map(buildBuiltinModels().map(entry => [entry.id, normalizeModelEntry(entry)]));
+
+  if (fs.existsSync(configs.MODELS_FILE)) {
+    const data = JSON.parse(fs.readFileSync(configs.MODELS_FILE, 'utf-8'));
+    for (const entry of data.models || []) {
+      const normalized = normalizeModelEntry(entry, registry.get(entry.id));
+      registry.set(normalized.id, normalized);
+    }
+    console.log(`[Models] Loaded ${(data.models || []).length} model(s) from ${configs.MODELS_FILE}`);
+  }
+
+  models = registry;
+  return models;
+}
+
+// ====================
+// 参照
+// ====================
+
+/**
+ * モデル定義を取得（未登録の場合は null）
+ */
+export function getModel(id) {
+  return loadModelRegistry().get(id) || null;
+}
+
+/**
+ * 登録済みモデルの一覧
+ */
+export function listModels() {
+  return [...loadModelRegistry().values()];
+}
+
+/**
+ * モデルが指定の機能に対応しているか判定
+ * @param {string} id
+ * @param {'reasoning'|'tools'|'jsonSchema'|'vision'} capability
+ */
+export function supports(id, capability) {
+  return getModel(id)?.capabilities[capability] === true;
+}
+
+/**
+ * 1トークンあたりのクレジット消費量（未登録のモデルは低コストモデルの単価）
+ */
+export function getCreditsPerToken(id) {
+  return getModel(id)?.creditsPerToken ?? configs.TOKEN_COST_LOW;
+}
+
+/**
+ * モデルの料金表（USD / 100万トークン。料金表のないモデルは null）
+ */
+export function getPricing(id) {
+  return getModel(id)?.pricing ?? null;
+}
+
+/**
+ * 無料枠の区分 (highCost / lowCost / null)
+ */
+export function getModelTier(id) {
+  return getModel(id)?.tier ?? null;
+}
+
+/**
+ * モデルのAPIキーを取得
+ */
+export function resolveApiKey(entry) {
+  return entry.apiKey || (entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : null) || null;
+}
+
+/**
+ * APIレスポンス用にモデル定義を整形（接続先・キーは含めない）
+ */
+export function toPublicModel(entry) {
+  return {
+    id: entry.id,
+    provider: entry.provider,
+    capabilities: entry.capabilities,
+    pricing: entry.pricing,
+    creditsPerToken: entry.creditsPerToken,
+    tier: entry.tier
+  };
+}
@@ -0,0 +1,153 @@
+// utils/pricing.js
+
+// ==================================================
+// 料金計算
+// ==================================================
+//
+// - モデルの料金表（USD / 100万トークン）から、入力・キャッシュ入力・出力・推論トークンごとの実費を計算
+// - 実費を購入通貨 (CURRENCY) に換算し、マージン倍率と購入レートでクレジット消費量に変換する
+//     クレジット = 実費（購入通貨） × CREDIT_MARGIN × CREDIT_PURCHASE_RATE （端数切り上げ）
+//   これにより payment.js で購入したクレジットが実際のAPI費用に対応する
+// - 料金表のないモデル（ローカルモデルなど）と CREDIT_BILLING=tokens の場合は、
+//   従来通り 合計トークン × creditsPerToken で計算する
+
+import * as configs from './config.js';
+import * as modelRegistry from './model-registry.js';
+
+const TOKENS_PER_UNIT = 1_000_000;
+
+// 1 USD あたりの購入通貨の額
+const CURRENCY_RATES = {
+  usd: 1,
+  jpy: configs.USD_JPY_RATE
+};
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Responses API 形式の usage から課金対象のトークン数を取り出す
+ * @param {object} usage
+ * @returns {{inputTokens: number, cachedInputTokens: number, outputTokens: number, reasoningTokens: number, totalTokens: number}}
+ */
+export function normalizeUsage(usage = {}) {
+  const inputTokens = usage?.input_tokens || 0;
+  const outputTokens = usage?.output_tokens || 0;
+  return {
+    inputTokens,
+    cachedInputTokens: Math.min(usage?.input_tokens_details?.cached_tokens || 0, inputTokens),
+    outputTokens,
+    reasoningTokens: Math.min(usage?.output_tokens_details?.reasoning_tokens || 0, outputTokens),
+    totalTokens: usage?.total_tokens || (inputTokens + outputTokens)
+  };
+}
+
+/**
+ * 複数の usage（ツール呼び出しの各イテレーションなど）を合算
+ * @param {object[]} usages - Responses API 形式の usage
+ */
+export function sumUsage(usages) {
+  return usages.map(normalizeUsage).reduce((sum, usage) => ({
+    inputTokens: sum.inputTokens + usage.inputTokens,
+    cachedInputTokens: sum.cachedInputTokens + usage.cachedInputTokens,
+    outputTokens: sum.outputTokens + usage.outputTokens,
+    reasoningTokens: sum.reasoningTokens + usage.reasoningTokens,
+    totalTokens: sum.totalTokens + usage.totalTokens
+  }), { inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, reasoningTokens: 0, totalTokens: 0 });
+}
+
+/**
+ * 実費（USD）を購入通貨の額に換算
+ */
+export function toPurchaseCurrency(usd) {
+  const rate = CURRENCY_RATES[configs.CURRENCY];
+  if (rate === undefined) {
+    throw new Error(`Unsupported currency for cost accounting: ${configs.CURRENCY}`);
+  }
+  return usd * rate;
+}
+
+/**
+ * トークン使用量の実費とクレジット消費量を計算
+ * @param {string} modelId
+ * @param {object} usage - Responses API 形式の usage
+ * @returns {{
+ *   method: 'pricing'|'per_token',
+ *   pricing: object|null,
+ *   breakdownUsd: {input: number, cachedInput: number, output: number, reasoning: number}|null,
+ *   costUsd: number|null,
+ *   costJpy: number|null,
+ *   exchangeRate: number,
+ *   margin: number,
+ *   creditsPerToken: number,
+ *   credits: number
+ * }}
+ */
+export function calculateCost(modelId, usage) {
+  const tokens = normalizeUsage(usage);
+  const pricing = modelRegistry.getPricing(modelId);
+  const creditsPerToken = modelRegistry.getCreditsPerToken(modelId);
+
+  const result = {
+    method: 'per_token',
+    pricing,
+    breakdownUsd: null,
+    costUsd: null,
+    costJpy: null,
+    exchangeRate: configs.USD_JPY_RATE,
+    margin: configs.CREDIT_MARGIN,
+    creditsPerToken,
+    credits: tokens.totalTokens * creditsPerToken
+  };
+  if (!pricing) return result;
+
+  // キャッシュ入力・推論トークンはそれぞれ入力・出力トークンの内数
+  const breakdownUsd = {
+    input: (tokens.inputTokens - tokens.cachedInputTokens) * pricing.input / TOKENS_PER_UNIT,
+    cachedInput: tokens.cachedInputTokens * pricing.cachedInput / TOKENS_PER_UNIT,
+    output: (tokens.outputTokens - tokens.reasoningTokens) * pricing.output / TOKENS_PER_UNIT,
+    reasoning: tokens.reasoningTokens * pricing.reasoning / TOKENS_PER_UNIT
+  };
+  const costUsd = breakdownUsd.input + breakdownUsd.cachedInput + breakdownUsd.output + breakdownUsd.reasoning;
+
+  result.breakdownUsd = Object.fromEntries(Object.entries(breakdownUsd).map(([key, value]) => [key, round(value, 8)]));
+  result.costUsd = round(costUsd, 8);
+  result.costJpy = round(costUsd * configs.USD_JPY_RATE, 6);
+
+  if (configs.CREDIT_BILLING === 'cost') {
+    result.method = 'pricing';
+    result.credits = Math.ceil(toPurchaseCurrency(costUsd) * configs.CREDIT_MARGIN * configs.CREDIT_PURCHASE_RATE);
+  }
+  return result;
+}
+
+/**
+ * 複数の計算結果を合算（料金表・換算レートは最初の結果のものを使う）
+ * @param {object[]} costs - calculateCost の戻り値
+ * @returns {object|null}
+ */
+export function sumCosts(costs) {
+  const valid = costs.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  const addNullable = (a, b) => (a === null || b === null ? null : a + b);
+  const total = valid.slice(1).reduce((sum, cost) => ({
+    ...sum,
+    breakdownUsd: sum.breakdownUsd && cost.breakdownUsd
+      ? Object.fromEntries(Object.keys(sum.breakdownUsd).map(key => [key, sum.breakdownUsd[key] + cost.breakdownUsd[key]]))
+      : null,
+    costUsd: addNullable(sum.costUsd, cost.costUsd),
+    credits: sum.credits + cost.credits
+  }), { ...valid[0] });
+
+  return {
+    ...total,
+    breakdownUsd: total.breakdownUsd
+      ? Object.fromEntries(Object.entries(total.breakdownUsd).map(([key, value]) => [key, round(value, 8)]))
+      : null,
+    costUsd: total.costUsd === null ? null : round(total.costUsd, 8),
+    costJpy: total.costUsd === null ? null : round(total.costUsd * total.exchangeRate, 6)
+  };
+}
@@ -0,0 +1,293 @@
+// utils/prompt-library.js
+
+// ==================================================
+// プロンプトライブラリ（名前付き・バージョン管理されたシステムプロンプト）
+// ==================================================
+//
+// - 各バージョンの本文は system_prompts にハッシュで登録し、ライブラリはハッシュの履歴を持つ
+//   名前・説明・タグ・公開範囲の変更ではバージョンを増やさない
+// - スレッドの作成時・システムプロンプトの変更時にライブラリから選択できる
+//   スレッドには選択時点の本文をコピーする（ライブラリを更新してもスレッドは変わらない）
+// - システムプロンプト中の {{user_name}} や {{date}} などの変数は送信時に置き換える
+//   未知の変数はそのまま残す
+
+import * as configs from './config.js';
+import * as helpers from '../helpers.js';
+import * as access from './access-control.js';
+import { getStorage } from './storage.js';
+
+export const PROMPT_VISIBILITIES = ['private', 'public'];
+
+/**
+ * 送信時に置き換える変数と説明
+ */
+export const PROMPT_VARIABLES = {
+  user_name: 'メッセージの送信者の名前（Discord の表示名など。ない場合はユーザーID）',
+  user_id: 'メッセージの送信者のユーザーID',
+  date: '送信日 (YYYY-MM-DD)',
+  weekday: '送信日の曜日 (Monday など)',
+  thread_title: 'スレッドのタイトル',
+  model: '応答に使うモデル'
+};
+
+const VARIABLE_REGEX = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// ====================
+// 変数
+// ====================
+
+/**
+ * テンプレートで使われている変数名（重複なし・出現順）
+ */
+export function extractVariables(template = '') {
+  return [...new Set([...template.matchAll(VARIABLE_REGEX)].map(match => match[1]))];
+}
+
+/**
+ * 変数を置き換え（variables にない変数はそのまま残す）
+ * @param {string} template
+ * @param {Record<string, string>} variables
+ */
+export function renderPromptVariables(template, variables) {
+  if (typeof template !== 'string') return template;
+  return template.replace(VARIABLE_REGEX, (match, name) => (
+    Object.hasOwn(variables, name) ? String(variables[name]) : match
+  ));
+}
+
+/**
+ * 送信時の変数の値を作成
+ * @param {object} params
+ * @param {object} params.user - リクエストしたユーザー
+ * @param {object} params.thread
+ * @param {string} params.model
+ * @param {object|null} [params.message] - 直近のユーザーメッセージ（metadata の表示名を優先する）
+ * @param {Date} [params.now]
+ */
+export function buildPromptVariables({ user, thread, model, message = null, now = new Date() }) {
+  const metadata = message?.metadata || {};
+  const timeZone = configs.PROMPT_VARIABLE_TIME_ZONE;
+  return {
+    user_name: metadata.displayName || metadata.userName || user?.user_id || '',
+    user_id: metadata.userId || user?.user_id || '',
+    date: now.toLocaleDateString('en-CA', { timeZone }),
+    weekday: now.toLocaleDateString('en-US', { timeZone, weekday: 'long' }),
+    thread_title: thread?.title || '',
+    model: model || ''
+  };
+}
+
+// ====================
+// 検証
+// ====================
+
+/**
+ * 作成・更新の入力を検証・正規化
+ * 本文は content（テキスト）か hash（登録済みのシステムプロンプト）で指定する
+ * @param {object} input - { name, description?, tags?, visibility?, content?, hash? }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - 更新用（指定された項目のみ返す）
+ * @returns {object}
+ * @throws {Error} 値が不正な場合
+ */
+export function normalizePromptInput(input = {}, { partial = false } = {}) {
+  const normalized = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > configs.PROMPT_LIBRARY_NAME_MAX_LENGTH) {
+      throw new Error(`name must be a non-empty string of at most ${configs.PROMPT_LIBRARY_NAME_MAX_LENGTH} characters`);
+    }
+    normalized.name = name;
+  }
+
+  if (input.description !== undefined && input.description !== null) {
+    if (typeof input.description !== 'string' || input.description.length > configs.PROMPT_LIBRARY_DESCRIPTION_MAX_LENGTH) {
+      throw new Error(`description must be a string of at most ${configs.PROMPT_LIBRARY_DESCRIPTION_MAX_LENGTH} characters`);
+    }
+    normalized.description = input.description.trim();
+  } else if (!partial) {
+    normalized.description = '';
+  }
+
+  if (input.tags !== undefined) {
+    normalized.tags = helpers.normalizeArtifactTags(input.tags);
+  } else if (!partial) {
+    normalized.tags = [];
+  }
+
+  if (input.visibility !== undefined) {
+    if (!PROMPT_VISIBILITIES.includes(input.visibility)) {
+      throw new Error(`visibility must be one of: ${PROMPT_VISIBILITIES.join(', ')}`);
+    }
+    normalized.visibility = input.visibility;
+  } else if (!partial) {
+    normalized.visibility = 'private';
+  }
+
+  if (input.content !== undefined && input.hash !== undefined) {
+    throw new Error('Specify either content or hash, not both');
+  }
+  if (input.content !== undefined) {
+    if (typeof input.content !== 'string' || !input.content.trim()) {
+      throw new Error('content must be a non-empty string');
+    }
+    normalized.content = input.content.trim();
+  } else if (input.hash !== undefined) {
+    if (typeof input.hash !== 'string' || !input.hash) {
+      throw new Error('hash must be a string');
+    }
+    normalized.hash = input.hash;
+  } else if (!partial) {
+    throw new Error('content or hash is required');
+  }
+
+  return normalized;
+}
+
+// 本文（content または登録済みのハッシュ）を解決してハッシュを返す
+async function resolveVersionHash(user, { content, hash }) {
+  if (content !== undefined) {
+    return helpers.registerSystemPrompt(content, user.user_id);
+  }
+  const entry = await helpers.getSystemPrompt(hash);
+  if (!entry || !(await access.canAccessRegistryEntry(user, entry))) {
+    throw new Error(`System prompt not found: ${hash}`);
+  }
+  return entry.hash;
+}
+
+// ====================
+// 作成・更新・取得
+// ====================
+
+/**
+ * プロンプトを作成
+ * @param {object} user
+ * @param {object} input - normalizePromptInput の戻り値
+ * @returns {Promise<object>}
+ * @throws {Error} hash で指定したシステムプロンプトが見つからない場合
+ */
+export async function createPrompt(user, input) {
+  const timestamp = new Date().toISOString();
+  const hash = await resolveVersionHash(user, input);
+  const prompt = {
+    id: helpers.generateId(),
+    userId: user.user_id,
+    name: input.name,
+    description: input.description,
+    tags: input.tags,
+    visibility: input.visibility,
+    currentVersion: 1,
+    versions: [{ version: 1, hash, createdAt: timestamp, createdBy: user.user_id }],
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+  getStorage().saveLibraryPrompt(prompt);
+  return prompt;
+}
+
+/**
+ * プロンプトを更新（本文が変わった場合のみ新しいバージョンを追加）
+ * @param {object} prompt
+ * @param {object} user
+ * @param {object} input - normalizePromptInput(..., { partial: true }) の戻り値
+ * @returns {Promise<object>}
+ */
+export async function updatePrompt(prompt, user, input) {
+  const { content, hash: inputHash, ...fields } = input;
+  Object.assign(prompt, fields);
+
+  if (content !== undefined || inputHash !== undefined) {
+    const hash = await resolveVersionHash(user, { content, hash: inputHash });
+    if (hash !== getPromptVersion(prompt)?.hash) {
+      const version = prompt.currentVersion + 1;
+      prompt.versions.push({ version, hash, createdAt: new Date().toISOString(), createdBy: user.user_id });
+      prompt.currentVersion = version;
+    }
+  }
+
+  prompt.updatedAt = new Date().toISOString();
+  getStorage().saveLibraryPrompt(prompt);
+  return prompt;
+}
+
+export function getPrompt(promptId) {
+  return getStorage().getLibraryPrompt(promptId);
+}
+
+export function deletePrompt(promptId) {
+  return getStorage().deleteLibraryPrompt(promptId);
+}
+
+/**
+ * プロンプトのバージョンを取得（version 省略時は最新版。存在しない場合は null）
+ */
+export function getPromptVersion(prompt, version = prompt.currentVersion) {
+  return prompt.versions.find(entry => entry.version === version) || null;
+}
+
+/**
+ * バージョンの本文を取得
+ * @returns {Promise<string|null>}
+ */
+export async function readPromptContent(prompt, version) {
+  const entry = getPromptVersion(prompt, version);
+  const systemPrompt = entry ? await helpers.getSystemPrompt(entry.hash) : null;
+  return systemPrompt?.content ?? null;
+}
+
+/**
+ * ユーザーが閲覧できるプロンプトの一覧（自分のプロンプトと公開プロンプト。Admin は全て）
+ * @param {object} user
+ * @param {object} [filters]
+ * @param {string} [filters.q] - 名前・説明・タグの部分一致（大文字小文字を区別しない）
+ * @param {string} [filters.tag] - タグの完全一致
+ */
+export function listPrompts(user, { q = '', tag = '' } = {}) {
+  const prompts = getStorage().listLibraryPrompts({ userId: access.isAdmin(user) ? null : user.user_id });
+  const query = q.trim().toLowerCase();
+  return prompts.filter(prompt => {
+    if (tag && !prompt.tags.includes(tag)) return false;
+    if (!query) return true;
+    return [prompt.name, prompt.description, ...prompt.tags].some(text => text.toLowerCase().includes(query));
+  });
+}
+
+/**
+ * API で返す形（バージョンの本文と使われている変数、user が編集できるかを含める）
+ * @param {object} prompt
+ * @param {object} user
+ * @param {object} [options]
+ * @param {number} [options.version] - 本文を含めるバージョン（省略時は最新版）
+ */
+export async function toPromptDetail(prompt, user, { version } = {}) {
+  const content = await readPromptContent(prompt, version ?? prompt.currentVersion);
+  return {
+    ...prompt,
+    version: version ?? prompt.currentVersion,
+    content,
+    variables: extractVariables(content || ''),
+    editable: access.canManageLibraryPrompt(user, prompt)
+  };
+}
+
+/**
+ * スレッドに設定するライブラリのプロンプトを解決
+ * @param {object} user
+ * @param {object} selection - { promptId, version? }
+ * @returns {Promise<{content: string, reference: {promptId: string, version: number, name: string}}|null>}
+ *   存在しない・閲覧できない場合は null
+ */
+export async function resolvePromptSelection(user, { promptId, version } = {}) {
+  const prompt = typeof promptId === 'string' ? getPrompt(promptId) : null;
+  if (!prompt || !access.canReadLibraryPrompt(user, prompt)) return null;
+
+  const selectedVersion = version === undefined || version === null ? prompt.currentVersion : parseInt(version);
+  const content = await readPromptContent(prompt, selectedVersion);
+  if (content === null) return null;
+  return {
+    content,
+    reference: { promptId: prompt.id, version: selectedVersion, name: prompt.name }
+  };
+}
@@ -0,0 +1,301 @@
+// utils/providers/anthropic.js
+
+// ==================================================
+// プロバイダー: Anthropic Messages API
+// ==================================================
+//
+// Responses API 形式の入力を Messages API に変換し、応答を Responses API 形式に戻す。
+// - developer / system メッセージは system にまとめる
+// - function_call / function_call_output は tool_use / tool_result ブロックに変換
+// - 拡張思考 (thinking) は推論サマリーとして扱い、署名は encrypted_content に保持して
+//   ツール呼び出しの続きを送る際にそのまま返す
+// - JSON Schema の応答形式には対応していない（providers/index.js で指示文に変換）
+
+import * as configs from '../config.js';
+import { resolveApiKey } from '../model-registry.js';
+import { buildResponse, contentToText, parseArguments } from './common.js';
+
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+
+// reasoning.effort ごとの思考トークン数
+const THINKING_BUDGET = {
+  minimal: 1024,
+  low: 2048,
+  medium: 8192,
+  high: 16384
+};
+
+// Responses API の content パーツを Messages API のブロックに変換
+function toContentBlocks(content) {
+  if (!Array.isArray(content)) {
+    const text = contentToText(content);
+    return text ? [{ type: 'text', text }] : [];
+  }
+
+  return content.flatMap(part => {
+    if (typeof part === 'string') return part ? [{ type: 'text', text: part }] : [];
+    if (part.type === 'input_image') {
+      const match = /^data:([^;]+);base64,(.*)$/s.exec(part.image_url || '');
+      return [{
+        type: 'image',
+        source: match
+          ? { type: 'base64', media_type: match[1], data: match[2] }
+          : { type: 'url', url: part.image_url }
+      }];
+    }
+    if (part.type === 'input_file') {
+      // Messages API の document ブロックが対応するのは PDF のみ
+      const match = /^data:application\/pdf;base64,(.*)$/s.exec(part.file_data || '');
+      return match
+        ? [{ type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: match[1] }, title: part.filename }]
+        : [{ type: 'text', text: `[file: ${part.filename}]` }];
+    }
+    return part.text ? [{ type: 'text', text: part.text }] : [];
+  });
+}
+
+/**
+ * Responses API 形式の input を Messages API の system と messages に変換
+ */
+export function toAnthropicMessages(input = []) {
+  const system = [];
+  const messages = [];
+
+  // 同じ role が続く場合は1つのメッセージにまとめる
+  const pushBlocks = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = messages.at(-1);
+    if (last?.role === role) {
+      last.content.push(...blocks);
+    } else {
+      messages.push({ role, content: [...blocks] });
+    }
+  };
+
+  for (const item of input) {
+    switch (item.type) {
+      case 'reasoning':
+        // 署名のない推論（他プロバイダーの推論など）は送らない
+        if (item.encrypted_content) {
+          pushBlocks('assistant', [{
+            type: 'thinking',
+            thinking: (item.summary || []).map(part => part.text).join('\n'),
+            signature: item.encrypted_content
+          }]);
+        }
+        continue;
+      case 'function_call':
+        pushBlocks('assistant', [{
+          type: 'tool_use',
+          id: item.call_id,
+          name: item.name,
+          input: parseArguments(item.arguments)
+        }]);
+        continue;
+      case 'function_call_output':
+        pushBlocks('user', [{
+          type: 'tool_result',
+          tool_use_id: item.call_id,
+          content: String(item.output ?? '')
+        }]);
+        continue;
+      case 'message':
+        pushBlocks('assistant', toContentBlocks(contentToText(item.content)));
+        continue;
+    }
+
+    if (item.role === 'developer' || item.role === 'system') {
+      const text = contentToText(item.content);
+      if (text) system.push(text);
+    } else if (item.role === 'assistant') {
+      pushBlocks('assistant', toContentBlocks(contentToText(item.content)));
+    } else if (item.role === 'user') {
+      pushBlocks('user', toContentBlocks(item.content));
+    }
+  }
+
+  return { system: system.join('\n\n'), messages };
+}
+
+function toAnthropicUsage(usage) {
+  if (!usage) return null;
+  const cacheRead = usage.cache_read_input_tokens || 0;
+  return {
+    input_tokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + cacheRead,
+    output_tokens: usage.output_tokens || 0,
+    cached_tokens: cacheRead
+  };
+}
+
+// content ブロックを Responses API 形式のレスポンスに変換
+function blocksToResponse(model, blocks, usage) {
+  return buildResponse({
+    model,
+    text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+    reasoning: blocks
+      .filter(block => block.type === 'thinking')
+      .map(block => ({ text: block.thinking, signature: block.signature })),
+    toolCalls: blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input || {}) })),
+    usage: toAnthropicUsage(usage)
+  });
+}
+
+// SSE のレスポンス本文からイベントを順に取り出す
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+export class AnthropicProvider {
+  /**
+   * @param {object} entry - モデルレジストリのエントリ
+   */
+  constructor(entry) {
+    this.entry = entry;
+    this.baseUrl = (entry.baseUrl || configs.ANTHROPIC_BASE_URL).replace(/\/+$/, '');
+  }
+
+  buildRequest(params) {
+    const { system, messages } = toAnthropicMessages(params.input);
+    const maxOutputTokens = params.max_output_tokens || this.entry.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS;
+    const request = {
+      model: params.model,
+      max_tokens: maxOutputTokens,
+      messages
+    };
+    if (system) {
+      request.system = system;
+    }
+
+    const tools = (params.tools || []).filter(tool => tool.type === 'function');
+    if (tools.length > 0) {
+      request.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters || { type: 'object', properties: {} }
+      }));
+    }
+
+    if (params.reasoning?.effort) {
+      const budget = THINKING_BUDGET[params.reasoning.effort] || THINKING_BUDGET.medium;
+      request.thinking = { type: 'enabled', budget_tokens: budget };
+      // max_tokens は思考トークンを含むため、その分を上乗せする
+      request.max_tokens = maxOutputTokens + budget;
+    }
+    return request;
+  }
+
+  async post(request, signal) {
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': resolveApiKey(this.entry) || '',
+        'anthropic-version': configs.ANTHROPIC_API_VERSION
+      },
+      body: JSON.stringify(request),
+      signal: signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(configs.OPENAI_API_TIMEOUT)])
+        : AbortSignal.timeout(configs.OPENAI_API_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      let message = response.statusText;
+      try {
+        message = (await response.json()).error?.message || message;
+      } catch {
+        // 本文がJSONでない場合はステータスのみ
+      }
+      throw Object.assign(new Error(`Anthropic API error: ${response.status} ${message}`), { status: response.status });
+    }
+    return response;
+  }
+
+  /**
+   * 応答を生成
+   * @param {object} params - Responses API 形式のリクエスト
+   * @param {object} [options]
+   * @param {(event: object) => void} [options.onEvent] - 指定した場合はストリーミングで受信し、差分を通知
+   * @param {AbortSignal} [options.signal] - 中断用（ジョブのキャンセルなど）
+   * @returns {Promise<object>} Responses API 形式のレスポンス
+   */
+  async createResponse(params, { onEvent, signal } = {}) {
+    const request = this.buildRequest(params);
+
+    if (!onEvent) {
+      const response = await this.post(request, signal);
+      const message = await response.json();
+      return blocksToResponse(params.model, message.content || [], message.usage);
+    }
+
+    const response = await this.post({ ...request, stream: true }, signal);
+    const blocks = [];
+    const partialJson = [];
+    let usage = {};
+    let thinkingIndex = -1;
+
+    for await (const event of readEventStream(response.body)) {
+      switch (event.type) {
+        case 'message_start':
+          usage = { ...event.message?.usage };
+          break;
+        case 'content_block_start':
+          blocks[event.index] = { ...event.content_block };
+          if (event.content_block.type === 'tool_use') {
+            partialJson[event.index] = '';
+          } else if (event.content_block.type === 'thinking') {
+            thinkingIndex++;
+          }
+          break;
+        case 'content_block_delta': {
+          const block = blocks[event.index];
+          const delta = event.delta;
+          if (delta.type === 'text_delta') {
+            block.text = (block.text || '') + delta.text;
+            onEvent({ type: 'text_delta', delta: delta.text });
+          } else if (delta.type === 'thinking_delta') {
+            block.thinking = (block.thinking || '') + delta.thinking;
+            onEvent({ type: 'reasoning_delta', summaryIndex: thinkingIndex, delta: delta.thinking });
+          } else if (delta.type === 'signature_delta') {
+            block.signature = (block.signature || '') + delta.signature;
+          } else if (delta.type === 'input_json_delta') {
+            partialJson[event.index] += delta.partial_json;
+          }
+          break;
+        }
+        case 'content_block_stop': {
+          const block = blocks[event.index];
+          if (block?.type === 'tool_use') {
+            block.input = parseArguments(partialJson[event.index]);
+          } else if (block?.type === 'thinking') {
+            onEvent({ type: 'reasoning_summary', summaryIndex: thinkingIndex, text: block.thinking || '' });
+          }
+          break;
+        }
+        case 'message_delta':
+          usage = { ...usage, ...event.usage };
+          break;
+        case 'error':
+          throw new Error(`Anthropic API error: ${event.error?.message || 'stream error'}`);
+      }
+    }
+
+    return blocksToResponse(params.model, blocks.filter(Boolean), usage);
+  }
+}
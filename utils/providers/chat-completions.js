@@ -0,0 +1,202 @@
+// utils/providers/chat-completions.js
+
+// ==================================================
+// プロバイダー: Chat Completions 互換API
+// ==================================================
+//
+// Ollama / vLLM / LM Studio など /v1/chat/completions を提供するバックエンド向け。
+// Responses API 形式の入力を messages に変換し、応答を Responses API 形式に戻す。
+// 推論内容は reasoning_content（または reasoning）フィールドがあれば推論サマリーとして扱う。
+
+import { OpenAI } from 'openai';
+import * as configs from '../config.js';
+import { resolveApiKey } from '../model-registry.js';
+import { buildResponse, contentToText } from './common.js';
+
+// Responses API の content パーツを Chat Completions の形式に変換
+function toChatContent(content) {
+  if (!Array.isArray(content)) return contentToText(content);
+
+  const parts = content.map(part => {
+    if (typeof part === 'string') return { type: 'text', text: part };
+    if (part.type === 'input_image') return { type: 'image_url', image_url: { url: part.image_url, ...(part.detail ? { detail: part.detail } : {}) } };
+    if (part.type === 'input_file') return { type: 'file', file: { filename: part.filename, file_data: part.file_data } };
+    return { type: 'text', text: part.text ?? '' };
+  });
+  // テキストのみの場合は文字列にする（配列形式に未対応のバックエンド向け）
+  return parts.every(part => part.type === 'text') ? parts.map(part => part.text).join('\n') : parts;
+}
+
+/**
+ * Responses API 形式の input を Chat Completions の messages に変換
+ */
+export function toChatMessages(input = []) {
+  const messages = [];
+  for (const item of input) {
+    if (item.type === 'reasoning') continue;
+
+    if (item.type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' }
+      };
+      // 直前のアシスタント発言（同じ応答のテキスト・並列呼び出し）にまとめる
+      const last = messages.at(-1);
+      if (last?.role === 'assistant') {
+        last.tool_calls = [...(last.tool_calls || []), toolCall];
+      } else {
+        messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+      continue;
+    }
+
+    if (item.type === 'function_call_output') {
+      messages.push({ role: 'tool', tool_call_id: item.call_id, content: String(item.output ?? '') });
+      continue;
+    }
+
+    const role = item.type === 'message' ? 'assistant' : item.role;
+    if (role === 'developer' || role === 'system') {
+      messages.push({ role: 'system', content: contentToText(item.content) });
+    } else if (role === 'assistant') {
+      messages.push({ role: 'assistant', content: contentToText(item.content) });
+    } else if (role) {
+      messages.push({ role, content: toChatContent(item.content) });
+    }
+  }
+  return messages;
+}
+
+function toChatUsage(usage) {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0,
+    cached_tokens: usage.prompt_tokens_details?.cached_tokens || 0,
+    reasoning_tokens: usage.completion_tokens_details?.reasoning_tokens || 0
+  };
+}
+
+export class ChatCompletionsProvider {
+  /**
+   * @param {object} entry - モデルレジストリのエントリ
+   */
+  constructor(entry) {
+    this.client = new OpenAI({
+      // ローカルのバックエンドはキー不要の場合が多いが、SDKは空文字を受け付けない
+      apiKey: resolveApiKey(entry) || 'not-needed',
+      baseURL: entry.baseUrl,
+      timeout: configs.OPENAI_API_TIMEOUT,
+      maxRetries: configs.OPENAI_MAX_RETRIES
+    });
+  }
+
+  buildRequest(params) {
+    const request = {
+      model: params.model,
+      messages: toChatMessages(params.input)
+    };
+
+    const tools = (params.tools || [])
+      .filter(tool => tool.type === 'function')
+      .map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    if (tools.length > 0) {
+      request.tools = tools;
+    }
+
+    const format = params.text?.format;
+    if (format?.type === 'json_schema') {
+      request.response_format = {
+        type: 'json_schema',
+        json_schema: { name: format.name, schema: format.schema, strict: format.strict }
+      };
+    }
+
+    if (params.reasoning?.effort) {
+      request.reasoning_effort = params.reasoning.effort;
+    }
+    if (params.max_output_tokens) {
+      request.max_tokens = params.max_output_tokens;
+    }
+    return request;
+  }
+
+  /**
+   * 応答を生成
+   * @param {object} params - Responses API 形式のリクエスト
+   * @param {object} [options]
+   * @param {(event: object) => void} [options.onEvent] - 指定した場合はストリーミングで受信し、差分を通知
+   * @param {AbortSignal} [options.signal] - 中断用（ジョブのキャンセルなど）
+   * @returns {Promise<object>} Responses API 形式のレスポンス
+   */
+  async createResponse(params, { onEvent, signal } = {}) {
+    const request = this.buildRequest(params);
+
+    if (!onEvent) {
+      const completion = await this.client.chat.completions.create(request, { signal });
+      const message = completion.choices?.[0]?.message || {};
+      const reasoning = message.reasoning_content || message.reasoning || '';
+      return buildResponse({
+        model: params.model,
+        text: message.content || '',
+        reasoning: reasoning ? [{ text: reasoning }] : [],
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function?.name,
+          arguments: call.function?.arguments
+        })),
+        usage: toChatUsage(completion.usage)
+      });
+    }
+
+    const stream = await this.client.chat.completions.create({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal });
+
+    let text = '';
+    let reasoning = '';
+    let usage = null;
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
+
+      if (delta.content) {
+        text += delta.content;
+        onEvent({ type: 'text_delta', delta: delta.content });
+      }
+      const reasoningDelta = delta.reasoning_content || delta.reasoning;
+      if (reasoningDelta) {
+        reasoning += reasoningDelta;
+        onEvent({ type: 'reasoning_delta', summaryIndex: 0, delta: reasoningDelta });
+      }
+      for (const call of delta.tool_calls || []) {
+        const current = toolCalls[call.index] || (toolCalls[call.index] = { id: '', name: '', arguments: '' });
+        if (call.id) current.id = call.id;
+        if (call.function?.name) current.name += call.function.name;
+        if (call.function?.arguments) current.arguments += call.function.arguments;
+      }
+    }
+
+    if (reasoning) {
+      onEvent({ type: 'reasoning_summary', summaryIndex: 0, text: reasoning });
+    }
+
+    return buildResponse({
+      model: params.model,
+      text,
+      reasoning: reasoning ? [{ text: reasoning }] : [],
+      toolCalls: toolCalls.filter(Boolean),
+      usage: toChatUsage(usage)
+    });
+  }
+}
@@ -0,0 +1,102 @@
+// utils/providers/common.js
+
+// ==================================================
+// プロバイダー共通: Responses API 形式への変換
+// ==================================================
+//
+// メッセージ処理 (server.js) は Responses API の入出力形式で動作するため、
+// 他のAPI形式のプロバイダーは応答をここで Responses API の形式に揃える。
+
+import crypto from 'crypto';
+
+export function createId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * メッセージの content をテキストに変換（配列形式の場合はテキスト部分のみ連結）
+ */
+export function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => typeof part === 'string' || typeof part?.text === 'string')
+      .map(part => (typeof part === 'string' ? part : part.text))
+      .join('\n');
+  }
+  return content == null ? '' : String(content);
+}
+
+/**
+ * 関数呼び出しの引数 (JSON文字列) をオブジェクトに変換（不正な場合は空オブジェクト）
+ */
+export function parseArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Responses API 形式のレスポンスを組み立てる
+ * @param {object} params
+ * @param {string} params.model
+ * @param {string} [params.text] - 応答テキスト
+ * @param {Array<{text: string, signature?: string}>} [params.reasoning] - 推論内容
+ * @param {Array<{id: string, name: string, arguments: string}>} [params.toolCalls]
+ * @param {{input_tokens: number, output_tokens: number, cached_tokens?: number, reasoning_tokens?: number}} [params.usage]
+ */
+export function buildResponse({ model, text = '', reasoning = [], toolCalls = [], usage = null }) {
+  const output = [];
+
+  for (const item of reasoning) {
+    if (!item.text && !item.signature) continue;
+    output.push({
+      type: 'reasoning',
+      id: createId('rs'),
+      summary: item.text ? [{ type: 'summary_text', text: item.text }] : [],
+      ...(item.signature ? { encrypted_content: item.signature } : {})
+    });
+  }
+
+  if (text) {
+    output.push({
+      type: 'message',
+      id: createId('msg'),
+      role: 'assistant',
+      status: 'completed',
+      content: [{ type: 'output_text', text, annotations: [] }]
+    });
+  }
+
+  for (const call of toolCalls) {
+    output.push({
+      type: 'function_call',
+      id: createId('fc'),
+      call_id: call.id || createId('call'),
+      name: call.name,
+      arguments: call.arguments || '{}',
+      status: 'completed'
+    });
+  }
+
+  const inputTokens = usage?.input_tokens || 0;
+  const outputTokens = usage?.output_tokens || 0;
+  return {
+    id: createId('resp'),
+    object: 'response',
+    model,
+    status: 'completed',
+    output,
+    output_text: text,
+    usage: usage ? {
+      input_tokens: inputTokens,
+      input_tokens_details: { cached_tokens: usage.cached_tokens || 0 },
+      output_tokens: outputTokens,
+      output_tokens_details: { reasoning_tokens: usage.reasoning_tokens || 0 },
+      total_tokens: inputTokens + outputTokens
+    } : null
+  };
+}
@@ -0,0 +1,108 @@
+// utils/providers/index.js
+
+// ==================================================
+// プロバイダー層
+// ==================================================
+//
+// モデルレジストリのエントリに応じてバックエンドを選び、Responses API 形式で応答を返す。
+// モデルが対応していない機能（ツール・推論・JSON Schema）はリクエストから取り除く。
+
+import { APIConnectionError } from 'openai';
+import * as modelRegistry from '../model-registry.js';
+import { OpenAIResponsesProvider } from './openai-responses.js';
+import { ChatCompletionsProvider } from './chat-completions.js';
+import { AnthropicProvider } from './anthropic.js';
+
+const PROVIDER_CLASSES = {
+  openai_responses: OpenAIResponsesProvider,
+  chat_completions: ChatCompletionsProvider,
+  anthropic: AnthropicProvider
+};
+
+// モデルID -> プロバイダーのインスタンス
+const instances = new Map();
+
+// 一時的な障害とみなすネットワークエラーのコード
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+/**
+ * モデルのプロバイダーを取得
+ * @param {object} entry - モデルレジストリのエントリ
+ */
+export function getProvider(entry) {
+  let provider = instances.get(entry.id);
+  if (!provider) {
+    const ProviderClass = PROVIDER_CLASSES[entry.provider];
+    if (!ProviderClass) {
+      throw new Error(`Unsupported provider: ${entry.provider}`);
+    }
+    provider = new ProviderClass(entry);
+    instances.set(entry.id, provider);
+  }
+  return provider;
+}
+
+// モデルが対応していない機能をリクエストから取り除く
+function adaptRequest(entry, params) {
+  const request = { ...params, model: entry.model };
+
+  if (!entry.capabilities.tools || !request.tools?.length) {
+    delete request.tools;
+    delete request.tool_choice;
+    delete request.parallel_tool_calls;
+  }
+
+  if (!entry.capabilities.reasoning) {
+    delete request.reasoning;
+  }
+
+  // JSON Schema 非対応のモデルには、スキーマに従うよう指示文で伝える
+  const format = request.text?.format;
+  if (!entry.capabilities.jsonSchema && format?.type === 'json_schema') {
+    delete request.text;
+    request.input = [
+      ...(request.input || []),
+      {
+        role: 'developer',
+        content: `Respond only with a JSON value that conforms to the following JSON Schema, without code fences or any other text.\n${JSON.stringify(format.schema)}`
+      }
+    ];
+  }
+
+  return request;
+}
+
+/**
+ * 応答を生成
+ * @param {object} params - Responses API 形式のリクエスト（model はレジストリのモデルID）
+ * @param {object} [options]
+ * @param {(event: {type: 'text_delta'|'reasoning_delta'|'reasoning_summary'}) => void} [options.onEvent]
+ *   指定した場合はストリーミングで受信し、差分を通知
+ * @param {AbortSignal} [options.signal] - 中断用（ジョブのキャンセルなど）
+ * @returns {Promise<object>} Responses API 形式のレスポンス
+ */
+export async function createResponse(params, options = {}) {
+  const entry = modelRegistry.getModel(params.model);
+  if (!entry) {
+    throw new Error(`Unknown model: ${params.model}`);
+  }
+  return getProvider(entry).createResponse(adaptRequest(entry, params), options);
+}
+
+/**
+ * プロバイダーの一時的なエラー（429・5xx・接続エラー・タイムアウト）か判定
+ * 再試行しても結果が変わらないエラー（4xx・プログラムの誤りなど）は false
+ */
+export function isTransientError(error) {
+  if (!error) return false;
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  if (error instanceof APIConnectionError || error.name === 'TimeoutError') {
+    return true;
+  }
+  return TRANSIENT_ERROR_CODES.has(error.code ?? error.cause?.code);
+}
@@ -0,0 +1,56 @@
+// utils/providers/openai-responses.js
+
+// ==================================================
+// プロバイダー: OpenAI Responses API
+// ==================================================
+//
+// リクエスト・レスポンスとも Responses API の形式のまま中継する。
+// baseUrl を省略した場合は OpenAI SDK のデフォルト（OPENAI_BASE_URL 環境変数など）に従う。
+
+import { OpenAI } from 'openai';
+import * as configs from '../config.js';
+import { resolveApiKey } from '../model-registry.js';
+
+export class OpenAIResponsesProvider {
+  /**
+   * @param {object} entry - モデルレジストリのエントリ
+   */
+  constructor(entry) {
+    this.client = new OpenAI({
+      apiKey: resolveApiKey(entry),
+      ...(entry.baseUrl ? { baseURL: entry.baseUrl } : {}),
+      timeout: configs.OPENAI_API_TIMEOUT,
+      maxRetries: configs.OPENAI_MAX_RETRIES
+    });
+  }
+
+  /**
+   * 応答を生成
+   * @param {object} params - Responses API のリクエスト
+   * @param {object} [options]
+   * @param {(event: object) => void} [options.onEvent] - 指定した場合はストリーミングで受信し、差分を通知
+   * @param {AbortSignal} [options.signal] - 中断用（ジョブのキャンセルなど）
+   * @returns {Promise<object>} Responses API のレスポンス
+   */
+  async createResponse(params, { onEvent, signal } = {}) {
+    if (!onEvent) {
+      return this.client.responses.create(params, { signal });
+    }
+
+    const stream = this.client.responses.stream(params, { signal });
+    for await (const event of stream) {
+      switch (event.type) {
+        case 'response.output_text.delta':
+          onEvent({ type: 'text_delta', delta: event.delta });
+          break;
+        case 'response.reasoning_summary_text.delta':
+          onEvent({ type: 'reasoning_delta', summaryIndex: event.summary_index, delta: event.delta });
+          break;
+        case 'response.reasoning_summary_text.done':
+          onEvent({ type: 'reasoning_summary', summaryIndex: event.summary_index, text: event.text });
+          break;
+      }
+    }
+    return stream.finalResponse();
+  }
+}
@@ -0,0 +1,230 @@
+// utils/rag.js
+
+// ==================================================
+// アーティファクトの検索拡張生成 (RAG)
+// ==================================================
+//
+// - アーティファクトの作成・バージョン追加時に、最新版のテキストを行単位のチャンクに分けて埋め込み、SQLite に保存する
+//   （バイナリ・大きすぎるものは全文検索と同じ基準で対象外）
+// - 検索はスレッドのアーティファクトのチャンクを読み込み、クエリとの類似度で並べる（件数が少ないため全件比較）
+// - 応答の生成時は、ユーザーのメッセージに近いチャンクを composeSystemPrompt で developer プロンプトに挿入する
+// - 埋め込みの API 使用量は、アーティファクトの所有者・検索したユーザーのクレジットとして記録する
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as configs from './config.js';
+import * as helpers from '../helpers.js';
+import * as embeddings from './embeddings.js';
+import * as search from './search.js';
+import * as contextManager from './context-manager.js';
+import { getStorage } from './storage.js';
+
+// ====================
+// チャンク分割
+// ====================
+
+/**
+ * テキストを行単位でチャンクに分割（RAG_CHUNK_SIZE を超える行はさらに分割する）
+ * 前のチャンクの末尾 RAG_CHUNK_OVERLAP 文字程度の行を次のチャンクの先頭にも含める
+ * @returns {{startLine: number, endLine: number, text: string}[]} 行番号は1始まり
+ */
+export function chunkText(text, { size = configs.RAG_CHUNK_SIZE, overlap = configs.RAG_CHUNK_OVERLAP } = {}) {
+  // 長すぎる行は分割して、同じ行番号の複数の断片として扱う
+  const pieces = [];
+  String(text).split('\n').forEach((line, index) => {
+    for (let offset = 0; offset === 0 || offset < line.length; offset += size) {
+      pieces.push({ line: index + 1, text: line.slice(offset, offset + size) });
+    }
+  });
+
+  const chunks = [];
+  let start = 0;
+  while (start < pieces.length) {
+    let end = start;
+    let length = 0;
+    while (end < pieces.length && (end === start || length + pieces[end].text.length + 1 <= size)) {
+      length += pieces[end].text.length + 1;
+      end++;
+    }
+
+    const chunkPieces = pieces.slice(start, end);
+    const joined = chunkPieces.map(piece => piece.text).join('\n');
+    if (joined.trim()) {
+      chunks.push({ startLine: chunkPieces[0].line, endLine: chunkPieces.at(-1).line, text: joined });
+    }
+    if (end >= pieces.length) break;
+
+    // 重複させる断片の分だけ戻る（必ず1つ以上進む）
+    let next = end;
+    let overlapLength = 0;
+    while (next - 1 > start && overlapLength + pieces[next - 1].text.length + 1 <= overlap) {
+      next--;
+      overlapLength += pieces[next].text.length + 1;
+    }
+    start = next;
+  }
+  return chunks;
+}
+
+// ====================
+// インデックス
+// ====================
+
+/**
+ * アーティファクトの最新版のチャンクを埋め込んで保存（同じバージョン・埋め込み方法で作成済みの場合は何もしない）
+ * @param {object} metadata - アーティファクトのメタデータ
+ * @param {string|Buffer} content - 最新バージョンの内容
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - 作成済みでも作り直す
+ * @returns {Promise<{chunks: number}|null>} 作成しなかった場合は null
+ */
+export async function indexArtifactEmbeddings(metadata, content, { force = false } = {}) {
+  const embedder = embeddings.getEmbedder();
+  if (!embedder) return null;
+
+  const storage = getStorage();
+  const state = storage.getArtifactEmbeddingState(metadata.id);
+  if (!force && state?.version === metadata.currentVersion && state.embedder === embedder.id) {
+    return null;
+  }
+
+  const text = search.artifactContentToText(content);
+  const chunks = text ? chunkText(text) : [];
+  let vectors = [];
+  if (chunks.length > 0) {
+    // ファイル名も類似度に反映させる
+    const result = await embeddings.embedTexts(chunks.map(chunk => `${metadata.filename}\n${chunk.text}`));
+    vectors = result.vectors;
+    if (result.usage) {
+      await helpers.logTokenUsage(embedder.model, result.usage, metadata.userId ?? null);
+    }
+  }
+
+  storage.replaceArtifactChunks(metadata.id, {
+    version: metadata.currentVersion,
+    embedder: embedder.id,
+    chunks: chunks.map((chunk, index) => ({ ...chunk, embedding: vectors[index] }))
+  });
+  return { chunks: chunks.length };
+}
+
+async function readLatestContent(metadata) {
+  const latest = metadata.versions?.at(-1);
+  return latest
+    ? fs.readFile(path.join(configs.ARTIFACTS_DIR, metadata.id, latest.filename)).catch(() => null)
+    : null;
+}
+
+/**
+ * 全アーティファクトの埋め込みを作成（force=false の場合は未作成・古いもののみ）
+ * @returns {Promise<{artifacts: number, indexed: number, chunks: number, failed: number}>}
+ */
+export async function rebuildEmbeddingIndex({ force = false } = {}) {
+  const counts = { artifacts: 0, indexed: 0, chunks: 0, failed: 0 };
+  if (!embeddings.getEmbedder()) return counts;
+
+  for (const metadata of getStorage().listArtifacts()) {
+    counts.artifacts++;
+    try {
+      const result = await indexArtifactEmbeddings(metadata, await readLatestContent(metadata), { force });
+      if (result) {
+        counts.indexed++;
+        counts.chunks += result.chunks;
+      }
+    } catch (error) {
+      counts.failed++;
+      console.error(`[RAG] Failed to index artifact ${metadata.id}:`, error.message);
+    }
+  }
+  return counts;
+}
+
+/**
+ * 未作成・古い埋め込みのみ作成
+ */
+export async function ensureEmbeddingIndex() {
+  const counts = await rebuildEmbeddingIndex();
+  if (counts.indexed > 0 || counts.failed > 0) {
+    console.log(`✓ Built embedding index: ${counts.indexed} artifacts, ${counts.chunks} chunks${counts.failed ? ` (${counts.failed} failed)` : ''}`);
+  }
+  return counts;
+}
+
+// ====================
+// 検索
+// ====================
+
+/**
+ * クエリに近いチャンクを検索
+ * @param {object} params
+ * @param {string} params.query
+ * @param {string[]} params.artifactIds - 検索対象（アクセス制御は呼び出し側で行う）
+ * @param {number} [params.topK]
+ * @param {number} [params.minScore]
+ * @param {string} [params.userId] - 埋め込みの使用量を記録するユーザー
+ * @param {string} [params.apiKeyId] - API キーで実行したリクエストの場合のキーID（使用量の記録用）
+ * @returns {Promise<{artifactId: string, filename: string, version: number, chunkIndex: number, startLine: number, endLine: number, score: number, text: string}[]>}
+ */
+export async function searchArtifactChunks({ query, artifactIds, topK = configs.RAG_TOP_K_DEFAULT, minScore = configs.RAG_MIN_SCORE, userId = null, apiKeyId = null }) {
+  const embedder = embeddings.getEmbedder();
+  if (!embedder) throw new Error('Embeddings are disabled (EMBEDDING_PROVIDER=none)');
+  if (!query?.trim() || artifactIds.length === 0 || topK <= 0) return [];
+
+  const storage = getStorage();
+  const chunks = storage.listArtifactChunks(artifactIds, embedder.id);
+  if (chunks.length === 0) return [];
+
+  const { vectors: [queryVector], usage } = await embeddings.embedTexts([query]);
+  if (usage) {
+    await helpers.logTokenUsage(embedder.model, usage, userId, { apiKeyId });
+  }
+
+  const filenames = new Map();
+  return chunks
+    .map(chunk => ({ chunk, score: embeddings.similarity(queryVector, chunk.embedding) }))
+    .filter(({ score }) => score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ chunk, score }) => {
+      if (!filenames.has(chunk.artifactId)) {
+        filenames.set(chunk.artifactId, storage.getArtifact(chunk.artifactId)?.filename ?? null);
+      }
+      return {
+        artifactId: chunk.artifactId,
+        filename: filenames.get(chunk.artifactId),
+        version: chunk.version,
+        chunkIndex: chunk.chunkIndex,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        score: Math.round(score * 10000) / 10000,
+        text: chunk.text
+      };
+    });
+}
+
+/**
+ * 応答の生成前に、メッセージに関連するスレッドのアーティファクトの箇所を取得
+ * 埋め込みが無効・スレッドの設定で無効 (retrievalTopK = 0)・アーティファクトがない場合は空配列
+ * @param {object} params
+ * @param {object} params.thread
+ * @param {object|null} params.message - 直近のユーザーメッセージ
+ * @param {string} [params.userId]
+ * @param {string} [params.apiKeyId]
+ * @returns {Promise<object[]>} searchArtifactChunks の戻り値
+ */
+export async function retrieveContext({ thread, message, userId = null, apiKeyId = null }) {
+  const { retrievalTopK } = contextManager.getContextSettings(thread);
+  if (!embeddings.getEmbedder() || retrievalTopK <= 0 || !message) return [];
+
+  const artifactIds = thread.artifactIds || [];
+  const query = contextManager.contentToText(message.content);
+  if (artifactIds.length === 0 || !query.trim()) return [];
+
+  try {
+    return await searchArtifactChunks({ query, artifactIds, topK: retrievalTopK, userId, apiKeyId });
+  } catch (error) {
+    // 検索に失敗しても応答は生成する
+    console.error('[RAG] Failed to retrieve context:', error.message);
+    return [];
+  }
+}
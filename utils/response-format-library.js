@@ -0,0 +1,230 @@
+// utils/response-format-library.js
+
+// ==================================================
+// Response Format ライブラリ（名前付き・バージョン管理された JSON Schema）
+// ==================================================
+//
+// - 各バージョンのスキーマは response_formats にハッシュで登録し、ライブラリはハッシュの履歴を持つ
+//   名前・説明・タグ・公開範囲の変更ではバージョンを増やさない（プロンプトライブラリと同じ）
+// - スレッドの Response Format として選択できる
+//   スレッドには選択時点のスキーマをコピーする（ライブラリを更新してもスレッドは変わらない）
+
+import * as configs from './config.js';
+import * as helpers from '../helpers.js';
+import * as access from './access-control.js';
+import * as structuredOutput from './structured-output.js';
+import { getStorage } from './storage.js';
+
+export const FORMAT_VISIBILITIES = ['private', 'public'];
+
+/**
+ * 作成・更新の入力を検証・正規化
+ * スキーマは responseFormat（{ name, description, strict, schema } または JSON Schema）か hash（登録済みの Response Format）で指定する
+ * 名前・説明の上限はプロンプトライブラリと同じ
+ * @param {object} input - { name, description?, tags?, visibility?, responseFormat?, hash? }
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - 更新用（指定された項目のみ返す）
+ * @returns {object}
+ * @throws {Error} 値が不正な場合
+ */
+export function normalizeFormatInput(input = {}, { partial = false } = {}) {
+  const normalized = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > configs.PROMPT_LIBRARY_NAME_MAX_LENGTH) {
+      throw new Error(`name must be a non-empty string of at most ${configs.PROMPT_LIBRARY_NAME_MAX_LENGTH} characters`);
+    }
+    normalized.name = name;
+  }
+
+  if (input.description !== undefined && input.description !== null) {
+    if (typeof input.description !== 'string' || input.description.length > configs.PROMPT_LIBRARY_DESCRIPTION_MAX_LENGTH) {
+      throw new Error(`description must be a string of at most ${configs.PROMPT_LIBRARY_DESCRIPTION_MAX_LENGTH} characters`);
+    }
+    normalized.description = input.description.trim();
+  } else if (!partial) {
+    normalized.description = '';
+  }
+
+  if (input.tags !== undefined) {
+    normalized.tags = helpers.normalizeArtifactTags(input.tags);
+  } else if (!partial) {
+    normalized.tags = [];
+  }
+
+  if (input.visibility !== undefined) {
+    if (!FORMAT_VISIBILITIES.includes(input.visibility)) {
+      throw new Error(`visibility must be one of: ${FORMAT_VISIBILITIES.join(', ')}`);
+    }
+    normalized.visibility = input.visibility;
+  } else if (!partial) {
+    normalized.visibility = 'private';
+  }
+
+  if (input.responseFormat !== undefined && input.hash !== undefined) {
+    throw new Error('Specify either responseFormat or hash, not both');
+  }
+  if (input.responseFormat !== undefined) {
+    if (!input.responseFormat) {
+      throw new Error('responseFormat must be an object');
+    }
+    normalized.responseFormat = structuredOutput.normalizeResponseFormat(input.responseFormat);
+  } else if (input.hash !== undefined) {
+    if (typeof input.hash !== 'string' || !input.hash) {
+      throw new Error('hash must be a string');
+    }
+    normalized.hash = input.hash;
+  } else if (!partial) {
+    throw new Error('responseFormat or hash is required');
+  }
+
+  return normalized;
+}
+
+// スキーマ（responseFormat または登録済みのハッシュ）を解決してハッシュを返す
+async function resolveVersionHash(user, { responseFormat, hash }) {
+  if (responseFormat !== undefined) {
+    return helpers.registerResponseFormat(responseFormat, user.user_id);
+  }
+  const entry = await helpers.getResponseFormat(hash);
+  if (!entry || !(await access.canAccessRegistryEntry(user, entry))) {
+    throw new Error(`Response format not found: ${hash}`);
+  }
+  // 登録済みのものもライブラリに入れる前に検証する
+  structuredOutput.normalizeResponseFormat(entry.content);
+  return entry.hash;
+}
+
+// ====================
+// 作成・更新・取得
+// ====================
+
+/**
+ * Response Format を作成
+ * @param {object} user
+ * @param {object} input - normalizeFormatInput の戻り値
+ * @returns {Promise<object>}
+ * @throws {Error} hash で指定した Response Format が見つからない・不正な場合
+ */
+export async function createFormat(user, input) {
+  const timestamp = new Date().toISOString();
+  const hash = await resolveVersionHash(user, input);
+  const format = {
+    id: helpers.generateId(),
+    userId: user.user_id,
+    name: input.name,
+    description: input.description,
+    tags: input.tags,
+    visibility: input.visibility,
+    currentVersion: 1,
+    versions: [{ version: 1, hash, createdAt: timestamp, createdBy: user.user_id }],
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+  getStorage().saveLibraryResponseFormat(format);
+  return format;
+}
+
+/**
+ * Response Format を更新（スキーマが変わった場合のみ新しいバージョンを追加）
+ * @param {object} format
+ * @param {object} user
+ * @param {object} input - normalizeFormatInput(..., { partial: true }) の戻り値
+ * @returns {Promise<object>}
+ */
+export async function updateFormat(format, user, input) {
+  const { responseFormat, hash: inputHash, ...fields } = input;
+  Object.assign(format, fields);
+
+  if (responseFormat !== undefined || inputHash !== undefined) {
+    const hash = await resolveVersionHash(user, { responseFormat, hash: inputHash });
+    if (hash !== getFormatVersion(format)?.hash) {
+      const version = format.currentVersion + 1;
+      format.versions.push({ version, hash, createdAt: new Date().toISOString(), createdBy: user.user_id });
+      format.currentVersion = version;
+    }
+  }
+
+  format.updatedAt = new Date().toISOString();
+  getStorage().saveLibraryResponseFormat(format);
+  return format;
+}
+
+export function getFormat(formatId) {
+  return getStorage().getLibraryResponseFormat(formatId);
+}
+
+export function deleteFormat(formatId) {
+  return getStorage().deleteLibraryResponseFormat(formatId);
+}
+
+/**
+ * バージョンを取得（version 省略時は最新版。存在しない場合は null）
+ */
+export function getFormatVersion(format, version = format.currentVersion) {
+  return format.versions.find(entry => entry.version === version) || null;
+}
+
+/**
+ * バージョンのスキーマ（{ name, description, strict, schema }）を取得
+ * @returns {Promise<object|null>}
+ */
+export async function readFormatContent(format, version) {
+  const entry = getFormatVersion(format, version);
+  const responseFormat = entry ? await helpers.getResponseFormat(entry.hash) : null;
+  return responseFormat?.content ?? null;
+}
+
+/**
+ * ユーザーが閲覧できる Response Format の一覧（自分のものと公開されたもの。Admin は全て）
+ * @param {object} user
+ * @param {object} [filters]
+ * @param {string} [filters.q] - 名前・説明・タグの部分一致（大文字小文字を区別しない）
+ * @param {string} [filters.tag] - タグの完全一致
+ */
+export function listFormats(user, { q = '', tag = '' } = {}) {
+  const formats = getStorage().listLibraryResponseFormats({ userId: access.isAdmin(user) ? null : user.user_id });
+  const query = q.trim().toLowerCase();
+  return formats.filter(format => {
+    if (tag && !format.tags.includes(tag)) return false;
+    if (!query) return true;
+    return [format.name, format.description, ...format.tags].some(text => text.toLowerCase().includes(query));
+  });
+}
+
+/**
+ * API で返す形（バージョンのスキーマと、user が編集できるかを含める）
+ * @param {object} format
+ * @param {object} user
+ * @param {object} [options]
+ * @param {number} [options.version] - スキーマを含めるバージョン（省略時は最新版）
+ */
+export async function toFormatDetail(format, user, { version } = {}) {
+  return {
+    ...format,
+    version: version ?? format.currentVersion,
+    responseFormat: await readFormatContent(format, version ?? format.currentVersion),
+    editable: access.canManageLibraryResponseFormat(user, format)
+  };
+}
+
+/**
+ * スレッドに設定するライブラリの Response Format を解決
+ * @param {object} user
+ * @param {object} selection - { formatId, version? }
+ * @returns {Promise<{responseFormat: object, reference: {formatId: string, version: number, name: string}}|null>}
+ *   存在しない・閲覧できない場合は null
+ */
+export async function resolveFormatSelection(user, { formatId, version } = {}) {
+  const format = typeof formatId === 'string' ? getFormat(formatId) : null;
+  if (!format || !access.canReadLibraryResponseFormat(user, format)) return null;
+
+  const selectedVersion = version === undefined || version === null ? format.currentVersion : parseInt(version);
+  const responseFormat = await readFormatContent(format, selectedVersion);
+  if (responseFormat === null) return null;
+  return {
+    responseFormat,
+    reference: { formatId: format.id, version: selectedVersion, name: format.name }
+  };
+}
@@ -0,0 +1,340 @@
+// utils/sandbox.js
+
+// ==================================================
+// コード実行サンドボックス
+// ==================================================
+//
+// - JavaScript (node) / Python のスクリプトを一時ディレクトリで子プロセスとして実行する
+// - 制限:
+//   - 実行時間: SANDBOX_TIMEOUT を超えたらプロセスグループごと SIGKILL
+//     PID 名前空間も分離するため、setsid などでグループを抜けた子孫もサンドボックスの終了と同時に終了する
+//   - メモリ: ulimit -d (SANDBOX_MEMORY_LIMIT_MB)。node は --max-old-space-size も指定
+//   - ネットワーク: unshare でネットワーク名前空間を分離（ループバックのみで外部に接続できない）
+//     同時にマウント名前空間も分離し、全てのマウントを読み取り専用にした上で、
+//     アプリのディレクトリ・データ・アーティファクト・ホームディレクトリ・一時ディレクトリを空の tmpfs で隠す
+//     （書き込めるのは作業ディレクトリのみ）
+//   - 環境変数: API キーなどを渡さないよう、PATH・HOME・TMPDIR・LANG のみにする
+//   - node はパーミッションモデルで作業ディレクトリ外のファイルアクセス・子プロセスの起動を禁止する
+// - unshare が使えない環境では実行を拒否する（SANDBOX_NETWORK_ISOLATION=none で無効化できるが開発用）
+// - 実行後、作業ディレクトリ内で新規作成・変更されたファイルを返す（アーティファクトへの保存は呼び出し側）
+
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as configs from './config.js';
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.py': 'python'
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(LANGUAGES);
+
+/**
+ * ファイル名の拡張子から実行する言語を判定
+ * @returns {'javascript'|'python'|null}
+ */
+export function getLanguage(filename) {
+  return LANGUAGES[path.extname(filename || '').toLowerCase()] || null;
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// ====================
+// 分離の準備
+// ====================
+
+let isolationProbe = null;
+
+// unshare に渡す名前空間の指定
+// --fork した子が PID 1 になり、終了すると名前空間内の全プロセスが終了する（unshare が終了した場合も子を終了させる）
+const UNSHARE_ARGS = ['--user', '--map-root-user', '--net', '--mount', '--pid', '--fork', '--kill-child', '--mount-proc'];
+
+// unshare でユーザー・ネットワーク・マウント・PID 名前空間を作成できるか（結果はキャッシュする）
+function probeIsolation() {
+  if (!isolationProbe) {
+    isolationProbe = new Promise(resolve => {
+      const child = spawn('unshare', [...UNSHARE_ARGS, 'true'], { stdio: 'ignore' });
+      child.on('error', () => resolve(false));
+      child.on('exit', code => resolve(code === 0));
+    });
+  }
+  return isolationProbe;
+}
+
+const isWithin = (child, parent) => child === parent || child.startsWith(parent + path.sep);
+
+// PATH から実行ファイルを探す（見つからない場合は null）
+async function resolveExecutable(command) {
+  const candidates = command.includes(path.sep)
+    ? [path.resolve(command)]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+  for (const candidate of candidates) {
+    if (await fs.access(candidate, fs.constants.X_OK).then(() => true, () => false)) return candidate;
+  }
+  return null;
+}
+
+// サンドボックス内から隠すディレクトリ
+// 存在しないもの・作業ディレクトリやインタプリタを含むもの・既に隠したディレクトリの中にあるものは除く
+// （一時ディレクトリは作業ディレクトリを含むため、buildSandboxCommand で別に隠す）
+async function resolveHiddenPaths(workDir) {
+  const candidates = [
+    configs.ROOT_DIR,
+    configs.DATA_DIR,
+    configs.ARTIFACTS_DIR,
+    configs.PLUGINS_DIR,
+    os.homedir(),
+    ...configs.SANDBOX_HIDDEN_PATHS
+  ].map(p => path.resolve(p)).sort((a, b) => a.length - b.length);
+
+  // インタプリタ（シンボリックリンクの場合はリンク先も）を含むディレクトリは隠せない
+  const interpreters = [];
+  for (const command of Object.values(configs.SANDBOX_COMMANDS)) {
+    const executable = await resolveExecutable(command);
+    if (!executable) continue;
+    interpreters.push(executable, await fs.realpath(executable).catch(() => executable));
+  }
+
+  const hidden = [];
+  for (const dir of new Set(candidates)) {
+    if (isWithin(workDir, dir) || interpreters.some(file => isWithin(file, dir))) continue;
+    if (hidden.some(parent => isWithin(dir, parent))) continue;
+    const stat = await fs.stat(dir).catch(() => null);
+    if (stat?.isDirectory()) hidden.push(dir);
+  }
+  return hidden;
+}
+
+function buildInterpreterCommand(language, workDir, entry, args) {
+  if (language === 'javascript') {
+    return [
+      configs.SANDBOX_COMMANDS.javascript,
+      '--experimental-permission',
+      `--allow-fs-read=${workDir}`,
+      `--allow-fs-write=${workDir}`,
+      '--no-warnings',
+      `--max-old-space-size=${configs.SANDBOX_MEMORY_LIMIT_MB}`,
+      entry,
+      ...args
+    ];
+  }
+  return [configs.SANDBOX_COMMANDS.python, '-I', '-B', entry, ...args];
+}
+
+// 制限をかけてからインタプリタを exec するコマンド
+async function buildSandboxCommand(command, workDir) {
+  const setup = [];
+  if (configs.SANDBOX_NETWORK_ISOLATION === 'unshare') {
+    // 全てのマウントを読み取り専用にする（再マウントできないもの (proc など) は無視する）
+    setup.push('while read -r _ _ _ _ target _; do mount -o remount,bind,ro "$target" 2>/dev/null || true; done < /proc/self/mountinfo');
+    for (const dir of await resolveHiddenPaths(workDir)) {
+      setup.push(`mount -t tmpfs -o ro,size=4k,mode=000 none ${shellQuote(dir)}`);
+    }
+    // 一時ディレクトリ（他の実行の作業ディレクトリを含む）を空の tmpfs で隠し、作業ディレクトリのみ同じパスに戻す
+    // tmpfs で隠した後もカレントディレクトリ (.) は元の作業ディレクトリを指している（パスを解決させないよう --no-canonicalize）
+    // バインドマウントは元のマウントの読み取り専用を引き継ぐため、書き込み可能に戻す
+    const tmpDir = path.dirname(workDir);
+    setup.push(
+      `mount -t tmpfs -o size=64k,mode=755 none ${shellQuote(tmpDir)}`,
+      `mkdir ${shellQuote(workDir)}`,
+      `mount --no-canonicalize --bind . ${shellQuote(workDir)}`,
+      `mount -o remount,bind,rw ${shellQuote(workDir)}`,
+      `mount -o remount,bind,ro ${shellQuote(tmpDir)}`,
+      `cd ${shellQuote(workDir)}`
+    );
+  }
+  setup.push(`ulimit -d ${configs.SANDBOX_MEMORY_LIMIT_MB * 1024}`);
+  const shell = ['/bin/sh', '-c', `set -e; ${setup.join('; ')}; exec "$@"`, 'sandbox', ...command];
+
+  if (configs.SANDBOX_NETWORK_ISOLATION === 'none') return shell;
+  return ['unshare', ...UNSHARE_ARGS, ...shell];
+}
+
+// ====================
+// 作業ディレクトリ
+// ====================
+
+async function writeFiles(workDir, files) {
+  const hashes = new Map();
+  for (const file of files) {
+    const name = path.basename(file.name);
+    await fs.writeFile(path.join(workDir, name), file.content);
+    hashes.set(name, hashContent(file.content));
+  }
+  return hashes;
+}
+
+// 新規作成・変更されたファイルを収集（シンボリックリンクは無視する）
+async function collectChangedFiles(workDir, inputHashes) {
+  const files = [];
+  const skipped = [];
+
+  const walk = async (dir) => {
+    for (const dirent of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, dirent.name);
+      const name = path.relative(workDir, fullPath).split(path.sep).join('/');
+      if (dirent.isDirectory()) {
+        await walk(fullPath);
+        continue;
+      }
+      if (!dirent.isFile()) continue;
+
+      const { size } = await fs.stat(fullPath);
+      if (size > configs.SANDBOX_MAX_FILE_BYTES) {
+        skipped.push({ name, reason: `larger than ${configs.SANDBOX_MAX_FILE_BYTES} bytes` });
+        continue;
+      }
+      const content = await fs.readFile(fullPath);
+      const inputHash = inputHashes.get(name);
+      if (inputHash === hashContent(content)) continue;
+
+      if (files.length >= configs.SANDBOX_MAX_OUTPUT_FILES) {
+        skipped.push({ name, reason: `more than ${configs.SANDBOX_MAX_OUTPUT_FILES} files` });
+        continue;
+      }
+      files.push({ name, content, modified: inputHash !== undefined });
+    }
+  };
+  await walk(workDir);
+  return { files, skipped };
+}
+
+// ====================
+// 実行
+// ====================
+
+function createOutputCollector() {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  return {
+    push(chunk) {
+      const remaining = configs.SANDBOX_MAX_OUTPUT_BYTES - size;
+      if (remaining <= 0) {
+        truncated = true;
+        return;
+      }
+      if (chunk.length > remaining) truncated = true;
+      const kept = chunk.subarray(0, remaining);
+      chunks.push(kept);
+      size += kept.length;
+    },
+    result: () => ({ text: Buffer.concat(chunks).toString('utf-8'), truncated })
+  };
+}
+
+/**
+ * スクリプトをサンドボックスで実行
+ * @param {object} params
+ * @param {string} params.entry - 実行するファイル名（files に含める）
+ * @param {{name: string, content: Buffer|string}[]} params.files - 作業ディレクトリに置くファイル
+ * @param {string[]} [params.args] - スクリプトに渡す引数
+ * @returns {Promise<{language: string, command: string[], exitCode: number|null, signal: string|null, timedOut: boolean,
+ *   durationMs: number, stdout: string, stderr: string, stdoutTruncated: boolean, stderrTruncated: boolean,
+ *   files: {name: string, content: Buffer, modified: boolean}[], skippedFiles: {name: string, reason: string}[]}>}
+ * @throws {Error} 言語に対応していない場合・ネットワークを遮断できない場合
+ */
+export async function runInSandbox({ entry, files, args = [] }) {
+  const language = getLanguage(entry);
+  if (!language) {
+    throw new Error(`Unsupported file type: ${entry} (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`);
+  }
+  if (configs.SANDBOX_NETWORK_ISOLATION === 'unshare' && !(await probeIsolation())) {
+    throw new Error('Sandbox network isolation is not available on this server (unshare failed)');
+  }
+
+  const workDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-')));
+  try {
+    const inputHashes = await writeFiles(workDir, files);
+    const interpreterCommand = buildInterpreterCommand(language, workDir, path.basename(entry), args.map(String));
+    const [command, ...commandArgs] = await buildSandboxCommand(interpreterCommand, workDir);
+
+    const startTime = Date.now();
+    const stdout = createOutputCollector();
+    const stderr = createOutputCollector();
+    let timedOut = false;
+
+    const { exitCode, signal } = await new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (code, exitSignal) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ exitCode: code, signal: exitSignal });
+      };
+      // タイムアウトした場合は、出力のパイプを開いたままの子孫がいても待たない
+      const abandonOutput = (code, exitSignal) => {
+        child.stdout.destroy();
+        child.stderr.destroy();
+        settle(code, exitSignal);
+      };
+
+      const child = spawn(command, commandArgs, {
+        cwd: workDir,
+        env: {
+          PATH: process.env.PATH,
+          HOME: workDir,
+          TMPDIR: workDir,
+          LANG: 'C.UTF-8'
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true  // タイムアウト時にプロセスグループごと終了させる
+      });
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          // 既に終了している
+        }
+        if (child.exitCode !== null || child.signalCode !== null) {
+          abandonOutput(child.exitCode, child.signalCode);
+        }
+      }, configs.SANDBOX_TIMEOUT);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.on('error', error => {
+        settled = true;
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('exit', (code, exitSignal) => {
+        if (timedOut) abandonOutput(code, exitSignal);
+      });
+      child.on('close', settle);
+    });
+
+    const { files: changedFiles, skipped } = await collectChangedFiles(workDir, inputHashes);
+    const out = stdout.result();
+    const err = stderr.result();
+
+    return {
+      language,
+      command: interpreterCommand.map(part => part.replace(workDir, '.')),
+      exitCode,
+      signal,
+      timedOut,
+      durationMs: Date.now() - startTime,
+      stdout: out.text,
+      stderr: err.text,
+      stdoutTruncated: out.truncated,
+      stderrTruncated: err.truncated,
+      files: changedFiles,
+      skippedFiles: skipped
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,253 @@
+// utils/search.js
+
+// ==================================================
+// 全文検索
+// ==================================================
+//
+// - スレッド（タイトル・Discordのギルド名/チャンネル名）、メッセージ（本文・userName などのメタデータ）、
+//   アーティファクト（ファイル名・最新バージョンの内容・説明・タグ）を SQLite FTS5 (trigram) でインデックスする
+// - インデックスは helpers.writeThread / アーティファクトの作成・更新時に更新し、
+//   削除はストレージ側 (deleteThread / deleteMessages / deleteArtifact) で行う
+// - 既存データは起動時に一度だけ取り込む（storage_meta の search_index_version で管理）
+// - スニペットは HTML エスケープ済みで、一致箇所を <mark> で囲んで返す
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as configs from './config.js';
+import * as access from './access-control.js';
+import * as contextManager from './context-manager.js';
+import { getStorage } from './storage.js';
+
+export const SEARCH_KINDS = ['thread', 'message', 'artifact'];
+
+// インデックスの形式を変えた場合は上げる（起動時に再構築される）
+const SEARCH_INDEX_VERSION = '1';
+
+// これより大きいアーティファクトやバイナリは内容をインデックスしない（ファイル名のみ）
+const MAX_ARTIFACT_INDEX_BYTES = 1024 * 1024;
+
+const SNIPPET_LENGTH = 160;
+
+// メッセージ・スレッドのメタデータのうち検索対象にする項目
+const META_FIELDS = ['userName', 'displayName', 'channelName', 'categoryName', 'guildName'];
+
+function collectMeta(metadata) {
+  if (!metadata) return '';
+  return META_FIELDS.map(field => metadata[field]).filter(Boolean).join(' ');
+}
+
+// ====================
+// インデックスの更新
+// ====================
+
+/**
+ * スレッドとそのメッセージをインデックス（変更のないメッセージは再インデックスされない）
+ * @param {object} thread - メッセージを含むスレッド
+ */
+export function indexThread(thread) {
+  const guildId = access.getThreadGuildId(thread) ?? thread.metadata?.guildId ?? null;
+  const owner = {
+    threadId: thread.id,
+    userId: thread.userId ?? null
+  };
+
+  const documents = [{
+    ...owner,
+    kind: 'thread',
+    refId: thread.id,
+    guildId: guildId === null ? null : String(guildId),
+    model: thread.model ?? null,
+    createdAt: thread.createdAt ?? null,
+    title: thread.title || '',
+    meta: collectMeta(thread.metadata)
+  }];
+
+  for (const message of thread.messages || []) {
+    const messageGuildId = message.metadata?.guildId ?? guildId;
+    documents.push({
+      ...owner,
+      kind: 'message',
+      refId: message.id,
+      guildId: messageGuildId === null ? null : String(messageGuildId),
+      role: message.role ?? null,
+      model: message.role === 'assistant' ? (message.model ?? null) : null,
+      createdAt: message.timestamp ?? null,
+      body: contextManager.contentToText(message.content),
+      meta: collectMeta(message.metadata)
+    });
+  }
+
+  getStorage().saveSearchDocuments(documents);
+}
+
+/**
+ * アーティファクトの内容をテキストとして取得（バイナリ・大きすぎる場合は空文字）
+ */
+export function artifactContentToText(content) {
+  if (content == null) return '';
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf-8');
+  if (buffer.length > MAX_ARTIFACT_INDEX_BYTES || buffer.includes(0)) return '';
+  return buffer.toString('utf-8');
+}
+
+/**
+ * アーティファクトをインデックス
+ * @param {object} metadata - アーティファクトのメタデータ
+ * @param {string|Buffer} content - 最新バージョンの内容
+ */
+export function indexArtifact(metadata, content) {
+  getStorage().saveSearchDocuments([{
+    kind: 'artifact',
+    refId: metadata.id,
+    threadId: metadata.threadId ?? null,
+    userId: metadata.userId ?? null,
+    createdAt: metadata.createdAt ?? null,
+    title: metadata.filename || '',
+    body: artifactContentToText(content),
+    meta: [metadata.versions?.at(-1)?.metadata?.description, ...(metadata.tags || [])].filter(Boolean).join(' ')
+  }]);
+}
+
+/**
+ * 検索インデックスを全データから作り直す
+ * @returns {Promise<{threads: number, messages: number, artifacts: number}>}
+ */
+export async function rebuildSearchIndex() {
+  const storage = getStorage();
+  storage.clearSearchDocuments();
+
+  const counts = { threads: 0, messages: 0, artifacts: 0 };
+  for (const summary of storage.listThreadSummaries()) {
+    const thread = storage.getThread(summary.id);
+    if (!thread) continue;
+    indexThread(thread);
+    counts.threads++;
+    counts.messages += thread.messages.length;
+  }
+
+  for (const metadata of storage.listArtifacts()) {
+    const latest = metadata.versions?.at(-1);
+    const content = latest
+      ? await fs.readFile(path.join(configs.ARTIFACTS_DIR, metadata.id, latest.filename)).catch(() => null)
+      : null;
+    indexArtifact(metadata, content);
+    counts.artifacts++;
+  }
+
+  storage.setMeta('search_index_version', SEARCH_INDEX_VERSION);
+  return counts;
+}
+
+/**
+ * 検索インデックスが未作成・旧形式の場合のみ作成
+ */
+export async function ensureSearchIndex() {
+  if (getStorage().getMeta('search_index_version') === SEARCH_INDEX_VERSION) return null;
+  const counts = await rebuildSearchIndex();
+  console.log(`✓ Built search index: ${counts.threads} threads, ${counts.messages} messages, ${counts.artifacts} artifacts`);
+  return counts;
+}
+
+// ====================
+// 検索
+// ====================
+
+/**
+ * 検索クエリを語に分割（空白区切り、"..." で囲んだ部分は1語）
+ * @returns {string[]}
+ */
+export function parseQuery(query) {
+  const terms = [];
+  for (const match of String(query || '').matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = (match[1] ?? match[2]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 一致箇所の周辺を切り出し、一致箇所を <mark> で囲んだスニペットを作成
+ * @returns {string|null} 一致しない場合は null
+ */
+export function buildSnippet(text, terms, length = SNIPPET_LENGTH) {
+  if (!text || terms.length === 0) return null;
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const first = pattern.exec(text);
+  if (!first) return null;
+  pattern.lastIndex = 0;
+
+  const start = Math.max(0, Math.min(first.index - Math.floor(length / 3), text.length - length));
+  const end = Math.min(text.length, start + length);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+
+  let snippet = '';
+  let lastIndex = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    snippet += escapeHtml(excerpt.slice(lastIndex, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(lastIndex));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+// 本文 → タイトル → メタデータの順に、一致した項目のスニペットを返す
+function buildRowSnippet(row, terms) {
+  const field = ['body', 'title', 'meta'].find(name => buildSnippet(row[name], terms)) || 'body';
+  return { field, snippet: buildSnippet(row[field], terms) ?? escapeHtml(row[field].slice(0, SNIPPET_LENGTH)) };
+}
+
+/**
+ * 全文検索
+ * @param {object} params
+ * @param {string} params.query
+ * @param {string[]|null} params.threadIds - アクセス可能なスレッドID（Admin は null で制限なし）
+ * @param {string} params.userId - スレッドのないアーティファクトの所有者判定に使用
+ * @param {object} [params.filters] - kinds / threadId / role / model / guildId / from / to
+ * @returns {{total: number, results: object[]}}
+ */
+export function search({ query, threadIds = null, userId = null, filters = {}, limit = 20, offset = 0 }) {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return { total: 0, results: [] };
+
+  const { total, rows } = getStorage().searchDocuments({ terms, threadIds, userId, ...filters, limit, offset });
+
+  const results = rows.map(row => ({
+    kind: row.kind,
+    id: row.refId,
+    threadId: row.threadId,
+    role: row.role,
+    model: row.model,
+    guildId: row.guildId,
+    createdAt: row.createdAt,
+    title: row.title || null,
+    ...buildRowSnippet(row, terms)
+  }));
+
+  return { total, results };
+}
+
+/**
+ * 検索語に一致するアーティファクトを取得（アーティファクト一覧の絞り込み用。アクセス制御は呼び出し側で行う）
+ * @returns {Map<string, string>} アーティファクトID → スニペット
+ */
+export function findArtifactMatches(query) {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return new Map();
+
+  const { rows } = getStorage().searchDocuments({ terms, kinds: ['artifact'], limit: -1 });
+  return new Map(rows.map(row => [row.refId, buildRowSnippet(row, terms).snippet]));
+}
@@ -0,0 +1,297 @@
+// utils/sessions.js
+
+// ==================================================
+// ログインセッション（リフレッシュトークン）とアクセストークンの署名鍵
+// ==================================================
+//
+// - ログインごとにセッションを users.db に作成し、アクセストークン（JWT、sid にセッションID）とリフレッシュトークンを発行する
+//   アクセストークンは検証のたびにセッションが有効かを確認するため、セッションを失効すると即座に使えなくなる
+// - リフレッシュトークンは "<セッションID>.<乱数>" の形式で、ハッシュのみ保存する
+//   使用するたびに新しいトークンに置き換え、セッションの期限を延長する（古いトークンは使えなくなる）
+// - 署名鍵は users.db に保存し、JWT_KEY_ROTATION_DAYS ごとに新しい鍵に切り替える（JWT ヘッダーの kid で鍵を選ぶ）
+//   退役した鍵は、その鍵で署名したアクセストークンの有効期限が切れるまで検証に使う
+//   署名には鍵の材料と JWT_SECRET から HMAC で作った値を使う
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import * as auth from '../auth.js';
+import * as configs from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 最終使用日時を更新する最小間隔
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const DEVICE_MAX_LENGTH = 200;
+
+// JWT_EXPIRES_IN（'12h' など jsonwebtoken の形式）を秒に換算
+export const ACCESS_TOKEN_TTL_SECONDS = (() => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'ttl', { expiresIn: configs.JWT_EXPIRES_IN }));
+  return exp - iat;
+})();
+
+// 署名鍵のキャッシュ（新しい順。{ kid, secret, createdAt, retiredAt }）
+let signingKeys = null;
+let rotating = null;
+let lastCleanupAt = 0;
+
+// ====================
+// 署名鍵
+// ====================
+
+function deriveSecret(keyMaterial) {
+  return crypto.createHmac('sha256', configs.JWT_SECRET).update(keyMaterial).digest('hex');
+}
+
+async function loadSigningKeys() {
+  const rows = await auth.listSigningKeys();
+  signingKeys = rows.map(row => ({
+    kid: row.kid,
+    secret: deriveSecret(row.key_material),
+    createdAt: row.created_at,
+    retiredAt: row.retired_at
+  }));
+  return signingKeys;
+}
+
+/**
+ * 署名鍵を新しくする
+ * @param {object} [options]
+ * @param {boolean} [options.revokePrevious=false] - 以前の鍵で署名したアクセストークンも直ちに無効にする（鍵の漏洩時など）
+ *   セッションは失効しないため、クライアントはリフレッシュトークンで再発行できる
+ * @returns {Promise<string>} 新しい鍵の kid
+ */
+export async function rotateSigningKey({ revokePrevious = false } = {}) {
+  const createdAt = new Date().toISOString();
+  const kid = crypto.randomUUID();
+  await auth.addSigningKey({ kid, keyMaterial: crypto.randomBytes(32).toString('hex'), createdAt });
+
+  // 検証に使わなくなった鍵を削除
+  const before = revokePrevious ? createdAt : new Date(Date.now() - ACCESS_TOKEN_TTL_SECONDS * 1000).toISOString();
+  await auth.deleteRetiredSigningKeys(before);
+  await loadSigningKeys();
+  console.log(`[Session] Signing key rotated: ${kid}${revokePrevious ? ' (previous keys revoked)' : ''}`);
+  return kid;
+}
+
+// 署名に使う鍵（無い・JWT_KEY_ROTATION_DAYS を過ぎた場合は新しくする）
+async function getActiveSigningKey() {
+  const keys = signingKeys ?? await loadSigningKeys();
+  const active = keys.find(key => !key.retiredAt);
+  if (active && Date.now() - Date.parse(active.createdAt) < configs.JWT_KEY_ROTATION_DAYS * DAY_MS) {
+    return active;
+  }
+  // 同時に発行された場合も鍵の追加は1回にする
+  rotating ??= rotateSigningKey().finally(() => { rotating = null; });
+  await rotating;
+  return signingKeys.find(key => !key.retiredAt);
+}
+
+// 検証に使う鍵（退役後、アクセストークンの有効期限を過ぎた鍵は使わない）
+async function getVerificationKey(kid) {
+  const keys = signingKeys ?? await loadSigningKeys();
+  const key = keys.find(entry => entry.kid === kid);
+  if (!key) return null;
+  if (key.retiredAt && Date.now() - Date.parse(key.retiredAt) > ACCESS_TOKEN_TTL_SECONDS * 1000) {
+    return null;
+  }
+  return key;
+}
+
+// ====================
+// トークンの発行・検証
+// ====================
+
+function signAccessToken(user, sessionId, key) {
+  return jwt.sign(
+    {
+      sub: user.user_id,
+      sid: sessionId,
+      authority: user.authority,
+      remaining_credit: user.remaining_credit,
+      is_active: user.isActive
+    },
+    key.secret,
+    { expiresIn: configs.JWT_EXPIRES_IN, keyid: key.kid }
+  );
+}
+
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+function isSessionActive(session) {
+  return Boolean(session) && !session.revoked_at && session.expires_at > new Date().toISOString();
+}
+
+function isAccountSuspended(user) {
+  return user.authority === auth.Authority.STOPPED || user.authority === auth.Authority.BANNED;
+}
+
+// API で返すトークン
+function toTokenResponse(user, session, refreshToken, key) {
+  return {
+    token: signAccessToken(user, session.session_id, key),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshExpiresAt: session.expires_at,
+    sessionId: session.session_id
+  };
+}
+
+// 期限切れ・失効したセッションを削除（1時間ごと）
+function cleanupStaleSessions() {
+  if (Date.now() - lastCleanupAt < 60 * 60 * 1000) return;
+  lastCleanupAt = Date.now();
+  auth.deleteStaleSessions(new Date().toISOString())
+    .catch(error => console.error('[Session] Failed to delete stale sessions:', error.message));
+}
+
+/**
+ * ログインセッションを作成し、トークンを発行
+ * @param {object} user
+ * @param {object} [meta]
+ * @param {string} [meta.authType] - 'password' / 'group' / 'bot' / 'discord'
+ * @param {string} [meta.device] - User-Agent や Bot から指定された端末名
+ * @param {string} [meta.ip]
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, refreshExpiresAt: string, sessionId: string}>}
+ */
+export async function createSession(user, { authType = null, device = null, ip = null } = {}) {
+  if (!user || !user.user_id) {
+    throw new Error('Invalid user payload for token generation');
+  }
+
+  const key = await getActiveSigningKey();
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(sessionId);
+  const session = await auth.createSession({
+    sessionId,
+    userId: user.user_id,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    authType,
+    device: typeof device === 'string' ? device.slice(0, DEVICE_MAX_LENGTH) : null,
+    ip,
+    expiresAt: new Date(Date.now() + configs.REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS).toISOString()
+  });
+  cleanupStaleSessions();
+  return toTokenResponse(user, session, refreshToken, key);
+}
+
+/**
+ * リフレッシュトークンでアクセストークンを再発行（リフレッシュトークンも新しくし、セッションの期限を延長する）
+ * @param {string} refreshToken
+ * @param {object} [meta] - { ip }
+ * @returns {Promise<object|null>} createSession と同じ形（トークンが無効・使用済み、セッションが失効している場合は null）
+ * @throws {Error} アカウントが停止・BAN されている場合
+ */
+export async function refreshSession(refreshToken, { ip = null } = {}) {
+  if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) return null;
+
+  const session = await auth.getSession(refreshToken.split('.')[0]);
+  const hash = hashRefreshToken(refreshToken);
+  if (!isSessionActive(session)
+    || !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(session.refresh_token_hash))) {
+    return null;
+  }
+
+  const user = await auth.getUser(session.user_id);
+  if (!user || !user.isActive) return null;
+  if (isAccountSuspended(user)) {
+    throw new Error(`Account is ${user.authority.toLowerCase()}`);
+  }
+
+  const key = await getActiveSigningKey();
+  const nextRefreshToken = generateRefreshToken(session.session_id);
+  const expiresAt = new Date(Date.now() + configs.REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS).toISOString();
+  // 同じリフレッシュトークンで同時に更新された場合は先に更新した方のみ成功する
+  const rotated = await auth.rotateSessionRefreshToken(session.session_id, hash, hashRefreshToken(nextRefreshToken), expiresAt, ip);
+  if (!rotated) return null;
+
+  return toTokenResponse(user, { ...session, expires_at: expiresAt }, nextRefreshToken, key);
+}
+
+/**
+ * アクセストークンを検証（セッションが有効かも確認し、最終使用日時を更新する）
+ * @param {string} token
+ * @param {object} [meta] - { ip }
+ * @returns {Promise<{payload: object, session: object}|null>} 無効なトークン・失効したセッションの場合は null
+ */
+export async function verifyAccessToken(token, { ip = null } = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded?.header?.kid ? await getVerificationKey(decoded.header.kid) : null;
+  if (!key) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, key.secret, { algorithms: ['HS256'] });
+  } catch {
+    return null;
+  }
+
+  const session = payload.sid ? await auth.getSession(payload.sid) : null;
+  if (!isSessionActive(session) || session.user_id !== payload.sub) return null;
+
+  if (Date.now() - Date.parse(session.last_seen_at) > TOUCH_INTERVAL_MS) {
+    auth.touchSession(session.session_id, ip)
+      .catch(error => console.error('[Session] Failed to update last seen:', error.message));
+  }
+  return { payload, session };
+}
+
+// ====================
+// セッションの一覧・失効
+// ====================
+
+/**
+ * API で返す形（リフレッシュトークンのハッシュは含めない）
+ * @param {object} session
+ * @param {string|null} [currentSessionId] - リクエストに使われたセッション（current: true にする）
+ */
+export function toSessionSummary(session, currentSessionId = null) {
+  return {
+    id: session.session_id,
+    authType: session.auth_type,
+    device: session.device,
+    ip: session.ip,
+    createdAt: session.created_at,
+    lastSeenAt: session.last_seen_at,
+    expiresAt: session.expires_at,
+    current: session.session_id === currentSessionId
+  };
+}
+
+/**
+ * ユーザーの有効なセッション一覧（最近使用した順）
+ */
+export async function listSessions(userId) {
+  return auth.listActiveSessions(userId);
+}
+
+/**
+ * セッションを取得（他のユーザーのセッション・失効したセッションは null）
+ */
+export async function getUserSession(userId, sessionId) {
+  const session = await auth.getSession(sessionId);
+  return session && session.user_id === userId && isSessionActive(session) ? session : null;
+}
+
+/**
+ * セッションを失効（以降、そのセッションのアクセストークン・リフレッシュトークンは使えない）
+ * @returns {Promise<boolean>} 失効した場合 true
+ */
+export async function revokeSession(sessionId) {
+  return auth.revokeSession(sessionId);
+}
+
+/**
+ * ユーザーの全セッションを失効（全端末からのログアウト）
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string|null} [options.exceptSessionId] - 残すセッション（リクエストした端末など）
+ * @returns {Promise<number>} 失効したセッション数
+ */
+export async function revokeUserSessions(userId, { exceptSessionId = null } = {}) {
+  return auth.revokeUserSessions(userId, exceptSessionId);
+}
@@ -0,0 +1,119 @@
+// utils/storage-migration.js
+
+// ==================================================
+// 旧JSONファイル形式からSQLiteストレージへの移行
+// ==================================================
+//
+// 移行元:
+//   data/threads.json, data/thread_<id>.json
+//   data/system_prompts.json, data/response_formats.json
+//   artifacts/<id>/metadata.json
+// 移行元のファイルは削除せずに残す（バックアップとして利用可能）。
+// 一度移行すると storage_meta に記録され、以降は force 指定時のみ再実行する。
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import * as configs from './config.js';
+
+export const MIGRATION_META_KEY = 'json_migrated_at';
+
+// JSONファイルを読み込み（存在しない場合は fallback を返す）
+async function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * 旧JSONファイルのデータをSQLiteストレージへ移行
+ * @param {import('./storage.js').SqliteStorage} storage
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - 移行済みでも再実行する（既存データは上書き・追記）
+ * @returns {Promise<{skipped: boolean, threads: number, messages: number, artifacts: number, systemPrompts: number, responseFormats: number}>}
+ */
+export async function migrateJsonToSqlite(storage, { force = false } = {}) {
+  const result = { skipped: false, threads: 0, messages: 0, artifacts: 0, systemPrompts: 0, responseFormats: 0 };
+
+  if (!force && storage.getMeta(MIGRATION_META_KEY)) {
+    return { ...result, skipped: true };
+  }
+
+  // スレッド: threads.json のサマリーと thread_<id>.json の両方から収集
+  const summaries = (await readJsonFile(configs.THREADS_FILE, { threads: [] })).threads || [];
+  const summaryMap = new Map(summaries.map(summary => [summary.id, summary]));
+  const threadIds = new Set(summaryMap.keys());
+
+  const dataFiles = await fs.readdir(configs.DATA_DIR).catch(() => []);
+  for (const file of dataFiles) {
+    const match = /^thread_(.+)\.json$/.exec(file);
+    if (match) threadIds.add(match[1]);
+  }
+
+  for (const threadId of threadIds) {
+    const summary = summaryMap.get(threadId) || {};
+    const thread = await readJsonFile(path.join(configs.DATA_DIR, `thread_${threadId}.json`), null)
+      || { ...summary, messages: [] };
+
+    thread.id = thread.id || threadId;
+    thread.userId = thread.userId ?? summary.userId;
+    thread.createdAt = thread.createdAt || summary.createdAt;
+    thread.updatedAt = thread.updatedAt || summary.updatedAt;
+    if (!thread.metadata && summary.metadata) {
+      thread.metadata = summary.metadata;
+    }
+    thread.messages = (thread.messages || []).map(message => ({
+      ...message,
+      id: message.id || crypto.randomUUID()
+    }));
+
+    storage.saveThread(thread);
+    result.threads++;
+    result.messages += thread.messages.length;
+  }
+
+  // アーティファクトのメタデータ
+  const artifactDirs = await fs.readdir(configs.ARTIFACTS_DIR).catch(() => []);
+  for (const dir of artifactDirs) {
+    const metadata = await readJsonFile(path.join(configs.ARTIFACTS_DIR, dir, 'metadata.json'), null)
+      .catch(() => null);
+    if (!metadata?.id) continue;
+    storage.saveArtifact(metadata);
+    result.artifacts++;
+  }
+
+  // システムプロンプト（既に登録済みのハッシュは二重に数えない）
+  const prompts = await readJsonFile(configs.SYSTEM_PROMPTS_FILE, {});
+  for (const [hash, entry] of Object.entries(prompts)) {
+    if (storage.getSystemPrompt(hash)) continue;
+    storage.registerSystemPrompt({
+      hash,
+      content: entry.content,
+      userIds: entry.userIds ?? null,
+      createdAt: entry.createdAt,
+      usageCount: entry.usageCount || 0
+    });
+    result.systemPrompts++;
+  }
+
+  // Response Format
+  const formats = await readJsonFile(configs.RESPONSE_FORMATS_FILE, {});
+  for (const [hash, entry] of Object.entries(formats)) {
+    if (storage.getResponseFormat(hash)) continue;
+    storage.registerResponseFormat({
+      hash,
+      content: entry.content,
+      userIds: entry.userIds ?? null,
+      createdAt: entry.createdAt,
+      lastUsedAt: entry.lastUsedAt || entry.createdAt,
+      usageCount: entry.usageCount || 0
+    });
+    result.responseFormats++;
+  }
+
+  storage.setMeta(MIGRATION_META_KEY, new Date().toISOString());
+  return result;
+}
@@ -0,0 +1,1143 @@
+// utils/storage.js
+
+// ==================================================
+// スレッド・メッセージ・アーティファクト等のストレージ（SQLite実装）
+// ==================================================
+//
+// helpers.js の readThread / writeThread などはこのクラスを経由して永続化する。
+// 各テーブルは検索・並び替えに使う列と、オブジェクト全体のJSON (data) を持つ。
+// JSONで保持することで、メッセージやスレッドにフィールドが増えてもスキーマ変更が不要。
+//
+// メッセージは1行ずつ保存するため、同じスレッドへの同時リクエストでも
+// 互いのメッセージを上書きしない（saveThread はメッセージを追加・更新のみ行う）。
+
+import Database from 'better-sqlite3';
+import * as configs from './config.js';
+
+// ==================================================
+// データベース
+// ==================================================
+
+export class SqliteStorage {
+  constructor(dbPath = configs.STORAGE_DB_FILE) {
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.initDatabase();
+  }
+
+  initDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS threads (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        title TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_threads_user_id ON threads(user_id);
+      CREATE INDEX IF NOT EXISTS idx_threads_updated_at ON threads(updated_at);
+
+      CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY,
+        thread_id TEXT NOT NULL REFERENCES threads(id) ON DELETE CASCADE,
+        seq INTEGER NOT NULL,
+        role TEXT,
+        created_at TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_messages_thread_seq ON messages(thread_id, seq);
+
+      CREATE TABLE IF NOT EXISTS artifacts (
+        id TEXT PRIMARY KEY,
+        thread_id TEXT,
+        user_id TEXT,
+        filename TEXT,
+        current_version INTEGER,
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_artifacts_thread_id ON artifacts(thread_id);
+
+      -- アーティファクトとスレッドの紐づけ（多対多）。作成元のスレッド (artifacts.thread_id) も含む
+      CREATE TABLE IF NOT EXISTS artifact_threads (
+        artifact_id TEXT NOT NULL REFERENCES artifacts(id) ON DELETE CASCADE,
+        thread_id TEXT NOT NULL REFERENCES threads(id) ON DELETE CASCADE,
+        attached_by TEXT,
+        attached_at TEXT,
+        PRIMARY KEY (artifact_id, thread_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_artifact_threads_thread_id ON artifact_threads(thread_id);
+
+      CREATE TABLE IF NOT EXISTS system_prompts (
+        hash TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        created_at TEXT,
+        usage_count INTEGER DEFAULT 0,
+        user_ids TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS response_formats (
+        hash TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        created_at TEXT,
+        last_used_at TEXT,
+        usage_count INTEGER DEFAULT 0,
+        user_ids TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS mcp_servers (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        thread_id TEXT,
+        enabled INTEGER DEFAULT 1,
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_mcp_servers_thread_id ON mcp_servers(thread_id);
+
+      CREATE TABLE IF NOT EXISTS storage_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS search_documents (
+        id INTEGER PRIMARY KEY,
+        doc_key TEXT NOT NULL UNIQUE,
+        kind TEXT NOT NULL,
+        ref_id TEXT NOT NULL,
+        thread_id TEXT,
+        user_id TEXT,
+        guild_id TEXT,
+        role TEXT,
+        model TEXT,
+        created_at TEXT,
+        title TEXT,
+        body TEXT,
+        meta TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_search_documents_thread_id ON search_documents(thread_id);
+      CREATE INDEX IF NOT EXISTS idx_search_documents_created_at ON search_documents(created_at);
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS search_fts USING fts5(
+        title, body, meta,
+        content = 'search_documents',
+        content_rowid = 'id',
+        tokenize = 'trigram'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS search_documents_ai AFTER INSERT ON search_documents BEGIN
+        INSERT INTO search_fts (rowid, title, body, meta) VALUES (new.id, new.title, new.body, new.meta);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS search_documents_ad AFTER DELETE ON search_documents BEGIN
+        INSERT INTO search_fts (search_fts, rowid, title, body, meta) VALUES ('delete', old.id, old.title, old.body, old.meta);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS search_documents_au AFTER UPDATE ON search_documents BEGIN
+        INSERT INTO search_fts (search_fts, rowid, title, body, meta) VALUES ('delete', old.id, old.title, old.body, old.meta);
+        INSERT INTO search_fts (rowid, title, body, meta) VALUES (new.id, new.title, new.body, new.meta);
+      END;
+
+      CREATE TABLE IF NOT EXISTS artifact_embeddings (
+        artifact_id TEXT PRIMARY KEY,
+        version INTEGER NOT NULL,
+        embedder TEXT NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        indexed_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS artifact_chunks (
+        artifact_id TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        start_line INTEGER NOT NULL,
+        end_line INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        embedding BLOB NOT NULL,
+        PRIMARY KEY (artifact_id, chunk_index)
+      );
+
+      CREATE TABLE IF NOT EXISTS thread_shares (
+        token TEXT PRIMARY KEY,
+        thread_id TEXT NOT NULL REFERENCES threads(id) ON DELETE CASCADE,
+        created_by TEXT,
+        include_artifacts INTEGER NOT NULL DEFAULT 0,
+        expires_at TEXT,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_thread_shares_thread_id ON thread_shares(thread_id);
+
+      -- プロンプトライブラリ（各バージョンの本文は system_prompts のハッシュで参照）
+      CREATE TABLE IF NOT EXISTS library_prompts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        name TEXT NOT NULL,
+        visibility TEXT NOT NULL DEFAULT 'private',
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_library_prompts_user_id ON library_prompts(user_id);
+
+      -- Response Format ライブラリ（各バージョンのスキーマは response_formats のハッシュで参照）
+      CREATE TABLE IF NOT EXISTS library_response_formats (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        name TEXT NOT NULL,
+        visibility TEXT NOT NULL DEFAULT 'private',
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_library_response_formats_user_id ON library_response_formats(user_id);
+
+      -- バックグラウンドジョブ（応答生成など。サーバーを再起動しても続きから処理する）
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        user_id TEXT,
+        thread_id TEXT,
+        status TEXT NOT NULL,
+        run_after TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs(status, run_after);
+      CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id);
+      CREATE INDEX IF NOT EXISTS idx_jobs_thread_id ON jobs(thread_id);
+    `);
+
+    // 紐づけテーブル追加前のアーティファクトは作成元のスレッドに紐づける
+    if (!this.getMeta('artifact_threads_migrated')) {
+      this.db.prepare(`
+        INSERT OR IGNORE INTO artifact_threads (artifact_id, thread_id, attached_by, attached_at)
+        SELECT id, thread_id, user_id, created_at FROM artifacts
+        WHERE thread_id IS NOT NULL AND thread_id IN (SELECT id FROM threads)
+      `).run();
+      this.setMeta('artifact_threads_migrated', '1');
+    }
+  }
+
+  // ====================
+  // メタ情報（移行済みフラグなど）
+  // ====================
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM storage_meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare(`
+      INSERT INTO storage_meta (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(key, value);
+  }
+
+  // ====================
+  // スレッド
+  // ====================
+
+  /**
+   * スレッドサマリー一覧を取得（旧 threads.json の threads 配列と同じ形）
+   * @param {object} [options]
+   * @param {string} [options.userId] - 指定した場合はそのユーザーのスレッドのみ
+   */
+  listThreadSummaries({ userId = null } = {}) {
+    const rows = userId
+      ? this.db.prepare('SELECT data FROM threads WHERE user_id = ? ORDER BY created_at').all(userId)
+      : this.db.prepare('SELECT data FROM threads ORDER BY created_at').all();
+
+    return rows.map(row => {
+      const thread = JSON.parse(row.data);
+      const summary = {
+        id: thread.id,
+        title: thread.title,
+        userId: thread.userId,
+        createdAt: thread.createdAt,
+        updatedAt: thread.updatedAt,
+        artifactIds: thread.artifactIds || []
+      };
+      if (thread.metadata) {
+        summary.metadata = thread.metadata;
+      }
+      return summary;
+    });
+  }
+
+  /**
+   * スレッドをメッセージ付きで取得（存在しない場合は null）
+   */
+  getThread(threadId) {
+    const row = this.db.prepare('SELECT data FROM threads WHERE id = ?').get(threadId);
+    if (!row) return null;
+
+    const thread = JSON.parse(row.data);
+    thread.messages = this.getMessages(threadId);
+    return thread;
+  }
+
+  /**
+   * スレッドのメッセージを保存順に取得
+   */
+  getMessages(threadId) {
+    return this.db.prepare('SELECT data FROM messages WHERE thread_id = ? ORDER BY seq')
+      .all(threadId)
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * スレッドを保存（新規作成・更新）
+   * thread.messages に含まれるメッセージは追加・更新されるが、含まれないメッセージは削除しない
+   */
+  saveThread(thread) {
+    const { messages = [], ...threadData } = thread;
+
+    const save = this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO threads (id, user_id, title, created_at, updated_at, data)
+        VALUES (@id, @userId, @title, @createdAt, @updatedAt, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          user_id = excluded.user_id,
+          title = excluded.title,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `).run({
+        id: threadData.id,
+        userId: threadData.userId ?? null,
+        title: threadData.title ?? null,
+        createdAt: threadData.createdAt ?? null,
+        updatedAt: threadData.updatedAt ?? null,
+        data: JSON.stringify(threadData)
+      });
+
+      for (const message of messages) {
+        this.saveMessage(threadData.id, message);
+      }
+    });
+
+    save();
+  }
+
+  /**
+   * メッセージを1件保存（新規の場合は末尾に追加、既存の場合は内容のみ更新）
+   */
+  saveMessage(threadId, message) {
+    this.db.prepare(`
+      INSERT INTO messages (id, thread_id, seq, role, created_at, data)
+      VALUES (
+        @id,
+        @threadId,
+        (SELECT COALESCE(MAX(seq), 0) + 1 FROM messages WHERE thread_id = @threadId),
+        @role,
+        @createdAt,
+        @data
+      )
+      ON CONFLICT(id) DO UPDATE SET
+        role = excluded.role,
+        data = excluded.data
+    `).run({
+      id: message.id,
+      threadId,
+      role: message.role ?? null,
+      createdAt: message.timestamp ?? null,
+      data: JSON.stringify(message)
+    });
+  }
+
+  /**
+   * メッセージを削除
+   * @returns {number} 削除件数
+   */
+  deleteMessages(threadId, messageIds = []) {
+    const stmt = this.db.prepare('DELETE FROM messages WHERE thread_id = ? AND id = ?');
+    const removeDocument = this.db.prepare('DELETE FROM search_documents WHERE doc_key = ?');
+    const remove = this.db.transaction(() => messageIds.reduce((count, messageId) => {
+      removeDocument.run(`message:${messageId}`);
+      return count + stmt.run(threadId, messageId).changes;
+    }, 0));
+    return remove();
+  }
+
+  /**
+   * スレッドをメッセージごと削除
+   * @returns {boolean} 削除したかどうか
+   */
+  deleteThread(threadId) {
+    const remove = this.db.transaction(() => {
+      // アーティファクトはスレッド削除後も残るため、検索インデックスからも削除しない
+      this.db.prepare("DELETE FROM search_documents WHERE thread_id = ? AND kind != 'artifact'").run(threadId);
+      return this.db.prepare('DELETE FROM threads WHERE id = ?').run(threadId).changes > 0;
+    });
+    return remove();
+  }
+
+  // ====================
+  // アーティファクト（メタデータのみ。ファイル本体は artifacts/<id>/ に保存）
+  // ====================
+
+  /**
+   * アーティファクトのメタデータを取得（存在しない場合は null）
+   * threadIds には紐づいている全スレッドのID（作成元のスレッドを含む）が入る
+   */
+  getArtifact(artifactId) {
+    const row = this.db.prepare('SELECT data FROM artifacts WHERE id = ?').get(artifactId);
+    return row ? this.withArtifactThreadIds(JSON.parse(row.data)) : null;
+  }
+
+  /**
+   * アーティファクトのメタデータ一覧を取得
+   * @param {object} [options]
+   * @param {string} [options.threadId] - 指定した場合はそのスレッドに紐づくアーティファクトのみ（他のスレッドから添付されたものを含む）
+   */
+  listArtifacts({ threadId = null } = {}) {
+    const rows = threadId
+      ? this.db.prepare(`
+          SELECT data FROM artifacts
+          WHERE thread_id = ? OR id IN (SELECT artifact_id FROM artifact_threads WHERE thread_id = ?)
+          ORDER BY created_at
+        `).all(threadId, threadId)
+      : this.db.prepare('SELECT data FROM artifacts ORDER BY created_at').all();
+    return rows.map(row => this.withArtifactThreadIds(JSON.parse(row.data)));
+  }
+
+  // 紐づいているスレッドのIDを threadIds として付与
+  withArtifactThreadIds(metadata) {
+    const threadIds = this.db.prepare('SELECT thread_id FROM artifact_threads WHERE artifact_id = ? ORDER BY attached_at')
+      .all(metadata.id)
+      .map(row => row.thread_id);
+    return { ...metadata, threadIds };
+  }
+
+  /**
+   * アーティファクトのメタデータを保存（新規作成・更新）
+   * 作成元のスレッドが存在する場合は、そのスレッドへの紐づけも追加する
+   */
+  saveArtifact(metadata) {
+    // 紐づけは artifact_threads で管理するため、JSON には保存しない
+    const { threadIds, ...data } = metadata;
+
+    const save = this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO artifacts (id, thread_id, user_id, filename, current_version, created_at, updated_at, data)
+        VALUES (@id, @threadId, @userId, @filename, @currentVersion, @createdAt, @updatedAt, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          thread_id = excluded.thread_id,
+          user_id = excluded.user_id,
+          filename = excluded.filename,
+          current_version = excluded.current_version,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `).run({
+        id: data.id,
+        threadId: data.threadId ?? null,
+        userId: data.userId ?? null,
+        filename: data.filename ?? null,
+        currentVersion: data.currentVersion ?? null,
+        createdAt: data.createdAt ?? null,
+        updatedAt: data.updatedAt ?? null,
+        data: JSON.stringify(data)
+      });
+
+      if (data.threadId) {
+        this.attachArtifact(data.id, data.threadId, { userId: data.userId ?? null, attachedAt: data.createdAt ?? null });
+      }
+    });
+    save();
+  }
+
+  /**
+   * アーティファクトをスレッドに紐づける（既に紐づいている・スレッドが存在しない場合は何もしない）
+   * @returns {boolean} 紐づけを追加したかどうか
+   */
+  attachArtifact(artifactId, threadId, { userId = null, attachedAt = new Date().toISOString() } = {}) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO artifact_threads (artifact_id, thread_id, attached_by, attached_at)
+      SELECT ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM threads WHERE id = ?)
+    `).run(artifactId, threadId, userId, attachedAt, threadId).changes > 0;
+  }
+
+  /**
+   * アーティファクトとスレッドの紐づけを解除
+   * @returns {boolean} 解除したかどうか
+   */
+  detachArtifact(artifactId, threadId) {
+    return this.db.prepare('DELETE FROM artifact_threads WHERE artifact_id = ? AND thread_id = ?')
+      .run(artifactId, threadId).changes > 0;
+  }
+
+  /**
+   * アーティファクトのメタデータを削除
+   * @returns {boolean} 削除したかどうか
+   */
+  deleteArtifact(artifactId) {
+    this.db.prepare('DELETE FROM search_documents WHERE doc_key = ?').run(`artifact:${artifactId}`);
+    this.deleteArtifactChunks(artifactId);
+    return this.db.prepare('DELETE FROM artifacts WHERE id = ?').run(artifactId).changes > 0;
+  }
+
+  // ====================
+  // 埋め込みベクトル（RAG。チャンクごとに Float32 の BLOB で保存）
+  // ====================
+
+  /**
+   * アーティファクトの埋め込みの状態（どのバージョンをどの埋め込み方法で作成したか）
+   * @returns {{artifactId: string, version: number, embedder: string, chunkCount: number, indexedAt: string}|null}
+   */
+  getArtifactEmbeddingState(artifactId) {
+    const row = this.db.prepare('SELECT * FROM artifact_embeddings WHERE artifact_id = ?').get(artifactId);
+    return row
+      ? { artifactId: row.artifact_id, version: row.version, embedder: row.embedder, chunkCount: row.chunk_count, indexedAt: row.indexed_at }
+      : null;
+  }
+
+  /**
+   * アーティファクトのチャンクと埋め込みを置き換える
+   * @param {string} artifactId
+   * @param {object} params
+   * @param {number} params.version
+   * @param {string} params.embedder - 埋め込み方法のID（異なる方法のベクトルは比較しない）
+   * @param {{startLine: number, endLine: number, text: string, embedding: Float32Array}[]} params.chunks
+   */
+  replaceArtifactChunks(artifactId, { version, embedder, chunks }) {
+    const insert = this.db.prepare(`
+      INSERT INTO artifact_chunks (artifact_id, chunk_index, start_line, end_line, text, embedding)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const replace = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM artifact_chunks WHERE artifact_id = ?').run(artifactId);
+      chunks.forEach((chunk, index) => {
+        const embedding = Buffer.from(chunk.embedding.buffer, chunk.embedding.byteOffset, chunk.embedding.byteLength);
+        insert.run(artifactId, index, chunk.startLine, chunk.endLine, chunk.text, embedding);
+      });
+      this.db.prepare(`
+        INSERT INTO artifact_embeddings (artifact_id, version, embedder, chunk_count, indexed_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(artifact_id) DO UPDATE SET
+          version = excluded.version,
+          embedder = excluded.embedder,
+          chunk_count = excluded.chunk_count,
+          indexed_at = excluded.indexed_at
+      `).run(artifactId, version, embedder, chunks.length, new Date().toISOString());
+    });
+    replace();
+  }
+
+  /**
+   * 指定したアーティファクトのチャンクを取得（指定の埋め込み方法で作成したもののみ）
+   * @returns {{artifactId: string, chunkIndex: number, version: number, startLine: number, endLine: number, text: string, embedding: Float32Array}[]}
+   */
+  listArtifactChunks(artifactIds, embedder) {
+    if (artifactIds.length === 0) return [];
+    const placeholders = artifactIds.map(() => '?').join(', ');
+    const rows = this.db.prepare(`
+      SELECT c.*, e.version FROM artifact_chunks c
+      JOIN artifact_embeddings e ON e.artifact_id = c.artifact_id
+      WHERE c.artifact_id IN (${placeholders}) AND e.embedder = ?
+      ORDER BY c.artifact_id, c.chunk_index
+    `).all(...artifactIds, embedder);
+    return rows.map(row => ({
+      artifactId: row.artifact_id,
+      chunkIndex: row.chunk_index,
+      version: row.version,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      text: row.text,
+      embedding: new Float32Array(row.embedding.buffer.slice(row.embedding.byteOffset, row.embedding.byteOffset + row.embedding.byteLength))
+    }));
+  }
+
+  deleteArtifactChunks(artifactId) {
+    this.db.prepare('DELETE FROM artifact_chunks WHERE artifact_id = ?').run(artifactId);
+    this.db.prepare('DELETE FROM artifact_embeddings WHERE artifact_id = ?').run(artifactId);
+  }
+
+  // ====================
+  // 全文検索インデックス（FTS5 trigram。日本語も部分一致で検索可能）
+  // ====================
+
+  /**
+   * 検索ドキュメントを追加・更新（内容が変わっていないドキュメントは再インデックスしない）
+   * @param {object[]} documents - utils/search.js が構築するドキュメント
+   */
+  saveSearchDocuments(documents = []) {
+    const stmt = this.db.prepare(`
+      INSERT INTO search_documents (doc_key, kind, ref_id, thread_id, user_id, guild_id, role, model, created_at, title, body, meta)
+      VALUES (@docKey, @kind, @refId, @threadId, @userId, @guildId, @role, @model, @createdAt, @title, @body, @meta)
+      ON CONFLICT(doc_key) DO UPDATE SET
+        thread_id = excluded.thread_id,
+        user_id = excluded.user_id,
+        guild_id = excluded.guild_id,
+        role = excluded.role,
+        model = excluded.model,
+        created_at = excluded.created_at,
+        title = excluded.title,
+        body = excluded.body,
+        meta = excluded.meta
+      WHERE thread_id IS NOT excluded.thread_id
+        OR user_id IS NOT excluded.user_id
+        OR guild_id IS NOT excluded.guild_id
+        OR role IS NOT excluded.role
+        OR model IS NOT excluded.model
+        OR created_at IS NOT excluded.created_at
+        OR title IS NOT excluded.title
+        OR body IS NOT excluded.body
+        OR meta IS NOT excluded.meta
+    `);
+    const save = this.db.transaction(() => {
+      for (const document of documents) {
+        stmt.run({
+          docKey: `${document.kind}:${document.refId}`,
+          kind: document.kind,
+          refId: document.refId,
+          threadId: document.threadId ?? null,
+          userId: document.userId ?? null,
+          guildId: document.guildId ?? null,
+          role: document.role ?? null,
+          model: document.model ?? null,
+          createdAt: document.createdAt ?? null,
+          title: document.title ?? '',
+          body: document.body ?? '',
+          meta: document.meta ?? ''
+        });
+      }
+    });
+    save();
+  }
+
+  /**
+   * 検索インデックスを全て削除（再構築用）
+   */
+  clearSearchDocuments() {
+    this.db.prepare('DELETE FROM search_documents').run();
+    this.db.prepare("INSERT INTO search_fts (search_fts) VALUES ('rebuild')").run();
+  }
+
+  /**
+   * 検索ドキュメントを検索
+   * 3文字以上の語は FTS5 (trigram) で、3文字未満の語は LIKE で絞り込む（すべての語を含むものが対象）
+   * @param {object} options
+   * @param {string[]} options.terms - 検索語
+   * @param {string[]} [options.kinds] - 'thread' | 'message' | 'artifact'
+   * @param {string[]|null} [options.threadIds] - アクセス可能なスレッドID（null の場合は制限なし）
+   * @param {string} [options.userId] - threadIds 指定時、スレッドのないアーティファクトはこのユーザーのもののみ
+   * @returns {{total: number, rows: object[]}}
+   */
+  searchDocuments({ terms, kinds = null, threadIds = null, userId = null, threadId = null, role = null, model = null, guildId = null, from = null, to = null, limit = 20, offset = 0 }) {
+    const ftsTerms = terms.filter(term => [...term].length >= 3);
+    const likeTerms = terms.filter(term => [...term].length < 3);
+
+    const conditions = [];
+    const params = [];
+    if (ftsTerms.length > 0) {
+      conditions.push('search_fts MATCH ?');
+      params.push(ftsTerms.map(term => `"${term.replaceAll('"', '""')}"`).join(' AND '));
+    }
+    for (const term of likeTerms) {
+      conditions.push("(d.title LIKE ? ESCAPE '\\' OR d.body LIKE ? ESCAPE '\\' OR d.meta LIKE ? ESCAPE '\\')");
+      const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+      params.push(pattern, pattern, pattern);
+    }
+    if (kinds?.length) {
+      conditions.push(`d.kind IN (${kinds.map(() => '?').join(', ')})`);
+      params.push(...kinds);
+    }
+    if (threadIds) {
+      conditions.push(`(
+        d.thread_id IN (SELECT value FROM json_each(?))
+        OR (d.kind = 'artifact' AND d.ref_id IN (
+          SELECT artifact_id FROM artifact_threads WHERE thread_id IN (SELECT value FROM json_each(?))
+        ))
+        OR (d.kind = 'artifact' AND d.user_id = ? AND NOT EXISTS (
+          SELECT 1 FROM artifact_threads WHERE artifact_id = d.ref_id
+        ))
+      )`);
+      params.push(JSON.stringify(threadIds), JSON.stringify(threadIds), userId);
+    }
+    const filters = { thread_id: threadId, role, model, guild_id: guildId };
+    for (const [column, value] of Object.entries(filters)) {
+      if (value) {
+        conditions.push(`d.${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (from) {
+      conditions.push('d.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('d.created_at <= ?');
+      params.push(to);
+    }
+
+    const source = ftsTerms.length > 0
+      ? 'search_fts JOIN search_documents d ON d.id = search_fts.rowid'
+      : 'search_documents d';
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    // タイトル・ファイル名の一致を本文より優先する
+    const order = ftsTerms.length > 0
+      ? 'ORDER BY bm25(search_fts, 5.0, 1.0, 2.0), d.created_at DESC'
+      : 'ORDER BY d.created_at DESC';
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM ${source} ${where}`).get(...params).count;
+    const rows = this.db.prepare(`
+      SELECT d.kind, d.ref_id, d.thread_id, d.user_id, d.guild_id, d.role, d.model, d.created_at, d.title, d.body, d.meta
+      FROM ${source} ${where} ${order}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      total,
+      rows: rows.map(row => ({
+        kind: row.kind,
+        refId: row.ref_id,
+        threadId: row.thread_id,
+        userId: row.user_id,
+        guildId: row.guild_id,
+        role: row.role,
+        model: row.model,
+        createdAt: row.created_at,
+        title: row.title,
+        body: row.body,
+        meta: row.meta
+      }))
+    };
+  }
+
+  // ====================
+  // システムプロンプト / Response Format（ハッシュでバージョン管理）
+  // ====================
+
+  getSystemPrompt(hash) {
+    const row = this.db.prepare('SELECT * FROM system_prompts WHERE hash = ?').get(hash);
+    if (!row) return null;
+    return {
+      hash: row.hash,
+      content: row.content,
+      createdAt: row.created_at,
+      usageCount: row.usage_count,
+      ...(row.user_ids ? { userIds: JSON.parse(row.user_ids) } : {})
+    };
+  }
+
+  /**
+   * システムプロンプトを登録し、使用回数と登録者を更新
+   */
+  registerSystemPrompt({ hash, content, userId = null, userIds = null, createdAt = new Date().toISOString(), usageCount = 1 }) {
+    const register = this.db.transaction(() => {
+      const existing = this.getSystemPrompt(hash);
+      if (existing) {
+        this.db.prepare('UPDATE system_prompts SET usage_count = ?, user_ids = ? WHERE hash = ?')
+          .run(existing.usageCount + usageCount, mergeUserIds(existing.userIds, userId), hash);
+      } else {
+        this.db.prepare(`
+          INSERT INTO system_prompts (hash, content, created_at, usage_count, user_ids)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(hash, content, createdAt, usageCount, mergeUserIds(userIds, userId));
+      }
+      return this.getSystemPrompt(hash);
+    });
+    return register();
+  }
+
+  getResponseFormat(hash) {
+    const row = this.db.prepare('SELECT * FROM response_formats WHERE hash = ?').get(hash);
+    if (!row) return null;
+    return {
+      content: JSON.parse(row.content),
+      hash: row.hash,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      usageCount: row.usage_count,
+      ...(row.user_ids ? { userIds: JSON.parse(row.user_ids) } : {})
+    };
+  }
+
+  /**
+   * Response Formatを登録し、使用回数・最終使用日時と登録者を更新
+   */
+  registerResponseFormat({ hash, content, userId = null, userIds = null, createdAt = new Date().toISOString(), lastUsedAt = createdAt, usageCount = 1 }) {
+    const register = this.db.transaction(() => {
+      const existing = this.getResponseFormat(hash);
+      if (existing) {
+        this.db.prepare('UPDATE response_formats SET usage_count = ?, last_used_at = ?, user_ids = ? WHERE hash = ?')
+          .run(existing.usageCount + usageCount, lastUsedAt, mergeUserIds(existing.userIds, userId), hash);
+      } else {
+        this.db.prepare(`
+          INSERT INTO response_formats (hash, content, created_at, last_used_at, usage_count, user_ids)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(hash, JSON.stringify(content), createdAt, lastUsedAt, usageCount, mergeUserIds(userIds, userId));
+      }
+      return this.getResponseFormat(hash);
+    });
+    return register();
+  }
+
+  // ====================
+  // プロンプトライブラリ
+  // ====================
+
+  getLibraryPrompt(promptId) {
+    const row = this.db.prepare('SELECT data FROM library_prompts WHERE id = ?').get(promptId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * プロンプト一覧を名前順に取得
+   * @param {object} [options]
+   * @param {string} [options.userId] - 指定した場合はそのユーザーのプロンプトと公開プロンプトのみ
+   */
+  listLibraryPrompts({ userId = null } = {}) {
+    const rows = userId
+      ? this.db.prepare("SELECT data FROM library_prompts WHERE user_id = ? OR visibility = 'public' ORDER BY name COLLATE NOCASE").all(userId)
+      : this.db.prepare('SELECT data FROM library_prompts ORDER BY name COLLATE NOCASE').all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  saveLibraryPrompt(prompt) {
+    this.db.prepare(`
+      INSERT INTO library_prompts (id, user_id, name, visibility, created_at, updated_at, data)
+      VALUES (@id, @userId, @name, @visibility, @createdAt, @updatedAt, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        visibility = excluded.visibility,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `).run({
+      id: prompt.id,
+      userId: prompt.userId ?? null,
+      name: prompt.name,
+      visibility: prompt.visibility,
+      createdAt: prompt.createdAt ?? null,
+      updatedAt: prompt.updatedAt ?? null,
+      data: JSON.stringify(prompt)
+    });
+  }
+
+  deleteLibraryPrompt(promptId) {
+    return this.db.prepare('DELETE FROM library_prompts WHERE id = ?').run(promptId).changes > 0;
+  }
+
+  // ====================
+  // Response Format ライブラリ
+  // ====================
+
+  getLibraryResponseFormat(formatId) {
+    const row = this.db.prepare('SELECT data FROM library_response_formats WHERE id = ?').get(formatId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Response Format 一覧を名前順に取得
+   * @param {object} [options]
+   * @param {string} [options.userId] - 指定した場合はそのユーザーの Response Format と公開 Response Format のみ
+   */
+  listLibraryResponseFormats({ userId = null } = {}) {
+    const rows = userId
+      ? this.db.prepare("SELECT data FROM library_response_formats WHERE user_id = ? OR visibility = 'public' ORDER BY name COLLATE NOCASE").all(userId)
+      : this.db.prepare('SELECT data FROM library_response_formats ORDER BY name COLLATE NOCASE').all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  saveLibraryResponseFormat(format) {
+    this.db.prepare(`
+      INSERT INTO library_response_formats (id, user_id, name, visibility, created_at, updated_at, data)
+      VALUES (@id, @userId, @name, @visibility, @createdAt, @updatedAt, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        visibility = excluded.visibility,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `).run({
+      id: format.id,
+      userId: format.userId ?? null,
+      name: format.name,
+      visibility: format.visibility,
+      createdAt: format.createdAt ?? null,
+      updatedAt: format.updatedAt ?? null,
+      data: JSON.stringify(format)
+    });
+  }
+
+  deleteLibraryResponseFormat(formatId) {
+    return this.db.prepare('DELETE FROM library_response_formats WHERE id = ?').run(formatId).changes > 0;
+  }
+
+  // ====================
+  // スレッドの共有リンク（token を知っていれば認証なしで閲覧できる）
+  // ====================
+
+  /**
+   * 共有リンクを作成
+   * @returns {object} 作成した共有リンク
+   */
+  createThreadShare({ token, threadId, createdBy = null, includeArtifacts = false, expiresAt = null, createdAt = new Date().toISOString() }) {
+    this.db.prepare(`
+      INSERT INTO thread_shares (token, thread_id, created_by, include_artifacts, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(token, threadId, createdBy, includeArtifacts ? 1 : 0, expiresAt, createdAt);
+    return this.getThreadShare(token);
+  }
+
+  /**
+   * 共有リンクを取得（取り消し・期限切れも含む。存在しない場合は null）
+   */
+  getThreadShare(token) {
+    const row = this.db.prepare('SELECT * FROM thread_shares WHERE token = ?').get(token);
+    return row ? toThreadShare(row) : null;
+  }
+
+  /**
+   * スレッドの共有リンク一覧（新しい順）
+   */
+  listThreadShares(threadId) {
+    return this.db.prepare('SELECT * FROM thread_shares WHERE thread_id = ? ORDER BY created_at DESC')
+      .all(threadId)
+      .map(toThreadShare);
+  }
+
+  /**
+   * 共有リンクを取り消す
+   * @returns {boolean} 取り消したかどうか（既に取り消し済みの場合は false）
+   */
+  revokeThreadShare(token, revokedAt = new Date().toISOString()) {
+    return this.db.prepare('UPDATE thread_shares SET revoked_at = ? WHERE token = ? AND revoked_at IS NULL')
+      .run(revokedAt, token).changes > 0;
+  }
+
+  // ====================
+  // バックグラウンドジョブ
+  // ====================
+
+  getJob(jobId) {
+    const row = this.db.prepare('SELECT data FROM jobs WHERE id = ?').get(jobId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * ジョブ一覧を新しい順に取得
+   * @param {object} [options]
+   * @param {string} [options.userId]
+   * @param {string} [options.threadId]
+   * @param {string[]} [options.statuses]
+   * @param {number} [options.limit=50]
+   */
+  listJobs({ userId = null, threadId = null, statuses = null, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (userId) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+    if (threadId) {
+      conditions.push('thread_id = ?');
+      params.push(threadId);
+    }
+    if (statuses?.length) {
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`SELECT data FROM jobs ${where} ORDER BY created_at DESC LIMIT ?`).all(...params, limit);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  saveJob(job) {
+    this.db.prepare(`
+      INSERT INTO jobs (id, type, user_id, thread_id, status, run_after, created_at, updated_at, data)
+      VALUES (@id, @type, @userId, @threadId, @status, @runAfter, @createdAt, @updatedAt, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        status = excluded.status,
+        run_after = excluded.run_after,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `).run({
+      id: job.id,
+      type: job.type,
+      userId: job.userId ?? null,
+      threadId: job.threadId ?? null,
+      status: job.status,
+      runAfter: job.runAfter,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      data: JSON.stringify(job)
+    });
+  }
+
+  /**
+   * 実行可能な待機中のジョブを 1 件取り出し、実行中にする（なければ null）
+   * 同じスレッドのジョブは同時に実行しない（スレッドの保存が競合しないよう、作成順に 1 件ずつ）
+   * @param {string} now - ISO 8601 形式の現在時刻
+   */
+  claimNextJob(now = new Date().toISOString()) {
+    const claim = this.db.transaction(() => {
+      const row = this.db.prepare(`
+        SELECT data FROM jobs
+        WHERE status = 'queued' AND run_after <= ?
+          AND (thread_id IS NULL OR thread_id NOT IN (
+            SELECT thread_id FROM jobs WHERE status = 'running' AND thread_id IS NOT NULL
+          ))
+        ORDER BY run_after, created_at LIMIT 1
+      `).get(now);
+      if (!row) return null;
+      const job = JSON.parse(row.data);
+      job.status = 'running';
+      job.attempts += 1;
+      job.startedAt = now;
+      job.updatedAt = now;
+      this.saveJob(job);
+      return job;
+    });
+    return claim();
+  }
+
+  /**
+   * 実行中のまま残ったジョブ（サーバーの停止で中断されたもの）を待機中に戻す
+   * 試行回数が上限に達したもの・副作用の開始を記録したもの（sideEffectsStarted）は再実行せずに失敗にする
+   * @returns {{requeued: number, failed: number}} 戻した件数と失敗にした件数
+   */
+  requeueRunningJobs(now = new Date().toISOString()) {
+    const requeue = this.db.transaction(() => {
+      const rows = this.db.prepare("SELECT data FROM jobs WHERE status = 'running'").all();
+      const counts = { requeued: 0, failed: 0 };
+      for (const row of rows) {
+        const job = JSON.parse(row.data);
+        job.updatedAt = now;
+        if (job.sideEffectsStarted || job.attempts >= job.maxAttempts) {
+          job.status = 'failed';
+          job.finishedAt = now;
+          job.error = {
+            message: job.sideEffectsStarted
+              ? 'Job was interrupted by a server restart after it had started'
+              : 'Job was interrupted by a server restart and has no attempts left'
+          };
+          counts.failed++;
+        } else {
+          job.status = 'queued';
+          job.runAfter = now;
+          counts.requeued++;
+        }
+        this.saveJob(job);
+      }
+      return counts;
+    });
+    return requeue();
+  }
+
+  /**
+   * 終了したジョブ（成功・失敗・キャンセル）のうち、指定日時より前に更新されたものを削除
+   * @returns {number} 削除した件数
+   */
+  deleteFinishedJobs(before) {
+    return this.db.prepare("DELETE FROM jobs WHERE status IN ('succeeded', 'failed', 'cancelled') AND updated_at < ?")
+      .run(before).changes;
+  }
+
+  // ====================
+  // MCPサーバー登録（threadId が null の場合はデプロイ全体で有効）
+  // ====================
+
+  getMcpServer(serverId) {
+    const row = this.db.prepare('SELECT data FROM mcp_servers WHERE id = ?').get(serverId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * MCPサーバー一覧を取得
+   * @param {object} [options]
+   * @param {string} [options.threadId] - 指定した場合は全体共通とそのスレッド用のサーバーのみ
+   * @param {boolean} [options.enabledOnly=false] - 有効なサーバーのみ
+   */
+  listMcpServers({ threadId = null, enabledOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+    if (threadId) {
+      conditions.push('(thread_id IS NULL OR thread_id = ?)');
+      params.push(threadId);
+    }
+    if (enabledOnly) {
+      conditions.push('enabled = 1');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`SELECT data FROM mcp_servers ${where} ORDER BY created_at`).all(...params);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  saveMcpServer(server) {
+    this.db.prepare(`
+      INSERT INTO mcp_servers (id, name, thread_id, enabled, created_at, updated_at, data)
+      VALUES (@id, @name, @threadId, @enabled, @createdAt, @updatedAt, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        thread_id = excluded.thread_id,
+        enabled = excluded.enabled,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `).run({
+      id: server.id,
+      name: server.name,
+      threadId: server.threadId ?? null,
+      enabled: server.enabled === false ? 0 : 1,
+      createdAt: server.createdAt ?? null,
+      updatedAt: server.updatedAt ?? null,
+      data: JSON.stringify(server)
+    });
+  }
+
+  /**
+   * @returns {boolean} 削除したかどうか
+   */
+  deleteMcpServer(serverId) {
+    return this.db.prepare('DELETE FROM mcp_servers WHERE id = ?').run(serverId).changes > 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function toThreadShare(row) {
+  return {
+    token: row.token,
+    threadId: row.thread_id,
+    createdBy: row.created_by,
+    includeArtifacts: row.include_artifacts === 1,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+// 登録者リストにユーザーIDを追加してJSON文字列で返す（登録者不明かつ userId もない場合は null）
+function mergeUserIds(userIds, userId) {
+  if (!userIds) return userId ? JSON.stringify([userId]) : null;
+  if (userId && !userIds.includes(userId)) {
+    userIds = [...userIds, userId];
+  }
+  return JSON.stringify(userIds);
+}
+
+// シングルトンインスタンス
+let storageInstance = null;
+
+export function getStorage(dbPath) {
+  if (!storageInstance) {
+    storageInstance = new SqliteStorage(dbPath);
+  }
+  return storageInstance;
+}
@@ -0,0 +1,150 @@
+// utils/structured-output.js
+
+// ==================================================
+// 構造化出力（Response Format の JSON Schema）の検証と修復
+// ==================================================
+//
+// - strict でない JSON Schema の応答はモデルがスキーマに従わないことがあるため、
+//   応答テキストを JSON として解析し、サーバー側でスキーマを検証する
+// - 検証に失敗した場合は、エラー内容を伝えて修正した JSON を出力させる（STRUCTURED_OUTPUT_REPAIR_ATTEMPTS 回まで）
+// - 結果はアシスタントメッセージの structured に保存する
+//   { valid, data（解析できた場合の値）, errors（検証エラー）, repairAttempts, responseFormatHash }
+
+import * as helpers from '../helpers.js';
+import * as jsonSchema from './json-schema.js';
+
+// OpenAI の json_schema の name の制約
+const FORMAT_NAME_REGEX = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Response Format を検証・正規化（スキーマのみの場合は name などを補う）
+ * @param {object|null} input - { name?, description?, strict?, schema } または JSON Schema
+ * @returns {{name: string, description: string, strict: boolean, schema: object}|null}
+ * @throws {Error} 値が不正な場合
+ */
+export function normalizeResponseFormat(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('responseFormat must be an object');
+  }
+
+  // { name, schema, ... } の形か、JSON Schema そのものか（UI のテキストエリアはスキーマのみ）
+  const isWrapped = typeof input.schema === 'object' && input.schema !== null && input.type === undefined;
+  const format = isWrapped
+    ? input
+    : { name: 'custom_response_schema', description: 'User-defined response format', strict: false, schema: input };
+  const name = format.name ?? 'custom_response_schema';
+  if (typeof name !== 'string' || !FORMAT_NAME_REGEX.test(name)) {
+    throw new Error('responseFormat.name must be 1-64 characters of letters, digits, "_" or "-"');
+  }
+  if (format.strict !== undefined && typeof format.strict !== 'boolean') {
+    throw new Error('responseFormat.strict must be a boolean');
+  }
+  try {
+    jsonSchema.assertValidSchema(format.schema);
+  } catch (error) {
+    throw new Error(`Invalid responseFormat.schema: ${error.message}`);
+  }
+
+  return {
+    name,
+    description: typeof format.description === 'string' ? format.description : 'Custom response schema',
+    strict: format.strict ?? false,
+    schema: format.schema
+  };
+}
+
+/**
+ * スレッドに保存された Response Format を取得（ハッシュのみの場合はレジストリから読む。未設定なら null）
+ */
+export async function resolveThreadResponseFormat(thread) {
+  if (thread.responseFormat) return thread.responseFormat;
+  if (!thread.responseFormatHash) return null;
+  const entry = await helpers.getResponseFormat(thread.responseFormatHash);
+  return entry?.content ?? null;
+}
+
+/**
+ * Responses API 形式の応答からテキストを取り出す（output_text がない場合は message の content を連結）
+ */
+export function extractResponseText(response) {
+  if (response?.output_text && response.output_text.trim()) {
+    return response.output_text;
+  }
+  let text = '';
+  for (const item of response?.output || []) {
+    if (item.type === 'message' && Array.isArray(item.content)) {
+      for (const content of item.content) {
+        if ((content.type === 'text' || content.type === 'output_text') && content.text) {
+          text += content.text;
+        }
+      }
+    }
+  }
+  return text;
+}
+
+/**
+ * 応答テキストを JSON として解析
+ * コードブロック (```json ... ```) や前後の文章で囲まれている場合は JSON 部分を取り出す
+ * @returns {{ok: true, value: *}|{ok: false, error: string}}
+ */
+export function parseJsonText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { ok: false, error: 'Response is empty' };
+  }
+
+  const candidates = [text.trim()];
+  const fenced = /```(?:json)?\s*\n?([\s\S]*?)```/i.exec(text);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start >= 0 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  return { ok: false, error: `Response is not valid JSON: ${lastError.message}` };
+}
+
+/**
+ * 応答テキストを Response Format のスキーマで検証
+ * @param {object} responseFormat - normalizeResponseFormat の戻り値
+ * @param {string} text
+ * @returns {{valid: boolean, data?: *, errors: {path: string, message: string}[]}}
+ */
+export function checkResponse(responseFormat, text) {
+  const parsed = parseJsonText(text);
+  if (!parsed.ok) {
+    return { valid: false, errors: [{ path: '', message: parsed.error }] };
+  }
+
+  let errors;
+  try {
+    errors = jsonSchema.validate(responseFormat.schema, parsed.value);
+  } catch (error) {
+    errors = [{ path: '', message: error.message }];
+  }
+  return { valid: errors.length === 0, data: parsed.value, errors };
+}
+
+/**
+ * 検証エラーを伝えて修正を依頼するメッセージ
+ */
+export function buildRepairMessage(errors) {
+  const lines = errors.map(error => `- ${error.path || '(root)'}: ${error.message}`);
+  return [
+    'Your previous response did not conform to the required JSON schema:',
+    ...lines,
+    'Respond again with only the corrected JSON that conforms to the schema. Do not include any other text.'
+  ].join('\n');
+}
@@ -0,0 +1,639 @@
+// utils/thread-export.js
+
+// ==================================================
+// スレッドのエクスポート・インポート
+// ==================================================
+//
+// エクスポート形式:
+//   - md / html: 現在の分岐の会話を読みやすい形で出力（分岐・ツールの詳細は含まない）
+//   - json: スレッドの設定・全メッセージ（分岐を含む）・参照しているシステムプロンプト・アーティファクトのメタデータ
+//   - zip: thread.json + thread.md + アーティファクトの全バージョンのファイル（artifacts/<artifactId>/<ファイル名>）
+//
+// インポート:
+//   - このアプリの json / zip（zip の場合はアーティファクトも作成する）
+//   - ChatGPT のエクスポート（conversations.json、またはそれを含む zip）。会話ごとにスレッドを作成する
+//   - スレッド・メッセージ・アーティファクトは新しいIDで作成し、メッセージ間の親子関係や添付の参照も新しいIDに置き換える
+//   - メッセージは本文・ロール・モデルなど表示に必要な項目のみ取り込む（ツールの入出力・transcript・使用量は取り込まない）
+//     添付のファイル名・バージョンは作成したアーティファクトのメタデータから決める
+//   - メッセージが参照するシステムプロンプトは同じ内容で登録する（内容のハッシュなので同じハッシュで参照できる）
+
+import * as configs from './config.js';
+import * as helpers from '../helpers.js';
+import * as messageTree from './message-tree.js';
+import * as contextManager from './context-manager.js';
+import * as contentParts from './content-parts.js';
+import * as zip from './zip.js';
+
+export const EXPORT_FORMATS = ['md', 'json', 'html', 'zip'];
+
+const BUNDLE_FORMAT = 'simple-openai-api-ui.thread';
+const BUNDLE_VERSION = 1;
+
+// エクスポートに含めるスレッドの設定（所有者・グループ・Admin の設定・要約などは含めない）
+const EXPORTED_THREAD_FIELDS = [
+  'title', 'model', 'systemPromptUser', 'reasoningEffort', 'replayTranscripts',
+  'contextSettings', 'disabledTools', 'createdAt', 'updatedAt'
+];
+
+// ====================
+// エクスポート
+// ====================
+
+/**
+ * スレッドをエクスポート用のデータにまとめる
+ * @param {object} thread - 読み込み済みのスレッド（全メッセージを含む）
+ * @returns {Promise<object>} json 形式の内容
+ */
+export async function buildThreadBundle(thread) {
+  const messages = messageTree.withParentIds(thread.messages || [], thread.messages || []);
+
+  const exportedThread = { id: thread.id };
+  for (const field of EXPORTED_THREAD_FIELDS) {
+    if (thread[field] !== undefined) exportedThread[field] = thread[field];
+  }
+  exportedThread.activeLeafId = messageTree.getActiveLeafId(thread);
+
+  let responseFormat = thread.responseFormat ?? null;
+  if (!responseFormat && thread.responseFormatHash) {
+    responseFormat = (await helpers.getResponseFormat(thread.responseFormatHash))?.content ?? null;
+  }
+  if (responseFormat) exportedThread.responseFormat = responseFormat;
+
+  // メッセージが参照しているシステムプロンプト
+  const systemPrompts = [];
+  const promptHashes = new Set(messages.map(message => message.usage?.systemPromptHash).filter(Boolean));
+  for (const hash of promptHashes) {
+    const prompt = await helpers.getSystemPrompt(hash);
+    if (prompt) systemPrompts.push({ hash, content: prompt.content });
+  }
+
+  const artifacts = (await helpers.listArtifactMetadata(thread.id)).map(metadata => ({
+    id: metadata.id,
+    filename: metadata.filename,
+    tags: metadata.tags || [],
+    currentVersion: metadata.currentVersion,
+    createdAt: metadata.createdAt,
+    updatedAt: metadata.updatedAt,
+    versions: metadata.versions.map(({ version, filename, createdAt, metadata: versionMetadata }) => ({
+      version,
+      filename,
+      createdAt,
+      metadata: versionMetadata || {}
+    }))
+  }));
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    thread: exportedThread,
+    messages,
+    systemPrompts,
+    artifacts
+  };
+}
+
+function activeConversation(bundle) {
+  return messageTree.getPath(bundle.messages, bundle.thread.activeLeafId);
+}
+
+function formatRole(message) {
+  if (message.role === 'assistant') return `Assistant${message.model ? ` (${message.model})` : ''}`;
+  if (message.role === 'user') return message.name ? `User (${message.name})` : 'User';
+  return message.role;
+}
+
+function toolNames(message) {
+  return (message.toolCalls || []).map(call => call.name).filter(Boolean);
+}
+
+/**
+ * Markdown 形式（現在の分岐の会話）
+ */
+export function renderMarkdown(bundle) {
+  const { thread } = bundle;
+  const lines = [
+    `# ${thread.title || 'Untitled thread'}`,
+    '',
+    `- Thread ID: ${thread.id}`,
+    ...(thread.model ? [`- Model: ${thread.model}`] : []),
+    `- Created: ${thread.createdAt || '-'}`,
+    `- Exported: ${bundle.exportedAt}`,
+    '',
+    '## System prompt',
+    '',
+    '````',
+    thread.systemPromptUser || '',
+    '````',
+    ''
+  ];
+
+  for (const message of activeConversation(bundle)) {
+    lines.push('---', '', `### ${formatRole(message)}`, '', `_${message.timestamp || ''}_`, '');
+    const tools = toolNames(message);
+    if (tools.length > 0) {
+      lines.push(`> Tools: ${tools.join(', ')}`, '');
+    }
+    lines.push(contextManager.contentToText(message.content), '');
+  }
+
+  if (bundle.artifacts.length > 0) {
+    lines.push('---', '', '## Artifacts', '');
+    for (const artifact of bundle.artifacts) {
+      lines.push(`- ${artifact.filename} (id: ${artifact.id}, v${artifact.currentVersion})`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML 形式（現在の分岐の会話。外部リソースを読み込まない単体のページ）
+ */
+export function renderHtml(bundle) {
+  const { thread } = bundle;
+  const messages = activeConversation(bundle).map(message => {
+    const tools = toolNames(message);
+    return `
+  <div class="message ${escapeHtml(message.role)}">
+    <div class="meta"><strong>${escapeHtml(formatRole(message))}</strong> <span>${escapeHtml(message.timestamp)}</span></div>
+    ${tools.length > 0 ? `<div class="tools">Tools: ${escapeHtml(tools.join(', '))}</div>` : ''}
+    <div class="content">${escapeHtml(contextManager.contentToText(message.content))}</div>
+  </div>`;
+  }).join('');
+
+  const artifacts = bundle.artifacts.length > 0
+    ? `
+  <h2>Artifacts</h2>
+  <ul>${bundle.artifacts.map(artifact => `
+    <li>${escapeHtml(artifact.filename)} (id: ${escapeHtml(artifact.id)}, v${artifact.currentVersion})</li>`).join('')}
+  </ul>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(thread.title || 'Untitled thread')}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 860px; margin: 24px auto; padding: 0 16px; color: #222; }
+    .info { color: #666; font-size: 13px; }
+    .system-prompt, .content { white-space: pre-wrap; word-wrap: break-word; }
+    .system-prompt { background: #f5f5f5; padding: 12px; border-radius: 6px; font-size: 13px; }
+    .message { border-radius: 8px; padding: 12px 16px; margin: 12px 0; }
+    .message.user { background: #e8f0fe; }
+    .message.assistant { background: #f1f3f4; }
+    .meta { font-size: 12px; color: #555; margin-bottom: 6px; }
+    .tools { font-size: 12px; color: #888; margin-bottom: 6px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(thread.title || 'Untitled thread')}</h1>
+  <div class="info">Thread ID: ${escapeHtml(thread.id)}${thread.model ? ` / Model: ${escapeHtml(thread.model)}` : ''} / Exported: ${escapeHtml(bundle.exportedAt)}</div>
+  <h2>System prompt</h2>
+  <div class="system-prompt">${escapeHtml(thread.systemPromptUser)}</div>
+  <h2>Conversation</h2>${messages}${artifacts}
+</body>
+</html>
+`;
+}
+
+// zip 内のアーティファクトのファイルのパス
+function artifactEntryName(artifactId, filename) {
+  return `artifacts/${artifactId}/${filename}`;
+}
+
+/**
+ * アーティファクトの全バージョンの内容を読み込み、bundle の各バージョンに path（zip 内のパス）を設定
+ * @returns {Promise<{name: string, content: Buffer, date: Date}[]>}
+ */
+export async function collectArtifactFiles(bundle) {
+  const files = [];
+  for (const artifact of bundle.artifacts) {
+    const metadata = await helpers.readArtifactMetadata(artifact.id);
+    for (const version of artifact.versions) {
+      const result = await helpers.readArtifactVersion(metadata, version.version).catch(() => null);
+      if (!result) continue;
+      version.path = artifactEntryName(artifact.id, version.filename);
+      files.push({ name: version.path, content: result.content, date: new Date(version.createdAt || Date.now()) });
+    }
+  }
+  return files;
+}
+
+/**
+ * zip 形式（thread.json + thread.md + アーティファクトの全バージョン）
+ * @returns {Promise<Buffer>}
+ */
+export async function buildZip(bundle) {
+  const files = await collectArtifactFiles(bundle);
+  return zip.createZip([
+    { name: 'thread.json', content: JSON.stringify(bundle, null, 2) },
+    { name: 'thread.md', content: renderMarkdown(bundle) },
+    ...files
+  ]);
+}
+
+function exportBasename(thread) {
+  const title = helpers.sanitizeFilename(thread.title || 'thread').replace(/\s+/g, '_').slice(0, 60);
+  return `${title || 'thread'}_${thread.id.slice(0, 8)}`;
+}
+
+/**
+ * スレッドを指定の形式でエクスポート
+ * @param {object} thread
+ * @param {'md'|'json'|'html'|'zip'} format
+ * @returns {Promise<{filename: string, contentType: string, body: Buffer|string}>}
+ */
+export async function exportThread(thread, format) {
+  const bundle = await buildThreadBundle(thread);
+  const basename = exportBasename(thread);
+  switch (format) {
+    case 'md':
+      return { filename: `${basename}.md`, contentType: 'text/markdown; charset=utf-8', body: renderMarkdown(bundle) };
+    case 'html':
+      return { filename: `${basename}.html`, contentType: 'text/html; charset=utf-8', body: renderHtml(bundle) };
+    case 'json':
+      return { filename: `${basename}.json`, contentType: 'application/json; charset=utf-8', body: JSON.stringify(bundle, null, 2) };
+    case 'zip':
+      return { filename: `${basename}.zip`, contentType: 'application/zip', body: await buildZip(bundle) };
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+// ====================
+// ChatGPT のエクスポートの変換
+// ====================
+
+function fromUnixTime(seconds) {
+  return typeof seconds === 'number' && Number.isFinite(seconds)
+    ? new Date(seconds * 1000).toISOString()
+    : null;
+}
+
+// ChatGPT のメッセージの本文をテキストに変換（画像などは置き換え、表示されない種類は null）
+function chatGptContentToText(content) {
+  switch (content?.content_type) {
+    case 'text':
+      return (content.parts || []).filter(part => typeof part === 'string').join('\n');
+    case 'multimodal_text':
+      return (content.parts || []).map(part => {
+        if (typeof part === 'string') return part;
+        if (part?.content_type === 'image_asset_pointer') return '[image]';
+        if (part?.content_type === 'audio_transcription') return part.text || '';
+        return '';
+      }).filter(Boolean).join('\n');
+    case 'code':
+      return content.text ? `\`\`\`${content.language && content.language !== 'unknown' ? content.language : ''}\n${content.text}\n\`\`\`` : null;
+    default:
+      // thoughts / reasoning_recap / user_editable_context / tether_browsing_display など
+      return null;
+  }
+}
+
+/**
+ * ChatGPT の会話1件をこのアプリの形式に変換
+ * 表示されないメッセージ（system・tool・非表示のもの）は除き、その子は最も近い残ったメッセージにつなげる
+ */
+export function convertChatGptConversation(conversation) {
+  const mapping = conversation?.mapping;
+  if (!mapping || typeof mapping !== 'object') {
+    throw new Error('Invalid ChatGPT conversation: mapping is missing');
+  }
+  const conversationCreatedAt = fromUnixTime(conversation.create_time) || new Date().toISOString();
+
+  const keptIds = new Map(); // ChatGPT のノードID → 残したメッセージのID（除いたノードは最も近い残った祖先）
+  const messages = [];
+
+  // 親から順にたどる（mapping の順序は保証されないため、ルートから幅優先）
+  const roots = Object.values(mapping).filter(node => !node.parent || !mapping[node.parent]);
+  const queue = roots.map(node => ({ node, parentMessageId: null }));
+  while (queue.length > 0) {
+    const { node, parentMessageId } = queue.shift();
+    if (keptIds.has(node.id)) continue;
+
+    const message = node.message;
+    const role = message?.author?.role;
+    const text = (role === 'user' || role === 'assistant') && !message.metadata?.is_visually_hidden_from_conversation
+      ? chatGptContentToText(message.content)
+      : null;
+
+    let messageId = parentMessageId;
+    if (text?.trim()) {
+      messageId = node.id;
+      messages.push({
+        id: node.id,
+        role,
+        content: text,
+        timestamp: fromUnixTime(message.create_time) || conversationCreatedAt,
+        parentId: parentMessageId,
+        ...(role === 'assistant' && message.metadata?.model_slug ? { model: message.metadata.model_slug } : {})
+      });
+    }
+    keptIds.set(node.id, messageId);
+
+    for (const childId of node.children || []) {
+      if (mapping[childId]) queue.push({ node: mapping[childId], parentMessageId: messageId });
+    }
+  }
+
+  // 表示されていた分岐（current_node）を現在の分岐にする
+  const activeLeafId = keptIds.get(conversation.current_node) ?? messages.at(-1)?.id ?? null;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    source: 'chatgpt',
+    thread: {
+      id: conversation.id || conversation.conversation_id || null,
+      title: conversation.title || 'ChatGPT conversation',
+      createdAt: conversationCreatedAt,
+      updatedAt: fromUnixTime(conversation.update_time) || conversationCreatedAt,
+      activeLeafId
+    },
+    messages,
+    systemPrompts: [],
+    artifacts: []
+  };
+}
+
+// ====================
+// インポート
+// ====================
+
+function isChatGptConversation(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) && value.mapping && typeof value.mapping === 'object';
+}
+
+function parseJson(buffer, name) {
+  try {
+    return JSON.parse(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+  } catch {
+    throw new Error(`${name} is not valid JSON`);
+  }
+}
+
+function validateBundle(bundle) {
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    throw new Error('Unsupported file: not a thread export or ChatGPT export');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Unsupported thread export version: ${bundle.version}`);
+  }
+  if (!bundle.thread || typeof bundle.thread !== 'object' || !Array.isArray(bundle.messages)) {
+    throw new Error('Invalid thread export: thread and messages are required');
+  }
+  for (const message of bundle.messages) {
+    if (!message || typeof message.id !== 'string' || !['user', 'assistant'].includes(message.role)) {
+      throw new Error('Invalid thread export: each message requires an id and a user/assistant role');
+    }
+  }
+  return bundle;
+}
+
+// JSON の内容から形式を判定して、スレッドのデータの配列にする
+function bundlesFromJson(value) {
+  if (Array.isArray(value)) {
+    if (!value.every(isChatGptConversation)) {
+      throw new Error('Unsupported file: not a thread export or ChatGPT export');
+    }
+    return value.map(convertChatGptConversation);
+  }
+  if (isChatGptConversation(value)) {
+    return [convertChatGptConversation(value)];
+  }
+  return [validateBundle(value)];
+}
+
+/**
+ * インポートするファイルを読み込む（形式の判定・検証のみで、まだ保存しない）
+ * @param {Buffer} buffer - アップロードされたファイル
+ * @param {string} [filename]
+ * @returns {{bundles: object[], files: Map<string, Buffer>}} files は zip 内のファイル（パス → 内容）
+ * @throws {Error} 対応していない形式・壊れたファイルの場合
+ */
+export function parseImportFile(buffer, filename = 'upload') {
+  if (!zip.isZip(buffer)) {
+    return { bundles: bundlesFromJson(parseJson(buffer, filename)), files: new Map() };
+  }
+
+  const entries = zip.readZip(buffer, { maxTotalBytes: configs.THREAD_IMPORT_MAX_EXTRACTED_BYTES });
+  const files = new Map(entries.map(entry => [entry.name, entry.content]));
+
+  // このアプリの zip は thread.json、ChatGPT の zip は conversations.json を含む（フォルダ内の場合もある）
+  const findEntry = name => entries.find(entry => entry.name === name || entry.name.endsWith(`/${name}`));
+  const threadJson = findEntry('thread.json');
+  if (threadJson) {
+    return { bundles: [validateBundle(parseJson(threadJson.content, threadJson.name))], files };
+  }
+  const conversationsJson = findEntry('conversations.json');
+  if (conversationsJson) {
+    return { bundles: bundlesFromJson(parseJson(conversationsJson.content, conversationsJson.name)), files: new Map() };
+  }
+  throw new Error('Unsupported zip file: thread.json or conversations.json not found');
+}
+
+// インポートしなかった添付・形式の不明なパーツの代わりのテキスト
+function placeholderPart(part) {
+  const label = typeof part?.filename === 'string' && part.filename ? part.filename.slice(0, 200) : 'attachment';
+  return { type: 'text', text: `[${part?.type ?? 'unknown'}: ${label} (not imported)]` };
+}
+
+// 添付をインポートしたアーティファクトのメタデータから作り直す
+// （ファイル名・形式・バージョンはファイルの値を使わない。バージョンがない場合は最新版を参照する）
+function remapAttachmentPart(part, imported) {
+  const target = imported.get(part.artifactId);
+  if (!target) return placeholderPart(part);
+
+  const { metadata, versions } = target;
+  const mimeType = contentParts.getMimeType(metadata.filename);
+  const type = part.type === 'image' && mimeType.startsWith('image/') ? 'image' : 'file';
+  const remapped = {
+    type,
+    artifactId: metadata.id,
+    version: versions.get(Number(part.version)) ?? metadata.currentVersion,
+    filename: metadata.filename,
+    mimeType
+  };
+  if (type === 'image' && contentParts.IMAGE_DETAILS.includes(part.detail)) {
+    remapped.detail = part.detail;
+  }
+  return remapped;
+}
+
+function remapContent(content, imported) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content == null ? '' : JSON.stringify(content);
+  return content.map(part => {
+    if (typeof part === 'string') return { type: 'text', text: part };
+    if (part?.type === 'text' && typeof part.text === 'string') return { type: 'text', text: part.text };
+    return contentParts.isAttachmentPart(part) ? remapAttachmentPart(part, imported) : placeholderPart(part);
+  });
+}
+
+// 推論サマリー（{ id, summary: string[] }）のみ残す
+function sanitizeReasoning(reasoning) {
+  if (!Array.isArray(reasoning)) return undefined;
+  const items = reasoning
+    .filter(item => Array.isArray(item?.summary) && item.summary.every(text => typeof text === 'string'))
+    .map(item => ({ ...(typeof item.id === 'string' ? { id: item.id } : {}), summary: item.summary }));
+  return items.length > 0 ? items : undefined;
+}
+
+// メッセージを新しい ID で作り直す
+// 表示・会話に必要な項目のみ取り込み、ツールの入出力・transcript・使用量・メタデータなど
+// 検証できない項目は取り込まない（参照しているシステムプロンプトのハッシュのみ残す）
+function remapMessage(message, messageIds, imported) {
+  const remapped = {
+    id: messageIds.get(message.id),
+    role: message.role,
+    parentId: message.parentId ? messageIds.get(message.parentId) ?? null : null,
+    content: remapContent(message.content, imported),
+    timestamp: typeof message.timestamp === 'string' && !Number.isNaN(Date.parse(message.timestamp))
+      ? message.timestamp
+      : new Date().toISOString()
+  };
+  for (const field of ['name', 'model', 'error']) {
+    if (typeof message[field] === 'string') remapped[field] = message[field];
+  }
+  if (message.pinned === true) remapped.pinned = true;
+  if (message.cancelled === true) remapped.cancelled = true;
+
+  const reasoning = sanitizeReasoning(message.reasoning);
+  if (reasoning) remapped.reasoning = reasoning;
+
+  const systemPromptHash = message.usage?.systemPromptHash;
+  if (typeof systemPromptHash === 'string' && /^[0-9a-f]{16}$/.test(systemPromptHash)) {
+    remapped.usage = { systemPromptHash };
+  }
+  return remapped;
+}
+
+// zip 内のアーティファクトを新しいIDで作成（バージョンの順に追加する）
+// @returns {Promise<{imported: Map<string, {metadata: object, versions: Map<number, number>}>, skipped: number}>}
+//   imported は元のID → 作成したアーティファクトのメタデータと、元のバージョン → 新しいバージョン
+async function importArtifacts(bundle, files, { threadId, userId }) {
+  const imported = new Map();
+  let skipped = 0;
+  const source = { type: 'import', userId };
+
+  for (const artifact of bundle.artifacts || []) {
+    const versions = [...(artifact.versions || [])]
+      .filter(version => version.path && files.has(version.path))
+      .sort((a, b) => a.version - b.version);
+    if (versions.length === 0 || !artifact.filename) {
+      skipped++;
+      continue;
+    }
+
+    let artifactId = null;
+    const versionMap = new Map();
+    for (const version of versions) {
+      const content = files.get(version.path);
+      const metadata = version.metadata && typeof version.metadata === 'object' ? version.metadata : {};
+      let record;
+      if (!artifactId) {
+        record = await helpers.createArtifactRecord({
+          filename: artifact.filename,
+          content,
+          metadata,
+          threadId,
+          userId,
+          tags: Array.isArray(artifact.tags) ? artifact.tags : [],
+          source
+        });
+        artifactId = record.artifactId;
+      } else {
+        record = await helpers.appendArtifactVersion({ artifactId, content, metadata, source });
+      }
+      versionMap.set(Number(version.version), record.version);
+    }
+    imported.set(artifact.id, { metadata: await helpers.readArtifactMetadata(artifactId), versions: versionMap });
+  }
+  return { imported, skipped };
+}
+
+/**
+ * スレッドのデータからスレッドを新しいIDで作成
+ * @param {object} bundle - parseImportFile の bundles の要素
+ * @param {object} params
+ * @param {object} params.user - インポートするユーザー（作成するスレッド・アーティファクトの所有者）
+ * @param {Map<string, Buffer>} [params.files] - zip 内のファイル
+ * @returns {Promise<{threadId: string, title: string, messageCount: number, artifactCount: number, skippedArtifacts: number, source: string}>}
+ */
+export async function importThreadBundle(bundle, { user, files = new Map() }) {
+  const userId = user.user_id;
+  const threadId = helpers.generateId();
+  const timestamp = new Date().toISOString();
+  const imported = bundle.thread;
+
+  // 先にスレッドを作成し、アーティファクトをスレッドに紐づけられるようにする
+  const systemPromptUser = (typeof imported.systemPromptUser === 'string' && imported.systemPromptUser.trim())
+    || configs.DEFAULT_SYSTEM_PROMPT;
+  const modelValidation = helpers.validateModel(imported.model);
+  const thread = {
+    id: threadId,
+    title: String(imported.title || 'Imported thread').slice(0, 200),
+    systemPromptUser,
+    userId,
+    systemPrompt: helpers.composeSystemPrompt(systemPromptUser, []),
+    model: modelValidation.valid ? modelValidation.model : configs.DEFAULT_MODEL,
+    responseFormatHash: null,
+    reasoningEffort: imported.reasoningEffort || 'medium',
+    messages: [],
+    artifactIds: [],
+    createdAt: imported.createdAt || timestamp,
+    updatedAt: timestamp
+  };
+  if (typeof imported.replayTranscripts === 'boolean') {
+    thread.replayTranscripts = imported.replayTranscripts;
+  }
+  try {
+    if (imported.contextSettings) {
+      thread.contextSettings = contextManager.normalizeContextSettings(imported.contextSettings);
+    }
+  } catch {
+    // 不正な設定はデフォルトに戻す
+  }
+  if (imported.responseFormat) {
+    thread.responseFormatHash = await helpers.registerResponseFormat(imported.responseFormat, userId);
+    thread.responseFormat = imported.responseFormat;
+  }
+  await helpers.writeThread(threadId, thread);
+
+  const { imported: importedArtifacts, skipped } = await importArtifacts(bundle, files, { threadId, userId });
+
+  // メッセージが参照しているシステムプロンプト（内容が同じなら同じハッシュになる）
+  for (const prompt of bundle.systemPrompts || []) {
+    if (typeof prompt?.content === 'string') {
+      await helpers.registerSystemPrompt(prompt.content, userId);
+    }
+  }
+
+  const messageIds = new Map(bundle.messages.map(message => [message.id, helpers.generateId()]));
+  thread.messages = bundle.messages.map(message => remapMessage(message, messageIds, importedArtifacts));
+  thread.activeLeafId = messageIds.get(imported.activeLeafId) ?? thread.messages.at(-1)?.id ?? null;
+  thread.updatedAt = new Date().toISOString();
+  await helpers.writeThread(threadId, thread);
+  await helpers.updateThreadAfterArtifactChange(threadId);
+
+  return {
+    threadId,
+    title: thread.title,
+    messageCount: thread.messages.length,
+    artifactCount: importedArtifacts.size,
+    skippedArtifacts: skipped,
+    source: bundle.source || 'export'
+  };
+}
+
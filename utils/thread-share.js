@@ -0,0 +1,202 @@
+// utils/thread-share.js
+
+// ==================================================
+// スレッドの共有リンク（読み取り専用）
+// ==================================================
+//
+// - スレッドの作成者が共有リンク（推測できないトークン）を作成し、アカウントのない人にも会話を見せられる
+//   有効期限（任意）を設定でき、いつでも取り消せる
+// - 共有ページ (/share/:token) は認証なしで、現在の分岐の会話のみを表示する
+//   システムプロンプト・使用量・推論やツールの入出力は公開しない
+// - includeArtifacts の場合のみ、スレッドのアーティファクト（最新版）の閲覧・添付画像の表示を許可する
+// - ログインしたユーザーは共有されたスレッドを自分のスレッドとしてコピー（フォーク）できる
+//   コピーするのは共有ページで見える内容のみ（includeArtifacts の場合のみ、アーティファクトの最新版もコピーする）
+
+import crypto from 'crypto';
+import * as helpers from '../helpers.js';
+import * as messageTree from './message-tree.js';
+import * as contentParts from './content-parts.js';
+import * as threadExport from './thread-export.js';
+import { getStorage } from './storage.js';
+
+/**
+ * 共有リンクの作成オプションを検証・正規化
+ * @param {object} input - { includeArtifacts?: boolean, expiresAt?: string|null }
+ * @returns {{includeArtifacts: boolean, expiresAt: string|null}}
+ * @throws {Error} 値が不正な場合
+ */
+export function normalizeShareOptions(input = {}) {
+  const { includeArtifacts = false, expiresAt = null } = input;
+  if (typeof includeArtifacts !== 'boolean') {
+    throw new Error('includeArtifacts must be a boolean');
+  }
+
+  let normalizedExpiresAt = null;
+  if (expiresAt !== null && expiresAt !== undefined && expiresAt !== '') {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid expiresAt: ${expiresAt}`);
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new Error('expiresAt must be in the future');
+    }
+    normalizedExpiresAt = date.toISOString();
+  }
+  return { includeArtifacts, expiresAt: normalizedExpiresAt };
+}
+
+/**
+ * 共有リンクが有効か（取り消されておらず、期限内）
+ */
+export function isShareActive(share, now = Date.now()) {
+  return !!share && !share.revokedAt && (!share.expiresAt || new Date(share.expiresAt).getTime() > now);
+}
+
+/**
+ * 共有リンクを作成
+ * @returns {object} 作成した共有リンク
+ */
+export function createShare(thread, { userId, includeArtifacts, expiresAt }) {
+  return getStorage().createThreadShare({
+    token: crypto.randomBytes(24).toString('base64url'),
+    threadId: thread.id,
+    createdBy: userId,
+    includeArtifacts,
+    expiresAt
+  });
+}
+
+export function listShares(threadId) {
+  return getStorage().listThreadShares(threadId).map(share => ({ ...share, active: isShareActive(share) }));
+}
+
+/**
+ * スレッドの共有リンクを取り消す
+ * @returns {boolean} 取り消したかどうか（他のスレッドのリンク・取り消し済みの場合は false）
+ */
+export function revokeShare(threadId, token) {
+  const share = getStorage().getThreadShare(token);
+  if (!share || share.threadId !== threadId) return false;
+  return getStorage().revokeThreadShare(token);
+}
+
+/**
+ * 有効な共有リンクと共有されているスレッドを取得
+ * @returns {Promise<{share: object, thread: object}|null>} 存在しない・取り消し済み・期限切れの場合は null
+ */
+export async function resolveShare(token) {
+  const share = typeof token === 'string' ? getStorage().getThreadShare(token) : null;
+  if (!isShareActive(share)) return null;
+  const thread = await helpers.readThread(share.threadId);
+  return thread ? { share, thread } : null;
+}
+
+// 公開するメッセージの内容
+// 添付のファイル名などはメッセージに保存された値（インポートで任意の値にできる）を使わず、
+// スレッドのアーティファクトのメタデータから作り直す。ID はアーティファクトを公開する場合のみ残す
+function toSharedContent(content, artifactsById, includeArtifacts) {
+  if (!Array.isArray(content)) return content;
+  return content.map(part => {
+    if (!contentParts.isAttachmentPart(part)) return part;
+    const metadata = artifactsById.get(part.artifactId);
+    if (!metadata) return { type: part.type };
+    return includeArtifacts
+      ? { type: part.type, artifactId: metadata.id, filename: metadata.filename, mimeType: contentParts.getMimeType(metadata.filename) }
+      : { type: part.type, filename: metadata.filename };
+  });
+}
+
+/**
+ * 共有ページで表示する内容
+ * @returns {Promise<object>}
+ */
+export async function buildSharedView(share, thread) {
+  const threadArtifacts = await helpers.listArtifactMetadata(thread.id);
+  const artifactsById = new Map(threadArtifacts.map(metadata => [metadata.id, metadata]));
+
+  const messages = messageTree.getActivePath(thread).map(message => ({
+    id: message.id,
+    role: message.role,
+    ...(message.name ? { name: message.name } : {}),
+    ...(message.model ? { model: message.model } : {}),
+    timestamp: message.timestamp,
+    content: toSharedContent(message.content, artifactsById, share.includeArtifacts),
+    ...(message.toolCalls?.length ? { toolNames: message.toolCalls.map(call => call.name) } : {})
+  }));
+
+  const artifacts = share.includeArtifacts
+    ? threadArtifacts.map(metadata => ({
+      id: metadata.id,
+      filename: metadata.filename,
+      currentVersion: metadata.currentVersion,
+      mimeType: contentParts.getMimeType(metadata.filename),
+      updatedAt: metadata.updatedAt
+    }))
+    : [];
+
+  return {
+    title: thread.title,
+    model: thread.model,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+    expiresAt: share.expiresAt,
+    includeArtifacts: share.includeArtifacts,
+    messages,
+    artifacts
+  };
+}
+
+/**
+ * 共有されているアーティファクトを取得
+ * @returns {Promise<object|null>} 公開されていない・スレッドに紐づいていない場合は null
+ */
+export async function getSharedArtifact(share, artifactId) {
+  if (!share.includeArtifacts) return null;
+  const artifacts = await helpers.listArtifactMetadata(share.threadId);
+  return artifacts.find(metadata => metadata.id === artifactId) || null;
+}
+
+/**
+ * 共有されているスレッドをユーザーのスレッドとしてコピー
+ * 共有ページで見える内容（buildSharedView）のみをコピーし、アーティファクトは最新版のみ作成する
+ * @returns {Promise<object>} threadExport.importThreadBundle の戻り値
+ */
+export async function forkSharedThread(share, thread, user) {
+  const view = await buildSharedView(share, thread);
+
+  const artifacts = [];
+  if (share.includeArtifacts) {
+    for (const metadata of await helpers.listArtifactMetadata(thread.id)) {
+      const latest = metadata.versions.find(version => version.version === metadata.currentVersion);
+      if (!latest) continue;
+      artifacts.push({
+        id: metadata.id,
+        filename: metadata.filename,
+        versions: [{ version: latest.version, filename: latest.filename, createdAt: latest.createdAt }]
+      });
+    }
+  }
+  const files = await threadExport.collectArtifactFiles({ artifacts });
+
+  // 共有ページの会話は現在の分岐のみのため、順につなげる
+  const messages = view.messages.map((message, index) => ({
+    ...message,
+    parentId: index > 0 ? view.messages[index - 1].id : null
+  }));
+
+  return threadExport.importThreadBundle({
+    source: 'share',
+    thread: {
+      title: view.title,
+      model: view.model,
+      createdAt: view.createdAt,
+      activeLeafId: messages.at(-1)?.id ?? null
+    },
+    messages,
+    systemPrompts: [],
+    artifacts
+  }, {
+    user,
+    files: new Map(files.map(file => [file.name, file.content]))
+  });
+}
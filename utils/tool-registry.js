@@ -0,0 +1,294 @@
+// utils/tool-registry.js
+
+// ==================================================
+// ツールレジストリ
+// ==================================================
+//
+// - 各ツールは JSON Schema・権限・ハンドラーを宣言し、ここに登録する
+// - 組み込みツール (tools/) は起動時に登録し、plugins/ ディレクトリのツールも読み込む
+// - スレッドの disabledTools でツールを個別に無効化できる（'*' で全ツール禁止）
+// - permissions.threadEnablement のツールは、Admin がスレッドの enabledTools に追加した場合のみ利用できる
+// - MCPツールも同じツールセットに統合し、メッセージ処理からは区別なく呼び出す
+//
+// ツールの定義形式:
+//   {
+//     name: 'my_tool',                    // ^[a-zA-Z0-9_-]{1,64}$
+//     description: '...',
+//     parameters: { type: 'object', ... }, // JSON Schema
+//     permissions: {                       // 省略時は全ユーザーが利用可能（Admin は常に利用可能）
+//       authorities: ['Vip', 'User'],      //   利用可能な権限レベル
+//       manageThread: true,                //   スレッドの管理権限 (作成者・Admin) が必要
+//       threadEnablement: true             //   Admin によるスレッドごとの有効化が必要（Admin 自身も同様）
+//     },
+//     refreshThread: false,                // 実行後にスレッドの派生状態を更新するか
+//     handler: async (input, { user, thread, threadId, callId }) => ({ success: true, ... })
+//   }
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import * as configs from './config.js';
+import * as access from './access-control.js';
+import * as mcp from './mcp-manager.js';
+
+// OpenAI のツール名の制約
+const TOOL_NAME_REGEX = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+// name -> { tool, source }
+const registry = new Map();
+
+// ====================
+// 登録
+// ====================
+
+/**
+ * ツールを登録
+ * @param {object} tool - ツール定義
+ * @param {object} [options]
+ * @param {'builtin'|'plugin'} [options.source]
+ */
+export function registerTool(tool, { source = 'builtin' } = {}) {
+  if (!tool || typeof tool !== 'object') {
+    throw new Error('Tool definition must be an object');
+  }
+  if (!TOOL_NAME_REGEX.test(tool.name || '')) {
+    throw new Error(`Invalid tool name: ${tool.name}`);
+  }
+  if (tool.name.startsWith(configs.MCP_TOOL_NAME_PREFIX)) {
+    throw new Error(`Tool name must not start with ${configs.MCP_TOOL_NAME_PREFIX}: ${tool.name}`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool handler must be a function: ${tool.name}`);
+  }
+  if (registry.has(tool.name)) {
+    throw new Error(`Tool already registered: ${tool.name}`);
+  }
+
+  registry.set(tool.name, { tool, source });
+}
+
+export function registerTools(tools, options = {}) {
+  for (const tool of tools) {
+    registerTool(tool, options);
+  }
+}
+
+export function getTool(name) {
+  return registry.get(name)?.tool || null;
+}
+
+/**
+ * 登録済みツールの一覧
+ * @returns {Array<{tool: object, source: string}>}
+ */
+export function listTools() {
+  return [...registry.values()];
+}
+
+/**
+ * プラグインディレクトリのツールを読み込む
+ * 各ファイルは default export（ツール1つまたは配列）か、名前付き export の tools を持つ
+ * 読み込めないファイルはログに記録してスキップする
+ * @param {string} dir
+ * @returns {Promise<string[]>} 登録したツール名
+ */
+export async function loadPlugins(dir = configs.PLUGINS_DIR) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const loaded = [];
+  for (const file of files.filter(f => PLUGIN_EXTENSIONS.includes(path.extname(f))).sort()) {
+    try {
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      const exported = module.tools ?? module.default;
+      const tools = [exported].flat().filter(Boolean);
+      if (tools.length === 0) {
+        console.warn(`[Tools] No tools exported from plugin: ${file}`);
+        continue;
+      }
+      for (const tool of tools) {
+        registerTool(tool, { source: 'plugin' });
+        loaded.push(tool.name);
+        console.log(`[Tools] Loaded plugin tool: ${tool.name} (${file})`);
+      }
+    } catch (error) {
+      console.error(`[Tools] Failed to load plugin ${file}:`, error.message);
+    }
+  }
+  return loaded;
+}
+
+// ====================
+// 有効・無効の判定
+// ====================
+
+/**
+ * disabledTools の値を検証・正規化
+ * @throws {Error} 文字列の配列でない場合
+ */
+export function normalizeDisabledTools(value) {
+  if (!Array.isArray(value) || value.some(name => typeof name !== 'string')) {
+    throw new Error('disabledTools must be an array of strings');
+  }
+  return [...new Set(value.map(name => name.trim()).filter(Boolean))];
+}
+
+/**
+ * ツールが無効化されているか判定
+ * disabledTools の各要素は完全一致、'*'（全て）、'prefix*'（前方一致）のいずれか
+ */
+export function isToolDisabled(name, disabledTools = []) {
+  return disabledTools.some(pattern => pattern.endsWith('*')
+    ? name.startsWith(pattern.slice(0, -1))
+    : name === pattern);
+}
+
+/**
+ * enabledTools の値を検証・正規化（threadEnablement が必要な登録済みツールのみ指定できる）
+ * @throws {Error} 文字列の配列でない場合・対象外のツール名を含む場合
+ */
+export function normalizeEnabledTools(value) {
+  if (!Array.isArray(value) || value.some(name => typeof name !== 'string')) {
+    throw new Error('enabledTools must be an array of strings');
+  }
+  const names = [...new Set(value.map(name => name.trim()).filter(Boolean))];
+  for (const name of names) {
+    if (!getTool(name)?.permissions?.threadEnablement) {
+      throw new Error(`Tool does not require enablement: ${name}`);
+    }
+  }
+  return names;
+}
+
+/**
+ * ユーザーがツールを利用できるか判定
+ */
+export function canUseTool(user, tool, thread) {
+  if (tool.permissions?.threadEnablement && !(thread?.enabledTools || []).includes(tool.name)) {
+    return false;
+  }
+  if (access.isAdmin(user)) return true;
+  const { authorities, manageThread } = tool.permissions || {};
+  if (Array.isArray(authorities) && !authorities.includes(user?.authority)) {
+    return false;
+  }
+  if (manageThread && !access.canManageThread(user, thread)) {
+    return false;
+  }
+  return true;
+}
+
+// ====================
+// ツールセット
+// ====================
+
+/**
+ * スレッド・ユーザーに応じた利用可能なツールの一覧（無効化・権限不足のものも含む）
+ * @returns {Promise<Array<{name: string, description: string, source: string, enabled: boolean, permitted: boolean, requiresEnablement: boolean}>>}
+ */
+export async function describeTools({ user, thread }) {
+  const disabledTools = thread?.disabledTools || [];
+  const mcpToolset = await mcp.getMcpToolset(thread?.id || null);
+
+  return [
+    ...listTools().map(({ tool, source }) => ({
+      name: tool.name,
+      description: tool.description,
+      source,
+      enabled: !isToolDisabled(tool.name, disabledTools),
+      permitted: canUseTool(user, tool, thread),
+      requiresEnablement: Boolean(tool.permissions?.threadEnablement)
+    })),
+    ...mcpToolset.tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      source: 'mcp',
+      enabled: !isToolDisabled(tool.name, disabledTools),
+      permitted: true,
+      requiresEnablement: false
+    }))
+  ];
+}
+
+/**
+ * メッセージ処理で使うツールセットを構築
+ * @param {object} params
+ * @param {object} params.user - リクエストユーザー
+ * @param {object} params.thread - 対象スレッド
+ * @returns {Promise<{definitions: object[], has: (name: string) => boolean, execute: (name: string, input: object, options?: {callId?: string}) => Promise<{result: object, record: object, refreshThread: boolean}>}>}
+ */
+export async function createToolset({ user, thread }) {
+  const disabledTools = thread.disabledTools || [];
+  const entries = new Map();
+
+  for (const { tool } of listTools()) {
+    if (isToolDisabled(tool.name, disabledTools) || !canUseTool(user, tool, thread)) continue;
+    entries.set(tool.name, { tool });
+  }
+
+  // 全ツール禁止の場合はMCPサーバーへの接続も行わない
+  const mcpToolset = disabledTools.includes('*')
+    ? { tools: [] }
+    : await mcp.getMcpToolset(thread.id);
+  for (const tool of mcpToolset.tools) {
+    if (isToolDisabled(tool.name, disabledTools) || entries.has(tool.name)) continue;
+    entries.set(tool.name, { mcpTool: tool });
+  }
+
+  const definitions = [...entries.entries()].map(([name, entry]) => entry.mcpTool || {
+    type: 'function',
+    name,
+    description: entry.tool.description,
+    parameters: entry.tool.parameters || { type: 'object', properties: {} }
+  });
+
+  return {
+    definitions,
+    has: name => entries.has(name),
+    execute: async (name, input = {}, { callId = null } = {}) => {
+      const entry = entries.get(name);
+      const type = entry?.mcpTool ? 'mcp' : name;
+
+      // 無効化されたツール・存在しないツールもモデルには結果を返す
+      if (!entry) {
+        const error = `Tool is not available: ${name}`;
+        console.warn(`  ⚠️ ${error}`);
+        return { result: { success: false, error }, record: { type, name, input, error }, refreshThread: false };
+      }
+
+      try {
+        if (entry.mcpTool) {
+          console.log(`  🔌 Calling MCP tool: ${name}`);
+          const result = await mcpToolset.callTool(name, input);
+          console.log(`  ${result.success ? '✅' : '❌'} MCP tool finished: ${result.server}/${result.tool}`);
+          return {
+            result,
+            record: { type, name, server: result.server, tool: result.tool, input, result },
+            refreshThread: false
+          };
+        }
+
+        const result = await entry.tool.handler(input, { user, thread, threadId: thread.id, callId });
+        return {
+          result,
+          record: { type, name, input, result },
+          refreshThread: Boolean(entry.tool.refreshThread)
+        };
+      } catch (error) {
+        console.error(`  ❌ Tool failed: ${name}`, error);
+        return {
+          result: { success: false, error: error.message },
+          record: { type, name, input, error: error.message },
+          refreshThread: false
+        };
+      }
+    }
+  };
+}
@@ -0,0 +1,199 @@
+// utils/zip.js
+
+// ==================================================
+// ZIP ファイルの作成・読み込み
+// ==================================================
+//
+// - スレッドのエクスポート・インポートで使う最小限の実装（zlib の deflate を使用）
+// - 作成: ファイル名は UTF-8。圧縮して小さくならないファイルは無圧縮で格納する
+// - 読み込み: 無圧縮・deflate のみ対応。暗号化・ZIP64・複数ディスクは非対応
+//   展開後の合計サイズを制限し、圧縮率の極端なファイル（zip bomb）でメモリを使い切らないようにする
+
+import zlib from 'zlib';
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS 形式の日時
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// ====================
+// 作成
+// ====================
+
+/**
+ * ZIP ファイルを作成
+ * @param {{name: string, content: Buffer|string, date?: Date}[]} entries - name は / 区切りのパス
+ * @returns {Buffer}
+ */
+export function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf-8');
+    const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(String(entry.content), 'utf-8');
+    const deflated = zlib.deflateRawSync(data);
+    const useDeflate = deflated.length < data.length;
+    const stored = useDeflate ? deflated : data;
+    const crc = crc32(data);
+    const { time, date } = toDosDateTime(entry.date || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    localParts.push(local, name, stored);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// ====================
+// 読み込み
+// ====================
+
+/**
+ * ZIP ファイルか判定（先頭のシグネチャのみ確認）
+ */
+export function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // 末尾のコメントは最大 65535 バイト
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= min; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) return i;
+  }
+  return -1;
+}
+
+/**
+ * ZIP ファイルを展開（ディレクトリのエントリは除く）
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {number} [options.maxTotalBytes] - 展開後の合計サイズの上限
+ * @returns {{name: string, content: Buffer}[]}
+ * @throws {Error} 壊れている・対応していない形式・上限を超える場合
+ */
+export function readZip(buffer, { maxTotalBytes = Infinity } = {}) {
+  const endOffset = findEndOfCentralDirectory(buffer);
+  if (endOffset < 0) {
+    throw new Error('Invalid zip file: end of central directory not found');
+  }
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+
+  const entries = [];
+  let totalBytes = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Invalid zip file: broken central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString(flags & FLAG_UTF8 ? 'utf-8' : 'latin1');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) {
+      throw new Error(`Encrypted zip entries are not supported: ${name}`);
+    }
+    if (compressedSize === 0xffffffff || size === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error(`ZIP64 entries are not supported: ${name}`);
+    }
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      throw new Error(`Zip file is too large when extracted (max ${maxTotalBytes} bytes)`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid zip file: broken local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === METHOD_STORED) {
+      content = Buffer.from(data);
+    } else if (method === METHOD_DEFLATE) {
+      // 宣言されたサイズを超えて展開しない
+      content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported zip compression method ${method}: ${name}`);
+    }
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new Error(`Invalid zip file: checksum mismatch for ${name}`);
+    }
+    entries.push({ name, content });
+  }
+  return entries;
+}